@@ -0,0 +1,174 @@
+/*
+ * Back in stock
+ *
+ * Shoppers can ask to be told when a sold out variant is back. Requests go to `window.backInStock.url`, an endpoint
+ * (e.g. an app proxy) that sends the email or SMS once the variant is restocked. The ids of the variants
+ * the shopper signed up for are kept in localStorage, so the form says so instead of asking again.
+ */
+class BackInStock {
+  static storageKey = 'theme-back-in-stock';
+
+  static get variantIds() {
+    try {
+      return JSON.parse(localStorage.getItem(BackInStock.storageKey)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  static has(variantId) {
+    return BackInStock.variantIds.includes(String(variantId));
+  }
+
+  // Resolves once the endpoint took the request, rejects with the message to show otherwise
+  static subscribe({ variantId, productId, email, phone }) {
+    const body = JSON.stringify({ variant_id: Number(variantId), product_id: Number(productId), email, phone });
+
+    return fetch(window.backInStock.url, { ...fetchConfig(), body })
+      .catch(() => ({ ok: false, json: () => Promise.resolve({}) }))
+      .then((response) => {
+        if (response.ok) return;
+        return response
+          .json()
+          .catch(() => ({}))
+          .then((result) => {
+            throw new Error(result.description || window.backInStockStrings.error);
+          });
+      })
+      .then(() => {
+        if (BackInStock.has(variantId)) return;
+        try {
+          localStorage.setItem(BackInStock.storageKey, JSON.stringify([String(variantId), ...BackInStock.variantIds]));
+        } catch (e) {
+          // storage is full or disabled, the form just asks again next time
+        }
+      });
+  }
+}
+
+/**
+ * `<back-in-stock-form>` (snippets/back-in-stock-form.liquid): shown under the buy buttons while the selected variant
+ * is sold out, or once adding it fails. It follows the variant picked in its section and hides while the picked
+ * option values make no variant.
+ */
+if (!customElements.get('back-in-stock-form')) {
+  customElements.define(
+    'back-in-stock-form',
+    class BackInStockForm extends HTMLElement {
+      constructor() {
+        super();
+
+        this.form = this.querySelector('form');
+        this.variantIdInput = this.form.querySelector('input[name="variant_id"]');
+        this.emailInput = this.form.querySelector('input[name="email"]');
+        this.phoneInput = this.form.querySelector('input[name="phone"]');
+        this.submitButton = this.form.querySelector('[type="submit"]');
+        this.errorMessage = this.querySelector('.back-in-stock__error');
+        this.successMessage = this.querySelector('.back-in-stock__success');
+
+        this.form.addEventListener('submit', this.onSubmitHandler.bind(this));
+        this.showSubscribed(BackInStock.has(this.variantIdInput.value));
+      }
+
+      variantChangeUnsubscriber = undefined;
+      optionValueSelectionChangeUnsubscriber = undefined;
+      cartErrorUnsubscriber = undefined;
+
+      connectedCallback() {
+        this.variantChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.variantChange, ({ data }) => {
+          if (data.sectionId !== this.dataset.section) return;
+          this.update(data.variant);
+        });
+
+        // Until the new variant renders, the form would be for one that's no longer picked
+        this.optionValueSelectionChangeUnsubscriber = subscribe(
+          PUB_SUB_EVENTS.optionValueSelectionChange,
+          ({ data }) => {
+            if (!document.getElementById(`variant-selects-${this.dataset.section}`)?.contains(data.target)) return;
+            this.hidden = true;
+          }
+        );
+
+        // Sold out since the page loaded, the product form only finds out when adding fails
+        this.cartErrorUnsubscriber = subscribe(PUB_SUB_EVENTS.cartError, (event) => {
+          if (event.source !== 'product-form' || event.productVariantId !== this.variantIdInput.value) return;
+          this.hidden = false;
+        });
+      }
+
+      disconnectedCallback() {
+        this.variantChangeUnsubscriber?.();
+        this.optionValueSelectionChangeUnsubscriber?.();
+        this.cartErrorUnsubscriber?.();
+      }
+
+      update(variant) {
+        this.hidden = variant.available;
+        if (String(variant.id) === this.variantIdInput.value) return;
+
+        this.variantIdInput.value = variant.id;
+        this.showError();
+        this.showSubscribed(BackInStock.has(variant.id));
+      }
+
+      onSubmitHandler(event) {
+        event.preventDefault();
+        if (this.submitButton.getAttribute('aria-disabled') === 'true') return;
+
+        const email = this.emailInput.value.trim();
+        const phone = this.phoneInput?.value.trim() ?? '';
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+          this.showError(window.backInStockStrings.emailInvalid, this.emailInput);
+          return;
+        }
+        if (phone && !/^\+?[\d\s().-]{7,20}$/.test(phone)) {
+          this.showError(window.backInStockStrings.phoneInvalid, this.phoneInput);
+          return;
+        }
+
+        this.showError();
+        this.toggleLoading(true);
+        const variantId = this.variantIdInput.value;
+
+        BackInStock.subscribe({ variantId, productId: this.dataset.productId, email, phone })
+          .then(() => {
+            // another variant was picked while the request was on its way
+            if (variantId === this.variantIdInput.value) this.showSubscribed(true);
+          })
+          .catch((error) => this.showError(error.message))
+          .finally(() => this.toggleLoading(false));
+      }
+
+      showSubscribed(subscribed) {
+        this.form.hidden = subscribed;
+        this.successMessage.hidden = !subscribed;
+        if (!subscribed) this.form.reset();
+      }
+
+      showError(message, input) {
+        this.errorMessage.hidden = !message;
+        this.errorMessage.querySelector('.back-in-stock__error-message').textContent = message ?? '';
+
+        [this.emailInput, this.phoneInput].forEach((field) => {
+          if (!field) return;
+          if (message && (field === input || !input)) {
+            field.setAttribute('aria-invalid', true);
+            field.setAttribute('aria-describedby', this.errorMessage.id);
+          } else {
+            field.removeAttribute('aria-invalid');
+            field.removeAttribute('aria-describedby');
+          }
+        });
+        input?.focus();
+      }
+
+      toggleLoading(loading) {
+        loading
+          ? this.submitButton.setAttribute('aria-disabled', true)
+          : this.submitButton.removeAttribute('aria-disabled');
+        this.submitButton.classList.toggle('loading', loading);
+        this.submitButton.querySelector('.loading__spinner').classList.toggle('hidden', !loading);
+      }
+    }
+  );
+}
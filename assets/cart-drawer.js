@@ -7,6 +7,27 @@ class CartDrawer extends HTMLElement {
     this.setHeaderCartIconAccessibility();
   }
 
+  cartUpdateUnsubscriber = undefined;
+  recommendations = new Map();
+  // products of the cart the rail asks recommendations for, so a large cart doesn't send a request per line
+  // (the info of the `cart_drawer_show_recommendations` setting names this number)
+  recommendationSources = 3;
+
+  connectedCallback() {
+    this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, ({ cartData }) => {
+      if (!this.classList.contains('active')) return;
+      // /cart/add.js only answers with the added line
+      const cart = Array.isArray(cartData?.items) ? Promise.resolve(cartData) : CartStore.refresh();
+      return cart.then((cart) => this.renderRecommendations(cart));
+    });
+  }
+
+  disconnectedCallback() {
+    if (this.cartUpdateUnsubscriber) {
+      this.cartUpdateUnsubscriber();
+    }
+  }
+
   setHeaderCartIconAccessibility() {
     const cartLink = document.querySelector('#cart-icon-bubble');
     if (!cartLink) return;
@@ -47,6 +68,7 @@ class CartDrawer extends HTMLElement {
     );
 
     document.body.classList.add('overflow-hidden');
+    this.renderRecommendations();
   }
 
   close() {
@@ -89,6 +111,89 @@ class CartDrawer extends HTMLElement {
     });
   }
 
+  // "Complete the look" rail: recommendations for the products in the cart, the ones added last first, taking turns
+  // so each of them is represented, without the products already in the cart.
+  // Loaded when the drawer opens (renderContents opens it too) and on each cartUpdate while it is open.
+  renderRecommendations(cart = CartStore.cart) {
+    const container = document.getElementById('CartDrawer-Recommendations');
+    if (!container) return;
+    if (!cart?.items.length) {
+      container.hidden = true;
+      return;
+    }
+
+    const productIds = [...new Set(cart.items.map((item) => item.product_id))];
+    const sourceIds = productIds.slice(0, this.recommendationSources);
+    const recommendationsKey = sourceIds.join(',');
+    this.recommendationsKey = recommendationsKey;
+
+    return Promise.all(
+      sourceIds.map((productId) =>
+        this.getRecommendations(productId).catch((e) => {
+          console.error(e);
+          return null;
+        })
+      )
+    )
+      .then((documents) => {
+        // a newer cart asked for other recommendations in the meantime
+        if (this.recommendationsKey !== recommendationsKey) return;
+
+        const target = document.getElementById('CartDrawer-Recommendations');
+        const lists = documents
+          .map((html) => html?.querySelector('.cart-drawer__recommendations-list'))
+          .filter((list) => list);
+        if (!target || !lists.length) return;
+
+        const candidates = lists.map((list) => Array.from(list.children));
+        const shown = new Set(productIds);
+        const items = Array.from({ length: Math.max(...candidates.map(({ length }) => length)) }, (_, index) =>
+          candidates.map((recommendations) => recommendations[index])
+        )
+          .flat()
+          .filter((item) => {
+            if (!item || shown.has(Number(item.dataset.productId))) return false;
+            shown.add(Number(item.dataset.productId));
+            return true;
+          })
+          .slice(0, parseInt(target.dataset.limit) || 4)
+          .map((item) => document.importNode(item, true));
+        const content = target.querySelector('.cart-drawer__recommendations-content');
+        if (items.length) {
+          const targetList = document.importNode(lists[0], false);
+          targetList.append(...items);
+          content.replaceChildren(targetList);
+        } else {
+          content.replaceChildren();
+        }
+        target.hidden = !items.length;
+      })
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+
+  // Complementary products first, related products when none are set up for the product
+  getRecommendations(productId) {
+    if (!this.recommendations.has(productId)) {
+      const request = this.fetchRecommendations(productId, 'complementary').then((html) =>
+        html.querySelector('.cart-drawer__recommendation') ? html : this.fetchRecommendations(productId, 'related')
+      );
+      request.catch(() => this.recommendations.delete(productId));
+      this.recommendations.set(productId, request);
+    }
+
+    return this.recommendations.get(productId);
+  }
+
+  fetchRecommendations(productId, intent) {
+    return fetch(
+      `${routes.product_recommendations_url}?product_id=${productId}&limit=10&intent=${intent}&section_id=cart-drawer-recommendations`
+    )
+      .then((response) => response.text())
+      .then((responseText) => new DOMParser().parseFromString(responseText, 'text/html'));
+  }
+
   getSectionInnerHTML(html, selector = '.shopify-section') {
     return new DOMParser().parseFromString(html, 'text/html').querySelector(selector).innerHTML;
   }
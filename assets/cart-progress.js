@@ -0,0 +1,153 @@
+/*
+ * Free shipping and free gift progress
+ *
+ * Tiers are set in the "Cart progress" section of the header group, so each market (the `th` and `tryon`
+ * contexts in config/markets.json) can have its own thresholds through a contextual override of that group.
+ * Thresholds are entered in the store currency and converted with `Shopify.currency.rate` to the currency the
+ * cart is in.
+ *
+ * Progress is recomputed from CartStore, which every cart mutation (and so every cartUpdate publish) goes through.
+ * Gift tiers add their variant with a `_gift_tier` property once reached, and remove it when the cart drops below
+ * the threshold again. Gift lines don't count towards any threshold. They're added at the variant's price: an
+ * automatic discount set up in the admin is what makes them free.
+ */
+class CartProgress {
+  static source = 'cart-progress';
+  static giftProperty = '_gift_tier';
+  static #tiers = null;
+  static #syncing = false;
+  // tiers whose gift couldn't be added (e.g. sold out), so they aren't retried on every cart change
+  static #failedGifts = new Set();
+
+  static init() {
+    CartStore.subscribe((cart) => CartProgress.syncGifts(cart));
+  }
+
+  static get tiers() {
+    if (!CartProgress.#tiers) {
+      const config = document.getElementById('CartProgressTiers');
+      CartProgress.#tiers = config ? JSON.parse(config.textContent) : [];
+    }
+    return CartProgress.#tiers;
+  }
+
+  static isGift(item) {
+    return !!item.properties?.[CartProgress.giftProperty];
+  }
+
+  static toCartCurrency(cents) {
+    const rate = parseFloat(window.Shopify?.currency?.rate) || 1;
+    return Math.round(cents * rate);
+  }
+
+  // Tiers sorted by threshold, with `threshold` and `remaining` in the cart currency and `progress` from 0 to 100
+  static compute(cart) {
+    const total = cart.items
+      .filter((item) => !CartProgress.isGift(item))
+      .reduce((sum, item) => sum + item.final_line_price, 0);
+
+    return CartProgress.tiers
+      .map((tier) => {
+        const threshold = CartProgress.toCartCurrency(tier.threshold);
+        return {
+          ...tier,
+          threshold,
+          remaining: Math.max(threshold - total, 0),
+          reached: total >= threshold,
+          progress: threshold > 0 ? Math.min((total / threshold) * 100, 100) : 100,
+        };
+      })
+      .sort((a, b) => a.threshold - b.threshold);
+  }
+
+  static syncGifts(cart) {
+    if (CartProgress.#syncing || !cart?.items) return;
+
+    const reachedGifts = CartProgress.compute(cart)
+      .filter((tier) => tier.type === 'gift' && tier.variantId && tier.reached && cart.item_count > 0)
+      .map((tier) => tier.id);
+    const giftLines = cart.items.filter((item) => CartProgress.isGift(item));
+
+    const linesToRemove = giftLines.filter(
+      (item) => !reachedGifts.includes(item.properties[CartProgress.giftProperty])
+    );
+    const tiersToAdd = reachedGifts.filter(
+      (id) =>
+        !CartProgress.#failedGifts.has(id) &&
+        !giftLines.some((item) => item.properties[CartProgress.giftProperty] === id)
+    );
+    if (!linesToRemove.length && !tiersToAdd.length) return;
+
+    CartProgress.#syncing = true;
+    const removals = linesToRemove.map((item) => CartStore.change({ id: item.key, quantity: 0 }));
+    const additions = tiersToAdd.map((id) => {
+      const tier = CartProgress.tiers.find((entry) => entry.id === id);
+      return CartStore.add([{ id: tier.variantId, quantity: 1, properties: { [CartProgress.giftProperty]: id } }]).then(
+        (response) => {
+          if (response.status) CartProgress.#failedGifts.add(id);
+        }
+      );
+    });
+
+    return Promise.all([...removals, ...additions])
+      .then(() => CartStore.refresh())
+      .then((updatedCart) => {
+        CartProgress.#syncing = false;
+        ThemeEvents.renderCartIconBubble();
+        return publish(PUB_SUB_EVENTS.cartUpdate, { source: CartProgress.source, cartData: updatedCart });
+      })
+      .catch((e) => {
+        CartProgress.#syncing = false;
+        console.error(e);
+      });
+  }
+}
+
+if (!customElements.get('cart-progress')) {
+  customElements.define(
+    'cart-progress',
+    class CartProgressBar extends HTMLElement {
+      connectedCallback() {
+        this.unsubscribe = CartStore.subscribe((cart) => this.render(cart));
+      }
+
+      disconnectedCallback() {
+        if (this.unsubscribe) this.unsubscribe();
+      }
+
+      render(cart) {
+        const tiers = CartProgress.compute(cart);
+        this.hidden = !tiers.length || cart.item_count === 0;
+        if (this.hidden) return;
+
+        this.replaceChildren(...tiers.map((tier) => this.renderTier(tier)));
+      }
+
+      renderTier(tier) {
+        const element = document.createElement('div');
+        element.classList.add('cart-progress__tier');
+        element.classList.toggle('cart-progress__tier--reached', tier.reached);
+
+        const message = document.createElement('p');
+        message.classList.add('cart-progress__message');
+        message.textContent = tier.reached
+          ? tier.successMessage
+          : tier.message.replace('[amount]', formatMoney(tier.remaining));
+
+        const bar = document.createElement('div');
+        bar.classList.add('cart-progress__bar');
+        bar.setAttribute('role', 'progressbar');
+        bar.setAttribute('aria-valuemin', 0);
+        bar.setAttribute('aria-valuemax', 100);
+        bar.setAttribute('aria-valuenow', Math.round(tier.progress));
+        bar.setAttribute('aria-valuetext', message.textContent);
+        bar.style.setProperty('--cart-progress', `${tier.progress}%`);
+
+        element.append(message, bar);
+        return element;
+      }
+    }
+  );
+}
+
+CartProgress.init();
@@ -0,0 +1,121 @@
+/*
+ * Single entry point for every cart mutation.
+ *
+ * Requests are queued and sent one at a time, so responses (and the sections they carry) are applied in the
+ * order the shopper made the changes. The latest cart JSON is kept in `CartStore.cart` and every change is
+ * published as PUB_SUB_EVENTS.cartStateChange with that cart.
+ *
+ * Each mutation resolves with the parsed response body, errors included (e.g. `{ status, description }` from
+ * /cart/add.js or `{ errors }` from /cart/change.js), so callers keep deciding how to surface them.
+ */
+class CartStore {
+  static #queue = Promise.resolve();
+  static #cart = null;
+  static #pendingRefresh = null;
+
+  static get cart() {
+    return CartStore.#cart;
+  }
+
+  // Seeds the store with the cart rendered in the page, so it doesn't have to be fetched on load
+  static hydrate(cart) {
+    if (!CartStore.#cart) CartStore.#setCart(cart);
+  }
+
+  static subscribe(callback) {
+    return subscribe(PUB_SUB_EVENTS.cartStateChange, callback, { replay: true });
+  }
+
+  // `items` is a FormData from a product form, or an array of `{ id, quantity, properties }`
+  static add(items, options = {}) {
+    return CartStore.#enqueue(() => {
+      const body = items instanceof FormData ? items : CartStore.#withSections({ items }, options);
+      return CartStore.#post(routes.cart_add_url, body);
+    }).then((response) => {
+      // /cart/add.js only answers with the added lines, the cart itself has to be read again
+      if (!response.status) CartStore.refresh().catch((e) => console.error(e));
+      return response;
+    });
+  }
+
+  // `change` is `{ line, quantity }` or `{ id, quantity }`, as accepted by /cart/change.js
+  static change(change, options = {}) {
+    return CartStore.#mutate(routes.cart_change_url, CartStore.#withSections(change, options));
+  }
+
+  // `updates` maps variant ids to quantities
+  static update(updates, options = {}) {
+    return CartStore.#mutate(routes.cart_update_url, CartStore.#withSections({ updates }, options));
+  }
+
+  static updateNote(note, options = {}) {
+    return CartStore.#mutate(routes.cart_update_url, CartStore.#withSections({ note }, options));
+  }
+
+  static updateAttributes(attributes, options = {}) {
+    return CartStore.#mutate(routes.cart_update_url, CartStore.#withSections({ attributes }, options));
+  }
+
+  static clear() {
+    return CartStore.#mutate(routes.cart_clear_url, {});
+  }
+
+  // Calls made while a refresh is still waiting in the queue share it
+  static refresh() {
+    if (CartStore.#pendingRefresh) return CartStore.#pendingRefresh;
+
+    CartStore.#pendingRefresh = CartStore.#enqueue(() => {
+      CartStore.#pendingRefresh = null;
+      return fetch(`${routes.cart_url}.js`, { headers: { Accept: 'application/json' } }).then((response) =>
+        response.json()
+      );
+    }).then((cart) => {
+      CartStore.#setCart(cart);
+      return cart;
+    });
+
+    return CartStore.#pendingRefresh;
+  }
+
+  static #mutate(url, body) {
+    return CartStore.#enqueue(() => CartStore.#post(url, body)).then((response) => {
+      if (CartStore.#isCart(response)) CartStore.#setCart(response);
+      return response;
+    });
+  }
+
+  static #enqueue(request) {
+    const result = CartStore.#queue.then(request, request);
+    CartStore.#queue = result.catch(() => {});
+    return result;
+  }
+
+  static #post(url, body) {
+    let config;
+    if (body instanceof FormData) {
+      config = fetchConfig('javascript');
+      config.headers['X-Requested-With'] = 'XMLHttpRequest';
+      delete config.headers['Content-Type'];
+      config.body = body;
+    } else {
+      config = { ...fetchConfig(), body: JSON.stringify(body) };
+    }
+
+    return fetch(url, config).then((response) => response.json());
+  }
+
+  static #withSections(payload, { sections, sectionsUrl } = {}) {
+    if (!sections?.length) return payload;
+    return { ...payload, sections, sections_url: sectionsUrl || window.location.pathname };
+  }
+
+  static #isCart(response) {
+    return !!response && !response.errors && !response.status && Array.isArray(response.items);
+  }
+
+  static #setCart(response) {
+    const { sections, ...cart } = response;
+    CartStore.#cart = cart;
+    publish(PUB_SUB_EVENTS.cartStateChange, cart);
+  }
+}
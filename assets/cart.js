@@ -26,8 +26,12 @@ class CartItems extends HTMLElement {
   }
 
   cartUpdateUnsubscriber = undefined;
+  pendingQuantities = new Map();
 
   connectedCallback() {
+    const cartJson = this.querySelector('[data-cart-json]');
+    if (cartJson) CartStore.hydrate(JSON.parse(cartJson.textContent));
+
     this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
       if (event.source === 'cart-items') {
         return;
@@ -144,50 +148,33 @@ class CartItems extends HTMLElement {
     ];
   }
 
+  // Resolves with whether the cart took the change
   updateQuantity(line, quantity, event, name, variantId) {
-    this.enableLoading(line);
+    line = parseInt(line);
+    // removals keep the loading state, the row has to go away with the server's markup
+    const isOptimistic = quantity > 0 && this.renderOptimisticQuantity(line, quantity);
+    if (!isOptimistic) this.enableLoading(line);
 
-    const body = JSON.stringify({
-      line,
-      quantity,
-      sections: this.getSectionsToRender().map((section) => section.section),
-      sections_url: window.location.pathname,
-    });
+    const sections = this.getSectionsToRender().map((section) => section.section);
     const eventTarget = event.currentTarget instanceof CartRemoveButton ? 'clear' : 'change';
 
-    fetch(`${routes.cart_change_url}`, { ...fetchConfig(), ...{ body } })
-      .then((response) => {
-        return response.text();
-      })
-      .then((state) => {
-        const parsedState = JSON.parse(state);
-
+    return CartStore.change({ line, quantity }, { sections, sectionsUrl: window.location.pathname })
+      .then((parsedState) => {
         CartPerformance.measure(`${eventTarget}:paint-updated-sections"`, () => {
           const quantityElement =
             document.getElementById(`Quantity-${line}`) || document.getElementById(`Drawer-quantity-${line}`);
           const items = document.querySelectorAll('.cart-item');
 
           if (parsedState.errors) {
+            this.rollbackOptimisticQuantity(line, quantity);
             quantityElement.value = quantityElement.getAttribute('value');
             this.updateLiveRegions(line, parsedState.errors);
             return;
           }
 
-          this.classList.toggle('is-empty', parsedState.item_count === 0);
           const cartDrawerWrapper = document.querySelector('cart-drawer');
-          const cartFooter = document.getElementById('main-cart-footer');
-
-          if (cartFooter) cartFooter.classList.toggle('is-empty', parsedState.item_count === 0);
-          if (cartDrawerWrapper) cartDrawerWrapper.classList.toggle('is-empty', parsedState.item_count === 0);
-
-          this.getSectionsToRender().forEach((section) => {
-            const elementToReplace =
-              document.getElementById(section.id).querySelector(section.selector) || document.getElementById(section.id);
-            elementToReplace.innerHTML = this.getSectionInnerHTML(
-              parsedState.sections[section.section],
-              section.selector
-            );
-          });
+          this.renderContents(parsedState);
+          this.settleOptimisticQuantity(line, quantity);
           const updatedValue = parsedState.items[line - 1] ? parsedState.items[line - 1].quantity : undefined;
           let message = '';
           if (items.length === parsedState.items.length && updatedValue !== parseInt(quantityElement.value)) {
@@ -215,17 +202,108 @@ class CartItems extends HTMLElement {
         CartPerformance.measureFromEvent(`${eventTarget}:user-action`, event);
 
         publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-items', cartData: parsedState, variantId: variantId });
+        return !parsedState.errors;
       })
       .catch(() => {
         this.querySelectorAll('.loading__spinner').forEach((overlay) => overlay.classList.add('hidden'));
+        if (isOptimistic) {
+          this.rollbackOptimisticQuantity(line, quantity);
+          this.updateLiveRegions(line, window.cartStrings.error);
+        }
         const errors = document.getElementById('cart-errors') || document.getElementById('CartDrawer-CartErrors');
         errors.textContent = window.cartStrings.error;
+        return false;
       })
       .finally(() => {
         this.disableLoading(line);
       });
   }
 
+  // Renders the sections returned with a cart response, requested with `getSectionsToRender()`
+  renderContents(parsedState) {
+    this.classList.toggle('is-empty', parsedState.item_count === 0);
+    const cartDrawerWrapper = document.querySelector('cart-drawer');
+    const cartFooter = document.getElementById('main-cart-footer');
+
+    if (cartFooter) cartFooter.classList.toggle('is-empty', parsedState.item_count === 0);
+    if (cartDrawerWrapper) cartDrawerWrapper.classList.toggle('is-empty', parsedState.item_count === 0);
+
+    this.getSectionsToRender().forEach((section) => {
+      const elementToReplace =
+        document.getElementById(section.id).querySelector(section.selector) || document.getElementById(section.id);
+      elementToReplace.innerHTML = this.getSectionInnerHTML(parsedState.sections[section.section], section.selector);
+    });
+  }
+
+  // Shows the quantity, line total and cart total the shopper asked for before the server confirms them.
+  // Prices are derived from the last cart JSON, the sections returned by /cart/change.js replace them afterwards.
+  renderOptimisticQuantity(line, quantity) {
+    if (!CartStore.cart?.items[line - 1]) return false;
+
+    this.pendingQuantities.set(line, quantity);
+    this.renderOptimisticState([line]);
+    return true;
+  }
+
+  // Called once the server's sections are in: lines with a newer pending request keep their optimistic values
+  settleOptimisticQuantity(line, quantity) {
+    if (this.pendingQuantities.get(line) === quantity) this.pendingQuantities.delete(line);
+    if (quantity === 0) this.pendingQuantities.clear();
+    this.renderOptimisticState([...this.pendingQuantities.keys()]);
+  }
+
+  rollbackOptimisticQuantity(line, quantity) {
+    if (this.pendingQuantities.get(line) !== quantity) return;
+
+    this.pendingQuantities.delete(line);
+    this.renderOptimisticState([line]);
+  }
+
+  renderOptimisticState(linesToRender) {
+    const cart = CartStore.cart;
+    if (!cart || !linesToRender.length) return;
+
+    const itemsSubtotal = cart.items.reduce((total, item, index) => {
+      const quantity = this.pendingQuantities.get(index + 1) ?? item.quantity;
+      return total + this.getLinePrice(item, quantity).final;
+    }, 0);
+
+    linesToRender.forEach((line) => {
+      const item = cart.items[line - 1];
+      if (!item) return;
+
+      const quantity = this.pendingQuantities.get(line) ?? item.quantity;
+      const linePrice = this.getLinePrice(item, quantity);
+
+      document.querySelectorAll(`#Quantity-${line}, #Drawer-quantity-${line}`).forEach((input) => {
+        if (parseInt(input.value) !== quantity) input.value = quantity;
+      });
+
+      document
+        .querySelectorAll(
+          `#CartItem-${line} .cart-item__price-wrapper, #CartDrawer-Item-${line} .cart-item__price-wrapper`
+        )
+        .forEach((priceWrapper) => {
+          const originalPrice = priceWrapper.querySelector('.cart-item__old-price');
+          const finalPrice = priceWrapper.querySelector('.price--end:not(.cart-item__old-price)');
+          if (originalPrice) originalPrice.textContent = formatMoney(linePrice.original);
+          if (finalPrice) finalPrice.textContent = formatMoney(originalPrice ? linePrice.final : linePrice.original);
+        });
+    });
+
+    const total = cart.total_price + itemsSubtotal - cart.items_subtotal_price;
+    document.querySelectorAll('.totals__total-value').forEach((totalElement) => {
+      totalElement.textContent = formatMoney(total, window.moneyWithCurrencyFormat);
+    });
+  }
+
+  getLinePrice(item, quantity) {
+    return {
+      original: item.original_price * quantity,
+      final: Math.round((item.final_line_price / item.quantity) * quantity),
+    };
+  }
+
   updateLiveRegions(line, message) {
     const lineItemError =
       document.getElementById(`Line-item-error-${line}`) || document.getElementById(`CartDrawer-LineItemError-${line}`);
@@ -283,9 +361,9 @@ if (!customElements.get('cart-note')) {
         this.addEventListener(
           'input',
           debounce((event) => {
-            const body = JSON.stringify({ note: event.target.value });
-            fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
-              .then(() => CartPerformance.measureFromEvent('note-update:user-action', event));
+            CartStore.updateNote(event.target.value).then(() =>
+              CartPerformance.measureFromEvent('note-update:user-action', event)
+            );
           }, ON_CHANGE_DEBOUNCE_TIMER)
         );
       }
@@ -6,4 +6,23 @@ const PUB_SUB_EVENTS = {
   optionValueSelectionChange: 'option-value-selection-change',
   variantChange: 'variant-change',
   cartError: 'cart-error',
+  cartStateChange: 'cart-state-change',
+  savedForLaterUpdate: 'saved-for-later-update',
+  savedForLaterError: 'saved-for-later-error',
+  wishlistUpdate: 'wishlist-update',
+};
+
+// DOM events dispatched on `document` for every pubsub publish, see theme-events.js
+const THEME_EVENTS = {
+  [PUB_SUB_EVENTS.cartUpdate]: 'theme:cart:updated',
+  [PUB_SUB_EVENTS.cartError]: 'theme:cart:error',
+  [PUB_SUB_EVENTS.quantityUpdate]: 'theme:quantity:updated',
+  [PUB_SUB_EVENTS.optionValueSelectionChange]: 'theme:variant:option-selected',
+  [PUB_SUB_EVENTS.variantChange]: 'theme:variant:changed',
+};
+
+// DOM events third-party scripts can dispatch on `document` to drive the theme
+const THEME_COMMANDS = {
+  cartRefresh: 'theme:cart:refresh',
+  cartOpen: 'theme:cart:open',
 };
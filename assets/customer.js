@@ -83,3 +83,22 @@ class CustomerAddresses {
     }
   };
 }
+
+// Moves a wishlist kept in the browser before logging in into the customer account
+class CustomerWishlist {
+  constructor() {
+    if (typeof Wishlist === 'undefined' || !Wishlist.isRemote) return;
+    this._mergeGuestItems();
+  }
+
+  _mergeGuestItems() {
+    const guestItems = Wishlist.getGuestItems();
+    if (!guestItems.length) return;
+
+    Wishlist.merge(guestItems)
+      .then(() => Wishlist.clearGuestItems())
+      .catch(() => {
+        // kept in the browser, merged again on the next visit to the account
+      });
+  }
+}
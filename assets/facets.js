@@ -1,3 +1,388 @@
+/*
+ * Saved and shared filters
+ *
+ * Shoppers can save the filters they're using ("size M, black") as their defaults. They're kept in localStorage and
+ * applied to collection pages opened without filters, as far as the collection has those filters.
+ *
+ * Shareable links pack the `filter.*` params into one `f` param keyed by the filter's short name, e.g.
+ * `filter.v.option.size=M&filter.v.option.size=L&filter.p.product_type=Dresses` becomes
+ * `f=size:M,L;product_type:Dresses`. Names and values are URI encoded, so option names in any script survive. The
+ * short names are matched back to the filter inputs of the page that opens the link.
+ */
+class FacetPresets {
+  static storageKey = 'theme-facet-presets';
+  static shareParam = 'f';
+
+  // `[name, value]` pairs of the saved filter params
+  static get filters() {
+    try {
+      return JSON.parse(localStorage.getItem(FacetPresets.storageKey)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  static get hasDefaults() {
+    return FacetPresets.filters.length > 0;
+  }
+
+  static save(searchParams) {
+    const filters = FacetPresets.#filterParams(searchParams);
+    try {
+      localStorage.setItem(FacetPresets.storageKey, JSON.stringify(filters));
+    } catch (e) {
+      // storage is full or disabled, the filters just aren't remembered
+    }
+  }
+
+  static clear() {
+    try {
+      localStorage.removeItem(FacetPresets.storageKey);
+    } catch (e) {
+      // storage is disabled, there is nothing to clear
+    }
+  }
+
+  // `searchParams` with the saved filters this page has, or null when it's already filtered or none of them apply
+  static withDefaults(searchParams) {
+    const params = new URLSearchParams(searchParams);
+    if (FacetPresets.#filterParams(params).length) return null;
+
+    const defaults = FacetPresets.filters.filter(([name, value]) => FacetPresets.#pageHasFilter(name, value));
+    if (!defaults.length) return null;
+
+    defaults.forEach(([name, value]) => params.append(name, value));
+    return params.toString();
+  }
+
+  static shortName(name) {
+    return name.replace(/^filter\.[vp]\./, '').replace(/^option\./, '');
+  }
+
+  static shareUrl(searchParams) {
+    const params = new URLSearchParams(searchParams);
+    const groups = new Map();
+    FacetPresets.#filterParams(params).forEach(([name, value]) => {
+      params.delete(name);
+      const key = encodeURIComponent(FacetPresets.shortName(name));
+      groups.set(key, [...(groups.get(key) || []), encodeURIComponent(value)]);
+    });
+
+    const packed = Array.from(groups, ([key, values]) => `${key}:${values.join(',')}`).join(';');
+    const query = [params.toString(), packed && `${FacetPresets.shareParam}=${packed}`].filter(Boolean).join('&');
+    return `${window.location.origin}${window.location.pathname}${query && `?${query}`}`;
+  }
+
+  // The search params a shared `search` stands for, or null when it isn't a shared link
+  static expand(search) {
+    // Read raw, URLSearchParams would decode the values before they are split
+    const packed = search.match(new RegExp(`[?&]${FacetPresets.shareParam}=([^&]*)`))?.[1];
+    if (packed === undefined) return null;
+
+    const params = new URLSearchParams(search);
+    params.delete(FacetPresets.shareParam);
+    const names = FacetPresets.#filterInputs().map(({ name }) => name);
+    packed
+      .split(';')
+      .filter(Boolean)
+      .forEach((group) => {
+        const [key, values = ''] = group.split(':');
+        const name = names.find((name) => FacetPresets.shortName(name) === decodeURIComponent(key));
+        if (!name) return;
+        values.split(',').forEach((value) => params.append(name, decodeURIComponent(value)));
+      });
+    return params.toString();
+  }
+
+  static #filterParams(searchParams) {
+    return Array.from(new URLSearchParams(searchParams)).filter(([name]) => name.startsWith('filter.'));
+  }
+
+  static #filterInputs() {
+    return Array.from(document.querySelectorAll('facet-filters-form form'))
+      .flatMap((form) => Array.from(form.elements))
+      .filter(({ name }) => name?.startsWith('filter.'));
+  }
+
+  // List filters need the value among their options, price ranges only need to exist
+  static #pageHasFilter(name, value) {
+    return FacetPresets.#filterInputs().some(
+      (input) => input.name === name && (input.type !== 'checkbox' || input.value === value)
+    );
+  }
+}
+
+/*
+ * Filtering and sorting in the browser
+ *
+ * Collections of up to 250 products can render them all at once, together with their data as JSON
+ * (snippets/facet-data.liquid). Filters and sorts are then applied to that data as soon as they change: the grid,
+ * the value counts, the pills and the product count are all computed here, without a request.
+ *
+ * What the data can't answer goes to the server as before: price ranges, sorts other than the collection's own,
+ * product, title, price and date, and results without any product. Collections with filters that aren't
+ * availability, product type, vendor, tag or option filters, or that combine values with AND, always do.
+ */
+class ClientFacets {
+  static #data = null;
+  static #cards = new Map();
+  static #productValues = {
+    'filter.p.product_type': (product) => [product.type],
+    'filter.p.vendor': (product) => [product.vendor],
+    'filter.p.tag': (product) => product.tags,
+  };
+  static #compare = {
+    'title-ascending': (a, b) => a.title.localeCompare(b.title),
+    'title-descending': (a, b) => b.title.localeCompare(a.title),
+    'price-ascending': (a, b) => a.price - b.price,
+    'price-descending': (a, b) => b.price - a.price,
+    'created-ascending': (a, b) => a.createdAt - b.createdAt,
+    'created-descending': (a, b) => b.createdAt - a.createdAt,
+  };
+
+  static get ready() {
+    return ClientFacets.#data !== null;
+  }
+
+  static init() {
+    const sectionId = document.getElementById('product-grid')?.dataset.id;
+    const source = sectionId && document.getElementById(`FacetData-${sectionId}`);
+    if (!source) return;
+
+    if (ClientFacets.#isWholeCollection(window.location.search, source.dataset.defaultSort)) {
+      ClientFacets.#load(document, sectionId);
+      return;
+    }
+
+    // A filtered page only has part of the collection, and a sorted one has it out of order
+    SectionClient.fetch(sectionId, { url: source.dataset.url })
+      .then((html) => ClientFacets.#load(SectionClient.parse(html), sectionId))
+      .catch(() => {
+        // filters keep going through the server
+      });
+  }
+
+  // Renders `searchParams` from the collection's data, returns false when the server has to render them instead
+  static render(searchParams) {
+    const query = ClientFacets.#parse(searchParams);
+    const grid = document.getElementById('product-grid');
+    if (!query || grid.tagName !== 'UL') return false;
+
+    const products = ClientFacets.#sort(
+      ClientFacets.#data.products.filter((product) => ClientFacets.#matches(product, query.filters)),
+      query.sort
+    );
+    // The empty state comes from the server
+    if (!products.length) return false;
+
+    HTMLUpdateUtility.transition(() => {
+      grid.replaceChildren(
+        ...products.flatMap(({ id }) =>
+          ClientFacets.#cards.get(String(id)).map((card) => document.importNode(card, true))
+        )
+      );
+      grid.querySelectorAll('.scroll-trigger').forEach((element) => element.classList.add('scroll-trigger--cancel'));
+      ClientFacets.#renderFilters(query);
+      ClientFacets.#renderActiveFacets(query);
+      ClientFacets.#renderProductCount(products.length);
+    });
+    return true;
+  }
+
+  static #isWholeCollection(search, defaultSort) {
+    const params = new URLSearchParams(search);
+    const sort = params.get('sort_by');
+    return (!sort || sort === defaultSort) && !Array.from(params.keys()).some((name) => name.startsWith('filter.'));
+  }
+
+  static #load(html, sectionId) {
+    const source = html.getElementById(`FacetData-${sectionId}`);
+    if (!source) return;
+
+    const data = JSON.parse(source.textContent);
+    const unsupported = data.filters.some(
+      ({ param, type, operator }) => type !== 'price_range' && (!ClientFacets.#supports(param) || operator === 'AND')
+    );
+    if (unsupported) return;
+
+    html.querySelectorAll('#product-grid [data-product-id]').forEach((card) => {
+      const { productId } = card.dataset;
+      ClientFacets.#cards.set(productId, [...(ClientFacets.#cards.get(productId) || []), card.cloneNode(true)]);
+    });
+    ClientFacets.#data = {
+      ...data,
+      filters: new Map(data.filters.map((filter) => [filter.param, filter])),
+      defaultSort: source.dataset.defaultSort,
+      pill: html.getElementById(`FacetPill-${sectionId}`).content,
+    };
+  }
+
+  static #supports(name) {
+    return (
+      name in ClientFacets.#productValues || name === 'filter.v.availability' || name.startsWith('filter.v.option.')
+    );
+  }
+
+  static #parse(searchParams) {
+    if (!ClientFacets.#data) return null;
+
+    const filters = new Map();
+    let sort = ClientFacets.#data.defaultSort;
+    for (const [name, value] of new URLSearchParams(searchParams)) {
+      // Empty price inputs are sent along with every form
+      if (value === '') continue;
+      if (name === 'sort_by') {
+        sort = value;
+      } else if (name.startsWith('filter.')) {
+        if (!ClientFacets.#data.filters.has(name)) return null;
+        filters.set(name, [...(filters.get(name) || []), value]);
+      }
+    }
+
+    if (sort !== ClientFacets.#data.defaultSort && !ClientFacets.#compare[sort]) return null;
+    return { filters, sort };
+  }
+
+  static #sort(products, sort) {
+    if (sort === ClientFacets.#data.defaultSort) return products;
+    return products.sort(ClientFacets.#compare[sort]);
+  }
+
+  // Values of the same filter are alternatives; variant filters, e.g. "black" and "in stock", need the same variant
+  static #matches(product, filters) {
+    const variantFilters = [];
+    for (const [name, values] of filters) {
+      const valuesOf = ClientFacets.#productValues[name];
+      if (!valuesOf) {
+        variantFilters.push([name, values]);
+      } else if (!valuesOf(product).some((value) => values.includes(value))) {
+        return false;
+      }
+    }
+
+    return (
+      !variantFilters.length ||
+      product.variants.some((variant) =>
+        variantFilters.every(([name, values]) => values.includes(ClientFacets.#variantValue(name, product, variant)))
+      )
+    );
+  }
+
+  static #variantValue(name, product, variant) {
+    if (name === 'filter.v.availability') return variant.available ? '1' : '0';
+    return variant.options[product.options.indexOf(name.replace('filter.v.option.', ''))];
+  }
+
+  // Like the server's, a value's count is how many products it would match along with the other filters
+  static #count(query, name, value) {
+    const filters = new Map(query.filters).set(name, [value]);
+    return ClientFacets.#data.products.filter((product) => ClientFacets.#matches(product, filters)).length;
+  }
+
+  static #translate(strings, count) {
+    return strings[count === 1 ? 'one' : 'other'].replace('[count]', count);
+  }
+
+  static #filterInputs() {
+    return Array.from(document.querySelectorAll('facet-filters-form form input[type="checkbox"][name^="filter."]'));
+  }
+
+  static #renderFilters(query) {
+    const { strings } = ClientFacets.#data;
+    const counts = new Map();
+
+    ClientFacets.#filterInputs().forEach((input) => {
+      const key = `${input.name}=${input.value}`;
+      if (!counts.has(key)) counts.set(key, ClientFacets.#count(query, input.name, input.value));
+      const count = counts.get(key);
+
+      input.checked = query.filters.get(input.name)?.includes(input.value) ?? false;
+      input.disabled = count === 0 && !input.checked;
+
+      const label = input.closest('.facets__label');
+      label.classList.toggle('disabled', input.disabled);
+      label.classList.toggle('active', input.checked);
+      const text = label.querySelector('.facet-checkbox__text');
+      const textLabel = text.querySelector('.facet-checkbox__text-label');
+      text.replaceChildren(textLabel, ` (${count})`);
+      text.nextElementSibling.textContent = `${textLabel.textContent} (${ClientFacets.#translate(
+        strings.valueCount,
+        count
+      )})`;
+    });
+
+    document.querySelectorAll('facet-filters-form .js-filter').forEach((details) => {
+      const name = details.querySelector('input[name^="filter."]')?.name;
+      if (!name) return;
+
+      const selected = query.filters.get(name)?.length ?? 0;
+      const label = ClientFacets.#data.filters.get(name)?.label;
+      const summary = details.querySelector('summary');
+      if (summary.hasAttribute('aria-label')) {
+        summary.setAttribute('aria-label', `${label} (${ClientFacets.#translate(strings.filtersSelected, selected)})`);
+      }
+      details.querySelectorAll('.facets__summary-label .facets__selected').forEach((element) => {
+        element.textContent = `(${selected})`;
+        element.classList.toggle('hidden', selected === 0);
+      });
+      details.querySelectorAll('.facets__header .facets__selected').forEach((element) => {
+        element.textContent = ClientFacets.#translate(strings.filtersSelected, selected);
+      });
+      details.querySelectorAll('facet-remove a').forEach((link) => (link.href = ClientFacets.#urlWithout(query, name)));
+    });
+
+    document.querySelectorAll('facet-filters-form select[name="sort_by"]').forEach((select) => {
+      select.value = query.sort;
+    });
+  }
+
+  static #renderActiveFacets(query) {
+    const inputs = ClientFacets.#filterInputs();
+    const pills = Array.from(query.filters).flatMap(([name, values]) =>
+      values.map((value) => {
+        const input = inputs.find((input) => input.name === name && input.value === value);
+        const valueLabel = input?.closest('.facets__label').querySelector('.facet-checkbox__text-label').textContent;
+        const pill = document.importNode(ClientFacets.#data.pill.firstElementChild, true);
+        const link = pill.querySelector('a');
+        link.href = ClientFacets.#urlWithout(query, name, value);
+        link.firstElementChild.prepend(`${ClientFacets.#data.filters.get(name).label}: ${valueLabel ?? value}`);
+        return pill;
+      })
+    );
+
+    document.querySelectorAll('.active-facets').forEach((container) => {
+      container.querySelectorAll(':scope > facet-remove:not(.active-facets__button-wrapper)').forEach((pill) => {
+        pill.remove();
+      });
+      const copies = pills.map((pill) => document.importNode(pill, true));
+      const clearAll = container.querySelector(':scope > .active-facets__button-wrapper');
+      clearAll ? clearAll.before(...copies) : container.append(...copies);
+    });
+    FacetFiltersForm.toggleActiveFacets(false);
+  }
+
+  static #renderProductCount(count) {
+    const { products, strings } = ClientFacets.#data;
+    const text =
+      count === products.length ? strings.productCountAll : strings.productCount.replace('[product_count]', count);
+    document
+      .querySelectorAll('#ProductCount, #ProductCountDesktop, .mobile-facets__count')
+      .forEach((element) => (element.textContent = text));
+  }
+
+  static #urlWithout(query, name, value) {
+    const params = new URLSearchParams();
+    query.filters.forEach((values, filterName) =>
+      values
+        .filter((entry) => filterName !== name || (value !== undefined && entry !== value))
+        .forEach((entry) => params.append(filterName, entry))
+    );
+    if (query.sort !== ClientFacets.#data.defaultSort) params.append('sort_by', query.sort);
+    const search = params.toString();
+    return `${window.location.pathname}${search && `?${search}`}`;
+  }
+}
+
 class FacetFiltersForm extends HTMLElement {
   constructor() {
     super();
@@ -8,7 +393,14 @@ class FacetFiltersForm extends HTMLElement {
     }, 800);
 
     const facetForm = this.querySelector('form');
-    facetForm.addEventListener('input', this.debouncedOnSubmit.bind(this));
+    facetForm.addEventListener('input', (event) => {
+      // Filters applied in the browser don't need to wait for the next change, only typed prices do
+      if (ClientFacets.ready && event.target.type !== 'text') {
+        this.onSubmitHandler(event);
+      } else {
+        this.debouncedOnSubmit(event);
+      }
+    });
 
     const facetWrapper = this.querySelector('#FacetsWrapperDesktop');
     if (facetWrapper) facetWrapper.addEventListener('keyup', onKeyUpEscape);
@@ -19,6 +411,7 @@ class FacetFiltersForm extends HTMLElement {
       const searchParams = event.state ? event.state.searchParams : FacetFiltersForm.searchParamsInitial;
       if (searchParams === FacetFiltersForm.searchParamsPrev) return;
       FacetFiltersForm.renderPage(searchParams, null, false);
+      document.querySelector('facet-preset-controls')?.update();
     };
     window.addEventListener('popstate', onHistoryChange);
   }
@@ -29,61 +422,69 @@ class FacetFiltersForm extends HTMLElement {
     });
   }
 
-  static renderPage(searchParams, event, updateURLHash = true) {
-    FacetFiltersForm.searchParamsPrev = searchParams;
-    const sections = FacetFiltersForm.getSections();
+  static toggleLoading(loading = true) {
     const countContainer = document.getElementById('ProductCount');
     const countContainerDesktop = document.getElementById('ProductCountDesktop');
     const loadingSpinners = document.querySelectorAll(
       '.facets-container .loading__spinner, facet-filters-form .loading__spinner'
     );
-    loadingSpinners.forEach((spinner) => spinner.classList.remove('hidden'));
-    document.getElementById('ProductGridContainer').querySelector('.collection').classList.add('loading');
+    loadingSpinners.forEach((spinner) => spinner.classList.toggle('hidden', !loading));
+    document.getElementById('ProductGridContainer').querySelector('.collection').classList.toggle('loading', loading);
     if (countContainer) {
-      countContainer.classList.add('loading');
+      countContainer.classList.toggle('loading', loading);
     }
     if (countContainerDesktop) {
-      countContainerDesktop.classList.add('loading');
+      countContainerDesktop.classList.toggle('loading', loading);
     }
+  }
 
-    sections.forEach((section) => {
-      const url = `${window.location.pathname}?section_id=${section.section}&${searchParams}`;
-      const filterDataUrl = (element) => element.url === url;
+  static renderPage(searchParams, event, updateURLHash = true) {
+    FacetFiltersForm.searchParamsPrev = searchParams;
 
-      FacetFiltersForm.filterData.some(filterDataUrl)
-        ? FacetFiltersForm.renderSectionFromCache(filterDataUrl, event)
-        : FacetFiltersForm.renderSectionFromFetch(url, event);
+    if (ClientFacets.render(searchParams)) {
+      // A server render still on its way would overwrite this one
+      FacetFiltersForm.abortController?.abort();
+      FacetFiltersForm.toggleLoading(false);
+      if (updateURLHash) FacetFiltersForm.updateURLHash(searchParams);
+      return;
+    }
+
+    const sections = FacetFiltersForm.getSections();
+    FacetFiltersForm.toggleLoading();
+
+    // Only the latest filters are rendered, a slower response for earlier ones is dropped
+    FacetFiltersForm.abortController?.abort();
+    FacetFiltersForm.abortController = new AbortController();
+    const { signal } = FacetFiltersForm.abortController;
+
+    sections.forEach((section) => {
+      SectionClient.fetch(section.section, { url: `${window.location.pathname}?${searchParams}`, signal })
+        .then((html) => FacetFiltersForm.renderSection(html, event))
+        .catch((error) => {
+          if (error.name !== 'AbortError') console.error(error);
+        });
     });
 
     if (updateURLHash) FacetFiltersForm.updateURLHash(searchParams);
   }
 
-  static renderSectionFromFetch(url, event) {
-    fetch(url)
-      .then((response) => response.text())
-      .then((responseText) => {
-        const html = responseText;
-        FacetFiltersForm.filterData = [...FacetFiltersForm.filterData, { html, url }];
-        FacetFiltersForm.renderFilters(html, event);
-        FacetFiltersForm.renderProductGridContainer(html);
-        FacetFiltersForm.renderProductCount(html);
-        if (typeof initializeScrollAnimationTrigger === 'function') initializeScrollAnimationTrigger(html.innerHTML);
-      });
-  }
-
-  static renderSectionFromCache(filterDataUrl, event) {
-    const html = FacetFiltersForm.filterData.find(filterDataUrl).html;
-    FacetFiltersForm.renderFilters(html, event);
-    FacetFiltersForm.renderProductGridContainer(html);
-    FacetFiltersForm.renderProductCount(html);
-    if (typeof initializeScrollAnimationTrigger === 'function') initializeScrollAnimationTrigger(html.innerHTML);
+  static renderSection(html, event) {
+    HTMLUpdateUtility.transition(() => {
+      FacetFiltersForm.renderFilters(html, event);
+      FacetFiltersForm.renderProductGridContainer(html);
+      FacetFiltersForm.renderProductCount(html);
+      if (typeof initializeScrollAnimationTrigger === 'function') initializeScrollAnimationTrigger(html.innerHTML);
+    });
   }
 
   static renderProductGridContainer(html) {
-    const parsedHTML = new DOMParser().parseFromString(html, 'text/html');
+    const parsedHTML = SectionClient.parse(html);
 
-    document.getElementById('ProductGridContainer').innerHTML =
-      parsedHTML.getElementById('ProductGridContainer').innerHTML;
+    HTMLUpdateUtility.morph(
+      document.getElementById('ProductGridContainer'),
+      parsedHTML.getElementById('ProductGridContainer'),
+      { childrenOnly: true }
+    );
 
     document
       .getElementById('ProductGridContainer')
@@ -92,18 +493,21 @@ class FacetFiltersForm extends HTMLElement {
         element.classList.add('scroll-trigger--cancel');
       });
 
-    // Update infinite scroll pagination element with new filtered content
+    // A new infinite scroll element starts over on the new results; it's left out when they fit on one page
     const newPagination = parsedHTML.getElementById('InfiniteScroll');
     const currentPagination = document.getElementById('InfiniteScroll');
-    if (newPagination && currentPagination) {
-      currentPagination.innerHTML = newPagination.innerHTML;
-      // Reinitialize infinite scroll after filter update
-      currentPagination.reinitialize();
+    if (newPagination) {
+      const pagination = document.importNode(newPagination, true);
+      currentPagination
+        ? currentPagination.replaceWith(pagination)
+        : document.getElementById('ProductGridContainer').after(pagination);
+    } else {
+      currentPagination?.remove();
     }
   }
 
   static renderProductCount(html) {
-    const count = new DOMParser().parseFromString(html, 'text/html').getElementById('ProductCount').innerHTML;
+    const count = SectionClient.parse(html).getElementById('ProductCount').innerHTML;
     const container = document.getElementById('ProductCount');
     const containerDesktop = document.getElementById('ProductCountDesktop');
     container.innerHTML = count;
@@ -119,7 +523,7 @@ class FacetFiltersForm extends HTMLElement {
   }
 
   static renderFilters(html, event) {
-    const parsedHTML = new DOMParser().parseFromString(html, 'text/html');
+    const parsedHTML = SectionClient.parse(html);
     const facetDetailsElementsFromFetch = parsedHTML.querySelectorAll(
       '#FacetFiltersForm .js-filter, #FacetFiltersFormMobile .js-filter, #FacetFiltersPillsForm .js-filter'
     );
@@ -134,22 +538,16 @@ class FacetFiltersForm extends HTMLElement {
       }
     });
 
-    const matchesId = (element) => {
-      const jsFilter = event ? event.target.closest('.js-filter') : undefined;
-      return jsFilter ? element.id === jsFilter.id : false;
-    };
-
-    const facetsToRender = Array.from(facetDetailsElementsFromFetch).filter((element) => !matchesId(element));
-    const countsToRender = Array.from(facetDetailsElementsFromFetch).find(matchesId);
-
-    facetsToRender.forEach((elementToRender, index) => {
+    facetDetailsElementsFromFetch.forEach((elementToRender, index) => {
       const currentElement = document.getElementById(elementToRender.id);
-      // Element already rendered in the DOM so just update the innerHTML
+      // Element already rendered in the DOM so just morph it, which keeps the focus and open state of the one in use
       if (currentElement) {
-        document.getElementById(elementToRender.id).innerHTML = elementToRender.innerHTML;
+        FacetFiltersForm.keepShowMoreState(elementToRender, currentElement);
+        HTMLUpdateUtility.morph(currentElement, elementToRender);
       } else {
         if (index > 0) {
-          const { className: previousElementClassName, id: previousElementId } = facetsToRender[index - 1];
+          const { className: previousElementClassName, id: previousElementId } =
+            facetDetailsElementsFromFetch[index - 1];
           // Same facet type (eg horizontal/vertical or drawer/mobile)
           if (elementToRender.className === previousElementClassName) {
             document.getElementById(previousElementId).after(elementToRender);
@@ -165,25 +563,6 @@ class FacetFiltersForm extends HTMLElement {
 
     FacetFiltersForm.renderActiveFacets(parsedHTML);
     FacetFiltersForm.renderAdditionalElements(parsedHTML);
-
-    if (countsToRender) {
-      const closestJSFilterID = event.target.closest('.js-filter').id;
-
-      if (closestJSFilterID) {
-        FacetFiltersForm.renderCounts(countsToRender, event.target.closest('.js-filter'));
-        FacetFiltersForm.renderMobileCounts(countsToRender, document.getElementById(closestJSFilterID));
-
-        const newFacetDetailsElement = document.getElementById(closestJSFilterID);
-        const newElementSelector = newFacetDetailsElement.classList.contains('mobile-facets__details')
-          ? `.mobile-facets__close-button`
-          : `.facets__summary`;
-        const newElementToActivate = newFacetDetailsElement.querySelector(newElementSelector);
-
-        const isTextInput = event.target.getAttribute('type') === 'text';
-
-        if (newElementToActivate && !isTextInput) newElementToActivate.focus();
-      }
-    }
   }
 
   static renderActiveFacets(html) {
@@ -192,7 +571,7 @@ class FacetFiltersForm extends HTMLElement {
     activeFacetElementSelectors.forEach((selector) => {
       const activeFacetsElement = html.querySelector(selector);
       if (!activeFacetsElement) return;
-      document.querySelector(selector).innerHTML = activeFacetsElement.innerHTML;
+      HTMLUpdateUtility.morph(document.querySelector(selector), activeFacetsElement, { childrenOnly: true });
     });
 
     FacetFiltersForm.toggleActiveFacets(false);
@@ -203,53 +582,38 @@ class FacetFiltersForm extends HTMLElement {
 
     mobileElementSelectors.forEach((selector) => {
       if (!html.querySelector(selector)) return;
-      document.querySelector(selector).innerHTML = html.querySelector(selector).innerHTML;
+      HTMLUpdateUtility.morph(document.querySelector(selector), html.querySelector(selector), { childrenOnly: true });
     });
 
     document.getElementById('FacetFiltersFormMobile').closest('menu-drawer').bindEvents();
   }
 
-  static renderCounts(source, target) {
-    const targetSummary = target.querySelector('.facets__summary');
-    const sourceSummary = source.querySelector('.facets__summary');
-
-    if (sourceSummary && targetSummary) {
-      targetSummary.outerHTML = sourceSummary.outerHTML;
-    }
+  // Keeps the values a shopper revealed with "Show more" visible
+  static keepShowMoreState(source, target) {
+    const isShowingMore = Boolean(target.querySelector('show-more-button .label-show-more.hidden'));
+    if (!isShowingMore) return;
 
-    const targetHeaderElement = target.querySelector('.facets__header');
-    const sourceHeaderElement = source.querySelector('.facets__header');
-
-    if (sourceHeaderElement && targetHeaderElement) {
-      targetHeaderElement.outerHTML = sourceHeaderElement.outerHTML;
-    }
-
-    const targetWrapElement = target.querySelector('.facets-wrap');
-    const sourceWrapElement = source.querySelector('.facets-wrap');
-
-    if (sourceWrapElement && targetWrapElement) {
-      const isShowingMore = Boolean(target.querySelector('show-more-button .label-show-more.hidden'));
-      if (isShowingMore) {
-        sourceWrapElement
-          .querySelectorAll('.facets__item.hidden')
-          .forEach((hiddenItem) => hiddenItem.classList.replace('hidden', 'show-more-item'));
-      }
+    source.querySelectorAll('.show-more-item').forEach((item) => item.classList.remove('hidden'));
+    source.querySelectorAll('show-more-button .label-text').forEach((label) => label.classList.toggle('hidden'));
+  }
 
-      targetWrapElement.outerHTML = sourceWrapElement.outerHTML;
-    }
+  static updateURLHash(searchParams, { replace = false } = {}) {
+    const url = `${window.location.pathname}${searchParams && '?'.concat(searchParams)}`;
+    replace ? history.replaceState({ searchParams }, '', url) : history.pushState({ searchParams }, '', url);
+    document.querySelector('facet-preset-controls')?.update();
   }
 
-  static renderMobileCounts(source, target) {
-    const targetFacetsList = target.querySelector('.mobile-facets__list');
-    const sourceFacetsList = source.querySelector('.mobile-facets__list');
+  // Opens shared links and applies the shopper's default filters, on pages that offer them
+  static restoreFilters() {
+    if (!document.querySelector('facet-preset-controls')) return;
 
-    if (sourceFacetsList && targetFacetsList) {
-      targetFacetsList.outerHTML = sourceFacetsList.outerHTML;
-    }
-  }
+    const search = window.location.search;
+    const searchParams = FacetPresets.expand(search) ?? FacetPresets.withDefaults(search.slice(1));
+    if (searchParams === null) return;
 
-  static updateURLHash(searchParams) {
-    history.pushState({ searchParams }, '', `${window.location.pathname}${searchParams && '?'.concat(searchParams)}`);
+    FacetFiltersForm.searchParamsInitial = searchParams;
+    FacetFiltersForm.renderPage(searchParams, null, false);
+    FacetFiltersForm.updateURLHash(searchParams, { replace: true });
   }
 
   static getSections() {
@@ -303,11 +667,12 @@ class FacetFiltersForm extends HTMLElement {
   }
 }
 
-FacetFiltersForm.filterData = [];
+FacetFiltersForm.abortController = null;
 FacetFiltersForm.searchParamsInitial = window.location.search.slice(1);
 FacetFiltersForm.searchParamsPrev = window.location.search.slice(1);
 customElements.define('facet-filters-form', FacetFiltersForm);
 FacetFiltersForm.setListeners();
+ClientFacets.init();
 
 class PriceRange extends HTMLElement {
   constructor() {
@@ -373,3 +738,77 @@ class FacetRemove extends HTMLElement {
 }
 
 customElements.define('facet-remove', FacetRemove);
+
+class FacetPresetControls extends HTMLElement {
+  constructor() {
+    super();
+    this.saveButton = this.querySelector('[name="save"]');
+    this.clearButton = this.querySelector('[name="clear"]');
+    this.shareButton = this.querySelector('[name="share"]');
+    this.urlInput = this.querySelector('.facet-presets__url');
+    this.status = this.querySelector('.facet-presets__status');
+
+    this.saveButton.addEventListener('click', this.save.bind(this));
+    this.clearButton.addEventListener('click', this.clear.bind(this));
+    this.shareButton.addEventListener('click', this.share.bind(this));
+  }
+
+  connectedCallback() {
+    this.update();
+  }
+
+  get hasFilters() {
+    return Array.from(new URLSearchParams(window.location.search).keys()).some((name) => name.startsWith('filter.'));
+  }
+
+  update() {
+    this.saveButton.disabled = !this.hasFilters;
+    this.shareButton.disabled = !this.hasFilters;
+    this.clearButton.hidden = !FacetPresets.hasDefaults;
+  }
+
+  save() {
+    FacetPresets.save(window.location.search);
+    this.update();
+    this.announce(this.dataset.savedMessage);
+  }
+
+  clear() {
+    FacetPresets.clear();
+    this.update();
+    this.announce(this.dataset.clearedMessage);
+    // The clear button is hidden now
+    if (!this.saveButton.disabled) this.saveButton.focus();
+  }
+
+  share() {
+    const url = FacetPresets.shareUrl(window.location.search);
+    // The Clipboard API is only there on secure origins, and browsers can deny it
+    const copy = navigator.clipboard
+      ? navigator.clipboard.writeText(url)
+      : Promise.reject(new Error('The clipboard is not available'));
+
+    copy
+      .then(() => {
+        this.urlInput.hidden = true;
+        this.announce(this.dataset.copiedMessage);
+      })
+      .catch(() => this.showUrl(url));
+  }
+
+  // Lets the shopper copy the link themselves
+  showUrl(url) {
+    this.urlInput.value = url;
+    this.urlInput.hidden = false;
+    this.urlInput.focus();
+    this.urlInput.select();
+    this.announce(this.dataset.copyFallbackMessage);
+  }
+
+  announce(message) {
+    this.status.textContent = message;
+  }
+}
+
+customElements.define('facet-preset-controls', FacetPresetControls);
+FacetFiltersForm.restoreFilters();
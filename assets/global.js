@@ -27,10 +27,11 @@ class SectionId {
 
 class HTMLUpdateUtility {
   /**
-   * Used to swap an HTML node with a new node.
-   * The new node is inserted as a previous sibling to the old node, the old node is hidden, and then the old node is removed.
-   *
-   * The function currently uses a double buffer approach, but this should be replaced by a view transition once it is more widely supported https://developer.mozilla.org/en-US/docs/Web/API/View_Transitions_API
+   * Used to swap an HTML node with a new node, for content that should start over (e.g. another product): the
+   * new node's custom elements are created from scratch.
+   * Where view transitions are supported the old node is replaced inside one. Elsewhere the new node is inserted as a
+   * previous sibling to the old node, the old node is hidden, and then the old node is removed.
+   * Resolves once the new node is in the DOM.
    */
   static viewTransition(oldNode, newContent, preProcessCallbacks = [], postProcessCallbacks = []) {
     preProcessCallbacks?.forEach((callback) => callback(newContent));
@@ -39,6 +40,13 @@ class HTMLUpdateUtility {
     HTMLUpdateUtility.setInnerHTML(newNodeWrapper, newContent.outerHTML);
     const newNode = newNodeWrapper.firstChild;
 
+    if (document.startViewTransition) {
+      return HTMLUpdateUtility.transition(() => {
+        oldNode.replaceWith(newNode);
+        postProcessCallbacks?.forEach((callback) => callback(newNode));
+      });
+    }
+
     // dedupe IDs
     const uniqueKey = Date.now();
     oldNode.querySelectorAll('[id], [form]').forEach((element) => {
@@ -52,12 +60,160 @@ class HTMLUpdateUtility {
     postProcessCallbacks?.forEach((callback) => callback(newNode));
 
     setTimeout(() => oldNode.remove(), 500);
+    return Promise.resolve();
+  }
+
+  // Runs `update` in a view transition where the browser supports them, right away otherwise.
+  // Resolves once the DOM is updated.
+  static transition(update) {
+    if (!document.startViewTransition) {
+      update();
+      return Promise.resolve();
+    }
+    return document.startViewTransition(update).updateCallbackDone;
+  }
+
+  /**
+   * Updates `oldNode` in place to match `newNode` (or only its children, with `childrenOnly`), for content that
+   * stays the same thing with new data (e.g. another variant, a filtered grid).
+   * Children are matched by id, then by tag name, so matched elements and their custom elements are kept. What the
+   * shopper did survives: focus and text selection, scroll positions, open `<details>` and `<dialog>`, playing
+   * media, and input values and checked states the new markup doesn't change.
+   */
+  static morph(oldNode, newNode, { childrenOnly = false } = {}) {
+    const { activeElement } = document;
+    const selection =
+      typeof activeElement?.selectionStart === 'number'
+        ? [activeElement.selectionStart, activeElement.selectionEnd]
+        : null;
+
+    if (childrenOnly) {
+      HTMLUpdateUtility.#morphChildren(oldNode, newNode);
+    } else {
+      HTMLUpdateUtility.#morphNode(oldNode, newNode);
+    }
+
+    // Moving a node drops its focus
+    if (activeElement?.isConnected && document.activeElement !== activeElement) {
+      activeElement.focus({ preventScroll: true });
+      if (selection) activeElement.setSelectionRange(...selection);
+    }
+  }
+
+  static #morphNode(oldNode, newNode) {
+    if (oldNode.nodeType !== Node.ELEMENT_NODE) {
+      if (oldNode.nodeValue !== newNode.nodeValue) oldNode.nodeValue = newNode.nodeValue;
+      return;
+    }
+
+    if (oldNode.isEqualNode(newNode)) return;
+    if (oldNode instanceof HTMLMediaElement && !oldNode.paused) return;
+
+    const changedAttributes = HTMLUpdateUtility.#morphAttributes(oldNode, newNode);
+
+    // Only take the new state of a control when the markup changes it, the shopper's own input wins otherwise
+    if (oldNode.tagName === 'INPUT' && oldNode.type !== 'file') {
+      if (changedAttributes.has('value')) oldNode.value = newNode.getAttribute('value') ?? '';
+      if (changedAttributes.has('checked')) oldNode.checked = newNode.hasAttribute('checked');
+    } else if (oldNode.tagName === 'OPTION') {
+      if (changedAttributes.has('selected')) oldNode.selected = newNode.hasAttribute('selected');
+    } else if (oldNode.tagName === 'TEXTAREA') {
+      if (oldNode.defaultValue !== newNode.defaultValue) {
+        oldNode.defaultValue = newNode.defaultValue;
+        oldNode.value = newNode.defaultValue;
+      }
+      return;
+    } else if (oldNode.tagName === 'TEMPLATE') {
+      oldNode.innerHTML = newNode.innerHTML;
+      return;
+    }
+
+    HTMLUpdateUtility.#morphChildren(oldNode, newNode);
+  }
+
+  // Returns the names of the attributes that changed
+  static #morphAttributes(oldElement, newElement) {
+    const changed = new Set();
+    const isLiveState = (name) => name === 'open' && ['DETAILS', 'DIALOG'].includes(oldElement.tagName);
+
+    Array.from(oldElement.attributes).forEach(({ name }) => {
+      if (newElement.hasAttribute(name) || isLiveState(name)) return;
+      oldElement.removeAttribute(name);
+      changed.add(name);
+    });
+    Array.from(newElement.attributes).forEach(({ name, value }) => {
+      if (oldElement.getAttribute(name) === value || isLiveState(name)) return;
+      oldElement.setAttribute(name, value);
+      changed.add(name);
+    });
+
+    return changed;
+  }
+
+  static #morphChildren(oldParent, newParent) {
+    const keyedNodes = new Map();
+    Array.from(oldParent.children).forEach((child) => child.id && keyedNodes.set(child.id, child));
+    const newIds = new Set(Array.from(newParent.children, ({ id }) => id).filter(Boolean));
+
+    // Nodes before the cursor are done, the ones from the cursor on are still to be matched
+    let cursor = oldParent.firstChild;
+    Array.from(newParent.childNodes).forEach((newChild) => {
+      const match = newChild.id
+        ? HTMLUpdateUtility.#takeKeyedNode(keyedNodes, newChild)
+        : HTMLUpdateUtility.#findUnkeyedNode(cursor, newChild, newIds);
+
+      if (!match) {
+        const node = document.importNode(newChild, true);
+        oldParent.insertBefore(node, cursor);
+        HTMLUpdateUtility.#activateScripts(node);
+        return;
+      }
+
+      if (match === cursor) {
+        cursor = cursor.nextSibling;
+      } else {
+        const { scrollTop, scrollLeft } = match;
+        oldParent.insertBefore(match, cursor);
+        if (scrollTop || scrollLeft) match.scrollTo(scrollLeft, scrollTop);
+      }
+      HTMLUpdateUtility.#morphNode(match, newChild);
+    });
+
+    while (cursor) {
+      const next = cursor.nextSibling;
+      cursor.remove();
+      cursor = next;
+    }
+  }
+
+  static #takeKeyedNode(keyedNodes, newChild) {
+    const node = keyedNodes.get(newChild.id);
+    if (!node || node.tagName !== newChild.tagName) return null;
+    keyedNodes.delete(newChild.id);
+    return node;
+  }
+
+  // The first node from `cursor` on of the same kind, leaving alone elements kept for an id of the new markup
+  static #findUnkeyedNode(cursor, newChild, newIds) {
+    for (let node = cursor; node; node = node.nextSibling) {
+      if (node.nodeType !== newChild.nodeType) continue;
+      if (node.nodeType !== Node.ELEMENT_NODE) return node;
+      if (node.tagName === newChild.tagName && !newIds.has(node.id)) return node;
+    }
+    return null;
   }
 
   // Sets inner HTML and reinjects the script tags to allow execution. By default, scripts are disabled when using element.innerHTML.
   static setInnerHTML(element, html) {
     element.innerHTML = html;
-    element.querySelectorAll('script').forEach((oldScriptTag) => {
+    HTMLUpdateUtility.#activateScripts(element);
+  }
+
+  static #activateScripts(root) {
+    if (root.nodeType !== Node.ELEMENT_NODE) return;
+
+    const scripts = root.tagName === 'SCRIPT' ? [root] : root.querySelectorAll('script');
+    scripts.forEach((oldScriptTag) => {
       const newScriptTag = document.createElement('script');
       Array.from(oldScriptTag.attributes).forEach((attribute) => {
         newScriptTag.setAttribute(attribute.name, attribute.value);
@@ -68,6 +224,28 @@ class HTMLUpdateUtility {
   }
 }
 
+class ProductCard {
+  static #requests = new Map();
+
+  // Resolves with the card of a product (its `.grid__item`), rendered by the `product-card` section,
+  // or null when the product doesn't exist anymore
+  static fetch(handle) {
+    if (!ProductCard.#requests.has(handle)) {
+      const productUrl = `${window.routes.root_url.replace(/\/$/, '')}/products/${encodeURIComponent(handle)}`;
+      const request = fetch(`${productUrl}?section_id=product-card`)
+        .then((response) => (response.ok ? response.text() : null))
+        .then((responseText) => {
+          if (!responseText) return null;
+          return new DOMParser().parseFromString(responseText, 'text/html').querySelector('.grid__item');
+        });
+      request.catch(() => ProductCard.#requests.delete(handle));
+      ProductCard.#requests.set(handle, request);
+    }
+
+    return ProductCard.#requests.get(handle).then((card) => (card ? card.cloneNode(true) : null));
+  }
+}
+
 document.querySelectorAll('[id^="Details-"] summary').forEach((summary) => {
   summary.setAttribute('role', 'button');
   summary.setAttribute('aria-expanded', summary.parentNode.hasAttribute('open'));
@@ -307,6 +485,32 @@ function fetchConfig(type = 'json') {
   };
 }
 
+// Formats an amount in cents with the shop's money format (e.g. '${{amount}}'), like the `money` Liquid filter
+function formatMoney(cents, format = window.moneyFormat) {
+  const formatWithDelimiters = (number, precision, thousands = ',', decimal = '.') => {
+    if (isNaN(number) || number === null) return '0';
+
+    const [whole, fraction] = (number / 100).toFixed(precision).split('.');
+    return whole.replace(/(\d)(?=(\d\d\d)+(?!\d))/g, `$1${thousands}`) + (fraction ? `${decimal}${fraction}` : '');
+  };
+
+  const amount = parseInt(cents, 10);
+  const formats = {
+    amount: () => formatWithDelimiters(amount, 2),
+    amount_no_decimals: () => formatWithDelimiters(amount, 0),
+    amount_with_comma_separator: () => formatWithDelimiters(amount, 2, '.', ','),
+    amount_no_decimals_with_comma_separator: () => formatWithDelimiters(amount, 0, '.', ','),
+    amount_with_apostrophe_separator: () => formatWithDelimiters(amount, 2, "'", '.'),
+    amount_no_decimals_with_space_separator: () => formatWithDelimiters(amount, 0, ' ', ''),
+    amount_with_space_separator: () => formatWithDelimiters(amount, 2, ' ', ','),
+    amount_with_period_and_space_separator: () => formatWithDelimiters(amount, 2, ' ', '.'),
+  };
+
+  return (format || '{{amount}}').replace(/\{\{\s*(\w+)\s*\}\}/, (match, placeholder) =>
+    (formats[placeholder] || formats.amount)()
+  );
+}
+
 /*
  * Shopify Common JS
  *
@@ -427,16 +631,17 @@ class MenuDrawer extends HTMLElement {
 
     this.addEventListener('keyup', this.onKeyUp.bind(this));
     this.addEventListener('focusout', this.onFocusOut.bind(this));
+    this.onSummaryClick = this.onSummaryClick.bind(this);
+    this.onCloseButtonClick = this.onCloseButtonClick.bind(this);
     this.bindEvents();
   }
 
+  // Safe to call again after a re-render: elements morphed in place keep their listener instead of getting a second one
   bindEvents() {
-    this.querySelectorAll('summary').forEach((summary) =>
-      summary.addEventListener('click', this.onSummaryClick.bind(this))
-    );
+    this.querySelectorAll('summary').forEach((summary) => summary.addEventListener('click', this.onSummaryClick));
     this.querySelectorAll(
       'button:not(.localization-selector):not(.country-selector__close-button):not(.country-filter__reset-button)'
-    ).forEach((button) => button.addEventListener('click', this.onCloseButtonClick.bind(this)));
+    ).forEach((button) => button.addEventListener('click', this.onCloseButtonClick));
   }
 
   onKeyUp(event) {
@@ -1127,6 +1332,14 @@ class VariantSelects extends HTMLElement {
       ({ dataset }) => dataset.optionValueId
     );
   }
+
+  // The option values that would be selected if `input` was picked
+  selectedOptionValuesWith(input) {
+    const fieldset = input.closest('fieldset');
+    return Array.from(this.querySelectorAll('select option[selected], fieldset input:checked')).map((element) =>
+      element.closest('fieldset') === fieldset ? input.dataset.optionValueId : element.dataset.optionValueId
+    );
+  }
 }
 
 customElements.define('variant-selects', VariantSelects);
@@ -1156,11 +1369,9 @@ class ProductRecommendations extends HTMLElement {
   }
 
   loadRecommendations(productId) {
-    fetch(`${this.dataset.url}&product_id=${productId}&section_id=${this.dataset.sectionId}`)
-      .then((response) => response.text())
+    SectionClient.fetch(this.dataset.sectionId, { url: `${this.dataset.url}&product_id=${productId}` })
       .then((text) => {
-        const html = document.createElement('div');
-        html.innerHTML = text;
+        const html = SectionClient.parse(text);
         const recommendations = html.querySelector('product-recommendations');
 
         if (recommendations?.innerHTML.trim().length) {
@@ -2,116 +2,238 @@
  * Infinite Scroll Custom Element
  *
  * Uses IntersectionObserver + Section Rendering API for efficient infinite scroll.
- * - SEO-friendly: Real pagination links in DOM, no URL changes during scroll
+ * - SEO-friendly: Real pagination links in DOM
  * - No-JS friendly: Falls back to standard pagination
- * - Browser history: Saves state to sessionStorage, restores on back navigation
+ * - Both directions: Shoppers landing on `?page=5` can load page 4 from the control above the grid
+ *   (#InfiniteScrollPrevious), which also loads on its own when they scroll up to it
+ * - Deep links: The URL follows the page in view with `history.replaceState`
+ * - Bounded DOM: At most `InfiniteScroll.maxPages` pages stay rendered; pages far from the one in view are dropped
+ *   and loaded again when the shopper scrolls back to them
+ * - Browser history: Saves the loaded page numbers to sessionStorage, restores them on back navigation
+ * - Filters and sort: facets.js swaps in the element rendered for the new results, which starts over from their
+ *   first page. Saved pages are keyed by the filters and sort, so going back restores the filtered pages
  *
  * Usage:
- * <infinite-scroll data-section-id="main-collection" data-container="#product-grid">
+ * <infinite-scroll data-section-id="main-collection" data-container="#product-grid" data-page="1">
  *   <a href="/collections/all?page=2">Load more</a>
  *   <div class="infinite-scroll__spinner">...</div>
  * </infinite-scroll>
  */
 
 class InfiniteScroll extends HTMLElement {
+  static maxPages = 5;
+  // Only the loader rendered with the document restores, not the ones swapped in by facets.js
+  static #restorable = true;
+
+  /**
+   * The sessionStorage key for the results at `location`. The page is left out, and so are empty params and
+   * their order, which differ between the links the server renders and the filter form.
+   */
+  static storageKeyFor(location) {
+    const params = new URLSearchParams(
+      Array.from(new URLSearchParams(location.search)).filter(([name, value]) => name !== 'page' && value !== '')
+    );
+    params.sort();
+    const query = params.toString();
+    return `infiniteScroll_${location.pathname}${query && `?${query}`}`;
+  }
+
   constructor() {
     super();
     this.observer = null;
+    this.previousObserver = null;
     this.loading = false;
     this.sectionId = this.dataset.sectionId;
     this.containerSelector = this.dataset.container || '#product-grid';
     this.paginationId = this.id || 'InfiniteScroll';
-    this.currentPage = 1;
-    this.loadedHtml = [];
+    this.lastScrollY = window.scrollY;
+    this.scrollingUp = false;
+    this.previousInView = false;
+    // Pagination markup of each rendered page, to show again when the pages after it are dropped
+    this.paginationHtml = new Map();
   }
 
   connectedCallback() {
-    this.storageKey = `infiniteScroll_${window.location.pathname}`;
+    this.storageKey = InfiniteScroll.storageKeyFor(window.location);
+    this.abortController = new AbortController();
+
+    this.onScroll = this.onScroll.bind(this);
+    window.addEventListener('scroll', this.onScroll, { passive: true });
+
+    this.onPreviousClick = this.onPreviousClick.bind(this);
+    this.previousControl?.addEventListener('click', this.onPreviousClick);
+
+    this.resetPages(Number(this.dataset.page) || 1);
+
+    // Restore loaded pages if coming back
+    if (InfiniteScroll.#restorable) {
+      InfiniteScroll.#restorable = false;
+      this.restoreState();
+    } else {
+      this.initialize();
+    }
+  }
 
-    // Save scroll position on scroll for restoration after back navigation
-    this.saveScrollPosition = this.saveScrollPosition.bind(this);
-    window.addEventListener('scroll', this.saveScrollPosition, { passive: true });
+  disconnectedCallback() {
+    window.removeEventListener('scroll', this.onScroll);
+    this.previousControl?.removeEventListener('click', this.onPreviousClick);
+    clearTimeout(this.scrollTimeout);
+    this.scrollTimeout = null;
+    // Pages still on their way belong to the results this element was rendered for
+    this.abortController.abort();
+    this.destroy();
+  }
 
-    // Restore scroll position and loaded pages if coming back
-    this.restoreState();
+  get container() {
+    return document.querySelector(this.containerSelector);
   }
 
-  saveScrollPosition() {
-    // Only save state if we have loaded additional pages
-    if (!this.loadedHtml || this.loadedHtml.length === 0) return;
+  get previousControl() {
+    return document.getElementById('InfiniteScrollPrevious');
+  }
 
-    // Debounce: only save every 100ms
-    if (this.scrollSaveTimeout) return;
-    this.scrollSaveTimeout = setTimeout(() => {
-      const state = {
-        scrollY: window.scrollY,
-        currentPage: this.currentPage,
-        loadedHtml: this.loadedHtml,
-        paginationHtml: this.innerHTML,
-      };
-      sessionStorage.setItem(this.storageKey, JSON.stringify(state));
-      this.scrollSaveTimeout = null;
+  // The URL moves on to new filters as soon as they're requested, before facets.js swaps this element out
+  get resultsChanged() {
+    return this.storageKey !== InfiniteScroll.storageKeyFor(window.location);
+  }
+
+  pageUrl(page) {
+    const url = new URL(window.location.href);
+    page > 1 ? url.searchParams.set('page', page) : url.searchParams.delete('page');
+    return `${url.pathname}${url.search}`;
+  }
+
+  pageItems(page) {
+    return Array.from(this.container?.querySelectorAll(`:scope > [data-page="${page}"]`) || []);
+  }
+
+  // Starts over with the grid as rendered, e.g. after a filter change
+  resetPages(page) {
+    this.firstPage = page;
+    this.lastPage = page;
+    this.pageInView = page;
+    this.paginationHtml.clear();
+    this.paginationHtml.set(page, this.innerHTML);
+    Array.from(this.container?.children || []).forEach((item) => (item.dataset.page = page));
+    this.updatePreviousControl();
+  }
+
+  onScroll() {
+    if (this.resultsChanged) return;
+
+    this.scrollingUp = window.scrollY < this.lastScrollY;
+    this.lastScrollY = window.scrollY;
+    if (this.scrollingUp && this.previousInView) this.loadPrevious();
+
+    // Throttle: only update every 100ms
+    if (this.scrollTimeout) return;
+    this.scrollTimeout = setTimeout(() => {
+      this.scrollTimeout = null;
+      if (this.resultsChanged) return;
+      this.updatePageInView();
+      this.saveState();
     }, 100);
   }
 
+  // The page in view is the last one starting above the middle of the viewport
+  updatePageInView() {
+    let page = this.firstPage;
+    for (let candidate = this.firstPage + 1; candidate <= this.lastPage; candidate++) {
+      const [firstItem] = this.pageItems(candidate);
+      if (firstItem && firstItem.getBoundingClientRect().top <= window.innerHeight / 2) page = candidate;
+    }
+    if (page === this.pageInView) return;
+
+    this.pageInView = page;
+    history.replaceState(history.state, '', this.pageUrl(page));
+  }
+
+  saveState() {
+    const [firstItem] = this.pageItems(this.pageInView);
+    if (!firstItem) return;
+
+    const state = {
+      firstPage: this.firstPage,
+      lastPage: this.lastPage,
+      pageInView: this.pageInView,
+      // Where the shopper was, from the top of the page in view
+      offset: -firstItem.getBoundingClientRect().top,
+    };
+    try {
+      sessionStorage.setItem(this.storageKey, JSON.stringify(state));
+    } catch (e) {
+      // storage is full or disabled, back navigation just starts from the page in the URL
+    }
+  }
+
   /**
-   * Restore scroll position and loaded pages from sessionStorage
-   * This handles back button navigation from product pages
+   * Load the pages around the one in the URL that were rendered before leaving, and scroll back to where the
+   * shopper was. This handles back button navigation from product pages.
    */
-  restoreState() {
+  async restoreState() {
     // Check if this is a back/forward navigation
     const navType = performance.getEntriesByType('navigation')[0]?.type;
     const isBackNavigation = navType === 'back_forward';
 
-    const savedState = sessionStorage.getItem(this.storageKey);
-
-    if (savedState && isBackNavigation) {
-      try {
-        const state = JSON.parse(savedState);
-
-        // Only restore if we have loaded additional pages
-        if (state.loadedHtml && state.loadedHtml.length > 0 && state.paginationHtml) {
-          const container = document.querySelector(this.containerSelector);
-          if (container) {
-            // Append previously loaded pages
-            container.insertAdjacentHTML('beforeend', state.loadedHtml.join(''));
-
-            // Cancel scroll animations
-            container.querySelectorAll('.scroll-trigger').forEach((el) => {
-              el.classList.add('scroll-trigger--cancel');
-            });
-
-            // Restore pagination state (so it points to correct next page)
-            this.innerHTML = state.paginationHtml;
-
-            this.currentPage = state.currentPage;
-            this.loadedHtml = state.loadedHtml;
+    let state = null;
+    try {
+      state = JSON.parse(sessionStorage.getItem(this.storageKey));
+    } catch (e) {
+      // unreadable state is discarded below
+    }
 
-            // Restore scroll position after DOM update
-            requestAnimationFrame(() => {
-              window.scrollTo(0, state.scrollY);
-            });
-          }
-        }
-      } catch (e) {
-        console.error('Failed to restore infinite scroll state:', e);
-      }
-    } else {
-      // Fresh page load - clear any old state
+    // The URL follows the page in view, so the page rendered is the one the shopper left from
+    if (!isBackNavigation || state?.pageInView !== this.firstPage) {
       sessionStorage.removeItem(this.storageKey);
+      this.initialize();
+      return;
     }
 
+    this.loading = true;
+    try {
+      const before = [];
+      for (let page = state.pageInView - 1; page >= Math.max(state.firstPage, 1); page--) before.push(page);
+      const after = [];
+      for (let page = state.pageInView + 1; page <= state.lastPage; page++) after.push(page);
+
+      const [previousPages, nextPages] = await Promise.all([
+        Promise.all(before.map((page) => this.fetchPage(page))),
+        Promise.all(after.map((page) => this.fetchPage(page))),
+      ]);
+      previousPages.forEach((page) => this.insertPage(page));
+      nextPages.forEach((page) => this.insertPage(page));
+
+      // Restore scroll position after DOM update
+      requestAnimationFrame(() => {
+        const [firstItem] = this.pageItems(state.pageInView);
+        if (firstItem) window.scrollTo(0, firstItem.getBoundingClientRect().top + window.scrollY + state.offset);
+      });
+    } catch (e) {
+      if (e.name === 'AbortError') return;
+      console.error('Failed to restore infinite scroll state:', e);
+    }
+    this.loading = false;
     this.initialize();
   }
 
-  disconnectedCallback() {
-    this.destroy();
-  }
-
   initialize() {
     // Clean up any existing observer
     this.destroy();
 
+    this.previousInView = false;
+    const previousControl = this.previousControl;
+    if (previousControl && this.firstPage > 1) {
+      // Loads on its own only when the shopper scrolls up to it, not when they land on a page
+      this.previousObserver = new IntersectionObserver(
+        ([entry]) => {
+          this.previousInView = entry.isIntersecting;
+          if (this.previousInView && this.scrollingUp) this.loadPrevious();
+        },
+        { rootMargin: '300px 0px 0px 0px' }
+      );
+      this.previousObserver.observe(previousControl);
+    }
+
     const nextLink = this.querySelector('a');
     if (!nextLink) return; // No more pages
 
@@ -137,55 +259,59 @@ class InfiniteScroll extends HTMLElement {
       this.observer.disconnect();
       this.observer = null;
     }
+    if (this.previousObserver) {
+      this.previousObserver.disconnect();
+      this.previousObserver = null;
+    }
   }
 
-  async loadMore() {
-    const nextLink = this.querySelector('a');
-    if (!nextLink || this.loading) return;
-
-    this.loading = true;
-    this.classList.add('loading');
-
-    try {
-      const nextUrl = new URL(nextLink.href);
-
-      // Add section_id for Section Rendering API (fetches only section, not full page)
-      nextUrl.searchParams.set('section_id', this.sectionId);
-
-      const response = await fetch(nextUrl.toString());
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-
-      const html = await response.text();
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(html, 'text/html');
+  // Only the section is fetched, not the full page
+  async fetchPage(page) {
+    const html = await SectionClient.fetch(this.sectionId, {
+      url: this.pageUrl(page),
+      signal: this.abortController.signal,
+    });
+    const doc = SectionClient.parse(html);
+
+    return {
+      page,
+      items: Array.from(doc.querySelector(this.containerSelector)?.children || []),
+      paginationHtml: doc.getElementById(this.paginationId)?.innerHTML,
+    };
+  }
 
-      // Extract new products from fetched section
-      const newContainer = doc.querySelector(this.containerSelector);
-      const currentContainer = document.querySelector(this.containerSelector);
+  // Adds a fetched page before the first page or after the last one
+  insertPage({ page, items, paginationHtml }) {
+    const container = this.container;
+    if (!container) return;
 
-      if (newContainer && currentContainer) {
-        // Append new product items
-        const newItems = newContainer.innerHTML;
-        currentContainer.insertAdjacentHTML('beforeend', newItems);
+    items.forEach((item) => (item.dataset.page = page));
+    if (page < this.firstPage) {
+      container.prepend(...items);
+      this.firstPage = page;
+      this.updatePreviousControl();
+    } else {
+      container.append(...items);
+      this.lastPage = page;
+      if (paginationHtml !== undefined) this.innerHTML = paginationHtml;
+    }
+    if (paginationHtml !== undefined) this.paginationHtml.set(page, paginationHtml);
 
-        // Save loaded HTML for session restoration
-        if (!this.loadedHtml) this.loadedHtml = [];
-        this.loadedHtml.push(newItems);
+    // Cancel scroll animations for newly added items
+    container.querySelectorAll('.scroll-trigger').forEach((el) => {
+      el.classList.add('scroll-trigger--cancel');
+    });
+  }
 
-        // Cancel scroll animations for newly added items
-        currentContainer.querySelectorAll('.scroll-trigger').forEach((el) => {
-          el.classList.add('scroll-trigger--cancel');
-        });
-      }
+  async loadMore() {
+    if (!this.querySelector('a') || this.loading || this.resultsChanged) return;
 
-      // Update pagination element with new content
-      const newPagination = doc.getElementById(this.paginationId);
-      if (newPagination) {
-        this.innerHTML = newPagination.innerHTML;
-      }
+    this.loading = true;
+    this.classList.add('loading');
 
-      // Update current page (no URL change for SEO)
-      this.currentPage++;
+    try {
+      this.insertPage(await this.fetchPage(this.lastPage + 1));
+      if (this.lastPage - this.firstPage >= InfiniteScroll.maxPages) this.dropFirstPage();
 
       // Re-initialize observer for next page (if there is one)
       this.loading = false;
@@ -197,6 +323,7 @@ class InfiniteScroll extends HTMLElement {
         initializeScrollAnimationTrigger();
       }
     } catch (error) {
+      if (error.name === 'AbortError') return;
       console.error('Infinite scroll error:', error);
       this.loading = false;
       this.classList.remove('loading');
@@ -204,19 +331,65 @@ class InfiniteScroll extends HTMLElement {
     }
   }
 
-  /**
-   * Reinitialize after filter/sort changes
-   * Called by facets.js after updating the product grid
-   */
-  reinitialize() {
-    this.currentPage = 1;
-    this.loadedHtml = [];
+  async loadPrevious() {
+    if (this.firstPage <= 1 || this.loading || this.resultsChanged) return;
+
+    this.loading = true;
+    this.previousControl?.classList.add('loading');
+
+    try {
+      const page = await this.fetchPage(this.firstPage - 1);
+      // Keep the products in view where they are while the page is added above them
+      this.keepScrollPosition(() => this.insertPage(page));
+      if (this.lastPage - this.firstPage >= InfiniteScroll.maxPages) this.dropLastPage();
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('Infinite scroll error:', error);
+    }
+
     this.loading = false;
-    this.classList.remove('loading');
-    // Clear saved state when filters change
-    sessionStorage.removeItem(this.storageKey);
+    this.previousControl?.classList.remove('loading');
     this.initialize();
   }
+
+  onPreviousClick(event) {
+    event.preventDefault();
+    this.loadPrevious();
+  }
+
+  dropFirstPage() {
+    this.keepScrollPosition(() => {
+      this.pageItems(this.firstPage).forEach((item) => item.remove());
+      this.paginationHtml.delete(this.firstPage);
+      this.firstPage++;
+      this.updatePreviousControl();
+    });
+  }
+
+  dropLastPage() {
+    this.pageItems(this.lastPage).forEach((item) => item.remove());
+    this.paginationHtml.delete(this.lastPage);
+    this.lastPage--;
+    // Points to the dropped page again, unless the new last page came without its pagination
+    const paginationHtml = this.paginationHtml.get(this.lastPage);
+    if (paginationHtml !== undefined) this.innerHTML = paginationHtml;
+  }
+
+  // Runs `update` and scrolls by however much it moved the page in view
+  keepScrollPosition(update) {
+    const anchor = this.pageItems(this.pageInView)[0] || this.pageItems(this.lastPage)[0];
+    const top = anchor?.getBoundingClientRect().top;
+    update();
+    if (anchor?.isConnected) window.scrollBy(0, anchor.getBoundingClientRect().top - top);
+  }
+
+  updatePreviousControl() {
+    const previousControl = this.previousControl;
+    if (!previousControl) return;
+
+    previousControl.hidden = this.firstPage <= 1;
+    if (this.firstPage > 1) previousControl.querySelector('a').href = this.pageUrl(this.firstPage - 1);
+  }
 }
 
 customElements.define('infinite-scroll', InfiniteScroll);
@@ -27,6 +27,16 @@ if (!customElements.get('media-gallery')) {
         if (this.dataset.desktopLayout.includes('thumbnail') && this.mql.matches) this.removeListSemantic();
       }
 
+      connectedCallback() {
+        // Galleries grouped by color (see snippets/product-media-color.liquid) follow the selected color
+        if (this.dataset.colorOptionIndex === undefined) return;
+
+        this.variantChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.variantChange, ({ data }) => {
+          if (data.sectionId !== this.dataset.section) return;
+          this.showColorMedia(data.variant.options[this.dataset.colorOptionIndex]);
+        });
+      }
+
       initHoverThumbnails() {
         if (!this.elements.hoverThumbnails) return;
 
@@ -116,6 +126,7 @@ if (!customElements.get('media-gallery')) {
       }
 
       disconnectedCallback() {
+        this.variantChangeUnsubscriber?.();
         if (this.scrollObserver) {
           this.scrollObserver.disconnect();
         }
@@ -216,6 +227,38 @@ if (!customElements.get('media-gallery')) {
         this.announceLiveRegion(activeMedia, activeThumbnail.dataset.mediaPosition);
       }
 
+      /**
+       * Shows the media of `color`, in the gallery, its thumbnails and the lightbox, and hides the other colors'.
+       * Media tied to no color stay. The media shown fade in, and the active media moves to the first one shown
+       * when its color is hidden.
+       */
+      showColorMedia(color) {
+        const modal = document.getElementById(`ProductModal-${this.dataset.section}`);
+        const items = [this, modal].flatMap((root) => (root ? [...root.querySelectorAll('[data-media-color]')] : []));
+        if (items.every((item) => item.hidden === (item.dataset.mediaColor !== color))) return;
+
+        items.forEach((item) => {
+          const hidden = item.dataset.mediaColor !== color;
+          if (item.hidden && !hidden) {
+            item.classList.add('media-color-swap');
+            item.addEventListener('animationend', () => item.classList.remove('media-color-swap'), { once: true });
+          }
+          item.hidden = hidden;
+        });
+
+        const visibleMedia = this.elements.viewer.querySelectorAll(
+          '.product__media-list > [data-media-id]:not([hidden])'
+        );
+        if (this.elements.hoverThumbnails) this.elements.hoverThumbnails.hidden = visibleMedia.length < 2;
+        if (this.elements.viewer.slider) this.elements.viewer.resetPages();
+        if (this.elements.thumbnails?.slider) this.elements.thumbnails.resetPages();
+
+        const activeMedia = this.elements.viewer.querySelector('.product__media-list > .is-active');
+        if (visibleMedia.length && (!activeMedia || activeMedia.hidden)) {
+          this.setActiveMedia(visibleMedia[0].dataset.mediaId, false);
+        }
+      }
+
       setActiveThumbnail(thumbnail) {
         if (!this.elements.thumbnails || !thumbnail) return;
 
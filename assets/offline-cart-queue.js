@@ -0,0 +1,142 @@
+/*
+ * Keeps add-to-cart requests that failed because the shopper was offline in IndexedDB, and sends them again
+ * through CartStore once the browser is back online.
+ *
+ * Requests are keyed by their form fields, so submitting the same variant, quantity and properties again while
+ * offline replaces the stored request instead of adding the line twice.
+ *
+ * Replayed adds are published like any other add, with `source: 'offline-cart-queue'`:
+ * PUB_SUB_EVENTS.cartUpdate when the line was added, PUB_SUB_EVENTS.cartError when the cart refused it.
+ */
+class OfflineCartQueue {
+  static source = 'offline-cart-queue';
+  static #databaseName = 'theme-offline-cart';
+  static #storeName = 'add-requests';
+  // set while requests are stored, so pages don't open the database when there is nothing to replay
+  static pendingFlag = 'theme-offline-cart:pending';
+  static #ignoredFields = ['sections', 'sections_url'];
+  static #replaying = null;
+
+  static get hasPending() {
+    try {
+      return !!localStorage.getItem(OfflineCartQueue.pendingFlag);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  static isNetworkError(error) {
+    return !navigator.onLine || error instanceof TypeError;
+  }
+
+  static add(formData) {
+    const fields = [];
+    for (const [name, value] of formData.entries()) {
+      if (value instanceof File) return Promise.reject(new Error('Files cannot be queued for later'));
+      if (!OfflineCartQueue.#ignoredFields.includes(name)) fields.push([name, value]);
+    }
+
+    const key = JSON.stringify([...fields].sort(([a], [b]) => a.localeCompare(b)));
+    return OfflineCartQueue.#transaction('readwrite', (store) => store.put({ key, fields, queuedAt: Date.now() })).then(
+      () => OfflineCartQueue.#setPending(true)
+    );
+  }
+
+  static getAll() {
+    return OfflineCartQueue.#transaction('readonly', (store) => store.getAll());
+  }
+
+  static replay() {
+    if (OfflineCartQueue.#replaying) return OfflineCartQueue.#replaying;
+
+    OfflineCartQueue.#replaying = OfflineCartQueue.getAll()
+      .then((requests) =>
+        requests
+          .sort((a, b) => a.queuedAt - b.queuedAt)
+          .reduce((previous, request) => previous.then(() => OfflineCartQueue.#send(request)), Promise.resolve())
+      )
+      .then(() => OfflineCartQueue.getAll())
+      .then((remaining) => {
+        if (!remaining.length) OfflineCartQueue.#setPending(false);
+      })
+      .catch((e) => console.error(e))
+      .finally(() => {
+        OfflineCartQueue.#replaying = null;
+      });
+
+    return OfflineCartQueue.#replaying;
+  }
+
+  static #send({ key, fields }) {
+    if (!navigator.onLine) return;
+
+    const cart = document.querySelector('cart-notification') || document.querySelector('cart-drawer');
+    const formData = new FormData();
+    fields.forEach(([name, value]) => formData.append(name, value));
+    if (cart) {
+      formData.append(
+        'sections',
+        cart.getSectionsToRender().map((section) => section.id)
+      );
+      formData.append('sections_url', window.location.pathname);
+    }
+
+    return CartStore.add(formData).then((response) => {
+      const productVariantId = formData.get('id');
+
+      if (response.status) {
+        publish(PUB_SUB_EVENTS.cartError, {
+          source: OfflineCartQueue.source,
+          productVariantId,
+          errors: response.errors || response.description,
+          message: response.message,
+        });
+      } else {
+        publish(PUB_SUB_EVENTS.cartUpdate, { source: OfflineCartQueue.source, productVariantId, cartData: response });
+        cart ? cart.renderContents(response) : ThemeEvents.renderCartIconBubble();
+      }
+
+      // the cart answered, so the request is settled either way
+      return OfflineCartQueue.#transaction('readwrite', (store) => store.delete(key));
+    });
+  }
+
+  static #setPending(pending) {
+    try {
+      if (pending) {
+        localStorage.setItem(OfflineCartQueue.pendingFlag, 'true');
+      } else {
+        localStorage.removeItem(OfflineCartQueue.pendingFlag);
+      }
+    } catch (e) {
+      // storage is disabled, stored requests are only replayed when the browser comes back online
+    }
+  }
+
+  static #open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(OfflineCartQueue.#databaseName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(OfflineCartQueue.#storeName, { keyPath: 'key' });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  static #transaction(mode, operation) {
+    return OfflineCartQueue.#open().then(
+      (database) =>
+        new Promise((resolve, reject) => {
+          const transaction = database.transaction(OfflineCartQueue.#storeName, mode);
+          const request = operation(transaction.objectStore(OfflineCartQueue.#storeName));
+          transaction.oncomplete = () => {
+            database.close();
+            resolve(request.result);
+          };
+          transaction.onerror = () => reject(transaction.error);
+        })
+    );
+  }
+}
+
+window.addEventListener('online', () => OfflineCartQueue.replay());
+if (navigator.onLine && OfflineCartQueue.hasPending) OfflineCartQueue.replay();
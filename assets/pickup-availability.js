@@ -19,16 +19,9 @@ if (!customElements.get('pickup-availability')) {
         if (!rootUrl.endsWith('/')) {
           rootUrl = rootUrl + '/';
         }
-        const variantSectionUrl = `${rootUrl}variants/${variantId}/?section_id=pickup-availability`;
-
-        fetch(variantSectionUrl)
-          .then((response) => response.text())
-          .then((text) => {
-            const sectionInnerHTML = new DOMParser()
-              .parseFromString(text, 'text/html')
-              .querySelector('.shopify-section');
-            this.renderPreview(sectionInnerHTML);
-          })
+
+        SectionClient.fetch('pickup-availability', { url: `${rootUrl}variants/${variantId}/` })
+          .then((text) => this.renderPreview(SectionClient.parseElement(text, '.shopify-section')))
           .catch((e) => {
             const button = this.querySelector('button');
             if (button) button.removeEventListener('click', this.onClickRefreshList);
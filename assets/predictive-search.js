@@ -1,10 +1,86 @@
+/*
+ * Predictive search
+ *
+ * Before anything is typed, the dropdown shows the shopper's recent searches (kept in localStorage), then the
+ * trending terms and popular collections from the theme settings. Once a term is typed it shows the results of
+ * the `predictive-search` section, with the typed words highlighted in the suggestions. The arrow keys move
+ * through the options of every group alike.
+ *
+ * Product results can show color swatches, which show their color's image on hover, and a quick add button: a
+ * `<product-form>` like the ones on product cards, so the cart drawer and bubble refresh without leaving search.
+ */
 class PredictiveSearch extends SearchForm {
+  static recentSearchesKey = 'theme-recent-searches';
+  static maxRecentSearches = 5;
+
+  // Most recent first
+  static get recentSearches() {
+    try {
+      return JSON.parse(localStorage.getItem(PredictiveSearch.recentSearchesKey)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  static saveRecentSearch(term) {
+    const search = term.trim();
+    if (!search) return;
+
+    const searches = [
+      search,
+      ...PredictiveSearch.recentSearches.filter((recent) => recent.toLowerCase() !== search.toLowerCase()),
+    ].slice(0, PredictiveSearch.maxRecentSearches);
+    try {
+      localStorage.setItem(PredictiveSearch.recentSearchesKey, JSON.stringify(searches));
+    } catch (e) {
+      // storage is full or disabled, the search just isn't remembered
+    }
+  }
+
+  static clearRecentSearches() {
+    try {
+      localStorage.removeItem(PredictiveSearch.recentSearchesKey);
+    } catch (e) {
+      // storage is disabled, there is nothing to clear
+    }
+  }
+
+  // Wraps the parts of the suggestions that match the words of `searchTerm` in <mark>
+  static highlightMatches(element, searchTerm) {
+    const words = searchTerm
+      .toLowerCase()
+      .split(/\s+/)
+      .filter(Boolean)
+      .sort((a, b) => b.length - a.length)
+      .map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (!words.length) return;
+
+    const pattern = new RegExp(`(${words.join('|')})`, 'gi');
+    element
+      .querySelectorAll('#predictive-search-results-queries-list .predictive-search__item-heading')
+      .forEach((heading) => {
+        // The split keeps the matches at the odd indexes
+        const parts = heading.textContent.trim().split(pattern);
+        heading.replaceChildren(
+          ...parts.map((part, index) => {
+            if (index % 2 === 0) return part;
+            const mark = document.createElement('mark');
+            mark.className = 'predictive-search__highlight';
+            mark.textContent = part;
+            return mark;
+          })
+        );
+      });
+  }
+
   constructor() {
     super();
     this.cachedResults = {};
     this.predictiveSearchResults = this.querySelector('[data-predictive-search]');
+    this.statusElement = this.querySelector('.predictive-search-status');
     this.allPredictiveSearchInstances = document.querySelectorAll('predictive-search');
     this.isOpen = false;
+    this.emptyState = false;
     this.abortController = new AbortController();
     this.searchTerm = '';
 
@@ -13,6 +89,9 @@ class PredictiveSearch extends SearchForm {
 
   setupEventListeners() {
     this.input.form.addEventListener('submit', this.onFormSubmit.bind(this));
+    this.predictiveSearchResults.addEventListener('click', this.onResultsClick.bind(this));
+    this.predictiveSearchResults.addEventListener('mouseover', this.onSwatchHover.bind(this));
+    this.predictiveSearchResults.addEventListener('mouseout', this.onSwatchLeave.bind(this));
 
     this.input.addEventListener('focus', this.onFocus.bind(this));
     this.addEventListener('focusout', this.onFocusOut.bind(this));
@@ -40,6 +119,7 @@ class PredictiveSearch extends SearchForm {
 
     if (!this.searchTerm.length) {
       this.close(true);
+      if (this.contains(document.activeElement)) this.renderEmptyState();
       return;
     }
 
@@ -47,7 +127,31 @@ class PredictiveSearch extends SearchForm {
   }
 
   onFormSubmit(event) {
-    if (!this.getQuery().length || this.querySelector('[aria-selected="true"] a')) event.preventDefault();
+    // Quick add forms in the results submit on their own, the event only bubbles through the search form
+    if (event.target !== this.input.form) return;
+
+    if (!this.getQuery().length || this.querySelector('[aria-selected="true"] a')) {
+      event.preventDefault();
+      return;
+    }
+    PredictiveSearch.saveRecentSearch(this.getQuery());
+  }
+
+  // Remembers the term the shopper searched for, whichever option they took
+  onResultsClick(event) {
+    const swatch = event.target.closest('.predictive-search__swatch');
+    if (swatch) {
+      this.selectSwatch(swatch);
+      return;
+    }
+
+    if (event.target.closest('[data-predictive-search-clear-recent]')) {
+      this.clearRecentSearches();
+      return;
+    }
+
+    const link = event.target.closest('a');
+    if (link) PredictiveSearch.saveRecentSearch(link.dataset.searchTerm ?? this.getQuery());
   }
 
   onFormReset(event) {
@@ -57,13 +161,17 @@ class PredictiveSearch extends SearchForm {
       this.abortController.abort();
       this.abortController = new AbortController();
       this.closeResults(true);
+      this.renderEmptyState();
     }
   }
 
   onFocus() {
     const currentSearchTerm = this.getQuery();
 
-    if (!currentSearchTerm.length) return;
+    if (!currentSearchTerm.length) {
+      this.renderEmptyState();
+      return;
+    }
 
     if (this.searchTerm !== currentSearchTerm) {
       // Search term was changed from other search input, treat it as a user change
@@ -82,7 +190,13 @@ class PredictiveSearch extends SearchForm {
   }
 
   onKeyup(event) {
-    if (!this.getQuery().length) this.close(true);
+    // Swatches and quick add buttons handle their own keys
+    if (event.target.closest('.predictive-search__item-actions')) return;
+
+    if (!this.getQuery().length && !this.emptyState) {
+      this.close(true);
+      this.renderEmptyState();
+    }
     event.preventDefault();
 
     switch (event.code) {
@@ -189,9 +303,11 @@ class PredictiveSearch extends SearchForm {
         return response.text();
       })
       .then((text) => {
-        const resultsMarkup = new DOMParser()
+        const resultsElement = new DOMParser()
           .parseFromString(text, 'text/html')
-          .querySelector('#shopify-section-predictive-search').innerHTML;
+          .querySelector('#shopify-section-predictive-search');
+        PredictiveSearch.highlightMatches(resultsElement, searchTerm);
+        const resultsMarkup = resultsElement.innerHTML;
         // Save bandwidth keeping the cache in all instances synced
         this.allPredictiveSearchInstances.forEach((predictiveSearchInstance) => {
           predictiveSearchInstance.cachedResults[queryKey] = resultsMarkup;
@@ -226,13 +342,106 @@ class PredictiveSearch extends SearchForm {
   }
 
   renderSearchResults(resultsMarkup) {
-    this.predictiveSearchResults.innerHTML = resultsMarkup;
+    // Parsed on its own: set as innerHTML inside the search form, the quick add forms would be dropped
+    const results = new DOMParser().parseFromString(resultsMarkup, 'text/html').body;
+    this.predictiveSearchResults.replaceChildren(...results.childNodes);
     this.setAttribute('results', true);
+    this.emptyState = false;
 
     this.setLiveRegionResults();
     this.open();
   }
 
+  onSwatchHover(event) {
+    const swatch = event.target.closest('.predictive-search__swatch');
+    if (swatch) this.showSwatchMedia(swatch.closest('.predictive-search__list-item'), swatch);
+  }
+
+  // Back to the picked swatch's image once the pointer leaves the swatches
+  onSwatchLeave(event) {
+    const swatches = event.target.closest('.predictive-search__swatches');
+    if (!swatches || swatches.contains(event.relatedTarget)) return;
+
+    this.showSwatchMedia(
+      swatches.closest('.predictive-search__list-item'),
+      swatches.querySelector('.predictive-search__swatch[aria-pressed="true"]')
+    );
+  }
+
+  // Shows the image of `swatch`'s color, or the product's own image without one
+  showSwatchMedia(item, swatch) {
+    const image = item.querySelector('.predictive-search__image');
+    if (!image) return;
+
+    image.dataset.defaultSrc ??= image.getAttribute('src');
+    image.setAttribute('src', swatch?.dataset.mediaUrl || image.dataset.defaultSrc);
+  }
+
+  // Picks the swatch's color, and its variant for quick add when color is the product's only option
+  selectSwatch(swatch) {
+    const item = swatch.closest('.predictive-search__list-item');
+    item
+      .querySelectorAll('.predictive-search__swatch')
+      .forEach((element) => element.setAttribute('aria-pressed', element === swatch));
+    this.showSwatchMedia(item, swatch);
+
+    const productForm = item.querySelector('product-form');
+    if (!productForm || !swatch.dataset.variantId) return;
+
+    productForm.variantIdInput.value = swatch.dataset.variantId;
+    productForm.toggleSubmitButton(swatch.dataset.available !== 'true', window.variantStrings.soldOut);
+  }
+
+  /**
+   * Shows the recent searches, trending terms and popular collections, built from the empty state template.
+   * Returns false, leaving the dropdown closed, when there are none.
+   */
+  renderEmptyState() {
+    const template = this.querySelector('template[data-predictive-search-empty-state]');
+    if (!template) return false;
+
+    const content = template.content.cloneNode(true);
+    const recentSearches = PredictiveSearch.recentSearches;
+    if (recentSearches.length) {
+      content
+        .querySelector('#predictive-search-results-recent-list')
+        .append(...recentSearches.map((term, index) => this.createRecentSearchOption(term, index)));
+    } else {
+      content.querySelector('[data-predictive-search-recent]').remove();
+    }
+    if (!content.querySelector('[role="option"]')) return false;
+
+    this.predictiveSearchResults.replaceChildren(content);
+    this.removeAttribute('results');
+    this.emptyState = true;
+    this.open();
+    return true;
+  }
+
+  createRecentSearchOption(term, index) {
+    const option = this.querySelector('template[data-predictive-search-recent-option]').content.firstElementChild;
+    const item = document.importNode(option, true);
+    item.id = `predictive-search-option-recent-${index + 1}`;
+
+    const url = new URL(this.input.form.action);
+    url.searchParams.set('q', term);
+    url.searchParams.set('options[prefix]', 'last');
+    const link = item.querySelector('a');
+    link.href = `${url.pathname}${url.search}`;
+    link.dataset.searchTerm = term;
+    item.querySelector('.predictive-search__item-heading').textContent = term;
+    return item;
+  }
+
+  clearRecentSearches() {
+    PredictiveSearch.clearRecentSearches();
+    this.querySelector('[data-predictive-search-recent]')?.remove();
+    this.input.setAttribute('aria-activedescendant', '');
+    // The clear button is gone, focus goes back to the field so the dropdown still closes on focus out
+    this.input.focus();
+    if (!this.predictiveSearchResults.querySelector('[role="option"]')) this.close();
+  }
+
   setLiveRegionResults() {
     this.removeAttribute('loading');
     this.setLiveRegionText(this.querySelector('[data-predictive-search-live-region-count-value]').textContent);
@@ -268,6 +477,7 @@ class PredictiveSearch extends SearchForm {
     this.input.setAttribute('aria-activedescendant', '');
     this.removeAttribute('loading');
     this.removeAttribute('open');
+    this.emptyState = false;
     this.input.setAttribute('aria-expanded', false);
     this.resultsMaxHeight = false;
     this.predictiveSearchResults.removeAttribute('style');
@@ -0,0 +1,91 @@
+/*
+ * Prefetching of the pages and sections the shopper is about to ask for.
+ *
+ * `Prefetch.page(url)` lets the browser fetch a page ahead of the navigation, with Speculation Rules where they
+ * are supported and `<link rel="prefetch">` otherwise. `Prefetch.section(sectionId, url)` requests a section
+ * through SectionClient, so the render that follows is served from its cache.
+ *
+ * Product cards prefetch their product page when hovered (after `Prefetch.hoverDelay` ms, so sweeping the pointer
+ * across the grid doesn't) or touched. Nothing is prefetched on Save-Data or 2G connections, each URL is only
+ * prefetched once and a page view makes at most `Prefetch.budget` prefetches.
+ */
+class Prefetch {
+  static budget = 10;
+  static hoverDelay = 65;
+  static cardSelector = '.card-wrapper';
+  static #prefetched = new Set();
+  static #hover = null;
+
+  static init() {
+    document.addEventListener('mouseover', (event) => Prefetch.#onCardOver(event));
+    document.addEventListener('mouseout', (event) => Prefetch.#onCardOut(event));
+    document.addEventListener('touchstart', (event) => Prefetch.#onCardTouch(event), { passive: true });
+  }
+
+  static get enabled() {
+    const connection = navigator.connection;
+    if (!connection) return true;
+    return !connection.saveData && !['slow-2g', '2g'].includes(connection.effectiveType);
+  }
+
+  static page(url) {
+    const { href, origin } = new URL(url, window.location.href);
+    if (origin !== window.location.origin || href.split('#')[0] === window.location.href.split('#')[0]) return;
+    if (!Prefetch.#claim(`page ${href}`)) return;
+
+    if (HTMLScriptElement.supports?.('speculationrules')) {
+      const rules = document.createElement('script');
+      rules.type = 'speculationrules';
+      rules.textContent = JSON.stringify({ prefetch: [{ source: 'list', urls: [href] }] });
+      document.head.appendChild(rules);
+    } else {
+      const link = document.createElement('link');
+      link.rel = 'prefetch';
+      link.href = href;
+      document.head.appendChild(link);
+    }
+  }
+
+  static section(sectionId, url) {
+    if (!Prefetch.#claim(`section ${sectionId} ${url}`)) return;
+
+    // A prefetch that fails is simply requested again when it's needed
+    SectionClient.fetch(sectionId, { url }).catch(() => {});
+  }
+
+  static #claim(key) {
+    if (!Prefetch.enabled || Prefetch.#prefetched.has(key) || Prefetch.#prefetched.size >= Prefetch.budget) {
+      return false;
+    }
+    Prefetch.#prefetched.add(key);
+    return true;
+  }
+
+  static #cardUrl(card) {
+    return card.querySelector('.card__heading a[href]')?.href;
+  }
+
+  static #onCardOver({ target }) {
+    const card = target.closest?.(Prefetch.cardSelector);
+    if (!card || Prefetch.#hover?.card === card) return;
+
+    clearTimeout(Prefetch.#hover?.timer);
+    const url = Prefetch.#cardUrl(card);
+    Prefetch.#hover = url && { card, timer: setTimeout(() => Prefetch.page(url), Prefetch.hoverDelay) };
+  }
+
+  static #onCardOut({ relatedTarget }) {
+    if (!Prefetch.#hover || Prefetch.#hover.card.contains(relatedTarget)) return;
+
+    clearTimeout(Prefetch.#hover.timer);
+    Prefetch.#hover = null;
+  }
+
+  static #onCardTouch({ target }) {
+    const card = target.closest?.(Prefetch.cardSelector);
+    const url = card && Prefetch.#cardUrl(card);
+    if (url) Prefetch.page(url);
+  }
+}
+
+Prefetch.init();
@@ -17,6 +17,29 @@ if (!customElements.get('product-form')) {
         this.hideErrors = this.dataset.hideErrors === 'true';
       }
 
+      cartUpdateUnsubscriber = undefined;
+      cartErrorUnsubscriber = undefined;
+
+      connectedCallback() {
+        this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
+          if (event.source === OfflineCartQueue.source && event.productVariantId === this.variantIdInput.value) {
+            this.setQueuedState(false);
+          }
+        });
+
+        this.cartErrorUnsubscriber = subscribe(PUB_SUB_EVENTS.cartError, (event) => {
+          if (event.source === OfflineCartQueue.source && event.productVariantId === this.variantIdInput.value) {
+            this.setQueuedState(false);
+            this.handleErrorMessage(event.errors);
+          }
+        });
+      }
+
+      disconnectedCallback() {
+        this.cartUpdateUnsubscriber?.();
+        this.cartErrorUnsubscriber?.();
+      }
+
       onSubmitHandler(evt) {
         evt.preventDefault();
         if (this.submitButton.getAttribute('aria-disabled') === 'true') return;
@@ -27,10 +50,6 @@ if (!customElements.get('product-form')) {
         this.submitButton.classList.add('loading');
         this.querySelector('.loading__spinner').classList.remove('hidden');
 
-        const config = fetchConfig('javascript');
-        config.headers['X-Requested-With'] = 'XMLHttpRequest';
-        delete config.headers['Content-Type'];
-
         const formData = new FormData(this.form);
         if (this.cart) {
           formData.append(
@@ -40,11 +59,16 @@ if (!customElements.get('product-form')) {
           formData.append('sections_url', window.location.pathname);
           this.cart.setActiveElement(document.activeElement);
         }
-        config.body = formData;
 
-        fetch(`${routes.cart_add_url}`, config)
-          .then((response) => response.json())
+        CartStore.add(formData)
+          .catch((error) => {
+            // only the request itself is kept for later, not errors thrown while rendering its response
+            if (!OfflineCartQueue.isNetworkError(error)) throw error;
+            return this.queueForLater(formData);
+          })
           .then((response) => {
+            if (!response) return;
+
             if (response.status) {
               publish(PUB_SUB_EVENTS.cartError, {
                 source: 'product-form',
@@ -102,13 +126,35 @@ if (!customElements.get('product-form')) {
           .finally(() => {
             this.submitButton.classList.remove('loading');
             if (this.cart && this.cart.classList.contains('is-empty')) this.cart.classList.remove('is-empty');
-            if (!this.error) this.submitButton.removeAttribute('aria-disabled');
+            if (!this.error && !this.queued) this.submitButton.removeAttribute('aria-disabled');
             this.querySelector('.loading__spinner').classList.add('hidden');
 
             CartPerformance.measureFromEvent("add:user-action", evt);
           });
       }
 
+      queueForLater(formData) {
+        return OfflineCartQueue.add(formData)
+          .then(() => this.setQueuedState(true))
+          .catch((e) => {
+            console.error(e);
+            this.handleErrorMessage(window.cartStrings.error);
+          });
+      }
+
+      setQueuedState(queued) {
+        if (!queued && !this.queued) return;
+
+        this.queued = queued;
+        this.submitButton.classList.toggle('product-form__submit--queued', queued);
+        this.submitButtonText.textContent = queued
+          ? window.variantStrings.addWhenOnline
+          : window.variantStrings.addToCart;
+        queued
+          ? this.submitButton.setAttribute('aria-disabled', true)
+          : this.submitButton.removeAttribute('aria-disabled');
+      }
+
       handleErrorMessage(errorMessage = false) {
         if (this.hideErrors) return;
 
@@ -125,6 +171,7 @@ if (!customElements.get('product-form')) {
       }
 
       toggleSubmitButton(disable = true, text) {
+        this.setQueuedState(false);
         if (disable) {
           this.submitButton.setAttribute('disabled', 'disabled');
           if (text) this.submitButtonText.textContent = text;
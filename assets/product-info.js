@@ -15,6 +15,10 @@ if (!customElements.get('product-info')) {
         super();
 
         this.quantityInput = this.querySelector('.quantity__input');
+
+        this.prefetchOptionValue = this.prefetchOptionValue.bind(this);
+        this.addEventListener('focusin', this.prefetchOptionValue);
+        this.addEventListener('mouseover', this.prefetchOptionValue);
       }
 
       connectedCallback() {
@@ -26,9 +30,16 @@ if (!customElements.get('product-info')) {
         );
 
         this.initQuantityHandlers();
+        this.recordRecentlyViewed();
         this.dispatchEvent(new CustomEvent('product-info:loaded', { bubbles: true }));
       }
 
+      // Only the product page's own product, not quick add modals or featured products
+      recordRecentlyViewed() {
+        if (this.dataset.updateUrl !== 'true' || typeof RecentlyViewed === 'undefined') return;
+        RecentlyViewed.record(this.dataset.productHandle);
+      }
+
       addPreProcessCallback(callback) {
         this.preProcessHtmlCallbacks.push(callback);
       }
@@ -71,7 +82,8 @@ if (!customElements.get('product-info')) {
         const shouldFetchFullPage = this.dataset.updateUrl === 'true' && shouldSwapProduct;
 
         this.renderProductInfo({
-          requestUrl: this.buildRequestUrlWithParams(productUrl, selectedOptionValues, shouldFetchFullPage),
+          requestUrl: this.buildRequestUrlWithParams(productUrl, selectedOptionValues),
+          sectionId: shouldFetchFullPage ? null : this.sectionId,
           targetId: target.id,
           callback: shouldSwapProduct
             ? this.handleSwapProduct(productUrl, shouldFetchFullPage)
@@ -79,12 +91,35 @@ if (!customElements.get('product-info')) {
         });
       }
 
+      // Warms what picking the swatch or pill under the pointer or focus would render
+      prefetchOptionValue({ target }) {
+        if (typeof Prefetch === 'undefined') return;
+
+        const input = target.closest('label')?.control || target;
+        if (!input.matches('input[data-option-value-id]:not(:checked)') || !this.variantSelectors?.contains(input)) {
+          return;
+        }
+
+        const productUrl = input.dataset.productUrl || this.dataset.url;
+        const requestUrl = this.buildRequestUrlWithParams(
+          productUrl,
+          this.variantSelectors.selectedOptionValuesWith(input)
+        );
+
+        if (this.dataset.updateUrl === 'true' && this.dataset.url !== productUrl) {
+          Prefetch.page(requestUrl);
+        } else {
+          Prefetch.section(this.sectionId, requestUrl);
+        }
+      }
+
       resetProductFormState() {
         const productForm = this.productForm;
         productForm?.toggleSubmitButton(true);
         productForm?.handleErrorMessage();
       }
 
+      // Another product gets new components rather than a morph of this one's
       handleSwapProduct(productUrl, updateFullPage) {
         return (html) => {
           this.productModal?.remove();
@@ -96,14 +131,14 @@ if (!customElements.get('product-info')) {
           if (updateFullPage) {
             document.querySelector('head title').innerHTML = html.querySelector('head title').innerHTML;
 
-            HTMLUpdateUtility.viewTransition(
+            return HTMLUpdateUtility.viewTransition(
               document.querySelector('main'),
               html.querySelector('main'),
               this.preProcessHtmlCallbacks,
               this.postProcessHtmlCallbacks
             );
           } else {
-            HTMLUpdateUtility.viewTransition(
+            return HTMLUpdateUtility.viewTransition(
               this,
               html.querySelector('product-info'),
               this.preProcessHtmlCallbacks,
@@ -113,16 +148,20 @@ if (!customElements.get('product-info')) {
         };
       }
 
-      renderProductInfo({ requestUrl, targetId, callback }) {
+      renderProductInfo({ requestUrl, sectionId, targetId, callback }) {
         this.abortController?.abort();
         this.abortController = new AbortController();
+        const { signal } = this.abortController;
+
+        // Swapping to another product with `data-update-url` needs the whole page, not a section
+        const request = sectionId
+          ? SectionClient.fetch(sectionId, { url: requestUrl, signal })
+          : fetch(requestUrl, { signal }).then((response) => response.text());
 
-        fetch(requestUrl, { signal: this.abortController.signal })
-          .then((response) => response.text())
+        request
           .then((responseText) => {
             this.pendingRequestUrl = null;
-            const html = new DOMParser().parseFromString(responseText, 'text/html');
-            callback(html);
+            return callback(SectionClient.parse(responseText));
           })
           .then(() => {
             // set focus to last clicked option value
@@ -142,81 +181,76 @@ if (!customElements.get('product-info')) {
         return !!selectedVariant ? JSON.parse(selectedVariant) : null;
       }
 
-      buildRequestUrlWithParams(url, optionValues, shouldFetchFullPage = false) {
-        const params = [];
-
-        !shouldFetchFullPage && params.push(`section_id=${this.sectionId}`);
-
-        if (optionValues.length) {
-          params.push(`option_values=${optionValues.join(',')}`);
-        }
-
-        return `${url}?${params.join('&')}`;
+      buildRequestUrlWithParams(url, optionValues) {
+        return optionValues.length ? `${url}?option_values=${optionValues.join(',')}` : url;
       }
 
       updateOptionValues(html) {
         const variantSelects = html.querySelector('variant-selects');
         if (variantSelects) {
-          HTMLUpdateUtility.viewTransition(this.variantSelectors, variantSelects, this.preProcessHtmlCallbacks);
+          this.preProcessHtmlCallbacks.forEach((callback) => callback(variantSelects));
+          HTMLUpdateUtility.morph(this.variantSelectors, variantSelects);
         }
       }
 
       handleUpdateProductInfo(productUrl) {
-        return (html) => {
-          const variant = this.getSelectedVariant(html);
-
-          this.pickupAvailability?.update(variant);
-          this.updateOptionValues(html);
-          this.updateURL(productUrl, variant?.id);
-          this.updateVariantInputs(variant?.id);
-
-          if (!variant) {
-            this.setUnavailable();
-            return;
-          }
+        return (html) =>
+          HTMLUpdateUtility.transition(() => {
+            const variant = this.getSelectedVariant(html);
+
+            this.pickupAvailability?.update(variant);
+            this.updateOptionValues(html);
+            this.updateURL(productUrl, variant?.id);
+            this.updateVariantInputs(variant?.id);
+
+            if (!variant) {
+              this.setUnavailable();
+              return;
+            }
 
-          this.updateMedia(html, variant?.featured_media?.id);
+            this.updateMedia(html, variant?.featured_media?.id);
 
-          const updateSourceFromDestination = (id, shouldHide = (source) => false) => {
-            const source = html.getElementById(`${id}-${this.sectionId}`);
-            const destination = this.querySelector(`#${id}-${this.dataset.section}`);
-            if (source && destination) {
-              destination.innerHTML = source.innerHTML;
-              destination.classList.toggle('hidden', shouldHide(source));
-            }
-          };
+            const updateSourceFromDestination = (id, shouldHide = (source) => false) => {
+              const source = html.getElementById(`${id}-${this.sectionId}`);
+              const destination = this.querySelector(`#${id}-${this.dataset.section}`);
+              if (source && destination) {
+                HTMLUpdateUtility.morph(destination, source, { childrenOnly: true });
+                destination.classList.toggle('hidden', shouldHide(source));
+              }
+            };
 
-          updateSourceFromDestination('price');
-          updateSourceFromDestination('Sku', ({ classList }) => classList.contains('hidden'));
-          updateSourceFromDestination('Inventory', ({ innerText }) => innerText === '');
-          updateSourceFromDestination('Volume');
-          updateSourceFromDestination('Price-Per-Item', ({ classList }) => classList.contains('hidden'));
+            updateSourceFromDestination('price');
+            updateSourceFromDestination('Sku', ({ classList }) => classList.contains('hidden'));
+            updateSourceFromDestination('Inventory', ({ innerText }) => innerText === '');
+            updateSourceFromDestination('Volume');
+            updateSourceFromDestination('Price-Per-Item', ({ classList }) => classList.contains('hidden'));
 
-          this.updateQuantityRules(this.sectionId, html);
-          this.querySelector(`#Quantity-Rules-${this.dataset.section}`)?.classList.remove('hidden');
-          this.querySelector(`#Volume-Note-${this.dataset.section}`)?.classList.remove('hidden');
+            this.updateQuantityRules(this.sectionId, html);
+            this.querySelector(`#Quantity-Rules-${this.dataset.section}`)?.classList.remove('hidden');
+            this.querySelector(`#Volume-Note-${this.dataset.section}`)?.classList.remove('hidden');
 
-          const submitButton = html.getElementById(`ProductSubmitButton-${this.sectionId}`);
+            const submitButton = html.getElementById(`ProductSubmitButton-${this.sectionId}`);
 
-          // Coming soon button
-          let submitButtonLabel = window.variantStrings.soldOut;
-          if (submitButton && submitButton.innerText.includes("Coming soon")) {
-            submitButtonLabel = "Coming soon";
-          }
+            // Coming soon button
+            let submitButtonLabel = window.variantStrings.soldOut;
+            if (submitButton && submitButton.innerText.includes("Coming soon")) {
+              submitButtonLabel = "Coming soon";
+            }
 
-          this.productForm?.toggleSubmitButton(
-            submitButton?.hasAttribute('disabled') ?? true,
-            submitButtonLabel
-          );
+            this.productForm?.toggleSubmitButton(
+              submitButton?.hasAttribute('disabled') ?? true,
+              submitButtonLabel
+            );
 
-          publish(PUB_SUB_EVENTS.variantChange, {
-            data: {
-              sectionId: this.sectionId,
-              html,
-              variant,
-            },
+            publish(PUB_SUB_EVENTS.variantChange, {
+              data: {
+                sectionId: this.sectionId,
+                html,
+                variant,
+              },
+            });
+            this.recordRecentlyViewed();
           });
-        };
       }
 
       updateVariantInputs(variantId) {
@@ -396,12 +430,11 @@ if (!customElements.get('product-info')) {
         if (!currentVariantId) return;
 
         this.querySelector('.quantity__rules-cart .loading__spinner').classList.remove('hidden');
-        return fetch(`${this.dataset.url}?variant=${currentVariantId}&section_id=${this.dataset.section}`)
-          .then((response) => response.text())
-          .then((responseText) => {
-            const html = new DOMParser().parseFromString(responseText, 'text/html');
-            this.updateQuantityRules(this.dataset.section, html);
-          })
+        return SectionClient.fetch(this.dataset.section, {
+          url: `${this.dataset.url}?variant=${currentVariantId}`,
+          cache: false,
+        })
+          .then((responseText) => this.updateQuantityRules(this.dataset.section, SectionClient.parse(responseText)))
           .catch((e) => console.error(e))
           .finally(() => this.querySelector('.quantity__rules-cart .loading__spinner').classList.add('hidden'));
       }
@@ -35,7 +35,7 @@ if (!customElements.get('product-modal')) {
         } else {
           // On desktop, detect which image is currently visible by scroll position
           const container = this.querySelector('[role="document"]');
-          const mediaItems = this.querySelectorAll('[data-media-id]');
+          const mediaItems = this.querySelectorAll('[data-media-id]:not([hidden])');
 
           if (container && mediaItems.length > 0) {
             const scrollTop = container.scrollTop;
@@ -151,6 +151,8 @@ if (!customElements.get('product-modal')) {
         let closestDistance = Infinity;
 
         mediaItems.forEach((item, index) => {
+          // Another color's media, when the gallery is grouped by color
+          if (item.hidden) return;
           const itemCenter = item.offsetTop + item.offsetHeight / 2;
           const distance = Math.abs(viewportCenter - itemCenter);
           if (distance < closestDistance) {
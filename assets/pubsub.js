@@ -1,25 +1,180 @@
+/**
+ * @typedef {Object} CartUpdateEvent
+ * @property {string} source - the component that changed the cart (e.g. 'product-form', 'cart-items')
+ * @property {Object} [cartData] - the JSON returned by the /cart/*.js endpoint
+ * @property {string} [productVariantId]
+ * @property {string} [variantId]
+ *
+ * @typedef {Object} CartErrorEvent
+ * @property {string} source
+ * @property {string} productVariantId
+ * @property {Object|string} errors
+ * @property {string} [message]
+ *
+ * @typedef {Object} VariantChangeEvent
+ * @property {{ sectionId: string, html: Document, variant: Object }} data
+ *
+ * @typedef {Object} OptionValueSelectionChangeEvent
+ * @property {{ event: Event, target: HTMLElement, selectedOptionValues: string[] }} data
+ *
+ * @typedef {Object} SubscribeOptions
+ * @property {boolean} [once] - unsubscribe after the first call
+ * @property {boolean} [replay] - call immediately with the last event published to a matching topic
+ */
+
+const PUB_SUB_TRACE_KEY = 'pubsub:trace';
+const PUB_SUB_TRACE_LIMIT = 200;
+
 let subscribers = {};
+let lastPublished = {};
+let publishSequence = 0;
+let traceLog = [];
+
+// A topic containing '*' (e.g. 'cart-*') matches every event name with the same prefix/suffix.
+function isWildcard(eventName) {
+  return eventName.includes('*');
+}
+
+function matchesTopic(topic, eventName) {
+  if (!isWildcard(topic)) return topic === eventName;
 
-function subscribe(eventName, callback) {
+  const pattern = topic
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${pattern}$`).test(eventName);
+}
+
+function subscribe(eventName, callback, options = {}) {
   if (subscribers[eventName] === undefined) {
     subscribers[eventName] = [];
   }
 
-  subscribers[eventName] = [...subscribers[eventName], callback];
+  const subscriber = { callback, once: !!options.once };
+  subscribers[eventName] = [...subscribers[eventName], subscriber];
 
-  return function unsubscribe() {
-    subscribers[eventName] = subscribers[eventName].filter((cb) => {
-      return cb !== callback;
-    });
+  function unsubscribe() {
+    if (!subscribers[eventName]) return;
+    subscribers[eventName] = subscribers[eventName].filter((entry) => entry !== subscriber);
+  }
+
+  if (options.replay) {
+    let replayed = Object.keys(lastPublished)
+      .filter((publishedName) => matchesTopic(eventName, publishedName))
+      .sort((a, b) => lastPublished[a].sequence - lastPublished[b].sequence);
+
+    if (subscriber.once && replayed.length) {
+      replayed = replayed.slice(-1);
+      unsubscribe();
+    }
+    replayed.forEach((publishedName) => invokeSubscriber(subscriber, publishedName, lastPublished[publishedName].data));
+  }
+
+  return unsubscribe;
+}
+
+function subscribeOnce(eventName, callback) {
+  return subscribe(eventName, callback, { once: true });
+}
+
+function getSubscribersFor(eventName) {
+  return Object.keys(subscribers)
+    .filter((topic) => matchesTopic(topic, eventName))
+    .flatMap((topic) => subscribers[topic].map((subscriber) => ({ topic, subscriber })));
+}
+
+// Calls a subscriber without letting a throw or a rejection escape into the publisher's promise.
+function invokeSubscriber(subscriber, eventName, data, errors = []) {
+  const onError = (error) => {
+    console.error(`[pubsub] subscriber for "${eventName}" failed`, error);
+    errors.push(error);
   };
+
+  try {
+    return Promise.resolve(subscriber.callback(data, eventName)).catch(onError);
+  } catch (error) {
+    onError(error);
+    return Promise.resolve();
+  }
 }
 
 function publish(eventName, data) {
-  if (subscribers[eventName]) {
-    const promises = subscribers[eventName]
-      .map((callback) => callback(data))
-    return Promise.all(promises);
+  publishSequence += 1;
+  lastPublished[eventName] = { data, sequence: publishSequence };
+
+  const matches = getSubscribersFor(eventName);
+  matches
+    .filter(({ subscriber }) => subscriber.once)
+    .forEach(({ topic, subscriber }) => {
+      subscribers[topic] = subscribers[topic].filter((entry) => entry !== subscriber);
+    });
+
+  const startTime = performance.now();
+  const errors = [];
+  const promises = matches.map(({ subscriber }) => invokeSubscriber(subscriber, eventName, data, errors));
+  const result = Promise.all(promises);
+
+  if (isPubSubTraceEnabled()) traceEvent(eventName, data, matches, startTime, result, errors);
+
+  return result;
+}
+
+function clearLastPublished(eventName) {
+  if (eventName) {
+    delete lastPublished[eventName];
   } else {
-    return Promise.resolve()
+    lastPublished = {};
   }
 }
+
+/*
+ * Tracing
+ *
+ * Opt-in from the devtools console with `enablePubSubTrace()` (persists for the browser tab), then read the
+ * recorded events with `getPubSubTrace()` or `console.table(getPubSubTrace())`.
+ */
+function isPubSubTraceEnabled() {
+  try {
+    return sessionStorage.getItem(PUB_SUB_TRACE_KEY) === 'true';
+  } catch (e) {
+    return false;
+  }
+}
+
+function enablePubSubTrace() {
+  sessionStorage.setItem(PUB_SUB_TRACE_KEY, 'true');
+}
+
+function disablePubSubTrace() {
+  sessionStorage.removeItem(PUB_SUB_TRACE_KEY);
+  traceLog = [];
+}
+
+function getPubSubTrace() {
+  return [...traceLog];
+}
+
+function traceEvent(eventName, data, matches, startTime, result, errors) {
+  const knownEvents = typeof PUB_SUB_EVENTS === 'undefined' ? [] : Object.values(PUB_SUB_EVENTS);
+  if (knownEvents.length && !knownEvents.includes(eventName)) {
+    console.warn(`[pubsub] "${eventName}" is not declared in PUB_SUB_EVENTS`);
+  }
+
+  const entry = {
+    eventName,
+    data,
+    subscribers: matches.map(({ topic }) => topic),
+    publishedAt: startTime,
+    duration: null,
+    errors,
+  };
+  traceLog = [...traceLog, entry].slice(-PUB_SUB_TRACE_LIMIT);
+
+  result.then(() => {
+    entry.duration = performance.now() - startTime;
+    console.debug(
+      `[pubsub] ${eventName} → ${entry.subscribers.length} subscriber(s) in ${entry.duration.toFixed(1)}ms`,
+      data
+    );
+  });
+}
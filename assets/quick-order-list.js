@@ -176,11 +176,13 @@ if (!customElements.get('quick-order-list')) {
       async refresh(pageNumber = null) {
         const url = this.dataset.url || window.location.pathname;
 
-        return fetch(`${url}?section_id=${this.dataset.section}&page=${pageNumber || this.currentPage}`)
-          .then((response) => response.text())
+        // The list shows cart quantities, so it's always fetched fresh
+        return SectionClient.fetch(this.dataset.section, {
+          url: `${url}?page=${pageNumber || this.currentPage}`,
+          cache: false,
+        })
           .then((responseText) => {
-            const html = new DOMParser().parseFromString(responseText, 'text/html');
-            const responseQuickOrderList = html.querySelector(`#${this.id}`);
+            const responseQuickOrderList = SectionClient.parseElement(responseText, `#${this.id}`);
 
             if (!responseQuickOrderList) {
               return;
@@ -329,19 +331,13 @@ if (!customElements.get('quick-order-list')) {
         this.toggleLoading(true);
         const url = this.dataset.url || window.location.pathname;
 
-        const body = JSON.stringify({
-          updates: items,
-          sections: this.getSectionsToRender().map(({ section }) => section),
-          sections_url: `${url}?page=${this.currentPage}`,
-        });
+        const sections = this.getSectionsToRender().map(({ section }) => section);
 
         this.updateMessage();
         this.setErrorMessage();
 
-        fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
-          .then((response) => response.text())
-          .then(async (state) => {
-            const parsedState = JSON.parse(state);
+        CartStore.update(items, { sections, sectionsUrl: `${url}?page=${this.currentPage}` })
+          .then((parsedState) => {
             this.renderSections(parsedState);
             publish(PUB_SUB_EVENTS.cartUpdate, {
               source: this.id,
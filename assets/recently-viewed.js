@@ -0,0 +1,88 @@
+/*
+ * Recently viewed products
+ *
+ * Product pages record their handle with the time it was viewed (ProductInfo does, when it connects and when the
+ * variant changes). The history is kept in localStorage, most recent first, and `recently-viewed` sections render
+ * it with cards from the `product-card` section.
+ */
+class RecentlyViewed {
+  static storageKey = 'theme-recently-viewed';
+  static maxItems = 20;
+
+  static get items() {
+    try {
+      return JSON.parse(localStorage.getItem(RecentlyViewed.storageKey)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  static record(handle) {
+    if (!handle) return;
+    RecentlyViewed.#save([
+      { handle, viewedAt: Date.now() },
+      ...RecentlyViewed.items.filter((item) => item.handle !== handle),
+    ]);
+  }
+
+  static remove(handle) {
+    RecentlyViewed.#save(RecentlyViewed.items.filter((item) => item.handle !== handle));
+  }
+
+  static getHandles({ exclude, limit } = {}) {
+    return RecentlyViewed.items
+      .map((item) => item.handle)
+      .filter((handle) => handle !== exclude)
+      .slice(0, limit);
+  }
+
+  static #save(items) {
+    try {
+      localStorage.setItem(RecentlyViewed.storageKey, JSON.stringify(items.slice(0, RecentlyViewed.maxItems)));
+    } catch (e) {
+      // storage is full or disabled, the history just isn't kept
+    }
+  }
+}
+
+if (!customElements.get('recently-viewed')) {
+  customElements.define(
+    'recently-viewed',
+    class RecentlyViewedProducts extends HTMLElement {
+      constructor() {
+        super();
+
+        this.grid = this.querySelector('.recently-viewed__grid');
+      }
+
+      connectedCallback() {
+        this.render();
+      }
+
+      render() {
+        const handles = RecentlyViewed.getHandles({
+          exclude: this.dataset.exclude,
+          limit: parseInt(this.dataset.limit) || undefined,
+        });
+        if (!handles.length) return;
+
+        return Promise.all(
+          handles.map((handle) =>
+            ProductCard.fetch(handle).then(
+              (card) => {
+                // the product was deleted or unpublished since it was viewed
+                if (!card) RecentlyViewed.remove(handle);
+                return card;
+              },
+              () => null
+            )
+          )
+        ).then((cards) => {
+          const availableCards = cards.filter(Boolean);
+          this.grid.replaceChildren(...availableCards);
+          this.hidden = !availableCards.length;
+        });
+      }
+    }
+  );
+}
@@ -0,0 +1,335 @@
+/*
+ * Saved for later
+ *
+ * Lines moved out of the cart are kept in localStorage for guests. For logged-in customers the list comes from the
+ * `theme.saved_for_later` customer metafield and changes are sent to `window.savedForLater.url`, an endpoint (e.g.
+ * an app proxy) that writes the metafield. A guest list is merged into the account after login, and only dropped
+ * from the browser once the endpoint saved it. A list the endpoint fails to save is kept in the browser the same way,
+ * and sent again on the next page. Without an endpoint, every list stays in the browser.
+ *
+ * Every change is published as PUB_SUB_EVENTS.savedForLaterUpdate with the list, and a change the endpoint fails to
+ * save as PUB_SUB_EVENTS.savedForLaterError.
+ */
+class SavedForLater {
+  static source = 'saved-for-later';
+  static storageKey = 'theme-saved-for-later';
+  static #items = null;
+
+  static get items() {
+    if (!SavedForLater.#items) SavedForLater.#items = SavedForLater.#load();
+    return SavedForLater.#items;
+  }
+
+  static subscribe(callback) {
+    callback(SavedForLater.items);
+    return subscribe(PUB_SUB_EVENTS.savedForLaterUpdate, callback);
+  }
+
+  // `line` is a line of the /cart.js JSON, `quantityRule` the variant's `{ min, max, increment }`
+  static add(line, quantityRule) {
+    const item = {
+      variantId: line.variant_id,
+      productId: line.product_id,
+      quantity: line.quantity,
+      properties: line.properties || {},
+      title: line.product_title,
+      variantTitle: line.product_has_only_default_variant ? null : line.variant_title,
+      url: line.url,
+      image: line.image,
+      quantityRule,
+      savedAt: Date.now(),
+    };
+
+    return SavedForLater.#save([item, ...SavedForLater.items.filter((entry) => entry.variantId !== item.variantId)]);
+  }
+
+  static remove(variantId) {
+    return SavedForLater.#save(SavedForLater.items.filter((item) => item.variantId !== variantId));
+  }
+
+  // Adds the line back the way product forms do, then renders the cart drawer, notification or cart page
+  static moveToCart(variantId) {
+    const item = SavedForLater.items.find((entry) => entry.variantId === variantId);
+    if (!item) return Promise.resolve();
+
+    const cartItems = document.querySelector('cart-items');
+    const cart = cartItems || document.querySelector('cart-notification') || document.querySelector('cart-drawer');
+
+    const formData = new FormData();
+    formData.append('id', item.variantId);
+    formData.append('quantity', SavedForLater.getQuantity(item));
+    Object.entries(item.properties).forEach(([name, value]) => formData.append(`properties[${name}]`, value));
+    if (cart) {
+      formData.append(
+        'sections',
+        cart.getSectionsToRender().map((section) => section.section || section.id)
+      );
+      formData.append('sections_url', window.location.pathname);
+    }
+
+    return CartStore.add(formData).then((response) => {
+      if (response.status) {
+        publish(PUB_SUB_EVENTS.cartError, {
+          source: SavedForLater.source,
+          productVariantId: String(item.variantId),
+          errors: response.errors || response.description,
+          message: response.message,
+        });
+        return response;
+      }
+
+      return SavedForLater.remove(variantId).then(() => {
+        if (!cart) {
+          window.location = window.routes.cart_url;
+          return response;
+        }
+
+        cart.renderContents(response);
+        publish(PUB_SUB_EVENTS.cartUpdate, {
+          source: SavedForLater.source,
+          productVariantId: String(item.variantId),
+          cartData: response,
+        });
+        return response;
+      });
+    });
+  }
+
+  // The saved quantity, brought back within the variant's quantity rules
+  static getQuantity({ quantity, quantityRule }) {
+    if (!quantityRule) return quantity;
+
+    const increment = quantityRule.increment || 1;
+    let result = Math.max(quantityRule.min || 1, Math.round(quantity / increment) * increment);
+    if (quantityRule.max) result = Math.min(result, quantityRule.max - (quantityRule.max % increment));
+    return result;
+  }
+
+  static #load() {
+    const guestItems = SavedForLater.#readStorage();
+    if (!window.savedForLater?.loggedIn) return guestItems;
+
+    const customerItems = Array.isArray(window.savedForLater.customerItems) ? window.savedForLater.customerItems : [];
+    if (!guestItems.length) return customerItems;
+
+    // saved before logging in: move them to the account
+    const merged = [
+      ...guestItems,
+      ...customerItems.filter((item) => !guestItems.some((entry) => entry.variantId === item.variantId)),
+    ];
+    if (SavedForLater.#isRemote) {
+      SavedForLater.#persist(merged).catch((e) => {
+        console.error(e);
+      });
+    }
+    return merged;
+  }
+
+  static get #isRemote() {
+    return !!(window.savedForLater?.loggedIn && window.savedForLater.url);
+  }
+
+  static #readStorage() {
+    try {
+      return JSON.parse(localStorage.getItem(SavedForLater.storageKey)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  static #writeStorage(items) {
+    try {
+      localStorage.setItem(SavedForLater.storageKey, JSON.stringify(items));
+    } catch (e) {
+      // storage is full or disabled, the list lasts until the page is left
+    }
+  }
+
+  static #clearStorage() {
+    try {
+      localStorage.removeItem(SavedForLater.storageKey);
+    } catch (e) {
+      // storage is disabled, there is nothing to clear
+    }
+  }
+
+  static #save(items) {
+    SavedForLater.#items = items;
+    publish(PUB_SUB_EVENTS.savedForLaterUpdate, items);
+    return SavedForLater.#persist(items).catch((e) => {
+      console.error(e);
+      // the line is already out of the cart: keep the list in the browser until the endpoint takes it
+      SavedForLater.#writeStorage(items);
+      publish(PUB_SUB_EVENTS.savedForLaterError, { source: SavedForLater.source, items });
+    });
+  }
+
+  static #persist(items) {
+    if (!SavedForLater.#isRemote) {
+      SavedForLater.#writeStorage(items);
+      return Promise.resolve();
+    }
+
+    return fetch(window.savedForLater.url, { ...fetchConfig(), body: JSON.stringify({ items }) }).then((response) => {
+      if (!response.ok) throw new Error(`Saving the saved for later list failed with ${response.status}`);
+      // the account has the whole list now, including what an earlier failure left in the browser
+      SavedForLater.#clearStorage();
+    });
+  }
+}
+
+if (!customElements.get('cart-save-for-later-button')) {
+  customElements.define(
+    'cart-save-for-later-button',
+    class CartSaveForLaterButton extends HTMLElement {
+      constructor() {
+        super();
+
+        this.addEventListener('click', (event) => {
+          event.preventDefault();
+          const line = CartStore.cart?.items[parseInt(this.dataset.index) - 1];
+          if (!line) return;
+
+          const quantityRule = {
+            min: parseInt(this.dataset.quantityMin) || 1,
+            max: parseInt(this.dataset.quantityMax) || null,
+            increment: parseInt(this.dataset.quantityIncrement) || 1,
+          };
+          const cartItems = this.closest('cart-items') || this.closest('cart-drawer-items');
+          // saved once the line is out of the cart, so a failed removal doesn't leave it in both
+          cartItems.updateQuantity(this.dataset.index, 0, event).then((removed) => {
+            if (removed) SavedForLater.add(line, quantityRule);
+          });
+        });
+      }
+    }
+  );
+}
+
+if (!customElements.get('saved-for-later')) {
+  customElements.define(
+    'saved-for-later',
+    class SavedForLaterList extends HTMLElement {
+      constructor() {
+        super();
+
+        this.list = this.querySelector('.saved-for-later__list');
+        this.status = this.querySelector('.saved-for-later__status');
+        this.message = this.querySelector('.saved-for-later__message');
+        this.addEventListener('click', this.onClick.bind(this));
+      }
+
+      connectedCallback() {
+        this.unsubscribe = SavedForLater.subscribe((items) => this.render(items));
+        this.unsubscribeError = subscribe(PUB_SUB_EVENTS.savedForLaterError, () => {
+          this.message.textContent = window.savedForLaterStrings.saveError;
+        });
+      }
+
+      disconnectedCallback() {
+        if (this.unsubscribe) this.unsubscribe();
+        if (this.unsubscribeError) this.unsubscribeError();
+      }
+
+      onClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const row = button.closest('[data-variant-id]');
+        const variantId = Number(row.dataset.variantId);
+        const title = row.dataset.title;
+
+        if (button.dataset.action === 'remove') {
+          SavedForLater.remove(variantId);
+          return;
+        }
+
+        button.setAttribute('aria-disabled', true);
+        button.classList.add('loading');
+        SavedForLater.moveToCart(variantId)
+          .then((response) => {
+            if (response?.status) {
+              row.querySelector('.saved-for-later__error').textContent = response.description || response.message;
+            } else if (response) {
+              this.status.textContent = window.savedForLaterStrings.moved.replace('[title]', title);
+            }
+          })
+          .catch((e) => {
+            console.error(e);
+            row.querySelector('.saved-for-later__error').textContent = window.cartStrings.error;
+          })
+          .finally(() => {
+            button.removeAttribute('aria-disabled');
+            button.classList.remove('loading');
+          });
+      }
+
+      render(items) {
+        this.hidden = !items.length;
+        this.message.textContent = '';
+        this.list.replaceChildren(...items.map((item) => this.renderItem(item)));
+      }
+
+      renderItem(item) {
+        const row = document.createElement('li');
+        row.classList.add('saved-for-later__item');
+        row.dataset.variantId = item.variantId;
+        row.dataset.title = item.title;
+
+        const link = document.createElement('a');
+        link.href = item.url;
+        link.classList.add('saved-for-later__media');
+        link.tabIndex = -1;
+        link.setAttribute('aria-hidden', true);
+        if (item.image) {
+          const image = document.createElement('img');
+          image.src = `${item.image}${item.image.includes('?') ? '&' : '?'}width=240`;
+          image.alt = '';
+          image.loading = 'lazy';
+          image.width = 120;
+          link.append(image);
+        }
+
+        const details = document.createElement('div');
+        details.classList.add('saved-for-later__details');
+
+        const title = document.createElement('a');
+        title.href = item.url;
+        title.classList.add('saved-for-later__title', 'link');
+        title.textContent = item.title;
+        details.append(title);
+
+        if (item.variantTitle) {
+          const variant = document.createElement('p');
+          variant.classList.add('product-option');
+          variant.textContent = item.variantTitle;
+          details.append(variant);
+        }
+
+        const actions = document.createElement('div');
+        actions.classList.add('saved-for-later__actions');
+        actions.append(
+          this.renderButton('move', window.savedForLaterStrings.moveToCart, 'button button--secondary button--small'),
+          this.renderButton('remove', window.savedForLaterStrings.remove, 'link link--text')
+        );
+
+        const error = document.createElement('small');
+        error.classList.add('saved-for-later__error');
+        error.setAttribute('role', 'alert');
+
+        details.append(actions, error);
+        row.append(link, details);
+        return row;
+      }
+
+      renderButton(action, label, className) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.dataset.action = action;
+        button.textContent = label;
+        return button;
+      }
+    }
+  );
+}
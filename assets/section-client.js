@@ -0,0 +1,177 @@
+/*
+ * Client for the Section Rendering API.
+ *
+ * `SectionClient.fetch(sectionId, { url })` resolves with the section's HTML as rendered for `url`:
+ * - sections asked for the same URL in the same task are batched into one `?sections=` request (five at most,
+ *   the API's limit), a lone section uses `?section_id=`
+ * - a section already on its way is shared instead of requested again
+ * - responses are kept in a small LRU cache for `SectionClient.ttl` ms, cleared whenever the cart changes since
+ *   sections render cart state; pass `cache: false` for sections that must be fresh
+ * - each caller can pass its own AbortSignal, the request itself is only aborted once every caller sharing it has
+ *
+ * Failed requests (network errors, non-2xx responses, unknown sections) reject and are never cached.
+ */
+class SectionClient {
+  static maxEntries = 30;
+  static ttl = 60 * 1000;
+  static #batchLimit = 5;
+  static #cache = new Map();
+  static #inFlight = new Map();
+  static #batches = new Map();
+
+  static fetch(sectionId, { url = window.location.pathname + window.location.search, signal, cache = true } = {}) {
+    const requestUrl = SectionClient.#normalizeUrl(url);
+    const key = `${requestUrl}#${sectionId}`;
+
+    if (cache) {
+      const html = SectionClient.#readCache(key);
+      if (html !== undefined) return Promise.resolve(html);
+    }
+
+    const request = SectionClient.#inFlight.get(key) ?? SectionClient.#queue(requestUrl, sectionId, key, cache);
+    return SectionClient.#follow(request, signal);
+  }
+
+  // Resolves with a `{ [sectionId]: html }` map
+  static fetchAll(sectionIds, options = {}) {
+    return Promise.all(sectionIds.map((sectionId) => SectionClient.fetch(sectionId, options))).then((sections) =>
+      Object.fromEntries(sectionIds.map((sectionId, index) => [sectionId, sections[index]]))
+    );
+  }
+
+  static clearCache() {
+    SectionClient.#cache.clear();
+  }
+
+  static parse(html) {
+    return new DOMParser().parseFromString(html, 'text/html');
+  }
+
+  static parseElement(html, selector) {
+    return SectionClient.parse(html).querySelector(selector);
+  }
+
+  // Section ids and URLs are kept apart, so the same page asked for with `section_id` or `sections` is one entry
+  static #normalizeUrl(url) {
+    const { pathname, searchParams } = new URL(url, window.location.origin);
+    searchParams.delete('section_id');
+    searchParams.delete('sections');
+    const search = searchParams.toString();
+    return search ? `${pathname}?${search}` : pathname;
+  }
+
+  static #readCache(key) {
+    const entry = SectionClient.#cache.get(key);
+    if (!entry) return undefined;
+
+    SectionClient.#cache.delete(key);
+    if (entry.expires < Date.now()) return undefined;
+
+    SectionClient.#cache.set(key, entry);
+    return entry.html;
+  }
+
+  static #writeCache(key, html) {
+    SectionClient.#cache.delete(key);
+    SectionClient.#cache.set(key, { html, expires: Date.now() + SectionClient.ttl });
+    while (SectionClient.#cache.size > SectionClient.maxEntries) {
+      SectionClient.#cache.delete(SectionClient.#cache.keys().next().value);
+    }
+  }
+
+  static #queue(url, sectionId, key, cache) {
+    let batch = SectionClient.#batches.get(url);
+    if (!batch) {
+      batch = new Map();
+      SectionClient.#batches.set(url, batch);
+      setTimeout(() => SectionClient.#send(url));
+    }
+
+    const request = { key, cache, callers: 0, controller: null };
+    request.promise = new Promise((resolve, reject) => Object.assign(request, { resolve, reject }));
+    batch.set(sectionId, request);
+    SectionClient.#inFlight.set(key, request);
+    return request;
+  }
+
+  static #send(url) {
+    const batch = SectionClient.#batches.get(url);
+    SectionClient.#batches.delete(url);
+
+    // Sections every caller gave up on before the batch went out aren't asked for
+    const entries = Array.from(batch).filter(([, request]) => {
+      if (request.callers === 0) SectionClient.#forget(request);
+      return request.callers > 0;
+    });
+    for (let start = 0; start < entries.length; start += SectionClient.#batchLimit) {
+      SectionClient.#request(url, entries.slice(start, start + SectionClient.#batchLimit));
+    }
+  }
+
+  static #request(url, entries) {
+    const controller = new AbortController();
+    entries.forEach(([, request]) => Object.assign(request, { controller, siblings: entries }));
+
+    const separator = url.includes('?') ? '&' : '?';
+    const sectionIds = entries.map(([sectionId]) => sectionId);
+    const isBatch = sectionIds.length > 1;
+    const requestUrl = `${url}${separator}${isBatch ? 'sections' : 'section_id'}=${sectionIds.join(',')}`;
+
+    fetch(requestUrl, { signal: controller.signal })
+      .then((response) => {
+        if (!response.ok) throw new Error(`Sections ${sectionIds.join(', ')} of ${url}: HTTP ${response.status}`);
+        return isBatch ? response.json() : response.text().then((html) => ({ [sectionIds[0]]: html }));
+      })
+      .then((sections) => {
+        entries.forEach(([sectionId, request]) => {
+          SectionClient.#forget(request);
+          const html = sections[sectionId];
+          if (typeof html !== 'string') {
+            request.reject(new Error(`Section ${sectionId} of ${url} not found`));
+            return;
+          }
+          if (request.cache) SectionClient.#writeCache(request.key, html);
+          request.resolve(html);
+        });
+      })
+      .catch((error) => {
+        entries.forEach(([, request]) => {
+          SectionClient.#forget(request);
+          request.reject(error);
+        });
+      });
+  }
+
+  static #follow(request, signal) {
+    if (signal?.aborted) return Promise.reject(signal.reason);
+
+    request.callers++;
+    if (!signal) return request.promise;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(signal.reason);
+        SectionClient.#release(request);
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      request.promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  static #release(request) {
+    request.callers--;
+    if (!request.controller) return;
+    if (request.siblings.some(([, sibling]) => sibling.callers > 0)) return;
+
+    request.siblings.forEach(([, sibling]) => SectionClient.#forget(sibling));
+    request.controller.abort();
+  }
+
+  // A request for the same section may have been queued since this one was given up on
+  static #forget(request) {
+    if (SectionClient.#inFlight.get(request.key) === request) SectionClient.#inFlight.delete(request.key);
+  }
+}
+
+subscribe(PUB_SUB_EVENTS.cartUpdate, () => SectionClient.clearCache());
+subscribe(PUB_SUB_EVENTS.cartStateChange, () => SectionClient.clearCache());
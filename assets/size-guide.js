@@ -0,0 +1,213 @@
+/**
+ * `<size-guide>` (snippets/size-guide.liquid): the size guide modal of the product page. The size table comes from
+ * the `custom.size_chart` metafield of the product or one of its collections, and shows the sizes in the EU, US or
+ * UK system with measurements in cm or inches; the shopper's choice is kept in localStorage for every guide.
+ *
+ * The fit finder recommends a size from a height, weight and usual size, and picks it in the section's
+ * `<variant-selects>` the way a shopper would, so the variant renders and `optionValueSelectionChange` is published
+ * as usual.
+ */
+if (!customElements.get('size-guide')) {
+  customElements.define(
+    'size-guide',
+    class SizeGuide extends ModalDialog {
+      static preferenceKey = 'theme-size-guide';
+      static systems = ['eu', 'us', 'uk'];
+      static units = ['cm', 'in'];
+      static cmPerInch = 2.54;
+      static lbPerKg = 2.20462;
+
+      constructor() {
+        super();
+
+        this.chart = JSON.parse(this.querySelector('script[type="application/json"]').textContent);
+        this.table = this.querySelector('.size-guide__table');
+        this.fitFinder = this.querySelector('.size-guide__fit-finder');
+        this.result = this.querySelector('.size-guide__result');
+        this.preference = { ...SizeGuide.defaultPreference, ...SizeGuide.savedPreference };
+
+        this.querySelectorAll('.size-guide__options input').forEach((input) => {
+          input.checked = this.preference[input.name] === input.value;
+        });
+        this.querySelector('.size-guide__options').addEventListener('change', ({ target }) => {
+          this.setPreference({ [target.name]: target.value });
+        });
+        this.fitFinder.addEventListener('submit', this.onFitFinderSubmit.bind(this));
+
+        this.render();
+      }
+
+      static get defaultPreference() {
+        return { system: 'eu', unit: 'cm' };
+      }
+
+      static get savedPreference() {
+        try {
+          const { system, unit } = JSON.parse(localStorage.getItem(SizeGuide.preferenceKey)) || {};
+          return {
+            ...(SizeGuide.systems.includes(system) && { system }),
+            ...(SizeGuide.units.includes(unit) && { unit }),
+          };
+        } catch (e) {
+          return {};
+        }
+      }
+
+      setPreference(preference) {
+        this.preference = { ...this.preference, ...preference };
+        try {
+          localStorage.setItem(SizeGuide.preferenceKey, JSON.stringify(this.preference));
+        } catch (e) {
+          // storage is full or disabled, the choice lasts until the page is left
+        }
+        this.render();
+      }
+
+      // How many of the shown unit make one of the chart's: lengths are cm or inches, weights kg or lb along with them
+      get factors() {
+        if ((this.chart.unit === 'in' ? 'in' : 'cm') === this.preference.unit) return { length: 1, weight: 1 };
+        return this.preference.unit === 'in'
+          ? { length: 1 / SizeGuide.cmPerInch, weight: SizeGuide.lbPerKg }
+          : { length: SizeGuide.cmPerInch, weight: 1 / SizeGuide.lbPerKg };
+      }
+
+      // Rounded to the half, as the ranges of converted charts are read
+      convertLength(value) {
+        return Math.round(value * this.factors.length * 2) / 2;
+      }
+
+      formatRange(range) {
+        if (!Array.isArray(range)) return '';
+        const [min, max] = range.map((value) => this.convertLength(value));
+        return min === max ? String(min) : `${min}–${max}`;
+      }
+
+      systemSize(size) {
+        return size[this.preference.system] ?? size.size;
+      }
+
+      render() {
+        const { system, unit } = this.preference;
+        const { measurements = [], sizes = [] } = this.chart;
+        const systemLabel = this.dataset[`${system}Label`];
+        const unitLabel = this.dataset[`${unit}Label`];
+
+        const headings = [this.dataset.sizeLabel, systemLabel, ...measurements.map(({ label }) => label)];
+        const head = document.createElement('tr');
+        head.append(
+          ...headings.map((heading) => {
+            const cell = document.createElement('th');
+            cell.scope = 'col';
+            cell.textContent = heading;
+            return cell;
+          })
+        );
+
+        const rows = sizes.map((size) => {
+          const row = document.createElement('tr');
+          const heading = document.createElement('th');
+          heading.scope = 'row';
+          heading.textContent = size.size;
+          const cells = [this.systemSize(size), ...measurements.map(({ key }) => this.formatRange(size[key]))].map(
+            (value) => {
+              const cell = document.createElement('td');
+              cell.textContent = value;
+              return cell;
+            }
+          );
+          row.append(heading, ...cells);
+          return row;
+        });
+
+        this.table.tHead.replaceChildren(head);
+        this.table.tBodies[0].replaceChildren(...rows);
+        this.table.caption.textContent = this.dataset.captionLabel.replace('[unit]', unitLabel);
+
+        this.querySelectorAll('[data-label-cm]').forEach((label) => {
+          label.textContent = label.dataset[unit === 'cm' ? 'labelCm' : 'labelIn'];
+          this.querySelector(`#${label.htmlFor}`).placeholder = label.textContent;
+        });
+        this.fitFinder.querySelectorAll('select[name="usual_size"] option[value]:not([value=""])').forEach((option) => {
+          option.textContent = `${this.systemSize(sizes[Number(option.value)])} (${systemLabel})`;
+        });
+      }
+
+      /**
+       * The size whose height and weight ranges fit best: each measurement outside a size's range counts for how far
+       * out it is, in widths of that range. The usual size counts half a range per size away from it, so it settles
+       * close calls and is the answer when no height or weight is given.
+       */
+      recommend({ height, weight, usualSize }) {
+        const { sizes = [] } = this.chart;
+        const { length, weight: weightFactor } = this.factors;
+        const miss = (range, value) => {
+          if (value === null || !Array.isArray(range)) return 0;
+          const [min, max] = range;
+          const width = max - min || 1;
+          if (value < min) return (min - value) / width;
+          if (value > max) return (value - max) / width;
+          return 0;
+        };
+
+        const measured = { height: height && height / length, weight: weight && weight / weightFactor };
+        if (measured.height === null && measured.weight === null && usualSize === null) return null;
+
+        const scores = sizes.map(
+          (size, index) =>
+            miss(size.height, measured.height) +
+            miss(size.weight, measured.weight) +
+            (usualSize === null ? 0 : Math.abs(index - usualSize) / 2)
+        );
+        const best = scores.indexOf(Math.min(...scores));
+        return sizes[best];
+      }
+
+      onFitFinderSubmit(event) {
+        event.preventDefault();
+
+        const formData = new FormData(this.fitFinder);
+        const number = (name) => Number(formData.get(name)) || null;
+        const usualSize = formData.get('usual_size');
+        const size = this.recommend({
+          height: number('height'),
+          weight: number('weight'),
+          usualSize: usualSize === '' || usualSize === null ? null : Number(usualSize),
+        });
+
+        this.result.hidden = false;
+        if (!size) {
+          this.result.textContent = this.dataset.noResultLabel;
+          return;
+        }
+
+        const selected = this.selectSize(size.size);
+        this.result.textContent = (selected ? this.dataset.selectedLabel : this.dataset.recommendedLabel).replace(
+          '[size]',
+          size.size
+        );
+      }
+
+      // Picks the size in the section's variant picker, which then renders the variant as if it was picked there
+      selectSize(value) {
+        const variantSelects = document.getElementById(`variant-selects-${this.dataset.section}`);
+        const { optionName, optionPosition } = this.dataset;
+        if (!variantSelects || !optionName) return false;
+
+        const fields = Array.from(variantSelects.querySelectorAll('select, input[type="radio"]'));
+        const select = fields.find(({ name }) => name === `options[${optionName}]`);
+        const input = select
+          ? Array.from(select.options).find((option) => option.value === value)
+          : fields.find((field) => field.name === `${optionName}-${optionPosition}` && field.value === value);
+        if (!input) return false;
+
+        if (select) {
+          select.value = value;
+        } else {
+          input.checked = true;
+        }
+        (select || input).dispatchEvent(new Event('change', { bubbles: true }));
+        return true;
+      }
+    }
+  );
+}
@@ -0,0 +1,156 @@
+/**
+ * `<sticky-add-to-cart>` (snippets/sticky-add-to-cart.liquid): the bar that keeps the main buy button at hand once
+ * it's scrolled past. It submits the main product form, so adding goes through `ProductForm.onSubmitHandler` like
+ * a click on the main button, and mirrors that form's button and errors, whatever changes them. The compact picker
+ * picks option values in the main `<variant-selects>`.
+ */
+if (!customElements.get('sticky-add-to-cart')) {
+  customElements.define(
+    'sticky-add-to-cart',
+    class StickyAddToCart extends HTMLElement {
+      constructor() {
+        super();
+
+        this.button = this.querySelector('.sticky-add-to-cart__button');
+        this.buttonText = this.button.querySelector('span');
+        this.spinner = this.button.querySelector('.loading__spinner');
+        this.price = this.querySelector('.sticky-add-to-cart__price');
+        this.picker = this.querySelector('.sticky-add-to-cart__picker');
+        this.pickerToggle = this.querySelector('.sticky-add-to-cart__variant');
+        this.errorMessageWrapper = this.querySelector('.sticky-add-to-cart__error');
+
+        this.button.addEventListener('click', this.onButtonClick.bind(this));
+        this.pickerToggle?.addEventListener('click', () => this.togglePicker());
+        this.picker?.addEventListener('change', this.onPickerChange.bind(this));
+      }
+
+      variantChangeUnsubscriber = undefined;
+      optionValueSelectionChangeUnsubscriber = undefined;
+
+      connectedCallback() {
+        this.productForm = document.getElementById(this.dataset.productForm)?.closest('product-form');
+        if (!this.productForm) return;
+
+        // Shown once the buy buttons are scrolled past, not while they're still further down the page
+        this.intersectionObserver = new IntersectionObserver(([entry]) => {
+          this.setVisible(!entry.isIntersecting && entry.boundingClientRect.bottom < 0);
+        });
+        this.intersectionObserver.observe(this.productForm);
+
+        this.mutationObserver = new MutationObserver(() => this.update());
+        this.mutationObserver.observe(this.productForm, {
+          subtree: true,
+          childList: true,
+          characterData: true,
+          attributes: true,
+          attributeFilter: ['class', 'disabled', 'aria-disabled', 'hidden', 'value'],
+        });
+        this.update();
+
+        this.variantChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.variantChange, ({ data }) => {
+          if (data.sectionId !== this.dataset.section) return;
+
+          const price = data.html.getElementById(`StickyAddToCartPrice-${data.sectionId}`);
+          if (price) HTMLUpdateUtility.morph(this.price, price, { childrenOnly: true });
+          if (this.pickerToggle) this.pickerToggle.textContent = data.variant.title;
+        });
+
+        this.optionValueSelectionChangeUnsubscriber = subscribe(
+          PUB_SUB_EVENTS.optionValueSelectionChange,
+          ({ data }) => {
+            if (!this.variantSelects?.contains(data.target)) return;
+            this.updatePicker(data.selectedOptionValues);
+          }
+        );
+      }
+
+      disconnectedCallback() {
+        this.intersectionObserver?.disconnect();
+        this.mutationObserver?.disconnect();
+        this.variantChangeUnsubscriber?.();
+        this.optionValueSelectionChangeUnsubscriber?.();
+      }
+
+      // The option values picked don't make a variant, so there's nothing to add until another is picked
+      get selectionIncomplete() {
+        return Boolean(this.picker) && !this.productForm.variantIdInput.value;
+      }
+
+      get variantSelects() {
+        return document.getElementById(`variant-selects-${this.dataset.section}`);
+      }
+
+      setVisible(visible) {
+        this.classList.toggle('sticky-add-to-cart--visible', visible);
+        this.setAttribute('aria-hidden', !visible);
+        this.toggleAttribute('inert', !visible);
+        if (!visible && this.picker) this.togglePicker(false);
+      }
+
+      togglePicker(open = this.picker.hidden) {
+        this.picker.hidden = !open;
+        this.pickerToggle.setAttribute('aria-expanded', open);
+        if (open) this.picker.querySelector('select').focus();
+      }
+
+      onButtonClick() {
+        if (this.selectionIncomplete) {
+          this.togglePicker(true);
+          return;
+        }
+
+        if (this.picker) this.togglePicker(false);
+        this.productForm.form.requestSubmit();
+      }
+
+      // Picks the same value in the main picker, which then renders the variant as if it was picked there
+      onPickerChange({ target }) {
+        const { optionValueId } = target.selectedOptions[0].dataset;
+        const input = this.variantSelects?.querySelector(`[data-option-value-id="${optionValueId}"]`);
+        if (!input) return;
+
+        const select = input.closest('select');
+        if (select) {
+          select.value = input.value;
+        } else {
+          input.checked = true;
+        }
+        (select || input).dispatchEvent(new Event('change', { bubbles: true }));
+      }
+
+      updatePicker(selectedOptionValues) {
+        this.picker?.querySelectorAll('select').forEach((select) => {
+          const option = Array.from(select.options).find(({ dataset }) =>
+            selectedOptionValues.includes(dataset.optionValueId)
+          );
+          if (option) select.value = option.value;
+        });
+      }
+
+      // Mirrors the main button's state and label and the main form's error
+      update() {
+        const { submitButton, submitButtonText } = this.productForm;
+
+        if (this.selectionIncomplete) {
+          this.button.removeAttribute('disabled');
+          this.buttonText.textContent = window.variantStrings.chooseOptions;
+          this.pickerToggle.textContent = window.variantStrings.chooseOptions;
+        } else {
+          this.button.toggleAttribute('disabled', submitButton.hasAttribute('disabled'));
+          const label = submitButton.querySelector('.sold-out-message:not(.hidden)') || submitButtonText;
+          this.buttonText.textContent = label.textContent.trim();
+        }
+        submitButton.getAttribute('aria-disabled') === 'true'
+          ? this.button.setAttribute('aria-disabled', true)
+          : this.button.removeAttribute('aria-disabled');
+        this.button.classList.toggle('loading', submitButton.classList.contains('loading'));
+        this.spinner?.classList.toggle('hidden', !submitButton.classList.contains('loading'));
+
+        const errorMessageWrapper = this.productForm.querySelector('.product-form__error-message-wrapper');
+        this.errorMessageWrapper.hidden = !errorMessageWrapper || errorMessageWrapper.hidden;
+        this.errorMessageWrapper.querySelector('.sticky-add-to-cart__error-message').textContent =
+          errorMessageWrapper?.querySelector('.product-form__error-message').textContent ?? '';
+      }
+    }
+  );
+}
@@ -0,0 +1,109 @@
+/*
+ * Theme events
+ *
+ * Every pubsub publish listed in THEME_EVENTS is re-dispatched as a CustomEvent on `document`, so apps embedded
+ * in the theme can follow the cart and the variant picker without access to the pubsub subscribers.
+ *
+ *   theme:cart:updated             detail: { source, cart, item }
+ *                                  `cart` is the /cart.js JSON, `item` is the line returned by /cart/add.js (adds only)
+ *   theme:cart:error               detail: { source, variantId, errors, message }
+ *   theme:quantity:updated         detail: {}
+ *   theme:variant:option-selected  detail: { selectedOptionValues }
+ *   theme:variant:changed          detail: { sectionId, variant }
+ *
+ * External scripts can dispatch the events in THEME_COMMANDS on `document`:
+ *
+ *   theme:cart:refresh  reads the cart again, re-renders the cart bubble and publishes PUB_SUB_EVENTS.cartUpdate,
+ *                       on which the cart page and cart drawer items re-render themselves (CartItems.onCartUpdate)
+ *   theme:cart:open     opens the cart drawer, or navigates to the cart page when the drawer is disabled
+ *
+ * e.g.
+ *   document.addEventListener('theme:cart:updated', (event) => console.log(event.detail.cart.item_count));
+ *   document.dispatchEvent(new CustomEvent('theme:cart:refresh'));
+ */
+class ThemeEvents {
+  static source = 'theme-events';
+
+  static init() {
+    Object.keys(THEME_EVENTS).forEach((eventName) => {
+      subscribe(eventName, (data) => {
+        // not returned on purpose: publishers shouldn't wait on third-party listeners
+        ThemeEvents.dispatch(eventName, data);
+      });
+    });
+
+    document.addEventListener(THEME_COMMANDS.cartRefresh, () => ThemeEvents.refreshCart());
+    document.addEventListener(THEME_COMMANDS.cartOpen, () => ThemeEvents.openCart());
+  }
+
+  static dispatch(eventName, data) {
+    return Promise.resolve(ThemeEvents.getDetail(eventName, data))
+      .then((detail) => document.dispatchEvent(new CustomEvent(THEME_EVENTS[eventName], { detail })))
+      .catch((e) => console.error(e));
+  }
+
+  static getDetail(eventName, data = {}) {
+    switch (eventName) {
+      case PUB_SUB_EVENTS.cartUpdate:
+        return ThemeEvents.getCartDetail(data);
+      case PUB_SUB_EVENTS.cartError:
+        return {
+          source: data.source,
+          variantId: data.productVariantId,
+          errors: data.errors,
+          message: data.message,
+        };
+      case PUB_SUB_EVENTS.optionValueSelectionChange:
+        return { selectedOptionValues: data.data?.selectedOptionValues ?? [] };
+      case PUB_SUB_EVENTS.variantChange:
+        return { sectionId: data.data?.sectionId, variant: data.data?.variant ?? null };
+      default:
+        return {};
+    }
+  }
+
+  // /cart/change.js and /cart/update.js answer with the cart, /cart/add.js only with the added line
+  static getCartDetail({ source, cartData }) {
+    const { sections, ...payload } = cartData || {};
+
+    if (Array.isArray(payload.items)) return { source, cart: payload, item: null };
+
+    return CartStore.refresh().then((cart) => ({ source, cart, item: cartData ? payload : null }));
+  }
+
+  static refreshCart() {
+    return CartStore.refresh()
+      .then((cart) => {
+        document.querySelector('cart-drawer')?.classList.toggle('is-empty', cart.item_count === 0);
+        ThemeEvents.renderCartIconBubble();
+        return publish(PUB_SUB_EVENTS.cartUpdate, { source: ThemeEvents.source, cartData: cart });
+      })
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+
+  static renderCartIconBubble() {
+    const cartIconBubble = document.getElementById('cart-icon-bubble');
+    if (!cartIconBubble) return;
+
+    return fetch(`${routes.cart_url}?section_id=cart-icon-bubble`)
+      .then((response) => response.text())
+      .then((responseText) => {
+        const html = new DOMParser().parseFromString(responseText, 'text/html');
+        const source = html.querySelector('.shopify-section');
+        if (source) cartIconBubble.innerHTML = source.innerHTML;
+      });
+  }
+
+  static openCart() {
+    const cartDrawer = document.querySelector('cart-drawer');
+    if (cartDrawer) {
+      cartDrawer.open();
+    } else {
+      window.location = routes.cart_url;
+    }
+  }
+}
+
+ThemeEvents.init();
@@ -115,19 +115,10 @@
   function setCartAttribute() {
     if (!hasAffiliateReferral()) return;
 
-    fetch('/cart/update.js', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Accept: 'application/json',
-      },
-      credentials: 'same-origin',
-      body: (function () {
-        var attrs = {};
-        attrs[ATTRIBUTE_KEY] = ATTRIBUTE_VALUE;
-        return JSON.stringify({ attributes: attrs });
-      })(),
-    })
+    var attributes = {};
+    attributes[ATTRIBUTE_KEY] = ATTRIBUTE_VALUE;
+
+    CartStore.updateAttributes(attributes)
       .then(function () {
         sessionStorage.setItem(SESSION_FLAG, '1');
       })
@@ -137,5 +128,6 @@
   }
 
   startBlocking();
-  setCartAttribute();
+  // This script runs before the deferred ones, CartStore (cart-store.js) is there once the document is parsed
+  document.addEventListener('DOMContentLoaded', setCartAttribute);
 })();
@@ -0,0 +1,218 @@
+/*
+ * Wishlist
+ *
+ * Guests' wishlists are kept in localStorage. For logged-in customers the wishlist comes from the `theme.wishlist`
+ * customer metafield and changes are sent to `window.wishlist.url`, an endpoint (e.g. an app proxy) that writes the
+ * metafield. customer.js merges a guest wishlist into the account after login. Without an endpoint, every wishlist
+ * stays in the browser.
+ *
+ * Every change is published as PUB_SUB_EVENTS.wishlistUpdate with the list of `{ id, handle, addedAt }`. A change the
+ * endpoint doesn't save is taken back and published again.
+ */
+class Wishlist {
+  static storageKey = 'theme-wishlist';
+  static #items = null;
+
+  static get items() {
+    if (!Wishlist.#items) Wishlist.#items = Wishlist.#load();
+    return Wishlist.#items;
+  }
+
+  static subscribe(callback) {
+    callback(Wishlist.items);
+    return subscribe(PUB_SUB_EVENTS.wishlistUpdate, callback);
+  }
+
+  static has(productId) {
+    return Wishlist.items.some((item) => item.id === productId);
+  }
+
+  static add({ id, handle }) {
+    if (Wishlist.has(id)) return Promise.resolve();
+    return Wishlist.#save([{ id, handle, addedAt: Date.now() }, ...Wishlist.items]);
+  }
+
+  static remove(productId) {
+    return Wishlist.#save(Wishlist.items.filter((item) => item.id !== productId));
+  }
+
+  static toggle(product) {
+    return Wishlist.has(product.id) ? Wishlist.remove(product.id) : Wishlist.add(product);
+  }
+
+  // Adds items kept elsewhere (e.g. a guest wishlist) without duplicating products already in the list
+  static merge(items) {
+    const newItems = items.filter((item) => !Wishlist.has(item.id));
+    if (!newItems.length) return Promise.resolve();
+    return Wishlist.#save([...newItems, ...Wishlist.items], { throwOnError: true });
+  }
+
+  static getGuestItems() {
+    try {
+      return JSON.parse(localStorage.getItem(Wishlist.storageKey)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  static clearGuestItems() {
+    try {
+      localStorage.removeItem(Wishlist.storageKey);
+    } catch (e) {
+      // storage is disabled, there is nothing to clear
+    }
+  }
+
+  static get isRemote() {
+    return !!(window.wishlist?.loggedIn && window.wishlist.url);
+  }
+
+  static getShareUrl(pageUrl) {
+    const url = new URL(pageUrl, window.location.origin);
+    url.search = '';
+    url.searchParams.set('items', Wishlist.items.map((item) => item.handle).join(','));
+    return url.toString();
+  }
+
+  static #load() {
+    if (!Wishlist.isRemote) return Wishlist.getGuestItems();
+    return Array.isArray(window.wishlist.customerItems) ? window.wishlist.customerItems : [];
+  }
+
+  static #save(items, { throwOnError = false } = {}) {
+    const previousItems = Wishlist.items;
+    Wishlist.#items = items;
+    publish(PUB_SUB_EVENTS.wishlistUpdate, items);
+    return Wishlist.#persist(items).catch((e) => {
+      console.error(e);
+      // unless the wishlist changed again since
+      if (Wishlist.#items === items) {
+        Wishlist.#items = previousItems;
+        publish(PUB_SUB_EVENTS.wishlistUpdate, previousItems);
+      }
+      if (throwOnError) throw e;
+    });
+  }
+
+  static #persist(items) {
+    if (!Wishlist.isRemote) {
+      try {
+        localStorage.setItem(Wishlist.storageKey, JSON.stringify(items));
+      } catch (e) {
+        // storage is full or disabled, the wishlist lasts until the page is left
+      }
+      return Promise.resolve();
+    }
+
+    return fetch(window.wishlist.url, { ...fetchConfig(), body: JSON.stringify({ items }) }).then((response) => {
+      if (!response.ok) throw new Error(`Saving the wishlist failed with ${response.status}`);
+    });
+  }
+}
+
+if (!customElements.get('wishlist-button')) {
+  customElements.define(
+    'wishlist-button',
+    class WishlistButton extends HTMLElement {
+      constructor() {
+        super();
+
+        this.button = this.querySelector('button');
+        this.product = { id: Number(this.dataset.productId), handle: this.dataset.productHandle };
+        this.button.addEventListener('click', (event) => {
+          event.preventDefault();
+          Wishlist.toggle(this.product);
+        });
+      }
+
+      connectedCallback() {
+        this.unsubscribe = Wishlist.subscribe(() => {
+          this.button.setAttribute('aria-pressed', Wishlist.has(this.product.id));
+        });
+      }
+
+      disconnectedCallback() {
+        if (this.unsubscribe) this.unsubscribe();
+      }
+    }
+  );
+}
+
+if (!customElements.get('wishlist-count')) {
+  customElements.define(
+    'wishlist-count',
+    class WishlistCount extends HTMLElement {
+      connectedCallback() {
+        this.unsubscribe = Wishlist.subscribe((items) => this.render(items.length));
+      }
+
+      disconnectedCallback() {
+        if (this.unsubscribe) this.unsubscribe();
+      }
+
+      render(count) {
+        this.hidden = count === 0;
+        this.querySelector('[aria-hidden]').textContent = count < 100 ? count : '';
+        this.querySelector('.visually-hidden').textContent = (
+          count === 1 ? window.wishlistStrings.countOne : window.wishlistStrings.countOther
+        ).replace('[count]', count);
+      }
+    }
+  );
+}
+
+if (!customElements.get('wishlist-items')) {
+  customElements.define(
+    'wishlist-items',
+    class WishlistItems extends HTMLElement {
+      constructor() {
+        super();
+
+        this.grid = this.querySelector('.wishlist__grid');
+        this.emptyMessage = this.querySelector('.wishlist__empty');
+        this.shareButton = this.querySelector('share-button');
+
+        const sharedHandles = new URLSearchParams(window.location.search).get('items');
+        this.sharedHandles = sharedHandles ? sharedHandles.split(',').filter(Boolean) : null;
+      }
+
+      connectedCallback() {
+        if (this.sharedHandles) {
+          this.classList.add('wishlist--shared');
+          this.render(this.sharedHandles);
+          return;
+        }
+
+        this.unsubscribe = Wishlist.subscribe((items) => {
+          this.render(items.map((item) => item.handle));
+          this.updateShareButton(items);
+        });
+      }
+
+      disconnectedCallback() {
+        if (this.unsubscribe) this.unsubscribe();
+      }
+
+      updateShareButton(items) {
+        if (!this.shareButton) return;
+
+        this.shareButton.hidden = !items.length;
+        // share.js is loaded by the share button's snippet, after this script
+        customElements.whenDefined('share-button').then(() => {
+          this.shareButton.updateUrl(Wishlist.getShareUrl(window.location.pathname));
+        });
+      }
+
+      render(handles) {
+        this.emptyMessage.hidden = handles.length > 0;
+        const renderId = (this.renderId = (this.renderId || 0) + 1);
+
+        return Promise.all(handles.map((handle) => ProductCard.fetch(handle).catch(() => null))).then((cards) => {
+          // the wishlist changed again while these cards were loading
+          if (renderId !== this.renderId) return;
+          this.grid.replaceChildren(...cards.filter(Boolean));
+        });
+      }
+    }
+  );
+}
@@ -1,19 +1,33 @@
 // @ts-check
 const { defineConfig, devices } = require('@playwright/test');
 
+const FIXTURE_PORT = Number(process.env.FIXTURE_PORT) || 9393;
+
 /**
  * Playwright configuration for Shopify theme testing.
- * Tests require SHOPIFY_PREVIEW_URL environment variable to be set.
+ * Tests run against SHOPIFY_PREVIEW_URL when it is set, otherwise against the offline fixture store in
+ * tests/fixtures, which Playwright starts on FIXTURE_PORT (9393). tests/unit is the jsdom suite run by
+ * `npm run test:unit`.
  */
 module.exports = defineConfig({
   testDir: './tests',
+  testIgnore: 'unit/**',
   forbidOnly: !!process.env.CI,
   reporter: process.env.CI ? 'list' : 'html',
   use: {
-    baseURL: process.env.SHOPIFY_PREVIEW_URL,
+    baseURL: process.env.SHOPIFY_PREVIEW_URL || `http://127.0.0.1:${FIXTURE_PORT}`,
     trace: 'on-first-retry',
   },
 
+  webServer: process.env.SHOPIFY_PREVIEW_URL
+    ? undefined
+    : {
+        command: 'node tests/fixtures/server.js',
+        url: `http://127.0.0.1:${FIXTURE_PORT}/cart.js`,
+        env: { PORT: String(FIXTURE_PORT) },
+        reuseExistingServer: !process.env.CI,
+      },
+
   projects: [
     {
       name: 'Desktop Chrome',
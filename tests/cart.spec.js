@@ -0,0 +1,114 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+/**
+ * Tests for the cart drawer and cart page.
+ *
+ * These tests verify that:
+ * 1. Adding to cart from the product page opens the drawer with the new line and updates the cart bubble
+ * 2. Changing a line quantity in the drawer re-renders the line and the total
+ * 3. Removing the last line empties the drawer
+ * 4. The cart page updates its lines and totals when a quantity changes
+ * 5. /cart/add.js refuses sold out variants with a 422
+ *
+ * Prerequisites:
+ * - Runs against the offline fixture store (tests/fixtures); skipped when SHOPIFY_PREVIEW_URL is set, as it
+ *   relies on the fixture catalog (variant ids, prices and availability)
+ */
+
+const PRODUCT_PATH = '/products/halter-top-with-open-back';
+const PRODUCT_SECTION_ID = 'template--fixture__main';
+
+// Halter Top with Open Back: Black / S (฿1,290.00) is in stock, Black / XS is sold out
+const AVAILABLE_VARIANT_ID = 100102;
+const SOLD_OUT_VARIANT_ID = 100101;
+
+test.skip(!!process.env.SHOPIFY_PREVIEW_URL, 'Relies on the fixture catalog');
+
+test.describe('Cart drawer', () => {
+  test.use({ viewport: { width: 1280, height: 720 } });
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto(PRODUCT_PATH);
+    await page.waitForLoadState('domcontentloaded');
+  });
+
+  test('should open with the added line after adding to cart', async ({ page }) => {
+    await page.locator(`#ProductSubmitButton-${PRODUCT_SECTION_ID}`).click();
+
+    const drawer = page.locator('cart-drawer');
+    await expect(drawer).toHaveClass(/active/, { timeout: 10000 });
+    await expect(drawer).not.toHaveClass(/is-empty/);
+
+    const line = page.locator('#CartDrawer-Item-1');
+    await expect(line).toBeVisible();
+    await expect(line.locator('.cart-item__name')).toHaveText('Halter Top with Open Back');
+    await expect(line.locator('.quantity__input')).toHaveValue('1');
+
+    await expect(page.locator('#cart-icon-bubble .cart-count-bubble span[aria-hidden="true"]')).toHaveText('1');
+  });
+
+  test('should update the line and total when the quantity changes', async ({ page }) => {
+    await page.locator(`#ProductSubmitButton-${PRODUCT_SECTION_ID}`).click();
+    await expect(page.locator('#CartDrawer-Item-1')).toBeVisible({ timeout: 10000 });
+
+    await page.locator('#CartDrawer-Item-1 button[name="plus"]').click();
+
+    await expect(page.locator('#Drawer-quantity-1')).toHaveValue('2', { timeout: 10000 });
+    await expect(page.locator('cart-drawer .totals__total-value')).toHaveText('฿2,580.00 THB');
+    await expect(page.locator('#cart-icon-bubble .cart-count-bubble span[aria-hidden="true"]')).toHaveText('2');
+  });
+
+  test('should be empty after removing the last line', async ({ page }) => {
+    await page.locator(`#ProductSubmitButton-${PRODUCT_SECTION_ID}`).click();
+    await expect(page.locator('#CartDrawer-Item-1')).toBeVisible({ timeout: 10000 });
+
+    await page.locator('#CartDrawer-Remove-1 button').click();
+
+    await expect(page.locator('cart-drawer')).toHaveClass(/is-empty/, { timeout: 10000 });
+    await expect(page.locator('#CartDrawer-Item-1')).toHaveCount(0);
+    await expect(page.locator('#cart-icon-bubble .cart-count-bubble')).toHaveCount(0);
+  });
+});
+
+test.describe('Cart page', () => {
+  test.beforeEach(async ({ page }) => {
+    // page.request shares the browser context's cookies, so this fills the cart the page will show
+    const response = await page.request.post('/cart/add.js', {
+      data: { items: [{ id: AVAILABLE_VARIANT_ID, quantity: 2 }] },
+    });
+    expect(response.ok()).toBeTruthy();
+
+    await page.goto('/cart');
+    await page.waitForLoadState('domcontentloaded');
+  });
+
+  test('should list the cart lines with their total', async ({ page }) => {
+    await expect(page.locator('#CartItem-1')).toBeVisible();
+    await expect(page.locator('#Quantity-1')).toHaveValue('2');
+    await expect(page.locator('#main-cart-footer .totals__total-value')).toHaveText('฿2,580.00 THB');
+  });
+
+  test('should update the totals when a quantity changes', async ({ page }) => {
+    await page.locator('#Quantity-1').fill('3');
+    await page.locator('#Quantity-1').dispatchEvent('change');
+
+    await expect(page.locator('#main-cart-footer .totals__total-value')).toHaveText('฿3,870.00 THB', {
+      timeout: 10000,
+    });
+    await expect(page.locator('#cart-icon-bubble .cart-count-bubble span[aria-hidden="true"]')).toHaveText('3');
+  });
+});
+
+test.describe('Cart API', () => {
+  test('should refuse to add a sold out variant', async ({ request }) => {
+    const response = await request.post('/cart/add.js', {
+      data: { items: [{ id: SOLD_OUT_VARIANT_ID, quantity: 1 }] },
+    });
+
+    expect(response.status()).toBe(422);
+    const body = await response.json();
+    expect(body.status).toBe(422);
+    expect(body.description).toContain('sold out');
+  });
+});
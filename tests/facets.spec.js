@@ -0,0 +1,67 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+/**
+ * Tests for collection filtering and sorting.
+ *
+ * These tests verify that:
+ * 1. Checking a filter value re-renders the grid and product count and adds the filter to the URL
+ * 2. Removing an active filter pill restores the full collection
+ * 3. Changing the sort order re-renders the grid in that order
+ *
+ * Prerequisites:
+ * - Runs against the offline fixture store (tests/fixtures); skipped when SHOPIFY_PREVIEW_URL is set, as it
+ *   relies on the fixture catalog (42 products, 10 of them dresses)
+ */
+
+const SECTION_ID = 'template--fixture__product-grid';
+
+test.skip(!!process.env.SHOPIFY_PREVIEW_URL, 'Relies on the fixture catalog');
+
+test.describe('Collection facets', () => {
+  test.use({ viewport: { width: 1280, height: 720 } });
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/collections/all');
+    await page.waitForLoadState('domcontentloaded');
+  });
+
+  test('should filter the grid when a filter value is checked', async ({ page }) => {
+    await expect(page.locator('#ProductCountDesktop')).toHaveText('42 products');
+
+    const typeFilter = page.locator(`[id="Details-filter.p.product_type-${SECTION_ID}"]`);
+    await typeFilter.locator('summary').click();
+    await typeFilter.locator('label', { hasText: 'Dresses' }).click();
+
+    await expect(page).toHaveURL(/filter\.p\.product_type=Dresses/, { timeout: 10000 });
+    await expect(page.locator('#ProductCountDesktop')).toHaveText('10 of 42 products');
+    await expect(page.locator('#product-grid > .grid__item')).toHaveCount(10);
+    await expect(
+      page.locator('.active-facets-desktop facet-remove', { hasText: 'Product type: Dresses' })
+    ).toBeVisible();
+  });
+
+  test('should restore the collection when an active filter is removed', async ({ page }) => {
+    await page.goto('/collections/all?filter.p.product_type=Dresses');
+    await expect(page.locator('#ProductCountDesktop')).toHaveText('10 of 42 products');
+
+    await page.locator('.active-facets-desktop facet-remove', { hasText: 'Product type: Dresses' }).click();
+
+    await expect(page.locator('#ProductCountDesktop')).toHaveText('42 products', { timeout: 10000 });
+    await expect(page).not.toHaveURL(/filter\.p\.product_type/);
+  });
+
+  test('should sort the grid when the sort order changes', async ({ page }) => {
+    await page.locator('#SortBy').selectOption('price-ascending');
+
+    await expect(page).toHaveURL(/sort_by=price-ascending/, { timeout: 10000 });
+
+    const prices = await page
+      .locator('#product-grid .card-information .price__regular .price-item')
+      .evaluateAll((elements) =>
+        elements.map((element) => Number(element.textContent.replace(/[^\d.]/g, ''))).filter(Boolean)
+      );
+    expect(prices.length).toBeGreaterThan(1);
+    expect(prices).toEqual([...prices].sort((a, b) => a - b));
+  });
+});
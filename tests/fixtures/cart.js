@@ -0,0 +1,182 @@
+// @ts-check
+const crypto = require('node:crypto');
+const { getVariant } = require('./catalog');
+
+/**
+ * Carts of the fixture store, one per `cart` cookie, answering like the Ajax Cart API.
+ *
+ * Only what the theme relies on is modelled: lines merge on variant and properties, quantities are capped at the
+ * variant's inventory, and adding a sold out variant (or more than is left) fails with a 422 the way
+ * /cart/add.js does.
+ */
+
+const carts = new Map();
+
+class CartError extends Error {
+  constructor(description, status = 422) {
+    super(description);
+    this.status = status;
+    this.description = description;
+  }
+
+  toJSON() {
+    return { status: this.status, message: 'Cart Error', description: this.description };
+  }
+}
+
+function getCart(token) {
+  if (!carts.has(token)) carts.set(token, { token, note: '', attributes: {}, lines: [] });
+  return carts.get(token);
+}
+
+function createToken() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+function lineKey(variantId, properties) {
+  const hash = crypto.createHash('md5').update(JSON.stringify(properties)).digest('hex');
+  return `${variantId}:${hash}`;
+}
+
+function toItem({ key, variantId, quantity, properties }) {
+  const { product, variant } = getVariant(variantId);
+  const image = variant.featured_image?.src ?? product.featured_media?.src ?? null;
+
+  return {
+    key,
+    id: variant.id,
+    variant_id: variant.id,
+    product_id: product.id,
+    quantity,
+    properties,
+    title: product.has_only_default_variant ? product.title : `${product.title} - ${variant.title}`,
+    product_title: product.title,
+    variant_title: product.has_only_default_variant ? null : variant.title,
+    product_has_only_default_variant: product.has_only_default_variant,
+    price: variant.price,
+    original_price: variant.price,
+    final_price: variant.price,
+    line_price: variant.price * quantity,
+    original_line_price: variant.price * quantity,
+    final_line_price: variant.price * quantity,
+    discounts: [],
+    line_level_discount_allocations: [],
+    url: `/products/${product.handle}?variant=${variant.id}`,
+    image,
+    handle: product.handle,
+    vendor: product.vendor,
+    product_type: product.type,
+    options_with_values: product.has_only_default_variant
+      ? []
+      : product.options.map((option, index) => ({ name: option.name, value: variant.options[index] })),
+    quantity_rule: variant.quantity_rule,
+    requires_shipping: true,
+  };
+}
+
+// The /cart.js JSON
+function toJSON(cart) {
+  const items = cart.lines.map(toItem);
+  const total = items.reduce((sum, item) => sum + item.final_line_price, 0);
+
+  return {
+    token: cart.token,
+    note: cart.note,
+    attributes: cart.attributes,
+    original_total_price: total,
+    total_price: total,
+    total_discount: 0,
+    total_weight: 0,
+    item_count: items.reduce((sum, item) => sum + item.quantity, 0),
+    items,
+    requires_shipping: items.length > 0,
+    currency: 'THB',
+    items_subtotal_price: total,
+    cart_level_discount_applications: [],
+  };
+}
+
+/**
+ * Adds `entries` (`{ id, quantity, properties }`) and returns the added lines as /cart/add.js does. Nothing is
+ * added when one of them fails.
+ */
+function add(cart, entries) {
+  const lines = cart.lines.map((line) => ({ ...line }));
+  const added = [];
+
+  entries.forEach(({ id, quantity = 1, properties = {} }) => {
+    const match = getVariant(id);
+    if (!match) throw new CartError('Cannot find variant', 404);
+
+    const { product, variant } = match;
+    if (!variant.available) throw new CartError(`The product '${product.title}' is already sold out.`);
+
+    const key = lineKey(variant.id, properties);
+    const line = lines.find((entry) => entry.key === key);
+    const inCart = lines
+      .filter((entry) => entry.variantId === variant.id)
+      .reduce((sum, entry) => sum + entry.quantity, 0);
+    if (inCart + quantity > variant.inventory_quantity) {
+      throw new CartError(`You can't add more ${product.title} - ${variant.title} to the cart.`);
+    }
+
+    if (line) {
+      line.quantity += quantity;
+      added.push(line);
+    } else {
+      const newLine = { key, variantId: variant.id, quantity, properties };
+      lines.push(newLine);
+      added.push(newLine);
+    }
+  });
+
+  cart.lines = lines;
+  return added.map(toItem);
+}
+
+// `{ line }` (1-based), `{ id }` (a line key or variant id) with `quantity`, like /cart/change.js
+function change(cart, { line, id, quantity }) {
+  let index = -1;
+  if (line) index = Number(line) - 1;
+  else if (typeof id === 'string' && id.includes(':')) index = cart.lines.findIndex((entry) => entry.key === id);
+  else index = cart.lines.findIndex((entry) => entry.variantId === Number(id));
+
+  const target = cart.lines[index];
+  if (!target) throw new CartError('no valid id or line parameter', 400);
+
+  setQuantity(cart, target, Number(quantity));
+}
+
+// `updates` maps variant ids to quantities, or lists quantities by line, like /cart/update.js
+function update(cart, { updates, note, attributes }) {
+  if (Array.isArray(updates)) {
+    [...cart.lines].forEach((line, index) => {
+      if (updates[index] != null) setQuantity(cart, line, Number(updates[index]));
+    });
+  } else if (updates) {
+    Object.entries(updates).forEach(([variantId, quantity]) => {
+      const line = cart.lines.find((entry) => entry.variantId === Number(variantId));
+      if (line) setQuantity(cart, line, Number(quantity));
+      else if (Number(quantity) > 0) add(cart, [{ id: Number(variantId), quantity: Number(quantity) }]);
+    });
+  }
+
+  if (note != null) cart.note = String(note);
+  if (attributes) cart.attributes = { ...cart.attributes, ...attributes };
+}
+
+function clear(cart) {
+  cart.lines = [];
+}
+
+function setQuantity(cart, line, quantity) {
+  if (!(quantity > 0)) {
+    cart.lines = cart.lines.filter((entry) => entry !== line);
+    return;
+  }
+
+  const { variant } = getVariant(line.variantId);
+  line.quantity = Math.min(quantity, variant.inventory_quantity);
+}
+
+module.exports = { CartError, add, change, clear, createToken, getCart, toJSON, update };
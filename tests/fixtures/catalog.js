@@ -0,0 +1,479 @@
+// @ts-check
+
+/**
+ * Products and collections served by the fixture store.
+ *
+ * `halter-top-with-open-back` mirrors the product the gallery specs were written against: several images and a
+ * video, colors and sizes. The rest of the catalog is generated, with enough products for two pages of the
+ * collection grid (16 per page) and a spread of types, colors, prices and availability for the filters.
+ *
+ * Objects follow the shape of Shopify's `/products/<handle>.js` JSON, prices in cents.
+ */
+
+const IMAGE_PATH = '/fixtures/images';
+const PRODUCTS_PER_PAGE = 16;
+
+const SIZES = ['XS', 'S', 'M', 'L'];
+const COLORS = {
+  Black: '#1f1f1f',
+  Ivory: '#f2ead8',
+  Sage: '#a3b18a',
+  Terracotta: '#c8693f',
+  Navy: '#2b3a55',
+};
+const STYLES = [
+  ['Wrap Dress', 'Dresses', 219000],
+  ['Slip Dress', 'Dresses', 189000],
+  ['Ribbed Tank', 'Tops', 69000],
+  ['Linen Shirt', 'Tops', 129000],
+  ['Bandeau Top', 'Swimwear', 99000],
+  ['High Waist Bikini Bottom', 'Swimwear', 89000],
+  ['Wide Leg Pants', 'Bottoms', 159000],
+  ['Pleated Skirt', 'Bottoms', 139000],
+];
+
+let nextMediaId = 30000000;
+let nextOptionValueId = 50000000;
+
+function image(name, { width = 1200, height = 1500, color = '#d9d9d9', alt = '' } = {}) {
+  const id = nextMediaId++;
+  const src = `${IMAGE_PATH}/${name}.svg`;
+  const preview_image = { src, width, height, aspect_ratio: width / height, alt };
+  return {
+    id,
+    media_type: 'image',
+    position: 0,
+    alt,
+    src,
+    width,
+    height,
+    aspect_ratio: width / height,
+    color,
+    preview_image,
+  };
+}
+
+function video(name, { color = '#3a3a3a', alt = '' } = {}) {
+  const poster = image(name, { width: 1080, height: 1920, color, alt });
+  return {
+    ...poster,
+    media_type: 'video',
+    sources: [{ format: 'mp4', mime_type: 'video/mp4', url: `${IMAGE_PATH}/${name}.mp4`, width: 1080, height: 1920 }],
+  };
+}
+
+function buildProduct({
+  id,
+  handle,
+  title,
+  type,
+  vendor = 'UMI',
+  tags = [],
+  colors,
+  sizes,
+  price,
+  compareAtPrice,
+  media,
+  soldOut = [],
+  createdAt,
+}) {
+  const options = [];
+  if (colors) options.push({ name: 'Color', position: options.length + 1, values: colors });
+  if (sizes) options.push({ name: 'Size', position: options.length + 1, values: sizes });
+
+  const combinations = options.reduce(
+    (result, option) => result.flatMap((combination) => option.values.map((value) => [...combination, value])),
+    [[]]
+  );
+
+  media.forEach((entry, index) => (entry.position = index + 1));
+
+  const variants = combinations.map((values, index) => {
+    const variantId = id * 100 + index + 1;
+    const title = values.length ? values.join(' / ') : 'Default Title';
+    const available = !soldOut.some((value) => values.includes(value) || value === '*');
+    // the image showing the variant's color, when there's one for it
+    const featured = colors
+      ? media.find(
+          (entry) => entry.media_type === 'image' && entry.alt.toLowerCase().endsWith(`in ${values[0].toLowerCase()}`)
+        )
+      : null;
+
+    return {
+      id: variantId,
+      title,
+      option1: values[0] ?? 'Default Title',
+      option2: values[1] ?? null,
+      option3: null,
+      options: values.length ? values : ['Default Title'],
+      sku: `${handle.toUpperCase()}-${index + 1}`,
+      available,
+      price,
+      compare_at_price: compareAtPrice ?? null,
+      inventory_management: 'shopify',
+      inventory_policy: 'deny',
+      inventory_quantity: available ? 10 : 0,
+      quantity_rule: { min: 1, max: null, increment: 1 },
+      featured_media: featured ? { id: featured.id, preview_image: featured.preview_image, alt: featured.alt } : null,
+      featured_image: featured ? { src: featured.src, alt: featured.alt } : null,
+      requires_shipping: true,
+      url: `/products/${handle}?variant=${variantId}`,
+    };
+  });
+
+  return {
+    id,
+    handle,
+    title,
+    vendor,
+    type,
+    tags,
+    price,
+    price_min: price,
+    price_max: price,
+    price_varies: false,
+    compare_at_price: compareAtPrice ?? null,
+    available: variants.some((variant) => variant.available),
+    created_at: createdAt,
+    description: `<p>${title} from the fixture catalog.</p>`,
+    url: `/products/${handle}`,
+    has_only_default_variant: options.length === 0,
+    options: options.map((option) => ({
+      ...option,
+      values: option.values.map((value) => ({ id: nextOptionValueId++, name: value, swatch: COLORS[value] ?? null })),
+    })),
+    variants,
+    media,
+    featured_media: media[0],
+    images: media.filter((entry) => entry.media_type === 'image').map((entry) => entry.src),
+  };
+}
+
+function buildCatalog() {
+  const products = [
+    buildProduct({
+      id: 1001,
+      handle: 'halter-top-with-open-back',
+      title: 'Halter Top with Open Back',
+      type: 'Tops',
+      tags: ['new'],
+      colors: ['Black', 'Ivory'],
+      sizes: SIZES,
+      price: 129000,
+      soldOut: ['XS'],
+      createdAt: '2025-06-01T00:00:00+07:00',
+      media: [
+        image('halter-top-front', { color: '#2f2f2f', alt: 'Halter top, front' }),
+        image('halter-top-back', { color: '#444444', alt: 'Halter top, open back' }),
+        image('halter-top-detail', { width: 1200, height: 1200, color: '#585858', alt: 'Halter top, detail' }),
+        image('halter-top-ivory', { color: '#e8e0cf', alt: 'Halter top in ivory' }),
+        video('halter-top-video', { alt: 'Halter top on the move' }),
+        image('halter-top-styled', { width: 1600, height: 1200, color: '#6d6d6d', alt: 'Halter top, styled' }),
+      ],
+    }),
+  ];
+
+  // 40 more products: every style in every color, each one a separate product like the store sells them
+  const colorNames = Object.keys(COLORS);
+  STYLES.forEach(([name, type, price], styleIndex) => {
+    colorNames.forEach((color, colorIndex) => {
+      const index = styleIndex * colorNames.length + colorIndex;
+      const handle = `${name}-${color}`.toLowerCase().replace(/\s+/g, '-');
+      products.push(
+        buildProduct({
+          id: 2001 + index,
+          handle,
+          title: `${name} - ${color}`,
+          type,
+          tags: index % 3 === 0 ? ['new'] : [],
+          colors: [color],
+          sizes: type === 'Swimwear' ? SIZES.slice(1) : SIZES,
+          price: price + colorIndex * 5000,
+          compareAtPrice: index % 7 === 0 ? price + 40000 : undefined,
+          // every sixth product is sold out
+          soldOut: index % 6 === 5 ? ['*'] : [],
+          createdAt: new Date(Date.UTC(2025, 0, 1 + index)).toISOString(),
+          media: [
+            image(`${handle}-1`, { color: COLORS[color], alt: `${name} in ${color}` }),
+            image(`${handle}-2`, { color: COLORS[color], alt: `${name} in ${color}, back` }),
+          ],
+        })
+      );
+    });
+  });
+
+  // Without options, so it can be added straight from the cart drawer's recommendations
+  products.push(
+    buildProduct({
+      id: 3001,
+      handle: 'canvas-tote-bag',
+      title: 'Canvas Tote Bag',
+      type: 'Accessories',
+      price: 49000,
+      createdAt: '2025-03-01T00:00:00+07:00',
+      media: [image('canvas-tote-bag', { width: 1200, height: 1200, color: '#cbbfa6', alt: 'Canvas tote bag' })],
+    })
+  );
+
+  return products;
+}
+
+const products = buildCatalog();
+const productsByHandle = new Map(products.map((product) => [product.handle, product]));
+const images = new Map(
+  products.flatMap((product) => product.media.map((entry) => [entry.src.slice(IMAGE_PATH.length + 1), entry]))
+);
+
+const SORT_OPTIONS = [
+  { value: 'manual', name: 'Featured' },
+  { value: 'best-selling', name: 'Best selling' },
+  { value: 'title-ascending', name: 'Alphabetically, A-Z' },
+  { value: 'title-descending', name: 'Alphabetically, Z-A' },
+  { value: 'price-ascending', name: 'Price, low to high' },
+  { value: 'price-descending', name: 'Price, high to low' },
+  { value: 'created-ascending', name: 'Date, old to new' },
+  { value: 'created-descending', name: 'Date, new to old' },
+];
+
+const collections = new Map(
+  [
+    { handle: 'all', title: 'Products', match: () => true },
+    { handle: 'tops', title: 'Tops', match: (product) => product.type === 'Tops' },
+    { handle: 'dresses', title: 'Dresses', match: (product) => product.type === 'Dresses' },
+    { handle: 'swimwear', title: 'Swimwear', match: (product) => product.type === 'Swimwear' },
+  ].map((collection) => [collection.handle, collection])
+);
+
+function getProduct(handle) {
+  return productsByHandle.get(handle) ?? null;
+}
+
+function getProductById(id) {
+  return products.find((product) => product.id === Number(id)) ?? null;
+}
+
+function getVariant(variantId) {
+  for (const product of products) {
+    const variant = product.variants.find((entry) => entry.id === Number(variantId));
+    if (variant) return { product, variant };
+  }
+  return null;
+}
+
+// `?variant=` first, then `?option_values=` (option value ids, as sent by product-info.js)
+function getSelectedVariant(product, searchParams) {
+  const variantId = Number(searchParams.get('variant'));
+  const byId = product.variants.find((variant) => variant.id === variantId);
+  if (byId) return byId;
+
+  const optionValueIds = (searchParams.get('option_values') || '').split(',').filter(Boolean).map(Number);
+  if (optionValueIds.length) {
+    const values = product.options.map(
+      (option) => option.values.find((value) => optionValueIds.includes(value.id))?.name ?? option.values[0].name
+    );
+    return product.variants.find((variant) => values.every((value, index) => variant.options[index] === value)) ?? null;
+  }
+
+  return product.variants.find((variant) => variant.available) ?? product.variants[0];
+}
+
+function sortProducts(list, sortBy) {
+  const sorted = [...list];
+  const compare = {
+    'title-ascending': (a, b) => a.title.localeCompare(b.title),
+    'title-descending': (a, b) => b.title.localeCompare(a.title),
+    'price-ascending': (a, b) => a.price - b.price,
+    'price-descending': (a, b) => b.price - a.price,
+    'created-ascending': (a, b) => a.created_at.localeCompare(b.created_at),
+    'created-descending': (a, b) => b.created_at.localeCompare(a.created_at),
+    'best-selling': (a, b) => (a.id % 7) - (b.id % 7) || a.id - b.id,
+  }[sortBy];
+  return compare ? sorted.sort(compare) : sorted;
+}
+
+function listFilter(paramName, label, values, valueOf, searchParams) {
+  const active = searchParams.getAll(paramName);
+  return {
+    type: 'list',
+    param_name: paramName,
+    label,
+    operator: 'OR',
+    values: values.map(({ value, label }) => ({ value, label, param_name: paramName, active: active.includes(value) })),
+    valueOf,
+    test: (product) => !active.length || active.some((value) => valueOf(product).includes(value)),
+  };
+}
+
+/**
+ * The collection page for `handle` with the `filter.*`, `sort_by` and `page` params of `searchParams` applied.
+ * Filter values, counts and the `url_to_remove` links are built the way Shopify's storefront filters are, with
+ * counts taken from the products matching every other active filter.
+ */
+function getCollection(handle, searchParams, { productsPerPage = PRODUCTS_PER_PAGE } = {}) {
+  const collection = collections.get(handle);
+  if (!collection) return null;
+
+  const allProducts = products.filter(collection.match);
+  const colorNames = [
+    ...new Set(
+      allProducts.flatMap((product) =>
+        product.options[0]?.name === 'Color' ? product.options[0].values.map((value) => value.name) : []
+      )
+    ),
+  ];
+  const types = [...new Set(allProducts.map((product) => product.type))].sort();
+  const rangeMax = Math.max(...allProducts.map((product) => product.price));
+
+  const filters = [
+    listFilter(
+      'filter.v.availability',
+      'Availability',
+      [
+        { value: '1', label: 'In stock' },
+        { value: '0', label: 'Out of stock' },
+      ],
+      (product) => [product.available ? '1' : '0'],
+      searchParams
+    ),
+    listFilter(
+      'filter.p.product_type',
+      'Product type',
+      types.map((type) => ({ value: type, label: type })),
+      (product) => [product.type],
+      searchParams
+    ),
+    listFilter(
+      'filter.v.option.color',
+      'Color',
+      colorNames.map((color) => ({ value: color, label: color })),
+      (product) => product.variants.map((variant) => variant.option1),
+      searchParams
+    ),
+  ];
+
+  const gte = searchParams.get('filter.v.price.gte');
+  const lte = searchParams.get('filter.v.price.lte');
+  const priceFilter = {
+    type: 'price_range',
+    param_name: 'filter.v.price',
+    label: 'Price',
+    range_max: rangeMax,
+    min_value: { param_name: 'filter.v.price.gte', value: toCents(gte) },
+    max_value: { param_name: 'filter.v.price.lte', value: toCents(lte) },
+    values: [],
+    test: (product) =>
+      (priceFilter.min_value.value == null || product.price >= priceFilter.min_value.value) &&
+      (priceFilter.max_value.value == null || product.price <= priceFilter.max_value.value),
+  };
+  filters.push(priceFilter);
+
+  // counts of a filter's values depend on the other active filters only
+  filters.forEach((filter) => {
+    const others = allProducts.filter((product) => filters.every((entry) => entry === filter || entry.test(product)));
+    filter.values.forEach((value) => {
+      value.count = others.filter((product) => filter.valueOf(product).includes(value.value)).length;
+      value.url_to_remove = urlWithout(handle, searchParams, filter.param_name, value.value);
+    });
+    filter.active_values = filter.values.filter((value) => value.active);
+    filter.url_to_remove = urlWithout(handle, searchParams, filter.param_name);
+  });
+
+  const sortBy = searchParams.get('sort_by') || 'manual';
+  const matching = sortProducts(
+    allProducts.filter((product) => filters.every((filter) => filter.test(product))),
+    sortBy
+  );
+  const pages = Math.max(Math.ceil(matching.length / productsPerPage), 1);
+  const page = Math.min(Math.max(parseInt(searchParams.get('page')) || 1, 1), pages);
+
+  return {
+    handle,
+    title: collection.title,
+    url: `/collections/${handle}`,
+    products: matching.slice((page - 1) * productsPerPage, page * productsPerPage),
+    products_count: matching.length,
+    all_products_count: allProducts.length,
+    filters,
+    sort_by: sortBy,
+    default_sort_by: 'manual',
+    sort_options: SORT_OPTIONS,
+    paginate: {
+      current_page: page,
+      pages,
+      page_size: productsPerPage,
+      items: matching.length,
+      previous: page > 1 ? { url: pageUrl(handle, searchParams, page - 1) } : null,
+      next: page < pages ? { url: pageUrl(handle, searchParams, page + 1) } : null,
+    },
+  };
+}
+
+// Price filter inputs are in the currency's unit, e.g. "1,290.00"
+function toCents(value) {
+  const amount = parseFloat(String(value ?? '').replace(/,/g, ''));
+  return Number.isNaN(amount) ? null : Math.round(amount * 100);
+}
+
+function urlWithout(handle, searchParams, paramName, value) {
+  const params = new URLSearchParams();
+  searchParams.forEach((entryValue, name) => {
+    if (name === 'page' || name === 'section_id') return;
+    if (value === undefined ? name.startsWith(paramName) : name === paramName && entryValue === value) return;
+    params.append(name, entryValue);
+  });
+  const query = params.toString();
+  return `/collections/${handle}${query ? `?${query}` : ''}`;
+}
+
+function pageUrl(handle, searchParams, page) {
+  const params = new URLSearchParams(searchParams);
+  params.delete('section_id');
+  params.set('page', page);
+  return `/collections/${handle}?${params.toString()}`;
+}
+
+// Products sharing the type first, then the rest of the catalog, like Shopify's "related" intent
+function getRecommendations(productId, { limit = 10, intent = 'related' } = {}) {
+  const product = getProductById(productId);
+  if (!product) return [];
+
+  const others = products.filter((entry) => entry.id !== product.id && entry.available);
+  // "complementary" products are set up by hand in the Search & Discovery app; the fixture pairs everything with the tote
+  if (intent === 'complementary') return others.filter((entry) => entry.type === 'Accessories').slice(0, limit);
+
+  return [
+    ...others.filter((entry) => entry.type === product.type),
+    ...others.filter((entry) => entry.type !== product.type),
+  ].slice(0, limit);
+}
+
+function search(terms, limit = 4) {
+  const words = terms.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return { products: [], queries: [], collections: [] };
+
+  const matches = (text) => words.every((word) => text.toLowerCase().includes(word));
+  return {
+    products: products
+      .filter((product) => matches(`${product.title} ${product.type} ${product.vendor}`))
+      .slice(0, limit),
+    queries: [...new Set(products.map((product) => product.type.toLowerCase()))]
+      .filter((type) => type.startsWith(words[0]))
+      .map((text) => ({ text, url: `/search?q=${encodeURIComponent(text)}` })),
+    collections: [...collections.values()].filter((collection) => matches(collection.title)),
+  };
+}
+
+module.exports = {
+  COLORS,
+  IMAGE_PATH,
+  PRODUCTS_PER_PAGE,
+  getCollection,
+  getProduct,
+  getProductById,
+  getRecommendations,
+  getSelectedVariant,
+  getVariant,
+  images,
+  products,
+  search,
+};
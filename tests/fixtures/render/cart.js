@@ -0,0 +1,451 @@
+// @ts-check
+const {
+  escape,
+  icon,
+  imageUrl,
+  inlineAsset,
+  loadingSpinner,
+  money,
+  moneyWithCurrency,
+  scriptTag,
+  stylesheetTag,
+  t,
+} = require('./helpers');
+const { price } = require('./snippets');
+
+/**
+ * Cart markup: the `cart-drawer` snippet, the cart page sections (`main-cart-items`, `main-cart-footer`) and the
+ * small sections the cart scripts ask for (`cart-icon-bubble`, `cart-live-region-text`,
+ * `cart-drawer-recommendations`).
+ *
+ * `cart` is the /cart.js JSON from ../cart.js.
+ */
+
+const RECOMMENDATIONS_LIMIT = 4;
+
+function productOptions(item) {
+  if (item.product_has_only_default_variant) return '';
+  return `<dl>${item.options_with_values
+    .map(
+      (option, index, options) =>
+        `<div class="product-option"><dt>${escape(option.name)}:</dt><dd>${escape(option.value)}${
+          index < options.length - 1 ? ', ' : ''
+        }</dd></div>`
+    )
+    .join('')}</dl>`;
+}
+
+// `{% render 'save-for-later-button' %}`
+function saveForLaterButton(item, index, idPrefix = '') {
+  if (item.properties?._gift_tier) return '';
+  return `<cart-save-for-later-button data-index="${index}" data-quantity-min="${
+    item.quantity_rule.min
+  }" data-quantity-max="${item.quantity_rule.max ?? ''}" data-quantity-increment="${item.quantity_rule.increment}">
+  <button type="button" id="${idPrefix}SaveForLater-${index}" class="link link--text cart-item__save-for-later" aria-label="${escape(
+    t('sections.cart.saved_for_later.save_title', { title: item.title })
+  )}">${t('sections.cart.saved_for_later.save')}</button>
+</cart-save-for-later-button>`;
+}
+
+function quantityInput(item, index, { inputId, cart }) {
+  const inCart = cart.items
+    .filter((entry) => entry.variant_id === item.variant_id)
+    .reduce((sum, entry) => sum + entry.quantity, 0);
+
+  return `<quantity-input class="quantity cart-quantity">
+  <button class="quantity__button" name="minus" type="button">
+    <span class="visually-hidden">${escape(t('products.product.quantity.decrease', { product: item.product_title }))}</span>
+    ${icon('icon-minus.svg')}
+  </button>
+  <input class="quantity__input" type="number" data-quantity-variant-id="${item.variant_id}" name="updates[]" value="${
+    item.quantity
+  }" data-cart-quantity="${inCart}" min="0" data-min="${item.quantity_rule.min}" step="${
+    item.quantity_rule.increment
+  }" aria-label="${escape(t('products.product.quantity.input_label', { product: item.product_title }))}" id="${inputId}" data-index="${index}">
+  <button class="quantity__button" name="plus" type="button">
+    <span class="visually-hidden">${escape(t('products.product.quantity.increase', { product: item.product_title }))}</span>
+    ${icon('icon-plus.svg')}
+  </button>
+</quantity-input>`;
+}
+
+function removeButton(item, index, id) {
+  return `<cart-remove-button id="${id}" data-index="${index}">
+  <button type="button" class="button button--tertiary cart-remove-button" aria-label="${escape(
+    t('sections.cart.remove_title', { title: item.title })
+  )}" data-variant-id="${item.variant_id}">${icon('icon-remove.svg')}</button>
+</cart-remove-button>`;
+}
+
+function cartItemImage(item) {
+  if (!item.image) return '';
+  return `<a href="${item.url}" class="cart-item__link" tabindex="-1" aria-hidden="true"> </a>
+<img class="cart-item__image" src="${imageUrl({ src: item.image }, 300)}" alt="" loading="lazy" width="150">`;
+}
+
+function drawerItem(item, index, cart) {
+  return `<tr id="CartDrawer-Item-${index}" class="cart-item" role="row">
+  <td class="cart-item__media" role="cell" headers="CartDrawer-ColumnProductImage">${cartItemImage(item)}</td>
+  <td class="cart-item__details" role="cell" headers="CartDrawer-ColumnProduct">
+    <a href="${item.url}" class="cart-item__name h4 break">${escape(item.product_title)}</a>
+    <div class="product-option">${money(item.original_price)}</div>
+    ${productOptions(item)}
+    <ul class="discounts list-unstyled" role="list" aria-label="${t('customer.order.discount')}"></ul>
+    ${saveForLaterButton(item, index, 'CartDrawer-')}
+  </td>
+  <td class="cart-item__totals right" role="cell" headers="CartDrawer-ColumnTotal">
+    ${loadingSpinner()}
+    <div class="cart-item__price-wrapper"><span class="price price--end">${money(item.final_line_price)}</span></div>
+  </td>
+  <td class="cart-item__quantity" role="cell" headers="CartDrawer-ColumnQuantity">
+    <quantity-popover>
+      <div class="cart-item__quantity-wrapper quantity-popover-wrapper">
+        <div class="quantity-popover-container">
+          ${quantityInput(item, index, { inputId: `Drawer-quantity-${index}`, cart })}
+        </div>
+        ${removeButton(item, index, `CartDrawer-Remove-${index}`)}
+      </div>
+      <div id="CartDrawer-LineItemError-${index}" class="cart-item__error" role="alert">
+        <small class="cart-item__error-text"></small>
+        ${icon('icon-error.svg')}
+      </div>
+    </quantity-popover>
+  </td>
+</tr>`;
+}
+
+// `{% render 'saved-for-later' %}`
+function savedForLater(className = '') {
+  return `<saved-for-later class="saved-for-later ${className}" hidden>
+  <h2 class="saved-for-later__heading h3">${t('sections.cart.saved_for_later.title')}</h2>
+  <ul class="saved-for-later__list list-unstyled" role="list"></ul>
+  <p class="saved-for-later__message" role="alert"></p>
+  <p class="saved-for-later__status visually-hidden" role="status"></p>
+</saved-for-later>`;
+}
+
+function closeButton() {
+  return `<button class="drawer__close" type="button" onclick="this.closest('cart-drawer').close()" aria-label="${t(
+    'accessibility.close'
+  )}">${icon('icon-close.svg')}</button>`;
+}
+
+// `{% render 'cart-drawer' %}`, also `sections/cart-drawer.liquid`
+function cartDrawer(cart) {
+  const isEmpty = cart.item_count === 0;
+
+  return `${[
+    'quantity-popover.css',
+    'component-card.css',
+    'component-cart-progress.css',
+    'component-saved-for-later.css',
+  ]
+    .map(stylesheetTag)
+    .join('\n')}
+${['cart.js', 'saved-for-later.js', 'quantity-popover.js', 'product-form.js'].map(scriptTag).join('\n')}
+<style>
+  .drawer {
+    visibility: hidden;
+  }
+</style>
+<cart-drawer class="drawer${isEmpty ? ' is-empty' : ''}">
+  <div id="CartDrawer" class="cart-drawer">
+    <div id="CartDrawer-Overlay" class="cart-drawer__overlay"></div>
+    <div class="drawer__inner gradient color-scheme-1" role="dialog" aria-modal="true" aria-label="${t(
+      'sections.cart.title'
+    )}" tabindex="-1">
+      ${
+        isEmpty
+          ? `<div class="drawer__inner-empty">
+        <div class="cart-drawer__warnings center">
+          <div class="cart-drawer__empty-content">
+            <h2 class="cart__empty-text">${t('sections.cart.empty')}</h2>
+            ${closeButton()}
+            <a href="/collections/all" class="button">${t('general.continue_shopping')}</a>
+          </div>
+        </div>
+      </div>`
+          : ''
+      }
+      <div class="drawer__header">
+        <h2 class="drawer__heading">${t('sections.cart.title')}</h2>
+        ${closeButton()}
+      </div>
+      <cart-progress class="cart-progress cart-progress--drawer" hidden></cart-progress>
+      <cart-drawer-items${isEmpty ? ' class=" is-empty"' : ''}>
+        <script type="application/json" data-cart-json>${JSON.stringify(cart)}</script>
+        <form action="/cart" id="CartDrawer-Form" class="cart__contents cart-drawer__form" method="post">
+          <div id="CartDrawer-CartItems" class="drawer__contents js-contents">
+            ${
+              isEmpty
+                ? ''
+                : `<div class="drawer__cart-items-wrapper">
+              <table class="cart-items" role="table">
+                <thead role="rowgroup">
+                  <tr role="row">
+                    <th id="CartDrawer-ColumnProductImage" role="columnheader"><span class="visually-hidden">${t(
+                      'sections.cart.headings.image'
+                    )}</span></th>
+                    <th id="CartDrawer-ColumnProduct" class="caption-with-letter-spacing" scope="col" role="columnheader">${t(
+                      'sections.cart.headings.product'
+                    )}</th>
+                    <th id="CartDrawer-ColumnTotal" class="right caption-with-letter-spacing" scope="col" role="columnheader">${t(
+                      'sections.cart.headings.total'
+                    )}</th>
+                    <th id="CartDrawer-ColumnQuantity" role="columnheader"><span class="visually-hidden">${t(
+                      'sections.cart.headings.quantity'
+                    )}</span></th>
+                  </tr>
+                </thead>
+                <tbody role="rowgroup">
+                  ${cart.items.map((item, index) => drawerItem(item, index + 1, cart)).join('')}
+                </tbody>
+              </table>
+            </div>`
+            }
+            <p id="CartDrawer-LiveRegionText" class="visually-hidden" role="status"></p>
+            <p id="CartDrawer-LineItemStatus" class="visually-hidden" aria-hidden="true" role="status">${t(
+              'accessibility.loading'
+            )}</p>
+          </div>
+          <div id="CartDrawer-CartErrors" role="alert"></div>
+        </form>
+        ${savedForLater('saved-for-later--drawer')}
+      </cart-drawer-items>
+      <div class="drawer__footer">
+        <div id="CartDrawer-Recommendations" class="cart-drawer__recommendations" data-limit="${RECOMMENDATIONS_LIMIT}" hidden>
+          <h3 class="cart-drawer__recommendations-heading caption-with-letter-spacing">${t(
+            'sections.cart.recommendations.heading'
+          )}</h3>
+          <div class="cart-drawer__recommendations-content"></div>
+        </div>
+        <div class="cart-drawer__footer">
+          <div></div>
+          <div class="totals" role="status">
+            <h2 class="totals__total">${t('sections.cart.estimated_total')}</h2>
+            <p class="totals__total-value">${moneyWithCurrency(cart.total_price)}</p>
+          </div>
+          <small class="tax-note caption-large rte">${t(
+            'sections.cart.taxes_at_checkout_shipping_at_checkout_without_policy'
+          )}</small>
+        </div>
+        <div class="cart__ctas">
+          <button type="submit" id="CartDrawer-Checkout" class="cart__checkout-button button" name="checkout" form="CartDrawer-Form"${
+            isEmpty ? ' disabled' : ''
+          }>${t('sections.cart.checkout')}</button>
+        </div>
+      </div>
+    </div>
+  </div>
+</cart-drawer>`;
+}
+
+function pageItem(item, index, cart) {
+  const total = `${loadingSpinner()}<div class="cart-item__price-wrapper"><span class="price price--end">${money(
+    item.final_line_price
+  )}</span></div>`;
+
+  return `<tr class="cart-item" id="CartItem-${index}">
+  <td class="cart-item__media">${cartItemImage(item)}</td>
+  <td class="cart-item__details">
+    <a href="${item.url}" class="cart-item__name h4 break">${escape(item.product_title)}</a>
+    <div class="product-option">${money(item.original_price)}</div>
+    ${productOptions(item)}
+    <ul class="discounts list-unstyled" role="list" aria-label="${t('customer.order.discount')}"></ul>
+    ${saveForLaterButton(item, index)}
+  </td>
+  <td class="cart-item__totals right medium-hide large-up-hide">${total}</td>
+  <td class="cart-item__quantity">
+    <quantity-popover>
+      <div class="cart-item__quantity-wrapper quantity-popover-wrapper">
+        <label class="visually-hidden" for="Quantity-${index}">${t('products.product.quantity.label')}</label>
+        <div class="quantity-popover-container">
+          ${quantityInput(item, index, { inputId: `Quantity-${index}`, cart })}
+        </div>
+        ${removeButton(item, index, `Remove-${index}`)}
+      </div>
+      <div class="cart-item__error" id="Line-item-error-${index}" role="alert">
+        <small class="cart-item__error-text"></small>
+        ${icon('icon-error.svg')}
+      </div>
+    </quantity-popover>
+  </td>
+  <td class="cart-item__totals right small-hide">${total}</td>
+</tr>`;
+}
+
+// `sections/main-cart-items.liquid`
+function mainCartItems(cart, sectionId) {
+  const isEmpty = cart.item_count === 0;
+
+  return `${[
+    'component-cart.css',
+    'component-cart-items.css',
+    'component-totals.css',
+    'component-price.css',
+    'component-discounts.css',
+    'quantity-popover.css',
+    'component-cart-progress.css',
+    'component-saved-for-later.css',
+  ]
+    .map(stylesheetTag)
+    .join('\n')}
+${scriptTag('quantity-popover.js')}
+<cart-items class="gradient color-scheme-1 isolate${isEmpty ? ' is-empty' : ` section-${sectionId}-padding`}">
+  <script type="application/json" data-cart-json>${JSON.stringify(cart)}</script>
+  <div class="page-width">
+    <div class="title-wrapper-with-link">
+      <h1 class="title title--primary">${t('sections.cart.title')}</h1>
+      <a href="/collections/all" class="underlined-link">${t('general.continue_shopping')}</a>
+    </div>
+    <cart-progress class="cart-progress cart-progress--page" hidden></cart-progress>
+    <div class="cart__warnings">
+      <h1 class="cart__empty-text">${t('sections.cart.empty')}</h1>
+      <a href="/collections/all" class="button">${t('general.continue_shopping')}</a>
+    </div>
+    <form action="/cart" class="cart__contents critical-hidden" method="post" id="cart">
+      <div class="cart__items" id="main-cart-items" data-id="${sectionId}">
+        <div class="js-contents">
+          ${
+            isEmpty
+              ? ''
+              : `<table class="cart-items">
+            <caption class="visually-hidden">${t('sections.cart.title')}</caption>
+            <thead>
+              <tr>
+                <th class="caption-with-letter-spacing" colspan="2" scope="col">${t('sections.cart.headings.product')}</th>
+                <th class="medium-hide large-up-hide right caption-with-letter-spacing" colspan="1" scope="col">${t(
+                  'sections.cart.headings.total'
+                )}</th>
+                <th class="cart-items__heading--wide cart-items__heading--quantity small-hide caption-with-letter-spacing" colspan="1" scope="col">${t(
+                  'sections.cart.headings.quantity'
+                )}</th>
+                <th class="small-hide right caption-with-letter-spacing" colspan="1" scope="col">${t(
+                  'sections.cart.headings.total'
+                )}</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${cart.items.map((item, index) => pageItem(item, index + 1, cart)).join('')}
+            </tbody>
+          </table>`
+          }
+        </div>
+      </div>
+      <p class="visually-hidden" id="cart-live-region-text" aria-live="polite" role="status"></p>
+      <p class="visually-hidden" id="shopping-cart-line-item-status" aria-live="polite" aria-hidden="true" role="status">${t(
+        'accessibility.loading'
+      )}</p>
+    </form>
+  </div>
+</cart-items>
+<div class="page-width">
+  ${savedForLater()}
+</div>`;
+}
+
+// `sections/main-cart-footer.liquid`
+function mainCartFooter(cart, sectionId) {
+  const isEmpty = cart.item_count === 0;
+
+  return `${['component-cart.css', 'component-totals.css', 'component-price.css', 'component-discounts.css']
+    .map(stylesheetTag)
+    .join('\n')}
+<div class="gradient color-scheme-1${isEmpty ? ' is-empty' : ''}" id="main-cart-footer" data-id="${sectionId}">
+  <div class="page-width">
+    <div class="cart__footer isolate section-${sectionId}-padding">
+      <div class="cart__blocks">
+        <div class="js-contents">
+          <div class="totals">
+            <h2 class="totals__total">${t('sections.cart.estimated_total')}</h2>
+            <p class="totals__total-value">${moneyWithCurrency(cart.total_price)}</p>
+          </div>
+          <small class="tax-note caption-large rte">${t(
+            'sections.cart.taxes_at_checkout_shipping_at_checkout_without_policy'
+          )}</small>
+        </div>
+        <div class="cart__ctas">
+          <button type="submit" id="checkout" class="cart__checkout-button button" name="checkout"${
+            isEmpty ? ' disabled' : ''
+          } form="cart">${t('sections.cart.checkout')}</button>
+        </div>
+      </div>
+      <div id="cart-errors"></div>
+    </div>
+  </div>
+</div>`;
+}
+
+// `sections/cart-icon-bubble.liquid`
+function cartIconBubble(cart) {
+  const isEmpty = cart.item_count === 0;
+  return `${icon(isEmpty ? 'icon-cart-empty.svg' : 'icon-cart.svg')}
+<span class="visually-hidden">${t('templates.cart.cart')}</span>${
+    isEmpty
+      ? ''
+      : `<div class="cart-count-bubble">${
+          cart.item_count < 100 ? `<span aria-hidden="true">${cart.item_count}</span>` : ''
+        }<span class="visually-hidden">${t('sections.header.cart_count', { count: cart.item_count })}</span></div>`
+  }`;
+}
+
+// `sections/cart-live-region-text.liquid`
+function cartLiveRegionText(cart) {
+  return `${t('sections.cart.new_estimated_total')}: ${moneyWithCurrency(cart.total_price)}`;
+}
+
+// `sections/cart-drawer-recommendations.liquid`
+function cartDrawerRecommendations(products) {
+  const available = products.filter((product) => product.available);
+  if (!available.length) return '';
+
+  return `<ul class="cart-drawer__recommendations-list list-unstyled" role="list">${available
+    .map((product) => {
+      const variant = product.variants.find((entry) => entry.available);
+      const formId = `cart-drawer-recommendation-${product.id}`;
+      const media = product.featured_media;
+      const action = product.has_only_default_variant
+        ? `<product-form data-section-id="cart-drawer" data-hide-errors="true">
+          <form method="post" action="/cart/add" id="${formId}" accept-charset="UTF-8" class="form" enctype="multipart/form-data" novalidate="novalidate">
+            <input type="hidden" name="form_type" value="product">
+            <input type="hidden" name="id" value="${variant.id}" class="product-variant-id">
+            <button id="${formId}-submit" type="submit" name="add" class="button button--secondary button--small cart-drawer__recommendation-button" aria-labelledby="${formId}-submit ${formId}-title">
+              <span>${t('products.product.add_to_cart')}</span>
+              ${loadingSpinner()}
+            </button>
+          </form>
+        </product-form>`
+        : `<a href="${product.url}" class="button button--secondary button--small cart-drawer__recommendation-button" aria-describedby="${formId}-title">${t(
+            'products.product.choose_options'
+          )}</a>`;
+
+      return `<li class="cart-drawer__recommendation" data-product-id="${product.id}">
+      <a href="${product.url}" class="cart-drawer__recommendation-media" tabindex="-1" aria-hidden="true">${
+        media
+          ? `<img src="${imageUrl(media, 240)}" alt="${escape(media.alt)}" srcset="${imageUrl(media, 120)} 120w, ${imageUrl(
+              media,
+              240
+            )} 240w" width="240" height="${Math.round(240 / media.aspect_ratio)}" loading="lazy" sizes="120px">`
+          : ''
+      }</a>
+      <div class="cart-drawer__recommendation-info">
+        <a href="${product.url}" id="${formId}-title" class="cart-drawer__recommendation-title link">${escape(
+          product.title
+        )}</a>
+        ${price(product)}
+        ${action}
+      </div>
+    </li>`;
+    })
+    .join('')}</ul>`;
+}
+
+module.exports = {
+  RECOMMENDATIONS_LIMIT,
+  cartDrawer,
+  cartDrawerRecommendations,
+  cartIconBubble,
+  cartLiveRegionText,
+  mainCartFooter,
+  mainCartItems,
+};
@@ -0,0 +1,513 @@
+// @ts-check
+const {
+  escape,
+  icon,
+  inlineAsset,
+  loadingSpinner,
+  money,
+  moneyWithoutCurrency,
+  scriptTag,
+  stylesheetTag,
+  t,
+} = require('./helpers');
+const { cardProduct } = require('./snippets');
+
+/**
+ * The collection template: `main-collection-banner` and `main-collection-product-grid` with horizontal facets,
+ * sorting and the infinite scroll loader, as configured in templates/collection.json.
+ *
+ * The grid renders one `card-product` per product; the `color-variant` split into one card per color is left
+ * out so page sizes stay predictable. With `clientFiltering` (the section's `enable_client_filtering`) it also
+ * renders `facet-data`, for a collection taken with the 250 products per page the section then paginates by.
+ */
+
+function productCount(collection) {
+  return collection.products_count === collection.all_products_count
+    ? t('products.facets.product_count_simple', { count: collection.products_count })
+    : t('products.facets.product_count', {
+        product_count: collection.products_count,
+        count: collection.all_products_count,
+      });
+}
+
+function removeLink(href, label) {
+  return `<facet-remove>
+  <a href="${href}" class="active-facets__button active-facets__button--light">
+    <span class="active-facets__button-inner button button--tertiary">
+      ${label}
+      ${icon('icon-close-small.svg')}
+      <span class="visually-hidden">${t('products.facets.clear_filter')}</span>
+    </span>
+  </a>
+</facet-remove>`;
+}
+
+function activeFacets(collection, className) {
+  const pills = collection.filters.flatMap((filter) => {
+    if (filter.type === 'price_range') {
+      const min = filter.min_value.value;
+      const max = filter.max_value.value;
+      return min != null || max != null
+        ? [removeLink(filter.url_to_remove, `${money(min ?? 0)} - ${money(max ?? filter.range_max)}`)]
+        : [];
+    }
+    return filter.active_values.map((value) =>
+      removeLink(value.url_to_remove, `${escape(filter.label)}: ${escape(value.label)}`)
+    );
+  });
+
+  return `<div class="active-facets ${className}">
+  ${pills.join('\n')}
+  <facet-remove class="active-facets__button-wrapper">
+    <a href="${collection.url}" class="active-facets__button-remove underlined-link">
+      <span>${t('products.facets.clear_all')}</span>
+    </a>
+  </facet-remove>
+</div>`;
+}
+
+function valueText(value) {
+  return `<span class="facet-checkbox__text" aria-hidden="true">
+  <span class="facet-checkbox__text-label">${escape(value.label)}</span> (${value.count})
+</span>
+<span class="visually-hidden">${escape(value.label)} (${t(
+    `products.facets.product_count_simple.${value.count === 1 ? 'one' : 'other'}`,
+    { count: value.count }
+  )})</span>`;
+}
+
+function priceFacet(filter, idPrefix) {
+  const max = moneyWithoutCurrency(filter.range_max);
+  const field = (bound, name, label) => {
+    const id = `${idPrefix}${escape(filter.label)}-${name}`;
+    return `<div class="field">
+  <input class="field__input" name="${bound.param_name}" id="${id}"${
+    bound.value != null ? ` value="${moneyWithoutCurrency(bound.value)}"` : ''
+  } type="text" inputmode="decimal" placeholder="${name === 'GTE' ? 0 : max}" data-pattern="\\d| |,|\\." data-min="0" data-max="${max}">
+  <label class="field__label" for="${id}">${label}</label>
+</div>`;
+  };
+
+  return `<price-range class="facets__price">
+  <span class="field-currency">฿</span>
+  ${field(filter.min_value, 'GTE', t('products.facets.from'))}
+  <span class="field-currency">฿</span>
+  ${field(filter.max_value, 'LTE', t('products.facets.to'))}
+</price-range>`;
+}
+
+function desktopFilter(filter, index, sectionId) {
+  const summaryLabel =
+    filter.type === 'price_range'
+      ? `<span>${escape(filter.label)}</span>`
+      : `<span class="facets__summary-label">${escape(filter.label)}</span>`;
+
+  const header =
+    filter.type === 'price_range'
+      ? `<span class="facets__selected">${t('products.facets.max_price', { price: money(filter.range_max) })}</span>`
+      : `<div><span class="facets__selected">${t('products.facets.filters_selected', {
+          count: filter.active_values.length,
+        })}</span></div>`;
+
+  const body =
+    filter.type === 'price_range'
+      ? priceFacet(filter, 'Filter-')
+      : `<fieldset class="facets-wrap parent-wrap">
+        <legend class="visually-hidden">${escape(filter.label)}</legend>
+        <ul class="facets-layout facets-layout-list facets-layout-list--text facets__list list-unstyled" role="list">
+          ${filter.values
+            .map((value, valueIndex) => {
+              const id = `Filter-${escape(filter.param_name)}-${valueIndex + 1}`;
+              const disabled = value.count === 0 && !value.active;
+              return `<li class="list-menu__item facets__item">
+            <label for="${id}" class="facets__label facet-checkbox${disabled ? ' disabled' : ''}${
+              value.active ? ' active' : ''
+            }">
+              <input type="checkbox" name="${value.param_name}" value="${escape(value.value)}" id="${id}"${
+                value.active ? ' checked' : ''
+              }${disabled ? ' disabled' : ''}>
+              ${inlineAsset('square.svg')}
+              <div class="svg-wrapper">${inlineAsset('icon-checkmark.svg')}</div>
+              ${valueText(value)}
+            </label>
+          </li>`;
+            })
+            .join('')}
+        </ul>
+      </fieldset>`;
+
+  return `<details id="Details-${escape(filter.param_name)}-${sectionId}" class="disclosure-has-popup facets__disclosure js-filter" data-index="${index}">
+  <summary class="facets__summary caption-large focus-offset"${
+    filter.type === 'price_range'
+      ? ''
+      : ` aria-label="${escape(filter.label)} (${t('products.facets.filters_selected.one', {
+          count: filter.active_values.length,
+        })})"`
+  }>
+    <div>${summaryLabel}${inlineAsset('icon-caret.svg')}</div>
+  </summary>
+  <div id="Facet-${index}-${sectionId}" class="${filter.type === 'price_range' ? '' : 'parent-display '}facets__display">
+    <div class="facets__header">
+      ${header}
+      <facet-remove>
+        <a href="${filter.url_to_remove}" class="facets__reset link underlined-link">${t('products.facets.reset')}</a>
+      </facet-remove>
+    </div>
+    ${body}
+  </div>
+</details>`;
+}
+
+function sortSelect(collection, id, className) {
+  return `<select name="sort_by" class="${className}" id="${id}" aria-describedby="a11y-refresh-page-message">
+  ${collection.sort_options
+    .map(
+      (option) =>
+        `<option value="${escape(option.value)}"${option.value === collection.sort_by ? ' selected="selected"' : ''}>${escape(
+          option.name
+        )}</option>`
+    )
+    .join('')}
+</select>
+${icon('icon-caret.svg')}`;
+}
+
+function mobileFilter(filter, index, sectionId) {
+  const footer = `<div class="mobile-facets__footer gradient">
+    <facet-remove class="mobile-facets__clear-wrapper">
+      <a href="${filter.url_to_remove}" class="mobile-facets__clear underlined-link">${t('products.facets.clear')}</a>
+    </facet-remove>
+    <button type="button" class="button button--primary" onclick="this.closest('.mobile-facets__wrapper').querySelector('summary').click()">${t(
+      'products.facets.apply'
+    )}</button>
+  </div>`;
+
+  const body =
+    filter.type === 'price_range'
+      ? `<p class="mobile-facets__info">${t('products.facets.max_price', { price: money(filter.range_max) })}</p>
+    ${priceFacet(filter, 'Mobile-Filter-')}`
+      : `<ul class="facets-layout facets-layout-list facets-layout-list--text mobile-facets__list list-unstyled" role="list">
+      ${filter.values
+        .map((value, valueIndex) => {
+          const id = `Filter-${escape(filter.param_name)}-mobile-${valueIndex + 1}`;
+          const disabled = value.count === 0 && !value.active;
+          return `<li class="mobile-facets__item list-menu__item">
+        <label for="${id}" class="facets__label mobile-facets__label${disabled ? ' disabled' : ''}${
+          value.active ? ' active' : ''
+        }">
+          <input class="mobile-facets__checkbox" type="checkbox" name="${value.param_name}" value="${escape(
+            value.value
+          )}" id="${id}"${value.active ? ' checked' : ''}${disabled ? ' disabled' : ''}>
+          <span class="mobile-facets__highlight"></span>
+          ${inlineAsset('square.svg')}
+          ${inlineAsset('icon-checkmark.svg')}
+          ${valueText(value)}
+        </label>
+      </li>`;
+        })
+        .join('')}
+    </ul>`;
+
+  return `<details id="Details-Mobile-${escape(filter.param_name)}-${sectionId}" class="mobile-facets__details js-filter" data-index="mobile-${index}">
+  <summary class="mobile-facets__summary focus-inset">
+    <div>
+      <span>${escape(filter.label)}</span>
+      <span class="mobile-facets__arrow">${inlineAsset('icon-arrow.svg')}</span>
+    </div>
+  </summary>
+  <div id="FacetMobile-${index}-${sectionId}" class="mobile-facets__submenu gradient">
+    <button class="mobile-facets__close-button link link--text focus-inset" aria-expanded="true" type="button">
+      ${inlineAsset('icon-arrow.svg')}
+      <span>${escape(filter.label)}</span>
+    </button>
+    ${body}
+    ${footer}
+  </div>
+</details>`;
+}
+
+// `{% render 'facets', results: collection, enable_filtering: true, enable_sorting: true, filter_type: 'horizontal' %}`
+function facets(collection, sectionId) {
+  const count = productCount(collection);
+
+  return `${['component-show-more.css', 'component-swatch-input.css', 'component-swatch.css'].map(stylesheetTag).join('\n')}
+<div class="facets-container">
+  <facet-filters-form class="facets small-hide">
+    <form id="FacetFiltersForm" class="facets__form">
+      <div id="FacetsWrapperDesktop" class="facets__wrapper">
+        <h2 class="facets__heading caption-large text-body" id="verticalTitle" tabindex="-1">${t(
+          'products.facets.filter_by_label'
+        )}</h2>
+        ${scriptTag('show-more.js')}
+        ${collection.filters.map((filter, index) => desktopFilter(filter, index + 1, sectionId)).join('\n')}
+      </div>
+      ${activeFacets(collection, 'active-facets-desktop')}
+      <div class="facet-filters sorting caption">
+        <div class="facet-filters__field">
+          <h2 class="facet-filters__label caption-large text-body">
+            <label for="SortBy">${t('products.facets.sort_by_label')}</label>
+          </h2>
+          <div class="select">
+            ${sortSelect(collection, 'SortBy', 'facet-filters__sort select__select caption-large')}
+          </div>
+        </div>
+      </div>
+      <div class="product-count light" role="status">
+        <h2 class="product-count__text text-body">
+          <span id="ProductCountDesktop">${count}</span>
+        </h2>
+        ${loadingSpinner()}
+      </div>
+    </form>
+  </facet-filters-form>
+  <menu-drawer class="mobile-facets__wrapper medium-hide large-up-hide" data-breakpoint="mobile">
+    <details class="mobile-facets__disclosure disclosure-has-popup">
+      <summary class="mobile-facets__open-wrapper focus-offset">
+        <span class="mobile-facets__open">
+          ${icon('icon-filter.svg')}
+          <span class="mobile-facets__open-label button-label medium-hide large-up-hide">${t(
+            'products.facets.filter_and_sort'
+          )}</span>
+          <span class="mobile-facets__open-label button-label small-hide">${t('products.facets.filter_button')}</span>
+        </span>
+        <span tabindex="0" class="mobile-facets__close">${icon('icon-close.svg')}</span>
+      </summary>
+      <facet-filters-form>
+        <form id="FacetFiltersFormMobile" class="mobile-facets">
+          <div class="mobile-facets__inner gradient">
+            <div class="mobile-facets__header">
+              <div class="mobile-facets__header-inner">
+                <h2 class="mobile-facets__heading medium-hide large-up-hide">${t('products.facets.filter_and_sort')}</h2>
+                <h2 class="mobile-facets__heading small-hide">${t('products.facets.filter_button')}</h2>
+                <p class="mobile-facets__count">${count}</p>
+              </div>
+            </div>
+            <div id="FacetsWrapperMobile" class="mobile-facets__main has-submenu gradient">
+              ${collection.filters.map((filter, index) => mobileFilter(filter, index + 1, sectionId)).join('\n')}
+              <div id="Details-Mobile-SortBy-${sectionId}" class="mobile-facets__details js-filter" data-index="mobile-${
+                collection.filters.length
+              }">
+                <div class="mobile-facets__summary">
+                  <div class="mobile-facets__sort">
+                    <label for="SortBy-mobile">${t('products.facets.sort_by_label')}</label>
+                    <div class="select">${sortSelect(collection, 'SortBy-mobile', 'select__select')}</div>
+                  </div>
+                </div>
+              </div>
+              <div class="mobile-facets__footer">
+                <facet-remove class="mobile-facets__clear-wrapper">
+                  <a href="${collection.url}" class="mobile-facets__clear underlined-link">${t(
+                    'products.facets.clear_all'
+                  )}</a>
+                </facet-remove>
+                <button type="button" class="button button--primary" onclick="this.closest('.mobile-facets__wrapper').querySelector('summary').click()">${t(
+                  'products.facets.apply'
+                )}</button>
+              </div>
+            </div>
+          </div>
+        </form>
+      </facet-filters-form>
+    </details>
+  </menu-drawer>
+  ${activeFacets(collection, 'active-facets-mobile medium-hide large-up-hide')}
+  <div class="product-count light medium-hide large-up-hide" role="status">
+    <h2 class="product-count__text text-body">
+      <span id="ProductCount">${count}</span>
+    </h2>
+    ${loadingSpinner()}
+  </div>
+  ${presetControls()}
+</div>`;
+}
+
+function presetControls() {
+  return `<facet-preset-controls class="facet-presets" data-saved-message="${t(
+    'products.facets.presets.saved'
+  )}" data-cleared-message="${t('products.facets.presets.cleared')}" data-copied-message="${t(
+    'general.share.success_message'
+  )}" data-copy-fallback-message="${t('products.facets.presets.copy_fallback')}">
+    <button type="button" name="save" class="facet-presets__button underlined-link">${t(
+      'products.facets.presets.save'
+    )}</button>
+    <button type="button" name="clear" class="facet-presets__button underlined-link" hidden>${t(
+      'products.facets.presets.clear'
+    )}</button>
+    <button type="button" name="share" class="facet-presets__button underlined-link">${t(
+      'products.facets.presets.copy_link'
+    )}</button>
+    <input type="text" class="facet-presets__url" aria-label="${t('general.share.share_url')}" readonly hidden>
+    <span class="facet-presets__status" role="status"></span>
+  </facet-preset-controls>`;
+}
+
+// `{% render 'infinite-scroll-loader', paginate: paginate, section_id: section.id %}`
+function infiniteScrollLoader(paginate, sectionId) {
+  return `${paginate.previous ? `<link rel="prev" href="${paginate.previous.url}">` : ''}${
+    paginate.next ? `<link rel="next" href="${paginate.next.url}">` : ''
+  }
+<infinite-scroll id="InfiniteScroll" class="infinite-scroll" data-section-id="${sectionId}" data-container="#product-grid" data-page="${
+    paginate.current_page
+  }">
+  <p class="infinite-scroll__count">${t('sections.collection_template.showing_count', {
+    shown: Math.min(paginate.current_page * paginate.page_size, paginate.items),
+    count: paginate.items,
+  })}</p>
+  ${
+    paginate.next
+      ? `<a href="${paginate.next.url}" class="infinite-scroll__link visually-hidden">${t('general.pagination.next')}</a>
+  <div class="infinite-scroll__spinner" aria-label="${t('accessibility.loading')}">
+    <svg aria-hidden="true" focusable="false" class="spinner" viewBox="0 0 66 66" xmlns="http://www.w3.org/2000/svg">
+      <circle class="spinner-path" fill="none" stroke-width="6" cx="33" cy="33" r="30"></circle>
+    </svg>
+  </div>`
+      : `<p class="infinite-scroll__complete">${t('sections.collection_template.no_more_products')}</p>`
+  }
+</infinite-scroll>`;
+}
+
+// `sections/main-collection-banner.liquid`
+function collectionBanner(collection) {
+  return `${stylesheetTag('component-collection-hero.css')}
+<div class="collection-hero color-scheme-1 gradient">
+  <div class="collection-hero__inner page-width">
+    <div class="collection-hero__text-wrapper">
+      <h1 class="collection-hero__title">
+        <span class="visually-hidden">${t('sections.collection_template.title')}: </span>${escape(collection.title)}
+      </h1>
+    </div>
+  </div>
+</div>`;
+}
+
+// `{% render 'facet-data', results: collection, section_id: section.id %}`
+function facetData(collection, sectionId) {
+  const data = {
+    filters: collection.filters.map(({ param_name, type, label, operator = null }) => ({
+      param: param_name,
+      type,
+      label,
+      operator,
+    })),
+    strings: {
+      productCount: t('products.facets.product_count', {
+        product_count: '[product_count]',
+        count: collection.all_products_count,
+      }),
+      productCountAll: t('products.facets.product_count_simple', { count: collection.all_products_count }),
+      valueCount: {
+        one: t('products.facets.product_count_simple.one', { count: '[count]' }),
+        other: t('products.facets.product_count_simple.other', { count: '[count]' }),
+      },
+      filtersSelected: {
+        one: t('products.facets.filters_selected.one', { count: '[count]' }),
+        other: t('products.facets.filters_selected.other', { count: '[count]' }),
+      },
+    },
+    products: collection.products.map((product) => ({
+      id: product.id,
+      title: product.title,
+      type: product.type,
+      vendor: product.vendor,
+      tags: product.tags,
+      createdAt: Math.floor(Date.parse(product.created_at) / 1000),
+      price: product.price,
+      options: product.options.map((option) => option.name.toLowerCase()),
+      variants: product.variants.map((variant) => ({
+        options: variant.options,
+        available: variant.available,
+      })),
+    })),
+  };
+
+  return `<script type="application/json" id="FacetData-${sectionId}" data-url="${collection.url}" data-default-sort="${
+    collection.default_sort_by
+  }">
+  ${JSON.stringify(data).replace(/</g, '\\u003c')}
+</script>
+<template id="FacetPill-${sectionId}">
+  <facet-remove>
+    <a href="${collection.url}" class="active-facets__button active-facets__button--light">
+      <span class="active-facets__button-inner button button--tertiary">
+        ${icon('icon-close-small.svg')}
+        <span class="visually-hidden">${t('products.facets.clear_filter')}</span>
+      </span>
+    </a>
+  </facet-remove>
+</template>`;
+}
+
+// `sections/main-collection-product-grid.liquid`
+function productGrid(collection, sectionId, { clientFiltering = false } = {}) {
+  const { paginate } = collection;
+  const previous =
+    paginate.pages > 1
+      ? `<div id="InfiniteScrollPrevious" class="infinite-scroll-previous"${paginate.previous ? '' : ' hidden'}>
+      <a href="${paginate.previous?.url ?? ''}" class="button button--secondary">${t(
+        'sections.collection_template.load_previous'
+      )}</a>
+    </div>`
+      : '';
+  const grid = collection.products.length
+    ? `${previous}
+    <div class="collection page-width">
+      <div class="loading-overlay gradient"></div>
+      <ul id="product-grid" data-id="${sectionId}" class="grid product-grid grid--2-col-tablet-down grid--4-col-desktop">
+        ${collection.products
+          .map(
+            (product, index) =>
+              `<li class="grid__item" data-product-id="${product.id}">${cardProduct(product, {
+                sectionId,
+                lazy: index > 1,
+              })}</li>`
+          )
+          .join('\n')}
+      </ul>
+    </div>`
+    : `<div class="collection collection--empty page-width" id="product-grid" data-id="${sectionId}">
+      <div class="loading-overlay gradient"></div>
+      <div class="title-wrapper center">
+        <h2 class="title title--primary">
+          ${t('sections.collection_template.empty')}<br>
+          ${t('sections.collection_template.use_fewer_filters_html', {
+            link: collection.url,
+            class: 'underlined-link link',
+          })}
+        </h2>
+      </div>
+    </div>`;
+
+  return `${['template-collection.css', 'component-card.css', 'component-price.css', 'infinite-scroll.css']
+    .map(stylesheetTag)
+    .join('\n')}
+<style>
+  .section-${sectionId}-padding {
+    padding-top: 27px;
+    padding-bottom: 27px;
+  }
+
+  @media screen and (min-width: 750px) {
+    .section-${sectionId}-padding {
+      padding-top: 36px;
+      padding-bottom: 36px;
+    }
+  }
+</style>
+<div class="section-${sectionId}-padding gradient color-scheme-1">
+  <div>
+    ${stylesheetTag('component-facets.css')}
+    ${scriptTag('facets.js')}
+    ${scriptTag('infinite-scroll.js')}
+    <aside aria-labelledby="verticalTitle" class="facets-wrapper page-width" id="main-collection-filters" data-id="${sectionId}">
+      ${facets(collection, sectionId)}
+    </aside>
+    <div class="product-grid-container" id="ProductGridContainer">
+      ${grid}
+    </div>
+    ${collection.paginate.pages > 1 ? infiniteScrollLoader(collection.paginate, sectionId) : ''}
+    ${clientFiltering && collection.all_products_count <= 250 ? facetData(collection, sectionId) : ''}
+  </div>
+</div>`;
+}
+
+module.exports = { collectionBanner, productGrid };
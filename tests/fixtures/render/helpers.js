@@ -0,0 +1,118 @@
+// @ts-check
+const fs = require('node:fs');
+const path = require('node:path');
+
+/**
+ * Small stand-ins for the Liquid filters the fixture templates need.
+ *
+ * Strings come from the theme's own locale file and icons from its assets folder, so the markup the theme
+ * scripts see offline matches what Shopify renders.
+ *
+ * The render modules are hand-written ports of the theme's sections and snippets, not generated from them. A
+ * change to the markup of a template (elements, classes, ids, data attributes or settings the scripts read) has to
+ * be made to its render function in the same change; the comment above each function names the template it follows.
+ * templates.json holds a hash of each of those templates, and tests/unit/render-fixtures.test.js fails once one
+ * changes until the port is brought up to date and the hashes recorded again (see templates.js).
+ */
+
+const ROOT = path.resolve(__dirname, '../../..');
+const locale = JSON.parse(fs.readFileSync(path.join(ROOT, 'locales/en.default.json'), 'utf8'));
+const assetCache = new Map();
+
+const MONEY_FORMAT = '฿{{amount}}';
+const MONEY_WITH_CURRENCY_FORMAT = '฿{{amount}} THB';
+const CURRENCY = 'THB';
+
+function escape(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// `{{ key | t: count: 2 }}`: plural keys pick `one` or `other` from `count`
+function t(key, variables = {}) {
+  let value = key.split('.').reduce((entry, part) => (entry == null ? entry : entry[part]), locale);
+  if (value && typeof value === 'object') value = variables.count === 1 ? value.one : value.other;
+  if (typeof value !== 'string') return `translation missing: en.${key}`;
+
+  return value.replace(/{{\s*(\w+)\s*}}/g, (match, name) => (name in variables ? String(variables[name]) : ''));
+}
+
+function formatAmount(cents) {
+  return (cents / 100).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function money(cents) {
+  return MONEY_FORMAT.replace('{{amount}}', formatAmount(cents));
+}
+
+function moneyWithCurrency(cents) {
+  return MONEY_WITH_CURRENCY_FORMAT.replace('{{amount}}', formatAmount(cents));
+}
+
+function moneyWithoutCurrency(cents) {
+  return formatAmount(cents);
+}
+
+function assetUrl(name) {
+  return `/assets/${name}`;
+}
+
+function stylesheetTag(name) {
+  return `<link href="${assetUrl(name)}" rel="stylesheet" type="text/css" media="all" />`;
+}
+
+function scriptTag(name) {
+  return `<script src="${assetUrl(name)}" defer="defer"></script>`;
+}
+
+// `{{ 'icon-close.svg' | inline_asset_content }}`
+function inlineAsset(name) {
+  if (!assetCache.has(name)) {
+    const file = path.join(ROOT, 'assets', name);
+    assetCache.set(name, fs.existsSync(file) ? fs.readFileSync(file, 'utf8').trim() : '');
+  }
+  return assetCache.get(name);
+}
+
+function icon(name) {
+  return `<span class="svg-wrapper">${inlineAsset(name)}</span>`;
+}
+
+// `{{ image | image_url: width: 600 }}`
+function imageUrl(image, width) {
+  return width ? `${image.src}?width=${width}` : image.src;
+}
+
+// `{% render 'loading-spinner' %}`, `className` replaces the default classes like the snippet's `class`
+function loadingSpinner(className = 'loading__spinner hidden') {
+  return `<div class="${className}">${inlineAsset('loading-spinner.svg')}</div>`;
+}
+
+// What the Section Rendering API wraps every section in
+function shopifySection(id, html, className = '') {
+  return `<div id="shopify-section-${id}" class="shopify-section${className ? ` ${className}` : ''}">${html}</div>`;
+}
+
+module.exports = {
+  CURRENCY,
+  MONEY_FORMAT,
+  MONEY_WITH_CURRENCY_FORMAT,
+  ROOT,
+  assetUrl,
+  escape,
+  icon,
+  imageUrl,
+  inlineAsset,
+  loadingSpinner,
+  money,
+  moneyWithCurrency,
+  moneyWithoutCurrency,
+  scriptTag,
+  shopifySection,
+  stylesheetTag,
+  t,
+};
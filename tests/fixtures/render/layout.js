@@ -0,0 +1,425 @@
+// @ts-check
+const {
+  MONEY_FORMAT,
+  MONEY_WITH_CURRENCY_FORMAT,
+  escape,
+  icon,
+  loadingSpinner,
+  scriptTag,
+  stylesheetTag,
+  t,
+} = require('./helpers');
+const { cartDrawer, cartIconBubble } = require('./cart');
+const { predictiveSearchEmptyState } = require('./search');
+
+/**
+ * `layout/theme.liquid` with the header group, as the fixture store's settings render it: drawer cart,
+ * predictive search on, no wishlist page.
+ *
+ * The `:root` settings CSS is cut down to what the theme's stylesheets read for layout; fonts come from the
+ * system stack.
+ */
+
+const HEAD_SCRIPTS = [
+  'constants.js',
+  'pubsub.js',
+  'section-client.js',
+  'prefetch.js',
+  'global.js',
+  'cart-store.js',
+  'theme-events.js',
+  'offline-cart-queue.js',
+  'cart-progress.js',
+  'details-disclosure.js',
+  'details-modal.js',
+  'search-form.js',
+  'recently-viewed.js',
+];
+
+const CART_DRAWER_STYLESHEETS = [
+  'component-cart-drawer.css',
+  'component-cart.css',
+  'component-totals.css',
+  'component-price.css',
+  'component-discounts.css',
+];
+
+const COLOR_SCHEMES = {
+  'scheme-1': { background: '255,255,255', foreground: '18,18,18', button: '18,18,18', buttonText: '255,255,255' },
+  'scheme-2': { background: '243,243,243', foreground: '18,18,18', button: '18,18,18', buttonText: '243,243,243' },
+  'scheme-3': { background: '36,40,51', foreground: '255,255,255', button: '255,255,255', buttonText: '0,0,0' },
+  'scheme-4': { background: '18,18,18', foreground: '255,255,255', button: '255,255,255', buttonText: '18,18,18' },
+  'scheme-5': { background: '51,79,180', foreground: '255,255,255', button: '255,255,255', buttonText: '51,79,180' },
+};
+
+function settingsStyles() {
+  const schemes = Object.entries(COLOR_SCHEMES)
+    .map(
+      ([id, scheme]) => `
+      ${id === 'scheme-1' ? ':root,\n      ' : ''}.color-${id} {
+        --color-background: ${scheme.background};
+        --gradient-background: rgb(${scheme.background});
+        --color-foreground: ${scheme.foreground};
+        --color-background-contrast: ${scheme.foreground};
+        --color-shadow: 18,18,18;
+        --color-button: ${scheme.button};
+        --color-button-text: ${scheme.buttonText};
+        --color-secondary-button: ${scheme.background};
+        --color-secondary-button-text: ${scheme.foreground};
+        --color-link: ${scheme.foreground};
+        --color-badge-foreground: ${scheme.foreground};
+        --color-badge-background: ${scheme.background};
+        --color-badge-border: ${scheme.foreground};
+      }`
+    )
+    .join('\n');
+
+  return `<style>
+      ${schemes}
+
+      body, ${Object.keys(COLOR_SCHEMES)
+        .map((id) => `.color-${id}`)
+        .join(', ')} {
+        color: rgba(var(--color-foreground), 0.75);
+        background-color: rgb(var(--color-background));
+      }
+
+      :root {
+        --font-body-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        --font-body-style: normal;
+        --font-body-weight: 400;
+        --font-body-weight-bold: 700;
+        --font-heading-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        --font-heading-style: normal;
+        --font-heading-weight: 400;
+        --font-body-scale: 1.0;
+        --font-heading-scale: 1.0;
+
+        --media-padding: px;
+        --media-border-opacity: 0.05;
+        --media-border-width: 1px;
+        --media-radius: 0px;
+        --media-shadow-opacity: 0.0;
+
+        --page-width: 120rem;
+        --page-width-margin: 0rem;
+
+        --product-card-image-padding: 0.0rem;
+        --product-card-corner-radius: 0.0rem;
+        --product-card-text-alignment: left;
+        --product-card-border-width: 0.0rem;
+        --product-card-border-opacity: 0.1;
+        --product-card-shadow-opacity: 0.0;
+
+        --badge-corner-radius: 4.0rem;
+
+        --popup-border-width: 1px;
+        --popup-border-opacity: 0.1;
+        --popup-corner-radius: 0px;
+        --popup-shadow-opacity: 0.05;
+
+        --drawer-border-width: 1px;
+        --drawer-border-opacity: 0.1;
+        --drawer-shadow-opacity: 0.0;
+
+        --spacing-sections-desktop: 0px;
+        --spacing-sections-mobile: 0px;
+
+        --grid-desktop-vertical-spacing: 8px;
+        --grid-desktop-horizontal-spacing: 8px;
+        --grid-mobile-vertical-spacing: 4px;
+        --grid-mobile-horizontal-spacing: 4px;
+
+        --text-boxes-border-opacity: 0.1;
+        --text-boxes-border-width: 0px;
+        --text-boxes-radius: 0px;
+        --text-boxes-shadow-opacity: 0.0;
+
+        --buttons-radius: 0px;
+        --buttons-radius-outset: 0px;
+        --buttons-border-width: 1px;
+        --buttons-border-opacity: 1.0;
+        --buttons-shadow-opacity: 0.0;
+        --buttons-border-offset: 0px;
+
+        --inputs-radius: 0px;
+        --inputs-border-width: 1px;
+        --inputs-border-opacity: 0.55;
+        --inputs-shadow-opacity: 0.0;
+        --inputs-radius-outset: 0px;
+
+        --variant-pills-radius: 40px;
+        --variant-pills-border-width: 1px;
+        --variant-pills-border-opacity: 0.55;
+        --variant-pills-shadow-opacity: 0.0;
+      }
+
+      *,
+      *::before,
+      *::after {
+        box-sizing: inherit;
+      }
+
+      html {
+        box-sizing: border-box;
+        font-size: calc(var(--font-body-scale) * 62.5%);
+        height: 100%;
+      }
+
+      body {
+        display: grid;
+        grid-template-rows: auto auto 1fr auto;
+        grid-template-columns: 100%;
+        min-height: 100%;
+        margin: 0;
+        font-size: 1.5rem;
+        letter-spacing: 0.06rem;
+        line-height: calc(1 + 0.8 / var(--font-body-scale));
+        font-family: var(--font-body-family);
+        font-style: var(--font-body-style);
+        font-weight: var(--font-body-weight);
+      }
+
+      @media screen and (min-width: 750px) {
+        body {
+          font-size: 1.6rem;
+        }
+      }
+    </style>`;
+}
+
+// `{% render 'header-search', input_id: 'Search-In-Modal' %}`
+function headerSearch() {
+  const search = t('general.search.search');
+
+  return `<details-modal class="header__search">
+  <details>
+    <summary class="header__icon header__icon--search header__icon--summary link focus-inset modal__toggle" aria-haspopup="dialog" aria-label="${search}">
+      <span>
+        ${icon('icon-search.svg')}
+        <span class="svg-wrapper header__icon-close">${icon('icon-close.svg')}</span>
+      </span>
+    </summary>
+    <div class="search-modal modal__content gradient" role="dialog" aria-modal="true" aria-label="${search}">
+      <div class="modal-overlay"></div>
+      <div class="search-modal__content search-modal__content-bottom" tabindex="-1">
+        <predictive-search class="search-modal__form" data-loading-text="${t('accessibility.loading')}">
+          <form action="/search" method="get" role="search" class="search search-modal__form">
+            <div class="field">
+              <input class="search__input field__input" id="Search-In-Modal" type="search" name="q" value="" placeholder="${search}" role="combobox" aria-expanded="false" aria-owns="predictive-search-results" aria-controls="predictive-search-results" aria-haspopup="listbox" aria-autocomplete="list" autocorrect="off" autocomplete="off" autocapitalize="off" spellcheck="false">
+              <label class="field__label" for="Search-In-Modal">${search}</label>
+              <input type="hidden" name="options[prefix]" value="last">
+              <button type="reset" class="reset__button field__button hidden" aria-label="${t('general.search.reset')}">
+                ${icon('icon-reset.svg')}
+              </button>
+              <button class="search__button field__button" aria-label="${search}">
+                ${icon('icon-search.svg')}
+              </button>
+            </div>
+            <div class="predictive-search predictive-search--header" tabindex="-1" data-predictive-search>
+              ${loadingSpinner('predictive-search__loading-state')}
+            </div>
+            <span class="predictive-search-status visually-hidden" role="status" aria-hidden="true"></span>
+            ${predictiveSearchEmptyState()}
+          </form>
+        </predictive-search>
+        <button type="button" class="search-modal__close-button modal__close-button link link--text focus-inset" aria-label="${t(
+          'accessibility.close'
+        )}">
+          ${icon('icon-close.svg')}
+        </button>
+      </div>
+    </div>
+  </details>
+</details-modal>`;
+}
+
+// `sections/header.liquid`, cut down to the logo, search and cart icon
+function header(cart) {
+  return `<div id="shopify-section-header" class="shopify-section shopify-section-group-header-group section-header">
+  ${[
+    'component-list-menu.css',
+    'component-search.css',
+    'component-menu-drawer.css',
+    'component-cart-notification.css',
+    'component-swatch.css',
+  ]
+    .map(stylesheetTag)
+    .join('\n')}
+  <div class="header-wrapper color-scheme-1 gradient">
+    <header class="header header--middle-left header--mobile-center page-width">
+      <a href="/" class="header__heading-link link link--text focus-inset">
+        <span class="h2">UMI</span>
+      </a>
+      <div class="header__icons">
+        <div class="desktop-localization-wrapper"></div>
+        ${headerSearch()}
+        <a href="/cart" class="header__icon header__icon--cart link focus-inset" id="cart-icon-bubble">
+          ${cartIconBubble(cart)}
+        </a>
+      </div>
+    </header>
+  </div>
+</div>`;
+}
+
+function globals() {
+  const json = (value) => JSON.stringify(value);
+
+  return `<script>
+      window.shopUrl = window.location.origin;
+      window.moneyFormat = ${json(MONEY_FORMAT)};
+      window.moneyWithCurrencyFormat = ${json(MONEY_WITH_CURRENCY_FORMAT)};
+      window.routes = {
+        cart_add_url: '/cart/add',
+        cart_change_url: '/cart/change',
+        cart_clear_url: '/cart/clear',
+        cart_update_url: '/cart/update',
+        cart_url: '/cart',
+        predictive_search_url: '/search/suggest',
+        product_recommendations_url: '/recommendations/products',
+        root_url: '/',
+      };
+
+      window.cartStrings = {
+        error: ${json(t('sections.cart.cart_error'))},
+        quantityError: ${json(t('sections.cart.cart_quantity_error_html', { quantity: '[quantity]' }))},
+      };
+
+      window.variantStrings = {
+        addToCart: ${json(t('products.product.add_to_cart'))},
+        addWhenOnline: ${json(t('products.product.add_to_cart_when_online'))},
+        soldOut: ${json(t('products.product.sold_out'))},
+        unavailable: ${json(t('products.product.unavailable'))},
+        unavailable_with_option: ${json(t('products.product.value_unavailable', { option_value: '[value]' }))},
+        chooseOptions: ${json(t('products.product.choose_options'))},
+      };
+
+      window.quickOrderListStrings = {
+        itemsAdded: ${json(t('sections.quick_order_list.items_added.other', { quantity: '[quantity]' }))},
+        itemAdded: ${json(t('sections.quick_order_list.items_added.one', { quantity: '[quantity]' }))},
+        itemsRemoved: ${json(t('sections.quick_order_list.items_removed.other', { quantity: '[quantity]' }))},
+        itemRemoved: ${json(t('sections.quick_order_list.items_removed.one', { quantity: '[quantity]' }))},
+        viewCart: ${json(t('sections.quick_order_list.view_cart'))},
+        each: ${json(t('sections.quick_order_list.each', { money: '[money]' }))},
+        min_error: ${json(t('sections.quick_order_list.min_error', { min: '[min]' }))},
+        max_error: ${json(t('sections.quick_order_list.max_error', { max: '[max]' }))},
+        step_error: ${json(t('sections.quick_order_list.step_error', { step: '[step]' }))},
+      };
+
+      window.accessibilityStrings = {
+        imageAvailable: ${json(t('products.product.media.image_available', { index: '[index]' }))},
+        shareSuccess: ${json(t('general.share.success_message'))},
+        pauseSlideshow: ${json(t('sections.slideshow.pause_slideshow'))},
+        playSlideshow: ${json(t('sections.slideshow.play_slideshow'))},
+        recipientFormExpanded: ${json(t('recipient.form.expanded'))},
+        recipientFormCollapsed: ${json(t('recipient.form.collapsed'))},
+        countrySelectorSearchCount: ${json(t('localization.country_results_count', { count: '[count]' }))},
+      };
+
+      window.savedForLater = {
+        url: null,
+        loggedIn: false,
+        customerItems: null,
+      };
+
+      window.wishlist = {
+        url: null,
+        loggedIn: false,
+        customerItems: null,
+      };
+
+      window.wishlistStrings = {
+        countOne: ${json(t('sections.header.wishlist_count.one', { count: '[count]' }))},
+        countOther: ${json(t('sections.header.wishlist_count.other', { count: '[count]' }))},
+      };
+
+      window.backInStock = {
+        url: '/apps/back-in-stock',
+      };
+
+      window.backInStockStrings = {
+        emailInvalid: ${json(t('products.product.back_in_stock.email_invalid'))},
+        phoneInvalid: ${json(t('products.product.back_in_stock.phone_invalid'))},
+        error: ${json(t('products.product.back_in_stock.error'))},
+      };
+
+      window.savedForLaterStrings = {
+        moveToCart: ${json(t('sections.cart.saved_for_later.move_to_cart'))},
+        remove: ${json(t('sections.cart.saved_for_later.remove'))},
+        moved: ${json(t('sections.cart.saved_for_later.moved', { title: '[title]' }))},
+        saveError: ${json(t('sections.cart.saved_for_later.save_error'))},
+      };
+    </script>`;
+}
+
+/**
+ * A full storefront page. `content` is the template's sections, already wrapped in their `shopify-section`
+ * elements.
+ */
+function layout({ title, content, cart }) {
+  return `<!doctype html>
+<html class="js" lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta http-equiv="X-UA-Compatible" content="IE=edge">
+    <meta name="viewport" content="width=device-width,initial-scale=1">
+    <meta name="theme-color" content="">
+    <title>${escape(title)} &ndash; UMI</title>
+
+    <script>
+      window.Shopify = { designMode: false, currency: { active: 'THB', rate: '1.0' } };
+    </script>
+    ${HEAD_SCRIPTS.map(scriptTag).join('\n    ')}
+
+    ${settingsStyles()}
+
+    ${stylesheetTag('base.css')}
+    <link rel="stylesheet" href="/assets/component-cart-items.css" media="print" onload="this.media='all'">
+    ${CART_DRAWER_STYLESHEETS.map(stylesheetTag).join('\n    ')}
+    <link rel="stylesheet" href="/assets/component-predictive-search.css" media="print" onload="this.media='all'">
+
+    <script>
+      if (Shopify.designMode) {
+        document.documentElement.classList.add('shopify-design-mode');
+      }
+    </script>
+  </head>
+
+  <body class="gradient">
+    <a class="skip-to-content-link button visually-hidden" href="#MainContent">${t('accessibility.skip_to_text')}</a>
+
+    ${cartDrawer(cart)}
+
+    ${header(cart)}
+
+    <main id="MainContent" class="content-for-layout focus-none" role="main" tabindex="-1">
+      ${content}
+    </main>
+
+    <ul hidden>
+      <li id="a11y-refresh-page-message">${t('accessibility.refresh_page')}</li>
+      <li id="a11y-new-window-message">${t('accessibility.link_messages.new_window')}</li>
+    </ul>
+
+    ${globals()}
+    ${scriptTag('predictive-search.js')}
+    ${scriptTag('product-form.js')}
+    ${scriptTag('cart-drawer.js')}
+  </body>
+</html>`;
+}
+
+function notFound(cart) {
+  return layout({
+    title: t('templates.404.title'),
+    cart,
+    content: `<div class="template-404 page-width center">
+        <p class="caption-with-letter-spacing light">${t('templates.404.subtext')}</p>
+        <h1>${t('templates.404.title')}</h1>
+        <a href="/collections/all" class="button">${t('general.continue_shopping')}</a>
+      </div>`,
+  });
+}
+
+module.exports = { headerSearch, layout, notFound };
@@ -0,0 +1,632 @@
+// @ts-check
+const { escape, icon, imageUrl, inlineAsset, loadingSpinner, scriptTag, stylesheetTag, t } = require('./helpers');
+const { cardProduct, price, swatch } = require('./snippets');
+
+/**
+ * The product template: `main-product` (media gallery, variant picker, buy buttons and media modal),
+ * `related-products` and `recently-viewed`, plus the `product-card` section used by ProductCard.fetch.
+ *
+ * Settings follow templates/product.json: stacked gallery, lightbox zoom and variant images hidden from the
+ * gallery unless selected.
+ */
+
+const THUMBNAIL_SIZES =
+  '(min-width: 1200px) 715px, (min-width: 990px) calc(65.0vw - 10rem), (min-width: 750px) calc((100vw - 11.5rem) / 2), calc(100vw / 1 - 4rem)';
+const THUMBNAIL_WIDTHS = [246, 493, 600, 713, 823, 990, 1100, 1206, 1346, 1426, 1646, 1946];
+
+// `{{ media | image_url: width: 1946 | image_tag: widths: ..., sizes: ... }}`
+function imageTag(media, { className = '', lazy = true } = {}) {
+  const image = media.preview_image;
+  const srcset = THUMBNAIL_WIDTHS.filter((width) => width <= image.width).map(
+    (width) => `${imageUrl(image, width)} ${width}w`
+  );
+
+  return `<img src="${imageUrl(image, 1946)}" alt="${escape(media.alt)}" srcset="${srcset.join(', ')}" width="${
+    image.width
+  }" height="${image.height}"${lazy ? ' loading="lazy"' : ''}${
+    className ? ` class="${className}"` : ''
+  } sizes="${THUMBNAIL_SIZES}">`;
+}
+
+// The media shown in the gallery, in order: the selected variant's image first, other variants' images left out.
+// Grouped by color, every media is rendered and `colorAttributes` hides the other colors'.
+function galleryMedia(product, variant, { groupByColor = false } = {}) {
+  const variantImages = new Set(product.variants.map((entry) => entry.featured_image?.src).filter(Boolean));
+  const featured = variant?.featured_media
+    ? product.media.find((media) => media.id === variant.featured_media.id)
+    : null;
+
+  return [
+    ...(featured ? [featured] : []),
+    ...product.media.filter((media) => media !== featured && (groupByColor || !variantImages.has(media.src))),
+  ];
+}
+
+function colorOptionIndex(product) {
+  return product.options.findIndex((option) => ['color', 'colour'].includes(option.name.toLowerCase()));
+}
+
+// `{% render 'product-media-color' %}`: the color a `#Color` alt text tag or the variant featuring the media gives it
+function colorAttributes(product, variant, media, { groupByColor = false } = {}) {
+  const index = colorOptionIndex(product);
+  if (!groupByColor || index === -1) return '';
+
+  const alt = media.alt.toLowerCase();
+  const color =
+    product.options[index].values.find((value) => alt.includes(`#${value.name.toLowerCase()}`))?.name ??
+    product.variants.find((entry) => entry.featured_media?.id === media.id)?.options[index];
+  if (!color) return '';
+
+  return ` data-media-color="${escape(color)}"${color !== variant?.options[index] ? ' hidden' : ''}`;
+}
+
+function hoverThumbnail(media, attributes, active) {
+  const isVideo = media.media_type === 'video';
+  return `<li class="product__hover-thumbnail-item${active ? ' is-active' : ''}" ${attributes}>
+  <button type="button" class="product__hover-thumbnail-button">
+    ${isVideo ? `<span class="product__hover-thumbnail-play-icon">${icon('icon-play.svg')}</span>` : ''}
+    <img src="${imageUrl(media.preview_image, 200)}" loading="lazy" width="100" height="100" alt="${escape(media.alt)}">
+  </button>
+</li>`;
+}
+
+// `{% render 'product-thumbnail' %}`
+function productThumbnail(media, { sectionId, position, lazy }) {
+  const isImage = media.media_type === 'image';
+  const video = isImage
+    ? ''
+    : `<deferred-media class="deferred-media media media--transparent" data-media-id="${media.id}">
+    <button id="Deferred-Poster-Modal-${media.id}" class="deferred-media__poster" type="button">
+      <span class="deferred-media__poster-button motion-reduce">
+        <span class="visually-hidden">${t('products.product.media.play_video')}</span>
+        ${icon('icon-play.svg')}
+      </span>
+      ${imageTag(media)}
+    </button>
+    <template>${videoTag(media)}</template>
+  </deferred-media>`;
+
+  return `<div class="product-media-container media-type-${media.media_type} media-fit-contain global-media-settings gradient" style="--ratio: ${media.aspect_ratio}; --preview-ratio: ${media.preview_image.aspect_ratio};">
+  <modal-opener class="product__modal-opener product__modal-opener--${media.media_type}" data-modal="#ProductModal-${sectionId}">
+    <span class="product__media-icon motion-reduce quick-add-hidden${isImage ? ' product__media-icon--lightbox' : ''}" aria-hidden="true">
+      ${icon(isImage ? 'icon-zoom.svg' : 'icon-play.svg')}
+    </span>
+    ${loadingSpinner()}
+    <div class="product__media media media--transparent">
+      ${imageTag(media, { className: isImage ? 'image-magnify-lightbox' : '', lazy })}
+    </div>
+    <button class="product__media-toggle quick-add-hidden product__media-zoom-lightbox" type="button" aria-haspopup="dialog" data-media-id="${media.id}">
+      <span class="visually-hidden">${t('products.product.media.open_media', { index: position })}</span>
+    </button>
+  </modal-opener>
+  ${video}
+</div>`;
+}
+
+// `{{ media | media_tag: autoplay: true, loop: true, controls: true }}`
+function videoTag(media) {
+  const sources = media.sources.map((source) => `<source src="${source.url}" type="${source.mime_type}">`).join('');
+  return `<video playsinline="playsinline" autoplay="autoplay" loop="loop" controls="controls" preload="none" aria-label="${escape(
+    media.alt
+  )}" poster="${imageUrl(media.preview_image, 2048)}">${sources}</video>`;
+}
+
+// `{% render 'product-media-gallery' %}`
+function mediaGallery(product, variant, sectionId, settings = {}) {
+  const media = galleryMedia(product, variant, settings);
+  const colorAttributesOf = (entry) => colorAttributes(product, variant, entry, settings);
+  const grouped = settings.groupByColor && colorOptionIndex(product) !== -1;
+  const mediaCount = media.filter((entry) => !colorAttributesOf(entry).endsWith(' hidden')).length;
+
+  return `<media-gallery id="MediaGallery-${sectionId}" role="region" class="product__column-sticky" aria-label="${t(
+    'products.product.media.gallery_viewer'
+  )}" data-desktop-layout="stacked"${
+    grouped ? ` data-section="${sectionId}" data-color-option-index="${colorOptionIndex(product)}"` : ''
+  }>
+  <div id="GalleryStatus-${sectionId}" class="visually-hidden" role="status"></div>
+  ${
+    media.length > 1
+      ? `<div class="product__hover-thumbnails" aria-hidden="true"${mediaCount < 2 ? ' hidden' : ''}>
+    <ul class="product__hover-thumbnails-list list-unstyled">
+      ${media
+        .map((entry, index) =>
+          hoverThumbnail(entry, `data-media-target="${sectionId}-${entry.id}"${colorAttributesOf(entry)}`, index === 0)
+        )
+        .join('')}
+    </ul>
+  </div>`
+      : ''
+  }
+  <slider-component id="GalleryViewer-${sectionId}" class="slider-mobile-gutter">
+    <a class="skip-to-content-link button visually-hidden quick-add-hidden" href="#ProductInfo-${sectionId}">
+      ${t('accessibility.skip_to_product_info')}
+    </a>
+    <ul id="Slider-Gallery-${sectionId}" class="product__media-list contains-media grid grid--peek list-unstyled slider slider--mobile" role="list">
+      ${media
+        .map(
+          (
+            entry,
+            index
+          ) => `<li id="Slide-${sectionId}-${entry.id}" class="product__media-item grid__item slider__slide${
+            index === 0 ? ' is-active' : ''
+          }${entry.media_type !== 'image' ? ' product__media-item--full' : ''}" data-media-id="${sectionId}-${
+            entry.id
+          }"${colorAttributesOf(entry)}>
+        ${productThumbnail(entry, { sectionId, position: index + 1, lazy: index > 0 })}
+      </li>`
+        )
+        .join('')}
+    </ul>
+    <div class="slider-buttons quick-add-hidden">
+      <button type="button" class="slider-button slider-button--prev" name="previous" aria-label="${t(
+        'general.slider.previous_slide'
+      )}">${icon('icon-caret.svg')}</button>
+      <div class="slider-counter caption">
+        <span class="slider-counter--current">1</span>
+        <span aria-hidden="true"> / </span>
+        <span class="visually-hidden">${t('general.slider.of')}</span>
+        <span class="slider-counter--total">${mediaCount}</span>
+      </div>
+      <button type="button" class="slider-button slider-button--next" name="next" aria-label="${t(
+        'general.slider.next_slide'
+      )}">${icon('icon-caret.svg')}</button>
+    </div>
+  </slider-component>
+</media-gallery>`;
+}
+
+// `{% render 'product-media' %}`, the media of the lightbox
+function modalMedia(media, colorAttributes = '') {
+  const image = media.preview_image;
+  if (media.media_type === 'image') {
+    const srcset = [550, 1100, 1445, 1680, 2048]
+      .filter((width) => image.width >= width)
+      .map((width) => `${imageUrl(image, width)} ${width}w`);
+    srcset.push(`${image.src} ${image.width}w`);
+
+    return `<img class="global-media-settings global-media-settings--no-shadow" srcset="${srcset.join(
+      ', '
+    )}" sizes="(min-width: 750px) calc(100vw - 22rem), 1100px" src="${imageUrl(image, 1445)}" alt="${escape(
+      media.alt
+    )}" loading="lazy" width="1100" height="${Math.ceil(1100 / image.aspect_ratio)}" data-media-id="${
+      media.id
+    }"${colorAttributes}>`;
+  }
+
+  return `<deferred-media class="deferred-media media global-media-settings global-media-settings--no-shadow" style="padding-top: min(calc(100vh - 12rem), ${
+    100 / media.aspect_ratio
+  }%)" data-media-id="${media.id}"${colorAttributes}>
+  <button id="Deferred-Poster-Modal-${media.id}" class="deferred-media__poster" type="button">
+    <span class="deferred-media__poster-button motion-reduce">${icon('icon-play.svg')}</span>
+    <img src="${imageUrl(image, 550)}" loading="lazy" width="576" height="${Math.round(
+      576 / image.aspect_ratio
+    )}" alt="${escape(media.alt)}">
+  </button>
+  <template>${videoTag(media)}</template>
+</deferred-media>`;
+}
+
+// `{% render 'product-media-modal' %}`
+function mediaModal(product, variant, sectionId, settings = {}) {
+  const media = galleryMedia(product, variant, settings);
+  const colorAttributesOf = (entry) => colorAttributes(product, variant, entry, settings);
+
+  return `<product-modal id="ProductModal-${sectionId}" class="product-media-modal media-modal">
+  <div class="product-media-modal__dialog color-scheme-1 gradient" role="dialog" aria-label="${t(
+    'products.modal.label'
+  )}" aria-modal="true" tabindex="-1">
+    <button id="ModalClose-${sectionId}" type="button" class="product-media-modal__toggle" aria-label="${t(
+      'accessibility.close'
+    )}">${inlineAsset('icon-close.svg')}</button>
+    ${
+      media.length > 1
+        ? `<div class="product__modal-thumbnails" aria-hidden="true">
+      <ul class="product__hover-thumbnails-list list-unstyled">
+        ${media
+          .map((entry, index) =>
+            hoverThumbnail(entry, `data-modal-media-index="${index}"${colorAttributesOf(entry)}`, index === 0)
+          )
+          .join('')}
+      </ul>
+    </div>`
+        : ''
+    }
+    <div class="product-media-modal__content color-scheme-1 gradient" role="document" aria-label="${t(
+      'products.modal.label'
+    )}" tabindex="0">
+      ${media.map((entry) => modalMedia(entry, colorAttributesOf(entry))).join('')}
+    </div>
+  </div>
+</product-modal>`;
+}
+
+// A value is available when a variant with it, and the values selected for the options before it, is
+function isValueAvailable(product, variant, optionIndex, value) {
+  return product.variants.some(
+    (entry) =>
+      entry.available &&
+      entry.options[optionIndex] === value &&
+      entry.options.slice(0, optionIndex).every((option, index) => option === variant?.options[index])
+  );
+}
+
+// `{% render 'product-variant-picker' %}`: swatches for options with swatches, pills for the rest
+function variantPicker(product, variant, sectionId) {
+  if (product.has_only_default_variant) return '';
+
+  const fieldsets = product.options.map((option, optionIndex) => {
+    const selectedValue = variant?.options[optionIndex];
+    const isSwatch = option.values.some((value) => value.swatch);
+
+    const inputs = option.values.map((value, index) => {
+      const id = `${sectionId}-${option.position}-${index}`;
+      const disabled = !isValueAvailable(product, variant, optionIndex, value.name);
+      const attributes = `type="radio" id="${id}" name="${escape(option.name)}-${option.position}" value="${escape(
+        value.name
+      )}" form="product-form-${sectionId}"${value.name === selectedValue ? ' checked' : ''} data-product-url="${
+        product.url
+      }" data-option-value-id="${value.id}"`;
+      const unavailable = `<span class="visually-hidden label-unavailable">${t(
+        'products.product.variant_sold_out_or_unavailable'
+      )}</span>`;
+
+      if (isSwatch) {
+        return `<input ${attributes} class="swatch-input__input${disabled ? ' visually-disabled' : ''}">
+<label for="${id}" title="${escape(value.name)}" class="swatch-input__label">
+  ${swatch(value.swatch)}
+  <span class="visually-hidden">${escape(value.name)}</span>
+  ${unavailable}
+</label>`;
+      }
+
+      return `<input ${attributes}${disabled ? ' class="disabled"' : ''}>
+<label for="${id}">${escape(value.name)}${unavailable}</label>`;
+    });
+
+    if (isSwatch) {
+      return `<fieldset class="js product-form__input product-form__input--swatch" data-option-name="${option.name.toLowerCase()}">
+  <legend class="form__label">${escape(option.name)}: <span data-selected-value>${escape(selectedValue ?? '')}</span></legend>
+  ${inputs.join('')}
+</fieldset>`;
+    }
+
+    return `<fieldset class="js product-form__input product-form__input--pill" data-option-name="${option.name.toLowerCase()}">
+  <legend class="form__label">${escape(option.name)}</legend>
+  ${inputs.join('')}
+</fieldset>`;
+  });
+
+  return `<variant-selects id="variant-selects-${sectionId}" data-section="${sectionId}">
+  ${fieldsets.join('')}
+  <script type="application/json" data-selected-variant>${JSON.stringify(variant ?? null)}</script>
+</variant-selects>`;
+}
+
+// `{% render 'back-in-stock-form' %}`, for the variant `buy-buttons` selects
+function backInStockForm(product, variant, sectionId) {
+  const selected = variant ?? product.variants.find((entry) => entry.available) ?? product.variants[0];
+
+  return `${stylesheetTag('component-back-in-stock.css')}
+<back-in-stock-form id="BackInStock-${sectionId}" class="back-in-stock" data-section="${sectionId}" data-product-id="${
+    product.id
+  }"${!variant || variant.available ? ' hidden' : ''}>
+  <form class="back-in-stock__form" novalidate="novalidate">
+    <p class="back-in-stock__heading h4">${t('products.product.back_in_stock.heading')}</p>
+    <p class="back-in-stock__description caption-large">${t('products.product.back_in_stock.description')}</p>
+    <input type="hidden" name="variant_id" value="${selected.id}">
+    <div class="field">
+      <input id="BackInStockEmail-${sectionId}" type="email" name="email" class="field__input" value="" aria-required="true" autocorrect="off" autocapitalize="off" autocomplete="email" placeholder="${t(
+        'products.product.back_in_stock.email'
+      )}" required>
+      <label class="field__label" for="BackInStockEmail-${sectionId}">${t('products.product.back_in_stock.email')}</label>
+    </div>
+    <div class="field">
+      <input id="BackInStockPhone-${sectionId}" type="tel" name="phone" class="field__input" autocomplete="tel" placeholder="${t(
+        'products.product.back_in_stock.phone'
+      )}">
+      <label class="field__label" for="BackInStockPhone-${sectionId}">${t('products.product.back_in_stock.phone')}</label>
+    </div>
+    <p id="BackInStockError-${sectionId}" class="back-in-stock__error form__message" role="alert" hidden>
+      ${icon('icon-error.svg')}
+      <span class="back-in-stock__error-message"></span>
+    </p>
+    <button type="submit" class="back-in-stock__submit button button--secondary button--full-width">
+      <span>${t('products.product.back_in_stock.submit')}</span>
+      ${loadingSpinner()}
+    </button>
+  </form>
+  <p class="back-in-stock__success form__message" role="status" hidden>
+    ${icon('icon-success.svg')}
+    ${t('products.product.back_in_stock.success')}
+  </p>
+</back-in-stock-form>
+${scriptTag('back-in-stock.js')}`;
+}
+
+// `{% render 'buy-buttons' %}`, with the back in stock form when `settings.backInStock` mirrors the theme's
+// `back_in_stock_enabled` with a `back_in_stock_url` (and `back_in_stock_sms`)
+function buyButtons(product, variant, sectionId, settings = {}) {
+  const disabled = !variant || !variant.available;
+  let label = t('products.product.add_to_cart');
+  if (!variant) label = t('products.product.unavailable');
+  else if (!variant.available) label = t('products.product.sold_out');
+
+  return `<div>
+  <product-form class="product-form" data-hide-errors="false" data-section-id="${sectionId}">
+    <div class="product-form__error-message-wrapper" role="alert" hidden>
+      ${icon('icon-error.svg')}
+      <span class="product-form__error-message"></span>
+    </div>
+    <form method="post" action="/cart/add" id="product-form-${sectionId}" accept-charset="UTF-8" class="form" enctype="multipart/form-data" novalidate="novalidate" data-type="add-to-cart-form">
+      <input type="hidden" name="form_type" value="product">
+      <input type="hidden" name="utf8" value="✓">
+      <input type="hidden" name="id" value="${variant?.id ?? ''}"${disabled ? ' disabled' : ''} class="product-variant-id">
+      <div class="product-form__buttons">
+        <button id="ProductSubmitButton-${sectionId}" type="submit" name="add" class="product-form__submit button button--full-width button--primary"${
+          disabled ? ' disabled' : ''
+        }>
+          <span>${label}</span>
+          ${loadingSpinner()}
+        </button>
+      </div>
+      <input type="hidden" name="product-id" value="${product.id}">
+      <input type="hidden" name="section-id" value="${sectionId}">
+    </form>
+  </product-form>
+  ${settings.backInStock ? backInStockForm(product, variant, sectionId) : ''}
+</div>`;
+}
+
+// `{% render 'sticky-add-to-cart' %}`
+function stickyAddToCart(product, variant, sectionId) {
+  const selected = variant ?? product.variants.find((entry) => entry.available) ?? product.variants[0];
+  const picker = product.options.map(
+    (option, optionIndex) => `<div class="sticky-add-to-cart__option select">
+  <select id="StickyAddToCartOption-${sectionId}-${optionIndex}" class="select__select" aria-label="${escape(option.name)}">
+    ${option.values
+      .map(
+        (value) =>
+          `<option value="${escape(value.name)}" data-option-value-id="${value.id}"${
+            value.name === selected.options[optionIndex] ? ' selected="selected"' : ''
+          }>${escape(value.name)}</option>`
+      )
+      .join('')}
+  </select>
+  ${icon('icon-caret.svg')}
+</div>`
+  );
+
+  return `<sticky-add-to-cart id="StickyAddToCart-${sectionId}" class="sticky-add-to-cart medium-hide large-up-hide color-scheme-1 gradient" data-section="${sectionId}" data-product-form="product-form-${sectionId}" aria-hidden="true" inert>
+  <div class="sticky-add-to-cart__error" role="alert" hidden>
+    ${icon('icon-error.svg')}
+    <span class="sticky-add-to-cart__error-message"></span>
+  </div>
+  ${
+    product.has_only_default_variant
+      ? ''
+      : `<div id="StickyAddToCartPicker-${sectionId}" class="sticky-add-to-cart__picker" role="group" aria-label="${t(
+          'products.product.product_variants'
+        )}" hidden>${picker.join('')}</div>`
+  }
+  <div class="sticky-add-to-cart__bar">
+    <div class="sticky-add-to-cart__details">
+      <p class="sticky-add-to-cart__title h5">${escape(product.title)}</p>
+      ${
+        product.has_only_default_variant
+          ? ''
+          : `<button type="button" class="sticky-add-to-cart__variant link link--text caption" aria-expanded="false" aria-controls="StickyAddToCartPicker-${sectionId}">${escape(
+              selected.title
+            )}</button>`
+      }
+      <div id="StickyAddToCartPrice-${sectionId}" class="sticky-add-to-cart__price">
+        ${price(product, { variant })}
+      </div>
+    </div>
+    <button type="button" class="sticky-add-to-cart__button button button--primary"${
+      selected.available ? '' : ' disabled'
+    }>
+      <span>${t(selected.available ? 'products.product.add_to_cart' : 'products.product.sold_out')}</span>
+      ${loadingSpinner()}
+    </button>
+  </div>
+</sticky-add-to-cart>`;
+}
+
+const SIZE_GUIDE_BLOCK_ID = 'size_guide';
+
+// The `size_guide` block's opener
+function sizeGuideOpener() {
+  return `<modal-opener class="product-popup-modal__opener quick-add-hidden" data-modal="#SizeGuide-${SIZE_GUIDE_BLOCK_ID}">
+  <button id="ProductSizeGuide-${SIZE_GUIDE_BLOCK_ID}" class="product-popup-modal__button link" type="button" aria-haspopup="dialog">${t(
+    'products.product.size_guide.title'
+  )}</button>
+</modal-opener>`;
+}
+
+// `{% render 'size-guide' %}` with `chart` as the `custom.size_chart` metafield, for the product's Size option
+function sizeGuide(product, chart) {
+  const blockId = SIZE_GUIDE_BLOCK_ID;
+  const sizeOption = product.options.find((option) => option.name.trim().toLowerCase() === 'size');
+  const pills = (name, values, label) => `<fieldset class="product-form__input product-form__input--pill">
+  <legend class="form__label">${t(`products.product.size_guide.${label}`)}</legend>
+  ${values
+    .map(
+      (
+        value,
+        index
+      ) => `<input type="radio" id="SizeGuide${name}-${blockId}-${value}" name="${name.toLowerCase()}" value="${value}"${
+        index === 0 ? ' checked' : ''
+      }>
+  <label for="SizeGuide${name}-${blockId}-${value}">${t(`products.product.size_guide.${value}`)}</label>`
+    )
+    .join('')}
+</fieldset>`;
+  const field = (name, cm, inch) => `<div class="field">
+  <input id="SizeGuide${name}-${blockId}" type="number" name="${name.toLowerCase()}" class="field__input" inputmode="decimal" min="0" step="any" placeholder="${t(
+    `products.product.size_guide.${cm}`
+  )}">
+  <label class="field__label" for="SizeGuide${name}-${blockId}" data-label-cm="${t(
+    `products.product.size_guide.${cm}`
+  )}" data-label-in="${t(`products.product.size_guide.${inch}`)}">${t(`products.product.size_guide.${cm}`)}</label>
+</div>`;
+
+  return `${stylesheetTag('component-size-guide.css')}
+<size-guide id="SizeGuide-${blockId}" class="product-popup-modal size-guide" data-size-label="${t(
+    'products.product.size_guide.size'
+  )}" ${['eu', 'us', 'uk', 'cm', 'in']
+    .map((key) => `data-${key}-label="${t(`products.product.size_guide.${key}`)}"`)
+    .join(' ')} data-caption-label="${t('products.product.size_guide.caption', {
+    unit: '[unit]',
+  })}" data-selected-label="${escape(t('products.product.size_guide.selected', { size: '[size]' }))}" data-recommended-label="${t(
+    'products.product.size_guide.recommended',
+    { size: '[size]' }
+  )}" data-no-result-label="${t('products.product.size_guide.no_result')}"${
+    sizeOption ? ` data-option-name="${escape(sizeOption.name)}" data-option-position="${sizeOption.position}"` : ''
+  }>
+  <div role="dialog" aria-labelledby="SizeGuideHeading-${blockId}" aria-modal="true" class="product-popup-modal__content" tabindex="-1">
+    <button id="ModalClose-${blockId}" type="button" class="product-popup-modal__toggle" aria-label="${t(
+      'accessibility.close'
+    )}">${inlineAsset('icon-close.svg')}</button>
+    <div class="product-popup-modal__content-info size-guide__content">
+      <h2 id="SizeGuideHeading-${blockId}" class="h2">${t('products.product.size_guide.title')}</h2>
+      <div class="size-guide__options">
+        ${pills('System', ['eu', 'us', 'uk'], 'size_system')}
+        ${pills('Unit', ['cm', 'in'], 'unit')}
+      </div>
+      <div class="size-guide__table-wrapper">
+        <table class="size-guide__table">
+          <caption class="size-guide__caption caption"></caption>
+          <thead></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+      <form class="size-guide__fit-finder" novalidate="novalidate">
+        <h3 class="h4">${t('products.product.size_guide.fit_finder_heading')}</h3>
+        <p class="size-guide__description">${escape(t('products.product.size_guide.fit_finder_description'))}</p>
+        <div class="size-guide__fields">
+          ${field('Height', 'height_cm', 'height_in')}
+          ${field('Weight', 'weight_kg', 'weight_lb')}
+          <div class="select">
+            <select id="SizeGuideUsualSize-${blockId}" class="select__select" name="usual_size" aria-label="${t(
+              'products.product.size_guide.usual_size'
+            )}">
+              <option value="">${t('products.product.size_guide.usual_size')}</option>
+              ${chart.sizes.map((size, index) => `<option value="${index}">${escape(size.size)}</option>`).join('')}
+            </select>
+            ${icon('icon-caret.svg')}
+          </div>
+        </div>
+        <button type="submit" class="button button--secondary">${t('products.product.size_guide.submit')}</button>
+        <p class="size-guide__result" role="status" hidden></p>
+      </form>
+    </div>
+  </div>
+  <script type="application/json">${JSON.stringify(chart)}</script>
+</size-guide>
+${scriptTag('size-guide.js')}`;
+}
+
+// `sections/main-product.liquid`, `settings.groupByColor` mirroring the section's `group_media_by_color`,
+// `settings.stickyAddToCart` its `enable_sticky_add_to_cart` and `settings.backInStock` the theme's
+// `back_in_stock_enabled` with a `back_in_stock_url`; `settings.sizeChart` adds a `size_guide` block for that `custom.size_chart` metafield
+function mainProduct(product, variant, sectionId, settings = {}) {
+  return `<product-info id="MainProduct-${sectionId}" class="section-${sectionId}-padding gradient color-scheme-1" data-section="${sectionId}" data-product-id="${
+    product.id
+  }" data-product-handle="${product.handle}" data-update-url="true" data-url="${product.url}">
+  ${[
+    'section-main-product.css',
+    'component-accordion.css',
+    'component-price.css',
+    'component-slider.css',
+    'component-rating.css',
+    'component-deferred-media.css',
+    'component-product-variant-picker.css',
+    'component-swatch-input.css',
+    'component-swatch.css',
+  ]
+    .map(stylesheetTag)
+    .join('\n')}
+  <style>
+    .section-${sectionId}-padding { padding-top: 27px; padding-bottom: 9px; }
+    @media screen and (min-width: 750px) {
+      .section-${sectionId}-padding { padding-top: 36px; padding-bottom: 12px; }
+    }
+  </style>
+  ${['product-info.js', 'product-form.js', 'lazy-media.js'].map(scriptTag).join('\n')}
+  <div class="page-width">
+    <div class="product product--large product--left product--stacked product--mobile-hide grid grid--1-col grid--2-col-tablet">
+      <div class="grid__item product__media-wrapper">
+        ${mediaGallery(product, variant, sectionId, settings)}
+      </div>
+      <div class="product__info-wrapper grid__item">
+        <section id="ProductInfo-${sectionId}" class="product__info-container product__column-sticky">
+          <div class="product__title-price-row">
+            <div class="product__title">
+              <h1>${escape(product.title)}</h1>
+              <a href="${product.url}" class="product__title"><h2 class="h1">${escape(product.title)}</h2></a>
+            </div>
+            <div id="price-${sectionId}" role="status">
+              ${price(product, { variant, showBadges: true, priceClass: 'price--large' })}
+            </div>
+          </div>
+          ${variantPicker(product, variant, sectionId)}
+          ${settings.sizeChart ? sizeGuideOpener() : ''}
+          ${buyButtons(product, variant, sectionId, settings)}
+          <div class="product__description rte quick-add-hidden">${product.description}</div>
+        </section>
+      </div>
+    </div>
+    ${mediaModal(product, variant, sectionId, settings)}
+    ${settings.sizeChart ? sizeGuide(product, settings.sizeChart) : ''}
+    ${
+      settings.stickyAddToCart
+        ? `${stylesheetTag('component-sticky-add-to-cart.css')}
+    ${scriptTag('sticky-add-to-cart.js')}
+    ${stickyAddToCart(product, variant, sectionId)}`
+        : ''
+    }
+    ${['product-modal.js', 'media-gallery.js'].map(scriptTag).join('\n')}
+  </div>
+</product-info>`;
+}
+
+// `sections/related-products.liquid`, empty until product-recommendations loads it from the recommendations endpoint
+function relatedProducts(product, sectionId, recommendations = null) {
+  return `${['component-card.css', 'component-price.css', 'section-related-products.css'].map(stylesheetTag).join('\n')}
+<div class="color-scheme-1 gradient">
+  <product-recommendations class="related-products page-width section-${sectionId}-padding isolate" data-url="/recommendations/products?limit=8" data-section-id="${sectionId}" data-product-id="${
+    product.id
+  }">
+    ${
+      recommendations?.length
+        ? `<h2 class="related-products__heading inline-richtext h2">You may also like</h2>
+    <ul class="grid product-grid grid--4-col-desktop grid--2-col-tablet-down" role="list">
+      ${recommendations.map((entry) => `<li class="grid__item">${cardProduct(entry, { sectionId })}</li>`).join('')}
+    </ul>`
+        : ''
+    }
+  </product-recommendations>
+</div>`;
+}
+
+// `sections/recently-viewed.liquid`
+function recentlyViewed(product, sectionId) {
+  return `${['component-card.css', 'component-price.css', 'section-recently-viewed.css'].map(stylesheetTag).join('\n')}
+<div class="color-scheme-1 gradient">
+  <recently-viewed class="recently-viewed page-width section-${sectionId}-padding isolate" data-limit="4" data-exclude="${
+    product?.handle ?? ''
+  }" hidden>
+    <h2 class="recently-viewed__heading inline-richtext h2">Recently viewed</h2>
+    <ul class="recently-viewed__grid grid product-grid grid--4-col-desktop grid--2-col-tablet-down" role="list"></ul>
+  </recently-viewed>
+</div>`;
+}
+
+// `sections/product-card.liquid`
+function productCardSection(product) {
+  return `<ul class="grid product-grid" role="list">
+  <li class="grid__item">${cardProduct(product, { sectionId: 'product-card' })}</li>
+</ul>`;
+}
+
+module.exports = { mainProduct, productCardSection, recentlyViewed, relatedProducts };
@@ -0,0 +1,254 @@
+// @ts-check
+const { escape, inlineAsset, imageUrl, loadingSpinner, t } = require('./helpers');
+const { swatch } = require('./snippets');
+
+/**
+ * `sections/predictive-search.liquid` for the `/search/suggest` endpoint. The fixture store has no pages or
+ * articles, so only the suggestions and products groups are rendered.
+ */
+
+// The fixture store's search settings; swatches and quick add are on too
+const TRENDING_TERMS = ['linen', 'summer dress'];
+const POPULAR_COLLECTIONS = [
+  { handle: 'dresses', title: 'Dresses' },
+  { handle: 'swimwear', title: 'Swimwear' },
+];
+
+function option(
+  id,
+  href,
+  content,
+  className = 'predictive-search__item link link--text',
+  { actions = '', itemClass = '' } = {}
+) {
+  return `<li id="${id}" class="predictive-search__list-item${itemClass && ` ${itemClass}`}" role="option" aria-selected="false">
+  <a href="${href}" class="${className}" tabindex="-1">${content}</a>${actions}
+</li>`;
+}
+
+// The swatches and quick add of a product result
+function productActions(product) {
+  const colorOption = product.options.find((option) => option.values.some((value) => value.swatch));
+  const selected = product.variants.find((variant) => variant.available) ?? product.variants[0];
+  const quickAdd = product.has_only_default_variant || (colorOption && product.options.length === 1);
+  if (!colorOption && !quickAdd) return '';
+
+  const formId = `PredictiveSearchQuickAdd-${product.id}`;
+  const swatches = colorOption
+    ? `<div class="predictive-search__swatches" role="group" aria-label="${escape(colorOption.name)}">${colorOption.values
+        .map(({ name, swatch: color }) => {
+          const index = colorOption.position - 1;
+          // `value.variant`: the value combined with the other options of the selected variant
+          const variant = product.variants.find((entry) =>
+            entry.options.every((option, i) => (i === index ? option === name : option === selected.options[i]))
+          );
+          const attributes = [
+            `aria-pressed="${quickAdd && selected.options[index] === name}"`,
+            variant?.featured_media ? `data-media-url="${imageUrl(variant.featured_media.preview_image, 150)}"` : '',
+            quickAdd ? `data-variant-id="${variant.id}" data-available="${variant.available}"` : '',
+          ];
+          return `<button type="button" class="predictive-search__swatch" aria-label="${escape(name)}" ${attributes
+            .filter(Boolean)
+            .join(' ')}>${swatch(color, 'square')}</button>`;
+        })
+        .join('')}</div>`
+    : '';
+  const form = quickAdd
+    ? `<product-form class="predictive-search__quick-add" data-hide-errors="true">
+      <form method="post" action="/cart/add" id="${formId}" accept-charset="UTF-8" class="form" enctype="multipart/form-data" novalidate="novalidate" data-type="add-to-cart-form">
+        <input type="hidden" name="form_type" value="product">
+        <input type="hidden" name="id" value="${selected.id}" class="product-variant-id"${selected.available ? '' : ' disabled'}>
+        <button id="${formId}-submit" type="submit" name="add" class="predictive-search__quick-add-button button button--secondary button--small" aria-labelledby="${formId}-submit ${formId}-title" data-sold-out-message="true"${
+          selected.available ? '' : ' disabled'
+        }>
+          <span>${t(selected.available ? 'products.product.add_to_cart' : 'products.product.sold_out')}</span>
+          <span class="sold-out-message hidden">${t('products.product.sold_out')}</span>
+          ${loadingSpinner()}
+        </button>
+      </form>
+    </product-form>`
+    : '';
+
+  return `<div class="predictive-search__item-actions">${swatches}${form}</div>`;
+}
+
+function liveRegionCount(terms, { products, queries, collections }) {
+  const suggestions = queries.length + collections.length;
+  const total = products.length + suggestions;
+  if (!total) return t('templates.search.no_results', { terms: escape(terms) });
+
+  const parts = [];
+  if (queries.length) parts.push(t('templates.search.results_suggestions_with_count', { count: suggestions }));
+  if (products.length) parts.push(t('templates.search.results_products_with_count', { count: products.length }));
+  return `${t('templates.search.results_with_count', { count: total })}: ${parts.join(', ')}`;
+}
+
+function predictiveSearch(terms, results) {
+  const { products, queries, collections } = results;
+  const hasSuggestions = queries.length + collections.length > 0;
+  const wrapperClasses = ['predictive-search__results-groups-wrapper'];
+  if (!products.length) wrapperClasses.push('predictive-search__results-groups-wrapper--no-products');
+  if (!hasSuggestions) wrapperClasses.push('predictive-search__results-groups-wrapper--no-suggestions');
+
+  const suggestionsGroup = hasSuggestions
+    ? `<div class="predictive-search__result-group">
+      <div>
+        <h2 id="predictive-search-queries" class="predictive-search__heading text-body caption-with-letter-spacing">${t(
+          'templates.search.suggestions'
+        )}</h2>
+        <ul id="predictive-search-results-queries-list" class="predictive-search__results-list list-unstyled" role="group" aria-labelledby="predictive-search-queries">
+          ${queries
+            .map((query, index) =>
+              option(
+                `predictive-search-option-query-${index + 1}`,
+                query.url,
+                `<div class="predictive-search__item-content predictive-search__item-content--centered">
+            <p class="predictive-search__item-heading predictive-search__item-query-result h5">${escape(query.text)}</p>
+          </div>`
+              )
+            )
+            .join('')}
+          ${collections
+            .map((collection, index) =>
+              option(
+                `predictive-search-option-collection-${index + 1}`,
+                `/collections/${collection.handle}`,
+                `<div class="predictive-search__item-content predictive-search__item-content--centered">
+            <p class="predictive-search__item-heading h5">${escape(collection.title)}</p>
+          </div>`
+              )
+            )
+            .join('')}
+        </ul>
+      </div>
+    </div>`
+    : '';
+
+  const productsGroup = products.length
+    ? `<div class="predictive-search__result-group">
+      <div>
+        <h2 id="predictive-search-products" class="predictive-search__heading text-body caption-with-letter-spacing">${t(
+          'templates.search.products'
+        )}</h2>
+        <ul id="predictive-search-results-products-list" class="predictive-search__results-list list-unstyled" role="group" aria-labelledby="predictive-search-products">
+          ${products
+            .map((product, index) => {
+              const media = product.featured_media;
+              const actions = productActions(product);
+              return option(
+                `predictive-search-option-product-${index + 1}`,
+                product.url,
+                `${
+                  media
+                    ? `<img class="predictive-search__image" src="${imageUrl(media, 150)}" alt="${escape(
+                        media.alt
+                      )}" width="50" height="${Math.round(50 / media.preview_image.aspect_ratio)}">`
+                    : ''
+                }
+            <div class="predictive-search__item-content predictive-search__item-content--centered">
+              <p id="PredictiveSearchQuickAdd-${product.id}-title" class="predictive-search__item-heading h5">${escape(
+                product.title
+              )}</p>
+            </div>`,
+                'predictive-search__item predictive-search__item--link-with-thumbnail link link--text',
+                { actions, itemClass: actions ? 'predictive-search__list-item--with-actions' : '' }
+              );
+            })
+            .join('')}
+        </ul>
+      </div>
+    </div>`
+    : '';
+
+  return `<div id="predictive-search-results" role="listbox">
+  ${
+    hasSuggestions || products.length
+      ? `<div id="predictive-search-results-groups-wrapper" class="${wrapperClasses.join(' ')}">
+    ${suggestionsGroup}
+    ${productsGroup}
+  </div>`
+      : ''
+  }
+  ${loadingSpinner('predictive-search__loading-state')}
+  <div id="predictive-search-option-search-keywords" class="predictive-search__search-for-button">
+    <button class="predictive-search__item predictive-search__item--term link link--text h5 animate-arrow" tabindex="-1" role="option" aria-selected="false">
+      <span data-predictive-search-search-for-text>${t('templates.search.search_for', { terms: escape(terms) })}</span>
+      <span class="svg-wrapper">${inlineAsset('icon-arrow.svg')}</span>
+    </button>
+  </div>
+</div>
+<span class="hidden" data-predictive-search-live-region-count-value>${liveRegionCount(terms, results)}</span>`;
+}
+
+function heading(id, key) {
+  return `<h2 id="${id}" class="predictive-search__heading text-body caption-with-letter-spacing">${t(key)}</h2>`;
+}
+
+// `{% render 'predictive-search-empty-state' %}`
+function predictiveSearchEmptyState() {
+  return `<template data-predictive-search-empty-state>
+  <div id="predictive-search-results" role="listbox">
+    <div id="predictive-search-results-groups-wrapper" class="predictive-search__results-groups-wrapper predictive-search__results-groups-wrapper--empty-state">
+      <div class="predictive-search__result-group">
+        <div data-predictive-search-recent>
+          <div class="predictive-search__heading-wrapper">
+            ${heading('predictive-search-recent', 'templates.search.recent_searches')}
+            <button type="button" class="predictive-search__clear link link--text" aria-label="${t(
+              'templates.search.clear_recent_searches'
+            )}" data-predictive-search-clear-recent>${t('templates.search.clear')}</button>
+          </div>
+          <ul id="predictive-search-results-recent-list" class="predictive-search__results-list list-unstyled" role="group" aria-labelledby="predictive-search-recent"></ul>
+        </div>
+        <div>
+          ${heading('predictive-search-trending', 'templates.search.trending_searches')}
+          <ul id="predictive-search-results-trending-list" class="predictive-search__results-list list-unstyled" role="group" aria-labelledby="predictive-search-trending">
+            ${TRENDING_TERMS.map(
+              (term, index) => `<li id="predictive-search-option-trending-${
+                index + 1
+              }" class="predictive-search__list-item" role="option" aria-selected="false">
+              <a href="/search?q=${encodeURIComponent(
+                term
+              )}&options%5Bprefix%5D=last" class="predictive-search__item link link--text" tabindex="-1" data-search-term="${escape(
+                term
+              )}">
+                <div class="predictive-search__item-content predictive-search__item-content--centered">
+                  <p class="predictive-search__item-heading h5">${escape(term)}</p>
+                </div>
+              </a>
+            </li>`
+            ).join('')}
+          </ul>
+        </div>
+      </div>
+      <div class="predictive-search__result-group">
+        <div>
+          ${heading('predictive-search-popular-collections', 'templates.search.popular_collections')}
+          <ul id="predictive-search-results-popular-collections-list" class="predictive-search__results-list list-unstyled" role="group" aria-labelledby="predictive-search-popular-collections">
+            ${POPULAR_COLLECTIONS.map((collection, index) =>
+              option(
+                `predictive-search-option-popular-collection-${index + 1}`,
+                `/collections/${collection.handle}`,
+                `<div class="predictive-search__item-content predictive-search__item-content--centered">
+              <p class="predictive-search__item-heading h5">${escape(collection.title)}</p>
+            </div>`
+              )
+            ).join('')}
+          </ul>
+        </div>
+      </div>
+    </div>
+    ${loadingSpinner('predictive-search__loading-state')}
+  </div>
+</template>
+<template data-predictive-search-recent-option>
+  <li class="predictive-search__list-item" role="option" aria-selected="false">
+    <a class="predictive-search__item link link--text" tabindex="-1" data-search-term>
+      <div class="predictive-search__item-content predictive-search__item-content--centered">
+        <p class="predictive-search__item-heading h5"></p>
+      </div>
+    </a>
+  </li>
+</template>`;
+}
+
+module.exports = { predictiveSearch, predictiveSearchEmptyState };
@@ -0,0 +1,141 @@
+// @ts-check
+const { escape, imageUrl, money, t } = require('./helpers');
+
+/**
+ * Snippets shared by several fixture sections: `price`, `swatch` and `card-product`.
+ */
+
+// `{% render 'swatch', swatch: value.swatch %}`
+function swatch(color, shape = 'circle') {
+  const shapeClass = shape === 'square' ? ' swatch--square' : '';
+  return color
+    ? `<span class="swatch${shapeClass}" style="--swatch--background: ${color};"></span>`
+    : `<span class="swatch swatch--unavailable${shapeClass}"></span>`;
+}
+
+// `{% render 'price', product: product, use_variant: true, show_badges: true %}`
+function price(product, { variant = null, showBadges = false, priceClass = '' } = {}) {
+  const target = variant ?? product.variants.find((entry) => entry.available) ?? product.variants[0];
+  const available = variant ? variant.available : product.available;
+  const compareAtPrice = target.compare_at_price;
+  const classes = ['price'];
+  if (priceClass) classes.push(priceClass);
+  if (!available) classes.push('price--sold-out');
+  if (compareAtPrice > target.price) classes.push('price--on-sale');
+  if (showBadges) classes.push('price--show-badge');
+
+  return `<div class="${classes.join(' ')}">
+  <div class="price__container">
+    <div class="price__regular">
+      <span class="visually-hidden visually-hidden--inline">${t('products.product.price.regular_price')}</span>
+      <span class="price-item price-item--regular">${money(target.price)}</span>
+    </div>
+    <div class="price__sale">
+      <span class="visually-hidden visually-hidden--inline">${t('products.product.price.regular_price')}</span>
+      <span><s class="price-item price-item--regular">${compareAtPrice ? money(compareAtPrice) : ''}</s></span>
+      <span class="visually-hidden visually-hidden--inline">${t('products.product.price.sale_price')}</span>
+      <span class="price-item price-item--sale price-item--last">${money(target.price)}</span>
+    </div>
+    <small class="unit-price caption hidden"></small>
+  </div>
+  ${
+    showBadges
+      ? `<span class="badge price__badge-sale color-scheme-4">${t('products.product.on_sale')}</span>
+  <span class="badge price__badge-sold-out color-scheme-3">${t('products.product.sold_out')}</span>`
+      : ''
+  }
+</div>`;
+}
+
+function cardImage(media, lazy = true) {
+  const widths = [165, 360, 533, 720, 940, 1066].filter((width) => media.width >= width);
+  const srcset = [...widths.map((width) => `${imageUrl(media, width)} ${width}w`), `${media.src} ${media.width}w`];
+
+  return `<img
+    srcset="${srcset.join(', ')}"
+    src="${imageUrl(media, 533)}"
+    sizes="(min-width: 1200px) 267px, (min-width: 990px) calc((100vw - 130px) / 4), (min-width: 750px) calc((100vw - 120px) / 3), calc((100vw - 35px) / 2)"
+    alt="${escape(media.alt)}"
+    class="motion-reduce"${lazy ? ' loading="lazy"' : ''}
+    width="${media.width}"
+    height="${media.height}"
+  >`;
+}
+
+function cardBadge(product, id) {
+  let label = '';
+  let scheme = 'scheme-4';
+  if (!product.available) {
+    label = t('products.product.sold_out');
+    scheme = 'scheme-3';
+  } else if (product.compare_at_price > product.price) {
+    label = t('products.product.on_sale');
+  }
+
+  return `<div class="card__badge bottom left">${
+    label ? `<span id="${id}" class="badge badge--bottom-left color-${scheme}">${label}</span>` : ''
+  }</div>`;
+}
+
+// `{% render 'card-product', card_product: product, section_id: sectionId, show_secondary_image: true %}`
+function cardProduct(product, { sectionId, showSecondaryImage = true, lazy = true } = {}) {
+  const media = product.featured_media;
+  const ratio = 1;
+  const secondary = product.media[1];
+  const colorOption = product.options.find((option) => option.values.some((value) => value.swatch));
+
+  return `<div class="card-wrapper product-card-wrapper underline-links-hover">
+  <div class="card card--standard ${media ? 'card--media' : 'card--text'}" style="--ratio-percent: ${100 / ratio}%;">
+    <div class="card__inner color-scheme-1 gradient ratio" style="--ratio-percent: ${100 / ratio}%;">
+      ${
+        media
+          ? `<div class="card__media">
+        <div class="media media--transparent media--hover-effect">
+          ${cardImage(media, lazy)}
+          ${secondary && showSecondaryImage ? cardImage(secondary) : ''}
+        </div>
+      </div>`
+          : ''
+      }
+      <div class="card__content">
+        <div class="card__information">
+          <h3 class="card__heading">
+            <a
+              href="${product.url}"
+              id="StandardCardNoMediaLink-${sectionId}-${product.id}"
+              class="full-unstyled-link"
+              aria-labelledby="StandardCardNoMediaLink-${sectionId}-${product.id} NoMediaStandardBadge-${sectionId}-${product.id}"
+            >${escape(product.title)}</a>
+          </h3>
+        </div>
+        ${cardBadge(product, `NoMediaStandardBadge-${sectionId}-${product.id}`)}
+      </div>
+    </div>
+    <div class="card__content">
+      <div class="card__information">
+        <h3 class="card__heading h5" id="title-${sectionId}-${product.id}">
+          <a
+            href="${product.url}"
+            id="CardLink-${sectionId}-${product.id}"
+            class="full-unstyled-link"
+            aria-labelledby="CardLink-${sectionId}-${product.id} Badge-${sectionId}-${product.id}"
+          >${escape(product.title)}${
+            colorOption
+              ? `<span class="card__swatches" style="--swatch-input--size: 12px; display: inline-flex; gap: 4px; margin-left: 8px; vertical-align: middle;">${colorOption.values
+                  .map((value) => swatch(value.swatch, 'square'))
+                  .join('')}</span>`
+              : ''
+          }</a>
+        </h3>
+        <div class="card-information">
+          <span class="caption-large light"></span>
+          ${price(product)}
+        </div>
+      </div>
+      ${cardBadge(product, `Badge-${sectionId}-${product.id}`)}
+    </div>
+  </div>
+</div>`;
+}
+
+module.exports = { cardProduct, price, swatch };
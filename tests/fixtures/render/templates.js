@@ -0,0 +1,66 @@
+// @ts-check
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const { ROOT } = require('./helpers');
+
+/**
+ * The theme templates the render modules port, and the hash each had when its render function was last checked
+ * against it (templates.json).
+ *
+ * tests/unit/render-fixtures.test.js fails when a template no longer matches its hash, or when a render module
+ * names a template the manifest doesn't have. Port the change to the render function, then record the new hashes:
+ *
+ *   node tests/fixtures/render/templates.js
+ */
+
+const MANIFEST = path.join(__dirname, 'templates.json');
+
+// Templates are named in the comments above the render functions: `sections/header.liquid`, `{% render 'price' %}`
+// or templates/product.json
+const REFERENCES = [
+  [/\b((?:layout|sections)\/[\w-]+\.liquid)\b/g, (file) => file],
+  [/\{% render '([\w-]+)'/g, (name) => `snippets/${name}.liquid`],
+  [/\b(templates\/[\w.-]+\.json)\b/g, (file) => file],
+];
+
+function referencedTemplates() {
+  const files = new Set();
+  fs.readdirSync(__dirname)
+    .filter((name) => name.endsWith('.js'))
+    .forEach((name) => {
+      const source = fs.readFileSync(path.join(__dirname, name), 'utf8');
+      REFERENCES.forEach(([pattern, toFile]) => {
+        for (const [, match] of source.matchAll(pattern)) files.add(toFile(match));
+      });
+    });
+  return [...files].sort();
+}
+
+function readManifest() {
+  return fs.existsSync(MANIFEST) ? JSON.parse(fs.readFileSync(MANIFEST, 'utf8')) : {};
+}
+
+function templateHash(file) {
+  // line endings as committed, whatever the checkout turned them into
+  const source = fs.readFileSync(path.join(ROOT, file), 'utf8').replace(/\r\n/g, '\n');
+  return crypto.createHash('sha256').update(source).digest('hex').slice(0, 16);
+}
+
+function writeManifest() {
+  const files = [...new Set([...Object.keys(readManifest()), ...referencedTemplates()])].sort();
+  const manifest = Object.fromEntries(files.map((file) => [file, templateHash(file)]));
+  fs.writeFileSync(MANIFEST, `${JSON.stringify(manifest, null, 2)}\n`);
+  return manifest;
+}
+
+if (require.main === module) {
+  console.log(`Recorded ${Object.keys(writeManifest()).length} templates in ${path.relative(ROOT, MANIFEST)}`);
+}
+
+module.exports = {
+  MANIFEST,
+  readManifest,
+  referencedTemplates,
+  templateHash,
+};
@@ -0,0 +1,423 @@
+// @ts-check
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const { ROOT, escape, shopifySection } = require('./render/helpers');
+const catalog = require('./catalog');
+const carts = require('./cart');
+const {
+  cartDrawer,
+  cartDrawerRecommendations,
+  cartIconBubble,
+  cartLiveRegionText,
+  mainCartFooter,
+  mainCartItems,
+} = require('./render/cart');
+const { collectionBanner, productGrid } = require('./render/collection');
+const { layout, notFound } = require('./render/layout');
+const { mainProduct, productCardSection, recentlyViewed, relatedProducts } = require('./render/product');
+const { predictiveSearch } = require('./render/search');
+
+/**
+ * Offline stand-in for a Shopify storefront, so the Playwright suite can run without a preview store.
+ *
+ * Serves the theme's own assets, renders the product, collection and cart templates from the fixture catalog,
+ * and answers the endpoints the theme scripts call: the Ajax Cart API (with `sections`), the Section Rendering
+ * API (`?section_id=` and `?sections=`), product recommendations, predictive search and back in stock sign ups.
+ * Pages come from the render modules, which follow the Liquid templates by hand (see render/helpers.js).
+ *
+ * Usage: `node tests/fixtures/server.js` (port 9393, or PORT).
+ */
+
+const PORT = Number(process.env.PORT) || 9393;
+const CART_COOKIE = 'cart';
+const backInStockSignUps = [];
+
+const MIME_TYPES = {
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.woff2': 'font/woff2',
+};
+
+// Section ids the way Shopify names sections of a JSON template, `template--<id>__<key>`
+const SECTION_IDS = {
+  product: 'template--fixture__main',
+  relatedProducts: 'template--fixture__related-products',
+  recentlyViewed: 'template--fixture__recently-viewed',
+  collectionBanner: 'template--fixture__banner',
+  productGrid: 'template--fixture__product-grid',
+  cartItems: 'template--fixture__cart-items',
+  cartFooter: 'template--fixture__cart-footer',
+};
+
+// Sections that render the same wherever they are asked for, e.g. in the `sections` of a cart response
+const STATIC_SECTIONS = {
+  'cart-drawer': (cart) => cartDrawer(cart),
+  'cart-icon-bubble': (cart) => cartIconBubble(cart),
+  'cart-live-region-text': (cart) => cartLiveRegionText(cart),
+  [SECTION_IDS.cartItems]: (cart) => mainCartItems(cart, SECTION_IDS.cartItems),
+  [SECTION_IDS.cartFooter]: (cart) => mainCartFooter(cart, SECTION_IDS.cartFooter),
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function send(response, status, body, contentType = 'text/html; charset=utf-8', headers = {}) {
+  response.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store', ...headers });
+  response.end(body);
+}
+
+function sendJSON(response, status, body) {
+  send(response, status, JSON.stringify(body), 'application/json; charset=utf-8');
+}
+
+function getCartToken(request, response) {
+  const cookies = Object.fromEntries(
+    (request.headers.cookie || '')
+      .split(';')
+      .map((cookie) => cookie.trim().split('='))
+      .filter(([name]) => name)
+  );
+  if (cookies[CART_COOKIE]) return cookies[CART_COOKIE];
+
+  const token = carts.createToken();
+  response.setHeader('Set-Cookie', `${CART_COOKIE}=${token}; Path=/; SameSite=Lax`);
+  return token;
+}
+
+async function readBody(request) {
+  const chunks = [];
+  for await (const chunk of request) chunks.push(chunk);
+  const buffer = Buffer.concat(chunks);
+  const contentType = request.headers['content-type'] || '';
+
+  if (!buffer.length) return {};
+  if (contentType.includes('application/json')) return JSON.parse(buffer.toString('utf8'));
+
+  // multipart (product forms) and urlencoded bodies, `properties[Name]` and `updates[]` folded like Shopify does
+  const formData = await new Response(buffer, { headers: { 'content-type': contentType } }).formData();
+  const body = {};
+  formData.forEach((value, name) => {
+    const property = name.match(/^properties\[(.+)\]$/);
+    const update = name.match(/^updates\[(.*)\]$/);
+    if (property) {
+      body.properties = { ...body.properties, [property[1]]: value };
+    } else if (update) {
+      body.updates = body.updates || (update[1] ? {} : []);
+      if (update[1]) body.updates[update[1]] = value;
+      else body.updates.push(value);
+    } else {
+      body[name] = value;
+    }
+  });
+  return body;
+}
+
+// `sections` comes as an array from JSON bodies and as a comma separated string from forms
+function renderSections(sections, cart) {
+  const ids = Array.isArray(sections) ? sections : String(sections || '').split(',');
+  return Object.fromEntries(
+    ids
+      .map((id) => id.trim())
+      .filter(Boolean)
+      .map((id) => [id, STATIC_SECTIONS[id] ? shopifySection(id, STATIC_SECTIONS[id](cart)) : null])
+  );
+}
+
+// Section Rendering API: `?section_id=` answers with the section's HTML, `?sections=a,b` with a JSON map of
+// them (null for sections the page doesn't have). Null when the page itself is asked for.
+function renderRequestedSections(sections, searchParams, cart) {
+  const render = (id) => {
+    if (sections[id]) return shopifySection(id, sections[id]());
+    if (STATIC_SECTIONS[id]) return shopifySection(id, STATIC_SECTIONS[id](cart));
+    return null;
+  };
+
+  const sectionId = searchParams.get('section_id');
+  if (sectionId) {
+    const html = render(sectionId);
+    if (html === null) throw new HttpError(404);
+    return html;
+  }
+
+  if (searchParams.has('sections')) {
+    const ids = searchParams
+      .get('sections')
+      .split(',')
+      .map((id) => id.trim())
+      .filter(Boolean);
+    return JSON.stringify(Object.fromEntries(ids.map((id) => [id, render(id)])));
+  }
+
+  return null;
+}
+
+function sectionsContentType(searchParams) {
+  return !searchParams.has('section_id') && searchParams.has('sections') ? MIME_TYPES['.json'] : undefined;
+}
+
+function wantsJSON(request, pathname) {
+  const accept = request.headers.accept || '';
+  return (
+    pathname.endsWith('.js') ||
+    request.headers['x-requested-with'] === 'XMLHttpRequest' ||
+    accept.includes('json') ||
+    accept.includes('javascript')
+  );
+}
+
+async function handleCart(request, response, pathname, cart) {
+  const action = pathname.replace(/^\/cart\/?/, '').replace(/\.js$/, '');
+
+  if (request.method === 'GET') {
+    if (pathname === '/cart.js') return sendJSON(response, 200, carts.toJSON(cart));
+    if (pathname === '/cart') {
+      const cartJSON = carts.toJSON(cart);
+      return send(
+        response,
+        200,
+        layout({
+          title: 'Your Shopping Cart',
+          cart: cartJSON,
+          content: [SECTION_IDS.cartItems, SECTION_IDS.cartFooter]
+            .map((id) => shopifySection(id, STATIC_SECTIONS[id](cartJSON)))
+            .join('\n'),
+        })
+      );
+    }
+    throw new HttpError(404);
+  }
+
+  if (request.method !== 'POST') throw new HttpError(405);
+
+  const body = await readBody(request);
+  let result = null;
+
+  try {
+    switch (action) {
+      case 'add': {
+        const entries = body.items
+          ? body.items
+          : [{ id: body.id, quantity: Number(body.quantity) || 1, properties: body.properties }];
+        const items = carts.add(
+          cart,
+          entries.map((entry) => ({ ...entry, id: Number(entry.id), quantity: Number(entry.quantity) || 1 }))
+        );
+        result = body.items ? { items } : items[0];
+        break;
+      }
+      case 'change':
+        carts.change(cart, body);
+        break;
+      case 'update':
+        carts.update(cart, body);
+        break;
+      case 'clear':
+        carts.clear(cart);
+        break;
+      default:
+        throw new HttpError(404);
+    }
+  } catch (error) {
+    if (!(error instanceof carts.CartError)) throw error;
+    return sendJSON(response, error.status, error);
+  }
+
+  if (!wantsJSON(request, pathname)) return send(response, 302, '', 'text/plain', { Location: '/cart' });
+
+  const cartJSON = carts.toJSON(cart);
+  const payload = result ?? cartJSON;
+  if (body.sections) payload.sections = renderSections(body.sections, cartJSON);
+  return sendJSON(response, 200, payload);
+}
+
+// The back in stock endpoint the `back_in_stock_url` setting points to: sign ups are only kept in memory, an app
+// would send the notifications. Answers errors like the Ajax Cart API does, `{ status, message, description }`.
+async function handleBackInStock(request, response) {
+  if (request.method !== 'POST') throw new HttpError(405);
+
+  const { variant_id: variantId, email, phone } = await readBody(request);
+  const match = catalog.getVariant(variantId);
+  const invalid = (description) => sendJSON(response, 422, { status: 422, message: 'Invalid', description });
+
+  if (!match) return invalid('Variant not found');
+  if (match.variant.available) return invalid(`${match.product.title} - ${match.variant.title} is in stock`);
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email || '')) return invalid('Email is invalid');
+
+  backInStockSignUps.push({ variantId: match.variant.id, email, phone: phone || null });
+  return sendJSON(response, 200, { status: 'subscribed', variant_id: match.variant.id });
+}
+
+function productPage(product, searchParams, cart) {
+  const variant = catalog.getSelectedVariant(product, searchParams);
+  const sections = {
+    [SECTION_IDS.product]: () => mainProduct(product, variant, SECTION_IDS.product, { backInStock: true }),
+    [SECTION_IDS.relatedProducts]: () => relatedProducts(product, SECTION_IDS.relatedProducts),
+    [SECTION_IDS.recentlyViewed]: () => recentlyViewed(product, SECTION_IDS.recentlyViewed),
+    'product-card': () => productCardSection(product),
+  };
+
+  const requestedSections = renderRequestedSections(sections, searchParams, cart);
+  if (requestedSections !== null) return requestedSections;
+
+  return layout({
+    title: product.title,
+    cart,
+    content: [SECTION_IDS.product, SECTION_IDS.relatedProducts, SECTION_IDS.recentlyViewed]
+      .map((id) => shopifySection(id, sections[id](), 'section'))
+      .join('\n'),
+  });
+}
+
+function collectionPage(handle, searchParams, cart) {
+  const collection = catalog.getCollection(handle, searchParams);
+  if (!collection) throw new HttpError(404);
+
+  const sections = {
+    [SECTION_IDS.collectionBanner]: () => collectionBanner(collection),
+    [SECTION_IDS.productGrid]: () => productGrid(collection, SECTION_IDS.productGrid),
+  };
+
+  const requestedSections = renderRequestedSections(sections, searchParams, cart);
+  if (requestedSections !== null) return requestedSections;
+
+  return layout({
+    title: collection.title,
+    cart,
+    content: Object.entries(sections)
+      .map(([id, render]) => shopifySection(id, render(), 'section'))
+      .join('\n'),
+  });
+}
+
+// `/recommendations/products?product_id=&limit=&intent=&section_id=` (or `&sections=`)
+function recommendations(searchParams, json, cart) {
+  const product = catalog.getProductById(searchParams.get('product_id'));
+  if (!product) throw new HttpError(404);
+
+  const products = catalog.getRecommendations(product.id, {
+    limit: Number(searchParams.get('limit')) || 10,
+    intent: searchParams.get('intent') || 'related',
+  });
+  if (json) return JSON.stringify({ intent: searchParams.get('intent') || 'related', products });
+
+  const sections = {
+    'cart-drawer-recommendations': () => cartDrawerRecommendations(products),
+    [SECTION_IDS.relatedProducts]: () => relatedProducts(product, SECTION_IDS.relatedProducts, products),
+  };
+  const requestedSections = renderRequestedSections(sections, searchParams, cart);
+  if (requestedSections === null) throw new HttpError(404);
+  return requestedSections;
+}
+
+// Placeholder artwork for the catalog's media: a flat color at the image's size, labelled with its alt text
+function image(name) {
+  const media = catalog.images.get(name);
+  if (!media) throw new HttpError(404);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${media.width}" height="${media.height}" viewBox="0 0 ${
+    media.width
+  } ${media.height}"><rect width="100%" height="100%" fill="${media.color}"/><text x="50%" y="50%" fill="#888" font-family="sans-serif" font-size="48" text-anchor="middle">${escape(
+    media.alt
+  )}</text></svg>`;
+}
+
+function asset(name) {
+  const file = path.join(ROOT, 'assets', path.basename(name));
+  if (!fs.existsSync(file)) throw new HttpError(404);
+  return fs.readFileSync(file);
+}
+
+async function route(request, response) {
+  const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+  const { pathname, searchParams } = url;
+
+  if (pathname.startsWith('/assets/')) {
+    const name = pathname.slice('/assets/'.length);
+    return send(response, 200, asset(name), MIME_TYPES[path.extname(name)] || 'application/octet-stream');
+  }
+
+  if (pathname.startsWith(`${catalog.IMAGE_PATH}/`)) {
+    return send(response, 200, image(pathname.slice(catalog.IMAGE_PATH.length + 1)), MIME_TYPES['.svg']);
+  }
+
+  const cart = carts.getCart(getCartToken(request, response));
+
+  if (pathname === '/cart' || pathname.startsWith('/cart/') || pathname === '/cart.js') {
+    return handleCart(request, response, pathname, cart);
+  }
+
+  const cartJSON = carts.toJSON(cart);
+
+  const contentType = sectionsContentType(searchParams);
+
+  if (pathname === '/') return send(response, 200, collectionPage('all', searchParams, cartJSON), contentType);
+
+  const productMatch = pathname.match(/^\/products\/([\w-]+?)(\.js)?$/);
+  if (productMatch) {
+    const product = catalog.getProduct(productMatch[1]);
+    if (!product) throw new HttpError(404);
+    if (productMatch[2]) return send(response, 200, JSON.stringify(product), MIME_TYPES['.json']);
+    return send(response, 200, productPage(product, searchParams, cartJSON), contentType);
+  }
+
+  const collectionMatch = pathname.match(/^\/collections\/([\w-]+)$/);
+  if (collectionMatch) {
+    return send(response, 200, collectionPage(collectionMatch[1], searchParams, cartJSON), contentType);
+  }
+
+  const recommendationsMatch = pathname.match(/^\/recommendations\/products(\.json)?$/);
+  if (recommendationsMatch) {
+    const json = Boolean(recommendationsMatch[1]);
+    return send(response, 200, recommendations(searchParams, json, cartJSON), json ? MIME_TYPES['.json'] : contentType);
+  }
+
+  if (pathname === '/apps/back-in-stock') return handleBackInStock(request, response);
+
+  if (pathname === '/search/suggest') {
+    const terms = searchParams.get('q') || '';
+    const limit = Number(searchParams.get('resources[limit]')) || 4;
+    return send(
+      response,
+      200,
+      shopifySection('predictive-search', predictiveSearch(terms, catalog.search(terms, limit)))
+    );
+  }
+
+  throw new HttpError(404);
+}
+
+function createServer() {
+  return http.createServer((request, response) => {
+    route(request, response).catch((error) => {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status === 500) console.error(error);
+      if (response.headersSent) return response.end();
+
+      const wantsPage = (request.headers.accept || '').includes('text/html') && request.method === 'GET';
+      const token = getCartToken(request, response);
+      send(
+        response,
+        status,
+        wantsPage ? notFound(carts.toJSON(carts.getCart(token))) : String(error.message || status)
+      );
+    });
+  });
+}
+
+if (require.main === module) {
+  createServer().listen(PORT, () => {
+    console.log(`Fixture store listening on http://127.0.0.1:${PORT}`);
+  });
+}
+
+module.exports = { SECTION_IDS, createServer };
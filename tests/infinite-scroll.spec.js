@@ -0,0 +1,54 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+/**
+ * Tests for infinite scroll on the collection grid.
+ *
+ * These tests verify that:
+ * 1. The first page renders with a crawlable link to the next page
+ * 2. Scrolling to the loader appends the next pages until the collection is exhausted
+ * 3. A filtered collection that fits on one page renders no loader
+ *
+ * Prerequisites:
+ * - Runs against the offline fixture store (tests/fixtures); skipped when SHOPIFY_PREVIEW_URL is set, as it
+ *   relies on the fixture catalog (42 products, 16 per page)
+ */
+
+const PRODUCTS_PER_PAGE = 16;
+const PRODUCTS_COUNT = 42;
+
+test.skip(!!process.env.SHOPIFY_PREVIEW_URL, 'Relies on the fixture catalog');
+
+test.describe('Infinite scroll', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/collections/all');
+    await page.waitForLoadState('domcontentloaded');
+  });
+
+  test('should render the first page with a link to the next one', async ({ page }) => {
+    await expect(page.locator('#product-grid > .grid__item')).toHaveCount(PRODUCTS_PER_PAGE);
+    await expect(page.locator('#InfiniteScroll .infinite-scroll__link')).toHaveAttribute('href', /page=2/);
+    await expect(page.locator('link[rel="next"]')).toHaveAttribute('href', /page=2/);
+  });
+
+  test('should append pages while scrolling until every product is shown', async ({ page }) => {
+    const items = page.locator('#product-grid > .grid__item');
+    const loader = page.locator('#InfiniteScroll');
+
+    await loader.scrollIntoViewIfNeeded();
+    await expect(items).toHaveCount(PRODUCTS_PER_PAGE * 2, { timeout: 10000 });
+
+    await loader.scrollIntoViewIfNeeded();
+    await expect(items).toHaveCount(PRODUCTS_COUNT, { timeout: 10000 });
+
+    await expect(loader.locator('.infinite-scroll__complete')).toBeVisible();
+    await expect(loader.locator('.infinite-scroll__link')).toHaveCount(0);
+  });
+
+  test('should not render the loader when the results fit on one page', async ({ page }) => {
+    await page.goto('/collections/all?filter.p.product_type=Dresses');
+
+    await expect(page.locator('#product-grid > .grid__item')).toHaveCount(10);
+    await expect(page.locator('#InfiniteScroll')).toHaveCount(0);
+  });
+});
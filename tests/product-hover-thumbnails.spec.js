@@ -12,10 +12,13 @@ const { test, expect } = require('@playwright/test');
  * 5. Video thumbnails display play icon overlay
  *
  * Prerequisites:
- * - SHOPIFY_PREVIEW_URL must be set to the Shopify preview URL
- * - The store must have a product with multiple media items
+ * - Runs against the offline fixture store (tests/fixtures) unless SHOPIFY_PREVIEW_URL is set
+ * - On a live store, TEST_PRODUCT_PATH must point to a product with multiple media items
+ *   (defaults to /products/halter-top-with-open-back)
  */
 
+const PRODUCT_PATH = process.env.TEST_PRODUCT_PATH || '/products/halter-top-with-open-back';
+
 /**
  * Helper to trigger hover state on media gallery using JavaScript
  * This bypasses Shopify overlay elements that intercept pointer events
@@ -33,7 +36,7 @@ async function hoverMediaGallery(page) {
 
 test.describe('Product Hover Thumbnails', () => {
   test.beforeEach(async ({ page }) => {
-    await page.goto('/products/halter-top-with-open-back');
+    await page.goto(PRODUCT_PATH);
     await page.waitForLoadState('domcontentloaded');
 
     // Wait for product page to load
@@ -10,10 +10,13 @@ const { test, expect } = require('@playwright/test');
  * 3. On desktop: clicking an image centers the view on the click position
  *
  * Prerequisites:
- * - SHOPIFY_PREVIEW_URL must be set to the Shopify preview URL
- * - The store must have a product with images
+ * - Runs against the offline fixture store (tests/fixtures) unless SHOPIFY_PREVIEW_URL is set
+ * - On a live store, TEST_PRODUCT_PATH must point to a product with images
+ *   (defaults to /products/halter-top-with-open-back)
  */
 
+const PRODUCT_PATH = process.env.TEST_PRODUCT_PATH || '/products/halter-top-with-open-back';
+
 /**
  * Helper to scroll to product image and get its bounding box
  * Excludes video preview images by looking for modal-opener images
@@ -57,7 +60,7 @@ test.describe('Product Image Zoom', () => {
   // Navigate to a product page before each test
   test.beforeEach(async ({ page }) => {
     // Go directly to a product page with images
-    await page.goto('/products/halter-top-with-open-back');
+    await page.goto(PRODUCT_PATH);
     await page.waitForLoadState('domcontentloaded');
 
     // Wait for product page to load - look for the media gallery
@@ -0,0 +1,232 @@
+// @ts-check
+const { afterEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const catalog = require('../fixtures/catalog');
+const { shopifySection } = require('../fixtures/render/helpers');
+const { mainProduct } = require('../fixtures/render/product');
+const { flush, loadTheme } = require('./helpers');
+
+/**
+ * Unit tests for `<back-in-stock-form>` and `BackInStock` (assets/back-in-stock.js).
+ *
+ * These tests verify that:
+ * 1. The form shows for sold out variants, follows the picked variant and hides while no variant is picked
+ * 2. It shows when adding the selected variant fails
+ * 3. The email and phone number are checked before anything is sent
+ * 4. Sign ups are posted for the selected variant and remembered, so the form says so when it's picked again, and
+ *    still go through when storage is full
+ * 5. The endpoint's errors are shown
+ */
+
+const SECTION_ID = 'template--fixture__main';
+const PRODUCT_URL = 'https://fixture.test/products/halter-top-with-open-back';
+const ENDPOINT = '/apps/back-in-stock';
+const STORAGE_KEY = 'theme-back-in-stock';
+
+// The halter top without an ivory L, so some selections make no variant; XS is sold out in both colors
+const HALTER = catalog.getProduct('halter-top-with-open-back');
+const PRODUCT = { ...HALTER, variants: HALTER.variants.filter((variant) => variant.title !== 'Ivory / L') };
+
+const STRINGS = {
+  emailInvalid: 'Enter a valid email address.',
+  phoneInvalid: 'Enter a valid phone number, including the country code.',
+  error: "We couldn't sign you up. Please try again.",
+};
+
+let window;
+
+function variant(title) {
+  return PRODUCT.variants.find((entry) => entry.title === title);
+}
+
+function mount(title, { signUp = () => ({ status: 'subscribed' }), cartAdd, subscribed, storageFull = false } = {}) {
+  const render = (selected) =>
+    shopifySection(SECTION_ID, mainProduct(PRODUCT, selected, SECTION_ID, { backInStock: true }));
+  const theme = loadTheme({
+    url: `${PRODUCT_URL}?variant=${variant(title).id}`,
+    html: render(variant(title)),
+    scripts: ['cart-store.js', 'offline-cart-queue.js', 'product-form.js', 'product-info.js', 'back-in-stock.js'],
+    fetch: (url, init) => {
+      if (url.pathname === ENDPOINT) return signUp(JSON.parse(init.body));
+      if (url.pathname === '/cart/add') return cartAdd();
+      return render(catalog.getSelectedVariant(PRODUCT, url.searchParams));
+    },
+    globals: {
+      backInStock: { url: ENDPOINT },
+      backInStockStrings: STRINGS,
+      variantStrings: { addToCart: 'Add to cart', soldOut: 'Sold out', unavailable: 'Unavailable' },
+    },
+    beforeLoad: (window) => {
+      if (subscribed) window.localStorage.setItem(STORAGE_KEY, JSON.stringify(subscribed));
+      if (storageFull) {
+        window.Storage.prototype.setItem = () => {
+          throw new window.DOMException('The quota has been exceeded.', 'QuotaExceededError');
+        };
+      }
+      // jsdom doesn't lay out: no media queries match and slider-component has nothing to observe
+      window.matchMedia = (query) => ({ matches: false, media: query, addEventListener() {} });
+      window.ResizeObserver = class {
+        observe() {}
+        disconnect() {}
+      };
+      // nor has innerText, which product-info.js reads the submit button's label from
+      Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+        get() {
+          return this.textContent;
+        },
+      });
+    },
+  });
+  window = theme.window;
+
+  const form = theme.document.querySelector('back-in-stock-form');
+  return {
+    ...theme,
+    form,
+    email: form.querySelector('input[name="email"]'),
+    phone: form.querySelector('input[name="phone"]'),
+    variantId: () => form.querySelector('input[name="variant_id"]').value,
+    error: form.querySelector('.back-in-stock__error'),
+    success: form.querySelector('.back-in-stock__success'),
+  };
+}
+
+async function pick(document, name, value) {
+  const input = document.querySelector(`input[name="${name}"][value="${value}"]`);
+  input.checked = true;
+  input.dispatchEvent(new window.Event('change', { bubbles: true }));
+  await flush(window);
+}
+
+async function submit(form) {
+  form.querySelector('[type="submit"]').click();
+  await flush(window);
+}
+
+function signUps(fetch) {
+  return fetch.calls.filter(({ url }) => url.pathname === ENDPOINT).map(({ init }) => JSON.parse(init.body));
+}
+
+afterEach(() => window.close());
+
+describe('back-in-stock-form', () => {
+  it('shows for sold out variants and follows the picked one', async () => {
+    const { document, form, variantId, errors } = mount('Black / S');
+    assert.ok(form.hidden);
+
+    await pick(document, 'Size-2', 'XS');
+    assert.ok(!form.hidden);
+    assert.equal(variantId(), String(variant('Black / XS').id));
+
+    await pick(document, 'Color-1', 'Ivory');
+    assert.ok(!form.hidden);
+    assert.equal(variantId(), String(variant('Ivory / XS').id));
+
+    await pick(document, 'Size-2', 'L');
+    assert.ok(form.hidden, 'Ivory / L makes no variant');
+
+    // The fixture renders no value checked without a variant, the color falls back to the first one
+    await pick(document, 'Size-2', 'XS');
+    assert.ok(!form.hidden);
+    assert.equal(variantId(), String(variant('Black / XS').id));
+
+    await pick(document, 'Size-2', 'M');
+    assert.ok(form.hidden);
+    assert.equal(variantId(), String(variant('Black / M').id));
+    assert.deepEqual(errors, []);
+  });
+
+  it('shows when adding the selected variant fails', async () => {
+    const description = 'The product Halter Top with Open Back - Black / S is already sold out.';
+    const { document, form } = mount('Black / S', {
+      cartAdd: () => Response.json({ status: 422, message: 'Cart Error', description }, { status: 422 }),
+    });
+    // jsdom has no User Timing, CartPerformance only needs the calls to exist
+    window.performance.mark = (name) => ({ name });
+    window.performance.measure = () => {};
+
+    document.getElementById(`ProductSubmitButton-${SECTION_ID}`).click();
+    await flush(window);
+
+    assert.ok(!form.hidden);
+  });
+
+  it('checks the email and phone number before signing up', async () => {
+    const { form, email, phone, error, fetch } = mount('Black / XS');
+
+    email.value = 'shopper@example';
+    await submit(form);
+    assert.ok(!error.hidden);
+    assert.equal(error.textContent.trim(), STRINGS.emailInvalid);
+    assert.equal(email.getAttribute('aria-invalid'), 'true');
+    assert.equal(email.getAttribute('aria-describedby'), error.id);
+    assert.equal(window.document.activeElement, email);
+
+    email.value = 'shopper@example.com';
+    phone.value = '12ab';
+    await submit(form);
+    assert.equal(error.textContent.trim(), STRINGS.phoneInvalid);
+    assert.equal(email.getAttribute('aria-invalid'), null);
+    assert.equal(phone.getAttribute('aria-invalid'), 'true');
+    assert.deepEqual(signUps(fetch), []);
+  });
+
+  it('signs up for the selected variant and remembers it', async () => {
+    const { document, form, email, phone, error, success, fetch } = mount('Black / XS');
+    const blackXS = variant('Black / XS');
+
+    email.value = ' shopper@example.com ';
+    phone.value = '+66 81 234 5678';
+    await submit(form);
+
+    assert.deepEqual(signUps(fetch), [
+      { variant_id: blackXS.id, product_id: PRODUCT.id, email: 'shopper@example.com', phone: '+66 81 234 5678' },
+    ]);
+    assert.ok(error.hidden);
+    assert.ok(!success.hidden);
+    assert.ok(form.querySelector('form').hidden);
+    assert.deepEqual(JSON.parse(window.localStorage.getItem(STORAGE_KEY)), [String(blackXS.id)]);
+
+    await pick(document, 'Color-1', 'Ivory');
+    assert.ok(success.hidden, 'another variant');
+    assert.equal(email.value, '');
+
+    await pick(document, 'Color-1', 'Black');
+    assert.ok(!success.hidden);
+  });
+
+  it('signs up when storage is full', async () => {
+    const { form, email, error, success, fetch } = mount('Black / XS', { storageFull: true });
+
+    email.value = 'shopper@example.com';
+    await submit(form);
+
+    assert.equal(signUps(fetch).length, 1);
+    assert.ok(error.hidden);
+    assert.ok(!success.hidden);
+  });
+
+  it('says so on load for variants signed up for before', () => {
+    const { form, success } = mount('Black / XS', { subscribed: [String(variant('Black / XS').id)] });
+
+    assert.ok(!form.hidden);
+    assert.ok(!success.hidden);
+    assert.ok(form.querySelector('form').hidden);
+  });
+
+  it("shows the endpoint's errors", async () => {
+    let response = Response.json({ status: 422, message: 'Invalid', description: 'Email is blocked' }, { status: 422 });
+    const { form, email, error, success } = mount('Black / XS', { signUp: () => response });
+
+    email.value = 'shopper@example.com';
+    await submit(form);
+    assert.equal(error.textContent.trim(), 'Email is blocked');
+    assert.ok(success.hidden);
+
+    response = new Response('Internal Server Error', { status: 500 });
+    await submit(form);
+    assert.equal(error.textContent.trim(), STRINGS.error);
+    assert.equal(window.localStorage.getItem(STORAGE_KEY), null);
+    assert.ok(!form.querySelector('[type="submit"]').hasAttribute('aria-disabled'));
+  });
+});
@@ -0,0 +1,106 @@
+// @ts-check
+const { afterEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const catalog = require('../fixtures/catalog');
+const carts = require('../fixtures/cart');
+const { cartDrawer, cartDrawerRecommendations } = require('../fixtures/render/cart');
+const { loadTheme } = require('./helpers');
+
+/**
+ * Unit tests for the "Complete the look" rail of `<cart-drawer>` (assets/cart-drawer.js).
+ *
+ * These tests verify that:
+ * 1. The rail takes turns between the recommendations of the products in the cart, without products already in the
+ *    cart or shown twice, up to the configured number
+ * 2. Related products stand in for products without complementary ones, and only the first products of a large
+ *    cart are asked about
+ * 3. A product whose recommendations fail doesn't keep the others from showing
+ */
+
+const HALTER = 1001;
+const WRAP_DRESS = 2001;
+const TOTE = 3001;
+const SLIP_DRESS = 2007;
+
+// Complementary and related products of the products in the test carts, by product id
+const RECOMMENDATIONS = {
+  [HALTER]: { complementary: [2026, 2011, WRAP_DRESS, 2021], related: [] },
+  [WRAP_DRESS]: { complementary: [2031, 2026, 2037], related: [] },
+  [TOTE]: { complementary: [], related: [2016, 2017] },
+  [SLIP_DRESS]: { complementary: [2040], related: [] },
+};
+
+let window;
+
+function mount(productIds, { failing = [] } = {}) {
+  const cart = carts.getCart(carts.createToken());
+  carts.add(
+    cart,
+    productIds.map((id) => ({ id: catalog.getProductById(id).variants.find((variant) => variant.available).id }))
+  );
+  const json = carts.toJSON(cart);
+
+  const theme = loadTheme({
+    url: 'https://fixture.test/collections/all',
+    html: cartDrawer(json),
+    scripts: ['cart-store.js', 'cart.js', 'cart-drawer.js'],
+    globals: { routes: { cart_url: '/cart', product_recommendations_url: '/recommendations/products' } },
+    fetch: (url) => {
+      const productId = Number(url.searchParams.get('product_id'));
+      if (failing.includes(productId)) return Promise.reject(new TypeError('Failed to fetch'));
+      const ids = RECOMMENDATIONS[productId][url.searchParams.get('intent')];
+      return cartDrawerRecommendations(ids.map((id) => catalog.getProductById(id)));
+    },
+  });
+  window = theme.window;
+
+  const drawer = theme.document.querySelector('cart-drawer');
+  return {
+    ...theme,
+    render: () => drawer.renderRecommendations(json),
+    rail: theme.document.getElementById('CartDrawer-Recommendations'),
+    shown: () =>
+      [...theme.document.querySelectorAll('#CartDrawer-Recommendations .cart-drawer__recommendation')].map((item) =>
+        Number(item.dataset.productId)
+      ),
+    asked: () =>
+      theme.fetch.calls.map(({ url }) => [Number(url.searchParams.get('product_id')), url.searchParams.get('intent')]),
+  };
+}
+
+afterEach(() => window.close());
+
+describe('cart-drawer recommendations', () => {
+  it('takes turns between the products in the cart', async () => {
+    const { render, rail, shown } = mount([HALTER, WRAP_DRESS]);
+
+    await render();
+
+    // 2026 is recommended for both, the wrap dress is in the cart already
+    assert.deepEqual(shown(), [2026, 2031, 2011, 2037]);
+    assert.ok(!rail.hidden);
+  });
+
+  it('falls back to related products and asks about the first products only', async () => {
+    const { render, shown, asked } = mount([TOTE, HALTER, WRAP_DRESS, SLIP_DRESS]);
+
+    await render();
+
+    assert.deepEqual(asked(), [
+      [TOTE, 'complementary'],
+      [HALTER, 'complementary'],
+      [WRAP_DRESS, 'complementary'],
+      [TOTE, 'related'],
+    ]);
+    assert.deepEqual(shown(), [2016, 2026, 2031, 2017]);
+  });
+
+  it('shows the recommendations that loaded', async () => {
+    const { render, shown, errors } = mount([HALTER, WRAP_DRESS], { failing: [HALTER] });
+
+    await render();
+
+    assert.deepEqual(shown(), [2031, 2026, 2037]);
+    assert.equal(errors.length, 1);
+  });
+});
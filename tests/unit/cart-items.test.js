@@ -0,0 +1,183 @@
+// @ts-check
+const { afterEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const carts = require('../fixtures/cart');
+const { cartIconBubble, cartLiveRegionText, mainCartFooter, mainCartItems } = require('../fixtures/render/cart');
+const {
+  MONEY_FORMAT,
+  MONEY_WITH_CURRENCY_FORMAT,
+  money,
+  moneyWithCurrency,
+  shopifySection,
+} = require('../fixtures/render/helpers');
+const { SECTION_IDS, flush, loadTheme } = require('./helpers');
+
+/**
+ * Unit tests for the optimistic quantities of `<cart-items>` (assets/cart.js).
+ *
+ * These tests verify that:
+ * 1. A quantity change shows the quantity, line total and estimated total before /cart/change.js answers, and the
+ *    returned sections replace them
+ * 2. Quantities the cart refuses are rolled back, with the line's error
+ * 3. Quantities are rolled back when the request fails, with the cart error
+ * 4. A line with a newer change on its way keeps that change's values when an older one settles
+ */
+
+const TOTE = 300101;
+const HALTER_S = 100102;
+const STRINGS = {
+  error: 'There was an error while updating your cart. Please try again.',
+  quantityError: 'You can only add [quantity] of this item to your cart.',
+};
+
+let window;
+
+/**
+ * The cart page for a cart of two totes and a halter top. /cart/change.js requests wait in `pending` until the
+ * test answers them: `respond()` applies the change to the fixture cart and returns it with the requested sections,
+ * `respond(body)` returns `body` instead, and `fail()` is a network error.
+ */
+function mount() {
+  const cart = carts.getCart(carts.createToken());
+  carts.add(cart, [
+    { id: TOTE, quantity: 2 },
+    { id: HALTER_S, quantity: 1 },
+  ]);
+  const sections = (json) => ({
+    [SECTION_IDS.cartItems]: shopifySection(SECTION_IDS.cartItems, mainCartItems(json, SECTION_IDS.cartItems)),
+    [SECTION_IDS.cartFooter]: shopifySection(SECTION_IDS.cartFooter, mainCartFooter(json, SECTION_IDS.cartFooter)),
+    'cart-icon-bubble': shopifySection('cart-icon-bubble', cartIconBubble(json)),
+    'cart-live-region-text': shopifySection('cart-live-region-text', cartLiveRegionText(json)),
+  });
+
+  const page = sections(carts.toJSON(cart));
+  const pending = [];
+  const theme = loadTheme({
+    url: 'https://fixture.test/cart',
+    html: `<div id="cart-icon-bubble"></div>${page[SECTION_IDS.cartItems]}${page[SECTION_IDS.cartFooter]}`,
+    scripts: ['cart-store.js', 'cart.js'],
+    globals: {
+      moneyFormat: MONEY_FORMAT,
+      moneyWithCurrencyFormat: MONEY_WITH_CURRENCY_FORMAT,
+      cartStrings: STRINGS,
+    },
+    fetch: (url, init) =>
+      new Promise((resolve, reject) => {
+        const body = JSON.parse(init.body);
+        pending.push({
+          body,
+          respond: (response) => {
+            if (response) return resolve(response);
+            carts.change(cart, body);
+            const json = carts.toJSON(cart);
+            resolve({ ...json, sections: sections(json) });
+          },
+          fail: () => reject(new TypeError('Failed to fetch')),
+        });
+      }),
+    beforeLoad: (window) => {
+      // jsdom has no User Timing, CartPerformance only needs the calls to exist
+      window.performance.mark = (name) => ({ name });
+      window.performance.measure = () => {};
+    },
+  });
+  window = theme.window;
+
+  const { document } = theme;
+  return {
+    ...theme,
+    pending,
+    cartItems: document.querySelector('cart-items'),
+    quantity: (line) => document.getElementById(`Quantity-${line}`).value,
+    lineTotal: (line) => document.querySelector(`#CartItem-${line} .cart-item__totals.small-hide .price`).textContent,
+    total: () => document.querySelector('.totals__total-value').textContent,
+    lineError: (line) => document.querySelector(`#Line-item-error-${line} .cart-item__error-text`).textContent,
+  };
+}
+
+// What a shopper's change of a quantity input ends up calling, once debounced and validated
+function changeQuantity(cartItems, line, quantity) {
+  const input = window.document.getElementById(`Quantity-${line}`);
+  input.value = quantity;
+  cartItems.updateQuantity(
+    line,
+    quantity,
+    { currentTarget: input, timeStamp: 0 },
+    'updates[]',
+    input.dataset.quantityVariantId
+  );
+}
+
+afterEach(() => window.close());
+
+describe('cart-items optimistic quantities', () => {
+  it('shows the new quantity and totals before the cart answers', async () => {
+    const { cartItems, pending, quantity, lineTotal, total } = mount();
+    assert.equal(total(), moneyWithCurrency(2 * 49000 + 129000));
+
+    changeQuantity(cartItems, 1, 3);
+    assert.equal(quantity(1), '3');
+    assert.equal(lineTotal(1), money(3 * 49000));
+    assert.equal(total(), moneyWithCurrency(3 * 49000 + 129000));
+    assert.ok(!window.document.getElementById('main-cart-items').classList.contains('cart__items--disabled'));
+
+    await flush(window);
+    assert.equal(pending[0].body.line, 1);
+    pending[0].respond();
+    await flush(window);
+    assert.equal(quantity(1), '3');
+    assert.equal(lineTotal(1), money(3 * 49000));
+    assert.equal(total(), moneyWithCurrency(3 * 49000 + 129000));
+  });
+
+  it('rolls back quantities the cart refuses', async () => {
+    const { cartItems, pending, quantity, lineTotal, total, lineError } = mount();
+
+    changeQuantity(cartItems, 2, 4);
+    assert.equal(lineTotal(2), money(4 * 129000));
+    await flush(window);
+    pending[0].respond({ status: 422, errors: 'You can only add 10 of this item to your cart.' });
+    await flush(window);
+
+    assert.equal(quantity(2), '1');
+    assert.equal(lineTotal(2), money(129000));
+    assert.equal(total(), moneyWithCurrency(2 * 49000 + 129000));
+    assert.equal(lineError(2), 'You can only add 10 of this item to your cart.');
+  });
+
+  it('rolls back quantities when the request fails', async () => {
+    const { document, cartItems, pending, quantity, lineTotal, total, lineError } = mount();
+
+    changeQuantity(cartItems, 1, 5);
+    await flush(window);
+    pending[0].fail();
+    await flush(window);
+
+    assert.equal(quantity(1), '2');
+    assert.equal(lineTotal(1), money(2 * 49000));
+    assert.equal(total(), moneyWithCurrency(2 * 49000 + 129000));
+    assert.equal(lineError(1), STRINGS.error);
+    assert.equal(document.getElementById('cart-errors').textContent, STRINGS.error);
+  });
+
+  it('keeps a newer change on its way when an older one settles', async () => {
+    const { cartItems, pending, quantity, lineTotal, total } = mount();
+
+    changeQuantity(cartItems, 1, 3);
+    changeQuantity(cartItems, 1, 4);
+    await flush(window);
+    pending[0].respond();
+    await flush(window);
+
+    // The sections of the first change say 3, the second one is still on its way
+    assert.equal(quantity(1), '4');
+    assert.equal(lineTotal(1), money(4 * 49000));
+    assert.equal(total(), moneyWithCurrency(4 * 49000 + 129000));
+
+    // and is rolled back on its own if it fails
+    pending[1].fail();
+    await flush(window);
+    assert.equal(quantity(1), '3');
+    assert.equal(lineTotal(1), money(3 * 49000));
+  });
+});
@@ -0,0 +1,164 @@
+// @ts-check
+const { afterEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { flush, loadTheme } = require('./helpers');
+
+/**
+ * Unit tests for `CartStore` (assets/cart-store.js).
+ *
+ * These tests verify that:
+ * 1. Mutations are sent one at a time, in the order they were made
+ * 2. Carts answered by the endpoints are kept without their sections and published as `cartStateChange`, errors
+ *    aren't
+ * 3. A failed request rejects its caller only, the queue goes on
+ * 4. Adds read the cart again, a failing read doesn't reject the add, and refreshes waiting in the queue are shared
+ */
+
+const ROUTES = {
+  cart_url: '/cart',
+  cart_add_url: '/cart/add',
+  cart_change_url: '/cart/change',
+  cart_update_url: '/cart/update',
+  cart_clear_url: '/cart/clear',
+};
+
+const CART = { token: 'fixture', item_count: 1, items: [{ id: 1, quantity: 1 }] };
+
+let window;
+
+// Copied out of the page's realm to be compared
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Requests wait in `pending` until the test answers them with `respond(result)`, or `fail()` for a network
+ * error; `/cart.js` is answered right away with `cart` unless `refresh` says otherwise.
+ */
+function mount({ refresh = () => CART } = {}) {
+  const pending = [];
+  const theme = loadTheme({
+    scripts: ['cart-store.js'],
+    globals: { routes: ROUTES },
+    fetch: (url, init) => {
+      if (url.pathname === '/cart.js') return refresh();
+      return new Promise((resolve, reject) => {
+        pending.push({
+          url,
+          body: init.body instanceof window.FormData ? init.body : JSON.parse(init.body),
+          respond: resolve,
+          fail: () => reject(new TypeError('Failed to fetch')),
+        });
+      });
+    },
+  });
+  window = theme.window;
+
+  const states = [];
+  const CartStore = window.eval('CartStore');
+  CartStore.subscribe((cart) => states.push(plain(cart)));
+  return { ...theme, CartStore, pending, states };
+}
+
+afterEach(() => window.close());
+
+describe('CartStore', () => {
+  it('sends mutations one at a time, in order', async () => {
+    const { CartStore, pending } = mount();
+
+    const results = [
+      CartStore.change({ line: 1, quantity: 2 }),
+      CartStore.update({ 1: 3 }),
+      CartStore.updateNote('Gift wrap please'),
+    ];
+    await flush(window);
+    assert.deepEqual(
+      pending.map(({ url }) => url.pathname),
+      ['/cart/change']
+    );
+
+    pending[0].respond({ ...CART, item_count: 2 });
+    await flush(window);
+    assert.deepEqual(
+      pending.map(({ url }) => url.pathname),
+      ['/cart/change', '/cart/update']
+    );
+    assert.deepEqual(pending[1].body, { updates: { 1: 3 } });
+
+    pending[1].respond({ ...CART, item_count: 3 });
+    await flush(window);
+    pending[2].respond({ ...CART, item_count: 3, note: 'Gift wrap please' });
+
+    const [changed, updated, noted] = await Promise.all(results);
+    assert.deepEqual([changed.item_count, updated.item_count, noted.note], [2, 3, 'Gift wrap please']);
+    assert.equal(pending.length, 3);
+  });
+
+  it('keeps and publishes the carts it gets back', async () => {
+    const { CartStore, pending, states } = mount();
+    CartStore.hydrate(CART);
+    assert.deepEqual(states, [CART]);
+
+    const change = CartStore.change({ id: 1, quantity: 2 }, { sections: ['cart-drawer'], sectionsUrl: '/cart' });
+    await flush(window);
+    assert.deepEqual(pending[0].body, { id: 1, quantity: 2, sections: ['cart-drawer'], sections_url: '/cart' });
+    pending[0].respond({ ...CART, item_count: 2, sections: { 'cart-drawer': '<div></div>' } });
+    const response = await change;
+
+    assert.deepEqual(Object.keys(response.sections), ['cart-drawer']);
+    assert.deepEqual(plain(CartStore.cart), { ...CART, item_count: 2 });
+    assert.deepEqual(states.at(-1), { ...CART, item_count: 2 });
+
+    // Errors are handed back to the caller and leave the cart alone
+    const failed = CartStore.change({ id: 1, quantity: 99 });
+    await flush(window);
+    pending[1].respond({ status: 422, errors: 'You can only add 2 to the cart.' });
+    assert.equal((await failed).errors, 'You can only add 2 to the cart.');
+    assert.equal(CartStore.cart.item_count, 2);
+    assert.equal(states.length, 2);
+  });
+
+  it('goes on with the queue when a request fails', async () => {
+    const { CartStore, pending } = mount();
+
+    const failed = CartStore.change({ line: 1, quantity: 0 });
+    const next = CartStore.change({ line: 1, quantity: 1 });
+    await flush(window);
+    pending[0].fail();
+
+    await assert.rejects(failed, /Failed to fetch/);
+    await flush(window);
+    assert.equal(pending.length, 2);
+    pending[1].respond(CART);
+    assert.equal((await next).item_count, 1);
+  });
+
+  it('reads the cart again after adding', async () => {
+    const { CartStore, pending, states, fetch, errors } = mount();
+
+    const added = CartStore.add([{ id: 1, quantity: 1 }]);
+    const refreshed = CartStore.refresh();
+    await flush(window);
+    pending[0].respond({ items: [{ id: 1, quantity: 1 }] });
+
+    assert.deepEqual((await added).items, [{ id: 1, quantity: 1 }]);
+    assert.equal((await refreshed).item_count, 1);
+    await flush(window);
+    assert.equal(fetch.calls.filter(({ url }) => url.pathname === '/cart.js').length, 1);
+    assert.deepEqual(states, [CART]);
+    assert.deepEqual(errors, []);
+  });
+
+  it("doesn't fail an add when reading the cart fails", async () => {
+    const { CartStore, pending, errors } = mount({ refresh: () => Promise.reject(new TypeError('Failed to fetch')) });
+
+    const added = CartStore.add([{ id: 1, quantity: 1 }]);
+    await flush(window);
+    pending[0].respond({ items: [{ id: 1, quantity: 1 }] });
+
+    assert.equal((await added).items.length, 1);
+    await flush(window);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].message, /Failed to fetch/);
+  });
+});
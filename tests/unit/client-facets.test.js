@@ -0,0 +1,166 @@
+// @ts-check
+const { afterEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { flush, loadTheme, productGridSection } = require('./helpers');
+
+/**
+ * Unit tests for `ClientFacets` (assets/facets.js), the filtering and sorting of small collections in the browser.
+ *
+ * These tests verify that:
+ * 1. Checking a filter or picking a sort renders right away, without a request: the same products in the same
+ *    order as the server, with the server's value counts, pills and product count
+ * 2. Removing a pill renders without a request too
+ * 3. A page opened filtered loads the whole collection once, then filters without requests
+ * 4. Price ranges, sorts the data can't answer and collections without the data go through the server
+ */
+
+const COLLECTION_URL = 'https://fixture.test/collections/all';
+
+let window;
+
+function mount(search = '', { clientFiltering = true } = {}) {
+  const theme = loadTheme({
+    url: `${COLLECTION_URL}${search && `?${search}`}`,
+    html: productGridSection(search, { clientFiltering }),
+    scripts: ['facets.js', 'infinite-scroll.js'],
+    fetch: (url) => productGridSection(url.search, { clientFiltering }),
+  });
+  window = theme.window;
+  return { ...theme, ClientFacets: window.eval('ClientFacets') };
+}
+
+// What the server renders for `search`, to compare with
+function serverRender(search) {
+  return new JSDOM(productGridSection(search, { clientFiltering: true })).window.document;
+}
+
+function productIds(document) {
+  return [...document.querySelectorAll('#product-grid > [data-product-id]')].map((card) => card.dataset.productId);
+}
+
+function valueCounts(document) {
+  return [...document.querySelectorAll('#FacetFiltersForm .facet-checkbox__text')].map((text) =>
+    text.textContent.replace(/\s+/g, ' ').trim()
+  );
+}
+
+function pills(document) {
+  return [...document.querySelectorAll('.active-facets-desktop .active-facets__button-inner')].map((pill) =>
+    pill.firstChild.textContent.trim()
+  );
+}
+
+function check(document, value) {
+  const input = document.querySelector(`#FacetFiltersForm input[value="${value}"]`);
+  input.checked = !input.checked;
+  input.dispatchEvent(new window.Event('input', { bubbles: true }));
+}
+
+afterEach(() => window.close());
+
+describe('client facets', () => {
+  it('renders checked filters right away, as the server would', () => {
+    const { document, fetch } = mount();
+
+    check(document, 'Dresses');
+    check(document, 'Black');
+
+    const server = serverRender('filter.p.product_type=Dresses&filter.v.option.color=Black');
+    assert.equal(fetch.calls.length, 0);
+    assert.match(window.location.search, /^\?filter\.p\.product_type=Dresses&filter\.v\.option\.color=Black&/);
+    assert.deepEqual(productIds(document), productIds(server));
+    assert.deepEqual(valueCounts(document), valueCounts(server));
+    assert.deepEqual(pills(document), ['Product type: Dresses', 'Color: Black']);
+    assert.equal(document.getElementById('ProductCountDesktop').textContent, '2 of 42 products');
+    assert.equal(document.querySelector('.mobile-facets__count').textContent, '2 of 42 products');
+    assert.ok(document.querySelector('#FacetFiltersFormMobile input[value="Dresses"]').checked);
+    assert.equal(
+      document.querySelector('#Details-filter\\.p\\.product_type-template--fixture__product-grid .facets__selected')
+        .textContent,
+      '1 selected'
+    );
+  });
+
+  it('disables the values nothing would match', () => {
+    const { document } = mount();
+
+    check(document, 'Accessories');
+
+    const black = document.querySelector('#FacetFiltersForm input[value="Black"]');
+    assert.equal(black.disabled, true);
+    assert.ok(black.closest('.facets__label').classList.contains('disabled'));
+    assert.equal(black.closest('.facets__label').querySelector('.visually-hidden').textContent, 'Black (0 products)');
+  });
+
+  it('sorts right away, as the server would', () => {
+    const { document, fetch } = mount();
+
+    const sort = document.getElementById('SortBy');
+    sort.value = 'price-descending';
+    sort.dispatchEvent(new window.Event('input', { bubbles: true }));
+
+    assert.equal(fetch.calls.length, 0);
+    assert.deepEqual(productIds(document), productIds(serverRender('sort_by=price-descending')));
+    assert.equal(document.getElementById('SortBy-mobile').value, 'price-descending');
+  });
+
+  it('removes a pill without a request', () => {
+    const { document, fetch } = mount();
+    check(document, 'Dresses');
+    check(document, 'Tops');
+
+    document.querySelector('.active-facets-desktop facet-remove:not(.active-facets__button-wrapper) a').click();
+
+    assert.equal(fetch.calls.length, 0);
+    assert.equal(window.location.search, '?filter.p.product_type=Tops');
+    assert.equal(document.querySelector('#FacetFiltersForm input[value="Dresses"]').checked, false);
+    assert.deepEqual(pills(document), ['Product type: Tops']);
+    assert.deepEqual(productIds(document), productIds(serverRender('filter.p.product_type=Tops')));
+  });
+
+  it('loads the whole collection once for a page opened filtered', async () => {
+    const { document, fetch, ClientFacets } = mount('filter.p.product_type=Tops&sort_by=price-ascending');
+    assert.equal(ClientFacets.ready, false);
+    await flush(window);
+
+    assert.equal(fetch.calls.length, 1);
+    assert.equal(fetch.calls[0].url.search, '?section_id=template--fixture__product-grid');
+    assert.equal(ClientFacets.ready, true);
+
+    check(document, 'Tops');
+    check(document, 'Swimwear');
+
+    assert.equal(fetch.calls.length, 1);
+    assert.deepEqual(
+      productIds(document),
+      productIds(serverRender('filter.p.product_type=Swimwear&sort_by=price-ascending'))
+    );
+  });
+
+  it('leaves price ranges and other sorts to the server', async () => {
+    const { document, fetch } = mount();
+    const FacetFiltersForm = window.eval('FacetFiltersForm');
+
+    FacetFiltersForm.renderPage('filter.v.price.gte=1000&filter.v.price.lte=');
+    await flush(window);
+    FacetFiltersForm.renderPage('sort_by=best-selling');
+    await flush(window);
+
+    assert.deepEqual(
+      fetch.calls.map(({ url }) => url.searchParams.get('sort_by') ?? url.searchParams.get('filter.v.price.gte')),
+      ['1000', 'best-selling']
+    );
+    assert.deepEqual(productIds(document), productIds(serverRender('sort_by=best-selling')));
+  });
+
+  it('leaves collections without the data to the server', async () => {
+    const { document, fetch, ClientFacets } = mount('', { clientFiltering: false });
+
+    check(document, 'Dresses');
+    await new Promise((resolve) => window.setTimeout(resolve, 900));
+
+    assert.equal(ClientFacets.ready, false);
+    assert.equal(fetch.calls.length, 1);
+  });
+});
@@ -0,0 +1,129 @@
+// @ts-check
+const { afterEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SECTION_IDS, flush, loadTheme, productGridSection } = require('./helpers');
+
+/**
+ * Unit tests for `<facet-filters-form>`, `<facet-remove>` and `<price-range>` (assets/facets.js).
+ *
+ * These tests verify that:
+ * 1. Submitting the filters fetches the grid section with the form's params, swaps the grid and count and
+ *    pushes the params to the URL
+ * 2. Rendering the same params again is served from the cache
+ * 3. Removing an active filter renders the collection without it
+ * 4. The filter in use stays open and focused while the section re-renders
+ * 5. The price range keeps the maximum from going below the minimum
+ */
+
+const COLLECTION_URL = 'https://fixture.test/collections/all';
+
+let window;
+
+function mount(search = '') {
+  const theme = loadTheme({
+    url: `${COLLECTION_URL}${search && `?${search}`}`,
+    html: productGridSection(search),
+    scripts: ['facets.js', 'infinite-scroll.js'],
+    fetch: (url) => productGridSection(url.search),
+  });
+  window = theme.window;
+  return theme;
+}
+
+afterEach(() => window.close());
+
+describe('facet-filters-form', () => {
+  it('renders the filtered grid and count and updates the URL', async () => {
+    const { document, fetch } = mount();
+    assert.equal(document.getElementById('ProductCountDesktop').textContent, '42 products');
+
+    const checkbox = document.querySelector('#FacetFiltersForm input[value="Dresses"]');
+    checkbox.checked = true;
+    // Skip the 800ms debounce by submitting with the same event the form just received
+    const event = new window.Event('input', { bubbles: true });
+    checkbox.dispatchEvent(event);
+    checkbox.closest('facet-filters-form').onSubmitHandler(event);
+
+    assert.ok(document.getElementById('ProductCountDesktop').classList.contains('loading'));
+    await flush(window);
+
+    assert.equal(fetch.calls.length, 1);
+    const { url } = fetch.calls[0];
+    assert.equal(url.pathname, '/collections/all');
+    assert.equal(url.searchParams.get('section_id'), SECTION_IDS.productGrid);
+    assert.equal(url.searchParams.get('filter.p.product_type'), 'Dresses');
+
+    assert.equal(document.getElementById('ProductCountDesktop').textContent, '10 of 42 products');
+    assert.equal(document.getElementById('ProductCount').textContent, '10 of 42 products');
+    assert.ok(!document.getElementById('ProductCountDesktop').classList.contains('loading'));
+    assert.equal(document.querySelectorAll('#product-grid > .grid__item').length, 10);
+    assert.equal(new URLSearchParams(window.location.search).get('filter.p.product_type'), 'Dresses');
+  });
+
+  it('serves params it has already rendered from the cache', async () => {
+    const { fetch } = mount();
+    const FacetFiltersForm = window.customElements.get('facet-filters-form');
+
+    FacetFiltersForm.renderPage('sort_by=price-ascending');
+    await flush(window);
+    FacetFiltersForm.renderPage('');
+    await flush(window);
+    FacetFiltersForm.renderPage('sort_by=price-ascending');
+    await flush(window);
+
+    assert.deepEqual(
+      fetch.calls.map(({ url }) => url.searchParams.get('sort_by')),
+      ['price-ascending', null]
+    );
+  });
+
+  it('renders the collection without a filter when its pill is removed', async () => {
+    const { document, fetch } = mount('filter.p.product_type=Dresses');
+    assert.equal(document.getElementById('ProductCountDesktop').textContent, '10 of 42 products');
+
+    const pill = [...document.querySelectorAll('.active-facets-desktop facet-remove a')].find((link) =>
+      link.textContent.includes('Product type: Dresses')
+    );
+    pill.click();
+    await flush(window);
+
+    assert.equal(fetch.calls[0].url.searchParams.has('filter.p.product_type'), false);
+    assert.equal(document.getElementById('ProductCountDesktop').textContent, '42 products');
+    assert.equal(window.location.search, '');
+  });
+
+  it('keeps the filter in use open and focused', async () => {
+    const { document } = mount();
+    const details = document.querySelector('#FacetFiltersForm details.js-filter:has(input[value="Dresses"])');
+    const checkbox = details.querySelector('input[value="Dresses"]');
+    details.open = true;
+    checkbox.focus();
+    checkbox.checked = true;
+
+    const event = new window.Event('input', { bubbles: true });
+    checkbox.dispatchEvent(event);
+    checkbox.closest('facet-filters-form').onSubmitHandler(event);
+    await flush(window);
+
+    assert.equal(document.getElementById(details.id), details);
+    assert.equal(details.open, true);
+    assert.equal(document.activeElement, checkbox);
+    assert.equal(checkbox.checked, true);
+    assert.equal(document.getElementById('ProductCountDesktop').textContent, '10 of 42 products');
+  });
+});
+
+describe('price-range', () => {
+  it('raises the maximum to the minimum', () => {
+    const { document } = mount();
+    const [minInput, maxInput] = document.querySelectorAll('#FacetFiltersForm price-range input');
+
+    minInput.value = '500';
+    minInput.dispatchEvent(new window.Event('change'));
+    assert.equal(maxInput.dataset.min, '500');
+
+    maxInput.value = '100';
+    maxInput.dispatchEvent(new window.Event('change'));
+    assert.equal(maxInput.value, '500');
+  });
+});
@@ -0,0 +1,168 @@
+// @ts-check
+const { afterEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { flush, loadTheme, productGridSection } = require('./helpers');
+
+/**
+ * Unit tests for `FacetPresets` and `<facet-preset-controls>` (assets/facets.js).
+ *
+ * These tests verify that:
+ * 1. Saved filters are applied to a collection opened without filters, as far as the collection has them, without
+ *    adding a history entry
+ * 2. Collections opened with filters keep them
+ * 3. The controls save the current filters, and clear them again
+ * 4. Copied links pack the filters into a short `f` param, and opening one renders the filters it stands for, whatever
+ *    the script of the option names
+ * 5. Links that can't be copied (no Clipboard API, or denied) are shown for the shopper to copy
+ */
+
+const COLLECTION_URL = 'https://fixture.test/collections/all';
+const STORAGE_KEY = 'theme-facet-presets';
+
+let window;
+
+/**
+ * `clipboard: false` leaves the page without the Clipboard API, like on a non-secure origin; `clipboard: 'denied'`
+ * rejects writes.
+ */
+function mount(search = '', { saved, clipboard = true } = {}) {
+  const copied = [];
+  const theme = loadTheme({
+    url: `${COLLECTION_URL}${search && `?${search}`}`,
+    html: productGridSection(search),
+    scripts: ['facets.js', 'infinite-scroll.js'],
+    fetch: (url) => productGridSection(url.search),
+    beforeLoad: (window) => {
+      if (saved) window.localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+      if (!clipboard) return;
+      Object.defineProperty(window.navigator, 'clipboard', {
+        value: {
+          writeText: (text) =>
+            clipboard === 'denied'
+              ? Promise.reject(new window.DOMException('Write permission denied.', 'NotAllowedError'))
+              : Promise.resolve(copied.push(text)),
+        },
+      });
+    },
+  });
+  window = theme.window;
+  const controls = theme.document.querySelector('facet-preset-controls');
+  const button = (name) => controls.querySelector(`[name="${name}"]`);
+  return { ...theme, controls, button, copied, FacetPresets: window.eval('FacetPresets') };
+}
+
+afterEach(() => window.close());
+
+describe('facet presets', () => {
+  it('applies the saved filters the collection has', async () => {
+    const { document, fetch } = mount('sort_by=price-ascending', {
+      saved: [
+        ['filter.p.product_type', 'Dresses'],
+        ['filter.p.product_type', 'Capes'],
+        ['filter.p.vendor', 'Fixture'],
+      ],
+    });
+    await flush(window);
+
+    assert.equal(fetch.calls.length, 1);
+    const { searchParams } = fetch.calls[0].url;
+    assert.deepEqual(searchParams.getAll('filter.p.product_type'), ['Dresses']);
+    assert.equal(searchParams.has('filter.p.vendor'), false);
+    assert.equal(searchParams.get('sort_by'), 'price-ascending');
+    assert.equal(window.location.search, '?sort_by=price-ascending&filter.p.product_type=Dresses');
+    // Replaced, not pushed: back leaves the collection
+    assert.equal(window.history.length, 1);
+    assert.equal(document.getElementById('ProductCountDesktop').textContent, '10 of 42 products');
+  });
+
+  it('keeps the filters of a filtered collection', async () => {
+    const { fetch } = mount('filter.v.option.color=Black', { saved: [['filter.p.product_type', 'Dresses']] });
+    await flush(window);
+
+    assert.equal(fetch.calls.length, 0);
+    assert.equal(window.location.search, '?filter.v.option.color=Black');
+  });
+
+  it('saves the current filters and clears them', () => {
+    const { button, controls } = mount('filter.p.product_type=Dresses&sort_by=price-ascending');
+    assert.equal(button('clear').hidden, true);
+
+    button('save').click();
+    assert.deepEqual(JSON.parse(window.localStorage.getItem(STORAGE_KEY)), [['filter.p.product_type', 'Dresses']]);
+    assert.equal(button('clear').hidden, false);
+    assert.equal(controls.querySelector('[role="status"]').textContent, controls.dataset.savedMessage);
+
+    button('clear').click();
+    assert.equal(window.localStorage.getItem(STORAGE_KEY), null);
+    assert.equal(button('clear').hidden, true);
+  });
+
+  it("can't save or share a collection without filters", () => {
+    const { button } = mount();
+
+    assert.equal(button('save').disabled, true);
+    assert.equal(button('share').disabled, true);
+  });
+
+  it('copies a short link to the filters', async () => {
+    const { button, copied } = mount(
+      'filter.p.product_type=Dresses&filter.v.option.color=Black&filter.v.option.color=Ivory&sort_by=price-ascending'
+    );
+
+    button('share').click();
+    await flush(window);
+
+    assert.deepEqual(copied, [`${COLLECTION_URL}?sort_by=price-ascending&f=product_type:Dresses;color:Black,Ivory`]);
+  });
+
+  for (const clipboard of [false, 'denied']) {
+    it(`shows the link when it can't be copied (clipboard: ${clipboard})`, async () => {
+      const { document, button, controls } = mount('filter.p.product_type=Dresses', { clipboard });
+      const input = controls.querySelector('.facet-presets__url');
+      assert.equal(input.hidden, true);
+
+      button('share').click();
+      await flush(window);
+
+      assert.equal(input.hidden, false);
+      assert.equal(input.value, `${COLLECTION_URL}?f=product_type:Dresses`);
+      assert.equal(document.activeElement, input);
+      assert.equal(controls.querySelector('[role="status"]').textContent, controls.dataset.copyFallbackMessage);
+    });
+  }
+
+  it('renders the filters of a shared link', async () => {
+    const { document, fetch } = mount('f=product_type:Dresses;color:Black;unknown:1');
+    await flush(window);
+
+    const { searchParams } = fetch.calls[0].url;
+    assert.equal(searchParams.get('filter.p.product_type'), 'Dresses');
+    assert.equal(searchParams.get('filter.v.option.color'), 'Black');
+    assert.equal(searchParams.has('f'), false);
+    assert.equal(window.location.search, '?filter.p.product_type=Dresses&filter.v.option.color=Black');
+    assert.ok(document.querySelector('#FacetFiltersForm input[value="Dresses"]').checked);
+  });
+
+  it('keeps separators inside values', () => {
+    const { FacetPresets } = mount();
+    const searchParams = new URLSearchParams([['filter.v.option.color', 'Black, matte; 100%']]).toString();
+
+    const url = new URL(FacetPresets.shareUrl(searchParams));
+
+    assert.equal(FacetPresets.expand(url.search), searchParams);
+  });
+
+  it('keeps option names outside ASCII', () => {
+    const { document, FacetPresets } = mount();
+    // a Thai store's "color" option
+    document
+      .getElementById('FacetFiltersForm')
+      .insertAdjacentHTML('beforeend', '<input type="checkbox" name="filter.v.option.สี" value="ดำ">');
+    const searchParams = new URLSearchParams([['filter.v.option.สี', 'ดำ']]).toString();
+
+    const url = new URL(FacetPresets.shareUrl(searchParams));
+
+    assert.equal(url.search, `?f=${encodeURIComponent('สี')}:${encodeURIComponent('ดำ')}`);
+    assert.equal(FacetPresets.expand(url.search), searchParams);
+  });
+});
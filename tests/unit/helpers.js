@@ -0,0 +1,137 @@
+// @ts-check
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const catalog = require('../fixtures/catalog');
+const { productGrid } = require('../fixtures/render/collection');
+const { shopifySection } = require('../fixtures/render/helpers');
+const { SECTION_IDS } = require('../fixtures/server');
+
+/**
+ * Loads theme assets into a jsdom window, the way theme.liquid loads them into the storefront.
+ *
+ * Scripts are added as `<script>` elements after the markup is parsed, like the theme's deferred scripts, so
+ * `customElements.define` upgrades the fixture markup and top-level classes share one global scope. Browser
+ * APIs jsdom doesn't have (`fetch`, `IntersectionObserver`) are replaced with test doubles the tests drive.
+ */
+
+const ASSETS = path.resolve(__dirname, '../../assets');
+const BASE_SCRIPTS = ['constants.js', 'pubsub.js', 'section-client.js', 'global.js'];
+
+/**
+ * `handler(url, init)` answers each request with a string (HTML), an object (JSON) or a Response; every call is
+ * recorded in `fetch.calls` with its URL resolved against the page.
+ */
+function mockFetch(window, handler) {
+  const calls = [];
+  const fetch = async (input, init = {}) => {
+    const url = new URL(String(input), window.location.href);
+    calls.push({ url, init });
+
+    const result = await handler(url, init);
+    if (result instanceof Response) return result;
+    if (typeof result === 'string') return new Response(result, { headers: { 'Content-Type': 'text/html' } });
+    return Response.json(result);
+  };
+  fetch.calls = calls;
+  return fetch;
+}
+
+// Records observed elements; `trigger(element)` reports them as intersecting, at `boundingClientRect` if given
+class FakeIntersectionObserver {
+  static instances = [];
+
+  constructor(callback, options) {
+    this.callback = callback;
+    this.options = options;
+    this.elements = new Set();
+    FakeIntersectionObserver.instances.push(this);
+  }
+
+  observe(element) {
+    this.elements.add(element);
+  }
+
+  unobserve(element) {
+    this.elements.delete(element);
+  }
+
+  disconnect() {
+    this.elements.clear();
+  }
+
+  static trigger(element, isIntersecting = true, boundingClientRect = element.getBoundingClientRect()) {
+    FakeIntersectionObserver.instances
+      .filter((observer) => observer.elements.has(element))
+      .forEach((observer) => observer.callback([{ target: element, isIntersecting, boundingClientRect }], observer));
+  }
+}
+
+/**
+ * Creates a window at `url` with `html` as the page body, then runs `assets/constants.js`, `pubsub.js`,
+ * `section-client.js`, `global.js` and `scripts` in that order. Script errors are rethrown instead of being logged.
+ * `navigationType` is what the page reports as its navigation type (`back_forward` for the back button);
+ * `beforeLoad(window)` runs just before the scripts, e.g. to seed `sessionStorage`.
+ */
+function loadTheme({
+  html = '',
+  scripts = [],
+  url = 'https://fixture.test/',
+  fetch: handler = () => '',
+  navigationType = 'navigate',
+  globals = {},
+  beforeLoad = (window) => {},
+}) {
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', (error) => errors.push(error));
+  virtualConsole.on('error', (...args) => errors.push(new Error(args.join(' '))));
+
+  const dom = new JSDOM(`<!doctype html><html><head></head><body>${html}</body></html>`, {
+    url,
+    runScripts: 'dangerously',
+    pretendToBeVisual: true,
+    virtualConsole,
+  });
+  const { window } = dom;
+
+  FakeIntersectionObserver.instances = [];
+  Object.assign(window, {
+    fetch: mockFetch(window, handler),
+    IntersectionObserver: FakeIntersectionObserver,
+    Response,
+    routes: { cart_url: '/cart', cart_add_url: '/cart/add', cart_change_url: '/cart/change' },
+    moneyFormat: '฿{{amount}}',
+    ...globals,
+  });
+  // jsdom has no Navigation Timing entries; infinite-scroll.js reads the type to restore pages on back navigation
+  window.performance.getEntriesByType = (type) => (type === 'navigation' ? [{ type: navigationType }] : []);
+  beforeLoad(window);
+
+  [...BASE_SCRIPTS, ...scripts].forEach((name) => {
+    const script = window.document.createElement('script');
+    script.textContent = fs.readFileSync(path.join(ASSETS, name), 'utf8');
+    window.document.head.appendChild(script);
+    if (errors.length) throw errors[0];
+  });
+
+  return { window, document: window.document, fetch: window.fetch, errors };
+}
+
+// Lets pending promise callbacks (fetch, response.text(), ...) run
+function flush(window, times = 5) {
+  let promise = Promise.resolve();
+  for (let i = 0; i < times; i++) promise = promise.then(() => new Promise((resolve) => window.setTimeout(resolve)));
+  return promise;
+}
+
+// `main-collection-product-grid` for /collections/all from the fixture store, as the page renders it and the
+// Section Rendering API returns it; `clientFiltering` turns on the section's `enable_client_filtering`
+function productGridSection(search = '', { clientFiltering = false } = {}) {
+  const collection = catalog.getCollection('all', new URLSearchParams(search), {
+    productsPerPage: clientFiltering ? 250 : catalog.PRODUCTS_PER_PAGE,
+  });
+  return shopifySection(SECTION_IDS.productGrid, productGrid(collection, SECTION_IDS.productGrid, { clientFiltering }));
+}
+
+module.exports = { FakeIntersectionObserver, SECTION_IDS, flush, loadTheme, productGridSection };
@@ -0,0 +1,168 @@
+// @ts-check
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadTheme } = require('./helpers');
+
+/**
+ * Unit tests for `HTMLUpdateUtility` (assets/global.js).
+ *
+ * These tests verify that:
+ * 1. `morph` keeps elements matched by id, reorders them and drops the ones that are gone
+ * 2. `morph` keeps focus, open details, playing media and input state the new markup doesn't change
+ * 3. `morph` runs the scripts of inserted markup
+ * 4. `transition` and `viewTransition` use `document.startViewTransition` when available and fall back otherwise
+ */
+
+function mount(html, options = {}) {
+  const { window, document } = loadTheme({ html, ...options });
+  const HTMLUpdateUtility = window.eval('HTMLUpdateUtility');
+  const parse = (markup) => new window.DOMParser().parseFromString(markup, 'text/html').body.firstElementChild;
+  return { window, document, HTMLUpdateUtility, parse };
+}
+
+describe('HTMLUpdateUtility.morph', () => {
+  it('keeps keyed elements, reorders them and removes the ones that are gone', () => {
+    const { document, HTMLUpdateUtility, parse } = mount(
+      '<ul id="list"><li id="a">A</li><li id="b">B</li><li id="c">C</li></ul>'
+    );
+    const [a, b] = document.querySelectorAll('li');
+
+    HTMLUpdateUtility.morph(
+      document.getElementById('list'),
+      parse('<ul id="list" class="updated"><li id="b">B</li><li id="a">A2</li><li id="d">D</li></ul>')
+    );
+
+    const items = [...document.querySelectorAll('li')];
+    assert.deepEqual(
+      items.map(({ id, textContent }) => `${id}:${textContent}`),
+      ['b:B', 'a:A2', 'd:D']
+    );
+    assert.equal(items[0], b);
+    assert.equal(items[1], a);
+    assert.ok(document.getElementById('list').classList.contains('updated'));
+  });
+
+  it('keeps focus and what the shopper typed or toggled', () => {
+    const { document, HTMLUpdateUtility, parse } = mount(`<form id="form">
+      <input id="note" type="text" value="">
+      <input id="gift" type="checkbox">
+      <input id="size" type="radio" name="size" value="S" checked>
+      <details id="details"><summary>More</summary><p>Text</p></details>
+    </form>`);
+    const note = document.getElementById('note');
+    note.focus();
+    note.value = 'Hello';
+    note.setSelectionRange(2, 4);
+    document.getElementById('gift').checked = true;
+    document.getElementById('details').open = true;
+
+    HTMLUpdateUtility.morph(
+      document.getElementById('form'),
+      parse(`<form id="form">
+        <p id="notice">New</p>
+        <input id="note" type="text" value="">
+        <input id="gift" type="checkbox">
+        <input id="size" type="radio" name="size" value="S">
+        <details id="details"><summary>More</summary><p>Updated</p></details>
+      </form>`)
+    );
+
+    assert.equal(document.activeElement, note);
+    assert.equal(note.value, 'Hello');
+    assert.deepEqual([note.selectionStart, note.selectionEnd], [2, 4]);
+    assert.equal(document.getElementById('gift').checked, true);
+    // The markup unchecked it, so the new state wins
+    assert.equal(document.getElementById('size').checked, false);
+    assert.equal(document.getElementById('details').open, true);
+    assert.equal(document.querySelector('#details p').textContent, 'Updated');
+    assert.ok(document.getElementById('notice'));
+  });
+
+  it('leaves playing media alone', () => {
+    const { document, HTMLUpdateUtility, parse } = mount(
+      '<div id="media"><video id="video" src="/a.mp4"></video></div>'
+    );
+    const video = document.getElementById('video');
+    Object.defineProperty(video, 'paused', { value: false });
+
+    HTMLUpdateUtility.morph(
+      document.getElementById('media'),
+      parse('<div id="media"><video id="video" src="/b.mp4"></video></div>')
+    );
+
+    assert.equal(document.getElementById('video'), video);
+    assert.equal(video.getAttribute('src'), '/a.mp4');
+  });
+
+  it('runs the scripts of inserted markup', () => {
+    const { window, document, HTMLUpdateUtility, parse } = mount('<div id="container"></div>');
+
+    HTMLUpdateUtility.morph(
+      document.getElementById('container'),
+      parse('<div id="container"><script>window.morphed = true;</script></div>')
+    );
+
+    assert.equal(window.morphed, true);
+  });
+});
+
+describe('HTMLUpdateUtility transitions', () => {
+  function stubViewTransitions(document) {
+    const transitions = [];
+    document.startViewTransition = (update) => {
+      transitions.push(update);
+      return { updateCallbackDone: Promise.resolve().then(update) };
+    };
+    return transitions;
+  }
+
+  it('runs updates right away without view transitions', async () => {
+    const { HTMLUpdateUtility } = mount('');
+    let updated = false;
+
+    const done = HTMLUpdateUtility.transition(() => (updated = true));
+
+    assert.equal(updated, true);
+    await done;
+  });
+
+  it('runs updates in a view transition when available', async () => {
+    const { document, HTMLUpdateUtility } = mount('');
+    const transitions = stubViewTransitions(document);
+    let updated = false;
+
+    const done = HTMLUpdateUtility.transition(() => (updated = true));
+    assert.equal(transitions.length, 1);
+    await done;
+
+    assert.equal(updated, true);
+  });
+
+  it('replaces the node inside a view transition', async () => {
+    const { document, HTMLUpdateUtility, parse } = mount('<div id="product"><span id="title">Old</span></div>');
+    stubViewTransitions(document);
+    const postProcessed = [];
+
+    await HTMLUpdateUtility.viewTransition(
+      document.getElementById('product'),
+      parse('<div id="product"><span id="title">New</span></div>'),
+      [],
+      [(node) => postProcessed.push(node)]
+    );
+
+    assert.equal(document.querySelectorAll('#product').length, 1);
+    assert.equal(document.getElementById('title').textContent, 'New');
+    assert.equal(postProcessed[0], document.getElementById('product'));
+  });
+
+  it('falls back to inserting the new node next to the hidden old one', () => {
+    const { document, HTMLUpdateUtility, parse } = mount('<div id="product"><span id="title">Old</span></div>');
+    const oldNode = document.getElementById('product');
+
+    HTMLUpdateUtility.viewTransition(oldNode, parse('<div id="product"><span id="title">New</span></div>'));
+
+    assert.equal(document.getElementById('title').textContent, 'New');
+    assert.equal(oldNode.style.display, 'none');
+    assert.notEqual(oldNode.querySelector('span').id, 'title');
+  });
+});
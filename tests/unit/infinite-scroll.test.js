@@ -0,0 +1,285 @@
+// @ts-check
+const { afterEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeIntersectionObserver, SECTION_IDS, flush, loadTheme, productGridSection } = require('./helpers');
+
+/**
+ * Unit tests for `<infinite-scroll>` (assets/infinite-scroll.js).
+ *
+ * These tests verify that:
+ * 1. Reaching the loader fetches the next page's grid section and appends its products
+ * 2. The observer stops once the last page is in
+ * 3. A failed request keeps the next page link and lets the loader retry
+ * 4. Back navigation restores the pages loaded before leaving from their page numbers, a fresh load discards them
+ * 5. Shoppers landing on a later page can load the pages before it, by clicking or scrolling up to the control
+ * 6. The URL follows the page in view without adding history entries
+ * 7. Pages far from the one in view are dropped once more than `InfiniteScroll.maxPages` are rendered, keeping the
+ *    loader's markup when the new last page came without it
+ * 8. The loader counts the products shown so far out of the results
+ * 9. A facet render swaps in a loader for the new results, or removes it when they fit on one page
+ * 10. Saved pages are keyed by the filters and sort, and restored for them on back navigation
+ *
+ * The fixture collection has 42 products, 16 per page.
+ */
+
+const COLLECTION_URL = 'https://fixture.test/collections/all';
+const STORAGE_KEY = 'infiniteScroll_/collections/all';
+
+let window;
+
+function mount(options = {}) {
+  const theme = loadTheme({
+    url: COLLECTION_URL,
+    html: productGridSection(),
+    scripts: ['infinite-scroll.js'],
+    fetch: (url) => productGridSection(url.search),
+    ...options,
+  });
+  window = theme.window;
+  return { ...theme, loader: theme.document.getElementById('InfiniteScroll') };
+}
+
+function gridItems(document) {
+  return document.querySelectorAll('#product-grid > .grid__item');
+}
+
+function count(loader) {
+  return loader.querySelector('.infinite-scroll__count').textContent.trim();
+}
+
+function pages(document) {
+  return [...gridItems(document)].map((item) => item.dataset.page);
+}
+
+// jsdom doesn't scroll, so the position is set and the event sent by hand
+function scrollTo(window, y) {
+  Object.defineProperty(window, 'scrollY', { value: y, configurable: true });
+  window.dispatchEvent(new window.Event('scroll'));
+}
+
+afterEach(() => window.close());
+
+describe('infinite-scroll', () => {
+  it('appends the next page when the loader comes into view', async () => {
+    const { document, fetch, loader } = mount();
+    assert.equal(gridItems(document).length, 16);
+
+    FakeIntersectionObserver.trigger(loader);
+    assert.ok(loader.classList.contains('loading'));
+    await flush(window);
+
+    const { url } = fetch.calls[0];
+    assert.equal(url.searchParams.get('page'), '2');
+    assert.equal(url.searchParams.get('section_id'), SECTION_IDS.productGrid);
+
+    assert.equal(gridItems(document).length, 32);
+    assert.ok(!loader.classList.contains('loading'));
+    assert.match(loader.querySelector('a').href, /page=3/);
+    assert.equal(loader.lastPage, 2);
+  });
+
+  it('stops observing after the last page', async () => {
+    const { document, loader } = mount();
+
+    FakeIntersectionObserver.trigger(loader);
+    await flush(window);
+    FakeIntersectionObserver.trigger(loader);
+    await flush(window);
+
+    assert.equal(gridItems(document).length, 42);
+    assert.ok(loader.querySelector('.infinite-scroll__complete'));
+    assert.equal(loader.observer, null);
+  });
+
+  it('keeps the next page link when the request fails', async () => {
+    const { document, loader, errors } = mount({ fetch: () => new Response('', { status: 500 }) });
+
+    FakeIntersectionObserver.trigger(loader);
+    await flush(window);
+
+    assert.equal(gridItems(document).length, 16);
+    assert.match(loader.querySelector('a').href, /page=2/);
+    assert.ok(!loader.loading);
+    assert.match(errors[0].message, /HTTP 500/);
+  });
+
+  it('restores the loaded pages around the page in the URL on back navigation', async () => {
+    const seed = (window) => {
+      const state = { firstPage: 1, lastPage: 3, pageInView: 2, offset: 120 };
+      window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    };
+
+    const back = mount({
+      url: `${COLLECTION_URL}?page=2`,
+      html: productGridSection('page=2'),
+      navigationType: 'back_forward',
+      beforeLoad: seed,
+    });
+    await flush(window);
+
+    assert.deepEqual(
+      back.fetch.calls.map(({ url }) => url.searchParams.get('page')),
+      [null, '3']
+    );
+    assert.deepEqual(pages(back.document), [...Array(16).fill('1'), ...Array(16).fill('2'), ...Array(10).fill('3')]);
+    assert.ok(back.loader.querySelector('.infinite-scroll__complete'));
+    assert.equal(back.document.getElementById('InfiniteScrollPrevious').hidden, true);
+    window.close();
+
+    const fresh = mount({ beforeLoad: seed });
+    assert.equal(gridItems(fresh.document).length, 16);
+    assert.equal(window.sessionStorage.getItem(STORAGE_KEY), null);
+  });
+
+  it('loads the previous page above the grid for shoppers landing on a later page', async () => {
+    const { document, fetch, loader } = mount({
+      url: `${COLLECTION_URL}?page=3`,
+      html: productGridSection('page=3'),
+    });
+    const previous = document.getElementById('InfiniteScrollPrevious');
+    assert.equal(previous.hidden, false);
+    assert.equal(previous.querySelector('a').getAttribute('href'), '/collections/all?page=2');
+
+    previous.querySelector('a').click();
+    await flush(window);
+
+    assert.equal(fetch.calls[0].url.searchParams.get('page'), '2');
+    assert.deepEqual(pages(document), [...Array(16).fill('2'), ...Array(10).fill('3')]);
+    assert.equal(previous.querySelector('a').getAttribute('href'), '/collections/all');
+    assert.equal(loader.firstPage, 2);
+  });
+
+  it('loads the previous page on its own only when the shopper scrolls up to it', async () => {
+    const { document, fetch } = mount({ url: `${COLLECTION_URL}?page=2`, html: productGridSection('page=2') });
+    const previous = document.getElementById('InfiniteScrollPrevious');
+
+    FakeIntersectionObserver.trigger(previous);
+    await flush(window);
+    assert.equal(fetch.calls.length, 0);
+
+    scrollTo(window, 400);
+    scrollTo(window, 200);
+    await flush(window);
+
+    assert.equal(fetch.calls.length, 1);
+    assert.equal(gridItems(document).length, 32);
+  });
+
+  it('follows the page in view in the URL and saves page numbers', async () => {
+    const { document, loader } = mount();
+    FakeIntersectionObserver.trigger(loader);
+    await flush(window);
+
+    const [firstOfPage2] = document.querySelectorAll('#product-grid > [data-page="2"]');
+    firstOfPage2.getBoundingClientRect = () => /** @type {DOMRect} */ ({ top: 80 });
+    scrollTo(window, 2000);
+    await new Promise((resolve) => window.setTimeout(resolve, 150));
+
+    assert.equal(window.location.search, '?page=2');
+    assert.equal(window.history.length, 1);
+    assert.deepEqual(JSON.parse(window.sessionStorage.getItem(STORAGE_KEY)), {
+      firstPage: 1,
+      lastPage: 2,
+      pageInView: 2,
+      offset: -80,
+    });
+  });
+
+  it('keeps at most maxPages pages in the grid', async () => {
+    const { document, loader } = mount();
+    window.eval('InfiniteScroll').maxPages = 2;
+
+    FakeIntersectionObserver.trigger(loader);
+    await flush(window);
+    FakeIntersectionObserver.trigger(loader);
+    await flush(window);
+
+    assert.deepEqual(pages(document), [...Array(16).fill('2'), ...Array(10).fill('3')]);
+    const previous = document.getElementById('InfiniteScrollPrevious');
+    assert.equal(previous.hidden, false);
+    assert.equal(previous.querySelector('a').getAttribute('href'), '/collections/all');
+  });
+
+  it('keeps the loader when the new last page came without pagination', async () => {
+    const { document, loader } = mount({
+      url: `${COLLECTION_URL}?page=3`,
+      html: productGridSection('page=3'),
+      fetch: (url) => productGridSection(url.search).replace(/<infinite-scroll[\s\S]*<\/infinite-scroll>/, ''),
+    });
+    window.eval('InfiniteScroll').maxPages = 1;
+    const markup = loader.innerHTML;
+
+    document.querySelector('#InfiniteScrollPrevious a').click();
+    await flush(window);
+
+    assert.deepEqual(pages(document), Array(16).fill('2'));
+    assert.equal(loader.innerHTML, markup);
+  });
+
+  it('counts the products shown out of the results', async () => {
+    const { loader } = mount();
+    assert.equal(count(loader), 'Showing 16 of 42 products');
+
+    FakeIntersectionObserver.trigger(loader);
+    await flush(window);
+    assert.equal(count(loader), 'Showing 32 of 42 products');
+
+    FakeIntersectionObserver.trigger(loader);
+    await flush(window);
+    assert.equal(count(loader), 'Showing 42 of 42 products');
+  });
+
+  it('starts over on the results of a facet render', async () => {
+    const { document, fetch, loader } = mount({ scripts: ['facets.js', 'infinite-scroll.js'] });
+    const FacetFiltersForm = window.eval('FacetFiltersForm');
+    FakeIntersectionObserver.trigger(loader);
+    await flush(window);
+
+    FacetFiltersForm.renderPage('filter.v.availability=1');
+    await flush(window);
+
+    const filtered = document.getElementById('InfiniteScroll');
+    assert.notEqual(filtered, loader);
+    assert.equal(loader.observer, null);
+    assert.deepEqual(pages(document), Array(16).fill('1'));
+    assert.equal(count(filtered), 'Showing 16 of 36 products');
+
+    FakeIntersectionObserver.trigger(filtered);
+    await flush(window);
+    const { url } = fetch.calls.at(-1);
+    assert.equal(url.searchParams.get('filter.v.availability'), '1');
+    assert.equal(url.searchParams.get('page'), '2');
+    assert.equal(count(filtered), 'Showing 32 of 36 products');
+
+    FacetFiltersForm.renderPage('filter.p.product_type=Dresses');
+    await flush(window);
+    assert.equal(document.getElementById('InfiniteScroll'), null);
+
+    FacetFiltersForm.renderPage('');
+    await flush(window);
+    const unfiltered = document.getElementById('InfiniteScroll');
+    assert.equal(unfiltered.previousElementSibling.id, 'ProductGridContainer');
+    assert.equal(count(unfiltered), 'Showing 16 of 42 products');
+  });
+
+  it('restores the filtered pages on back navigation', async () => {
+    const search = 'filter.v.price.gte=&filter.v.availability=1&page=2';
+    const { document, fetch } = mount({
+      url: `${COLLECTION_URL}?${search}`,
+      html: productGridSection(search),
+      navigationType: 'back_forward',
+      beforeLoad: (window) => {
+        const state = { firstPage: 1, lastPage: 2, pageInView: 2, offset: 0 };
+        window.sessionStorage.setItem(`${STORAGE_KEY}?filter.v.availability=1`, JSON.stringify(state));
+        window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ ...state, lastPage: 3 }));
+      },
+    });
+    await flush(window);
+
+    assert.deepEqual(
+      fetch.calls.map(({ url }) => [url.searchParams.get('filter.v.availability'), url.searchParams.get('page')]),
+      [['1', null]]
+    );
+    assert.deepEqual(pages(document), [...Array(16).fill('1'), ...Array(16).fill('2')]);
+  });
+});
@@ -0,0 +1,149 @@
+// @ts-check
+const { afterEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const catalog = require('../fixtures/catalog');
+const { shopifySection } = require('../fixtures/render/helpers');
+const { mainProduct } = require('../fixtures/render/product');
+const { flush, loadTheme } = require('./helpers');
+
+/**
+ * Unit tests for the media grouped by color of `<media-gallery>` (assets/media-gallery.js).
+ *
+ * These tests verify that:
+ * 1. Only the selected color's media and the media tied to no color are shown, in the gallery, the hover
+ *    thumbnails and the lightbox
+ * 2. Picking another color swaps the sets when the variant changes, fading the new ones in, and moves the active
+ *    media off a hidden one
+ * 3. Galleries that aren't grouped by color are left as they were
+ */
+
+const SECTION_ID = 'template--fixture__main';
+const PRODUCT_URL = 'https://fixture.test/products/halter-top-with-open-back';
+
+// The halter top with its open back photo tagged as black; the ivory photo is the Ivory variants' image
+const HALTER = catalog.getProduct('halter-top-with-open-back');
+const PRODUCT = {
+  ...HALTER,
+  media: HALTER.media.map((media) =>
+    media.alt === 'Halter top, open back' ? { ...media, alt: 'Halter top, open back #Black' } : media
+  ),
+};
+const [BACK, IVORY] = ['halter-top-back', 'halter-top-ivory'].map((name) =>
+  PRODUCT.media.find((media) => media.src.endsWith(`/${name}.svg`))
+);
+
+let window;
+
+function variant(color) {
+  return PRODUCT.variants.find((entry) => entry.options[0] === color && entry.options[1] === 'S');
+}
+
+function mount(color, settings = { groupByColor: true }) {
+  const render = (selected) => shopifySection(SECTION_ID, mainProduct(PRODUCT, selected, SECTION_ID, settings));
+  const theme = loadTheme({
+    url: `${PRODUCT_URL}?variant=${variant(color).id}`,
+    html: render(variant(color)),
+    scripts: ['product-form.js', 'product-info.js', 'product-modal.js', 'media-gallery.js'],
+    fetch: (url) => render(catalog.getSelectedVariant(PRODUCT, url.searchParams)),
+    globals: { variantStrings: { soldOut: 'Sold out', unavailable: 'Unavailable' } },
+    beforeLoad: (window) => {
+      // jsdom doesn't lay out: no media queries match, slider-component has nothing to observe and nothing scrolls
+      window.matchMedia = (query) => ({ matches: false, media: query, addEventListener() {} });
+      window.ResizeObserver = class {
+        observe() {}
+        disconnect() {}
+      };
+      window.scrollTo = () => {};
+      window.Element.prototype.scrollTo = () => {};
+      // nor has innerText, which product-info.js reads the submit button's label from
+      Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+        get() {
+          return this.textContent;
+        },
+      });
+    },
+  });
+  window = theme.window;
+  return { ...theme, gallery: theme.document.querySelector('media-gallery') };
+}
+
+// The ids of the media shown in each list, and how many thumbnails the lightbox shows
+function shown(document) {
+  const ids = (selector, attribute) =>
+    [...document.querySelectorAll(selector)].filter((item) => !item.hidden).map((item) => item.getAttribute(attribute));
+  return {
+    gallery: ids('.product__media-list > li', 'data-media-id').map((id) => id.split('-').pop()),
+    hoverThumbnails: ids('.product__hover-thumbnails li', 'data-media-target').map((id) => id.split('-').pop()),
+    modal: ids('.product-media-modal__content > [data-media-id]', 'data-media-id'),
+    modalThumbnails: ids('.product__modal-thumbnails li', 'data-modal-media-index').length,
+  };
+}
+
+function expected(...media) {
+  const ids = media.map(({ id }) => String(id));
+  return { gallery: ids, hoverThumbnails: ids, modal: ids, modalThumbnails: ids.length };
+}
+
+async function pick(document, color) {
+  const input = document.querySelector(`input[name="Color-1"][value="${color}"]`);
+  input.checked = true;
+  input.dispatchEvent(new window.Event('change', { bubbles: true }));
+  await flush(window);
+}
+
+// The photos shared by every color, in gallery order
+const SHARED = PRODUCT.media.filter((media) => media !== BACK && media !== IVORY);
+
+afterEach(() => window.close());
+
+describe('media-gallery', () => {
+  it("shows only the selected color's media and the shared ones", () => {
+    const { document } = mount('Ivory');
+
+    assert.deepEqual(shown(document), expected(IVORY, ...SHARED));
+    assert.equal(
+      document.querySelector(`#Slide-${SECTION_ID}-${BACK.id}`).dataset.mediaColor,
+      'Black',
+      'tagged in its alt text'
+    );
+    assert.equal(document.querySelector(`#Slide-${SECTION_ID}-${IVORY.id}`).dataset.mediaColor, 'Ivory');
+    assert.equal(document.querySelector('.slider-counter--total').textContent, String(SHARED.length + 1));
+  });
+
+  it('swaps the sets when another color is picked', async () => {
+    const { document, gallery, errors } = mount('Ivory');
+    const back = document.querySelector(`#Slide-${SECTION_ID}-${BACK.id}`);
+    const ivory = document.querySelector(`#Slide-${SECTION_ID}-${IVORY.id}`);
+    assert.ok(ivory.classList.contains('is-active'));
+
+    await pick(document, 'Black');
+
+    assert.deepEqual(shown(document), expected(...PRODUCT.media.filter((media) => media !== IVORY)));
+    assert.ok(back.classList.contains('media-color-swap'));
+    assert.ok(!ivory.classList.contains('is-active'));
+    assert.equal(
+      gallery.querySelector('.product__media-list > .is-active').dataset.mediaId,
+      `${SECTION_ID}-${SHARED[0].id}`
+    );
+    back.dispatchEvent(new window.Event('animationend'));
+    assert.ok(!back.classList.contains('media-color-swap'));
+
+    await pick(document, 'Ivory');
+
+    assert.deepEqual(shown(document), expected(IVORY, ...SHARED));
+    assert.ok(ivory.classList.contains('is-active'));
+    assert.deepEqual(errors, []);
+  });
+
+  it("leaves galleries that aren't grouped by color as they were", async () => {
+    const { document, gallery } = mount('Black', {});
+
+    assert.equal(gallery.dataset.colorOptionIndex, undefined);
+    assert.equal(document.querySelectorAll('[data-media-color]').length, 0);
+    const before = shown(document);
+
+    await pick(document, 'Ivory');
+
+    assert.deepEqual(shown(document).hoverThumbnails, before.hoverThumbnails);
+  });
+});
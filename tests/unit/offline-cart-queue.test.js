@@ -0,0 +1,193 @@
+// @ts-check
+const { afterEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { flush, loadTheme } = require('./helpers');
+
+/**
+ * Unit tests for `OfflineCartQueue` (assets/offline-cart-queue.js).
+ *
+ * These tests verify that:
+ * 1. Queued adds are kept by their form fields, the same add queued twice is kept once
+ * 2. Replays send the adds in the order they were queued, publish what the cart answered and forget them
+ * 3. Adds that fail again for lack of network stay queued
+ * 4. Coming back online replays the queue, and pages with storage disabled still load
+ */
+
+const PENDING_FLAG = 'theme-offline-cart:pending';
+
+let window;
+
+// An in-memory IndexedDB with what the queue uses of it: object stores keyed by a path, put, getAll and delete
+class FakeIndexedDB {
+  databases = new Map();
+
+  open(name) {
+    const request = {};
+    setTimeout(() => {
+      const isNew = !this.databases.has(name);
+      if (isNew) this.databases.set(name, new Map());
+      const stores = this.databases.get(name);
+
+      request.result = {
+        createObjectStore: (storeName, { keyPath }) => stores.set(storeName, { keyPath, records: new Map() }),
+        transaction: (storeName) => {
+          const { keyPath, records } = stores.get(storeName);
+          const transaction = {};
+          const complete = (result) => {
+            setTimeout(() => transaction.oncomplete());
+            return { result };
+          };
+          transaction.objectStore = () => ({
+            put: (value) => complete(records.set(value[keyPath], structuredClone(value)) && value[keyPath]),
+            getAll: () => complete([...records.values()].map((value) => structuredClone(value))),
+            delete: (key) => complete(records.delete(key) && undefined),
+          });
+          return transaction;
+        },
+        close() {},
+      };
+      if (isNew) request.onupgradeneeded();
+      request.onsuccess();
+    });
+    return request;
+  }
+
+  records(name = 'theme-offline-cart', storeName = 'add-requests') {
+    return [...(this.databases.get(name)?.get(storeName)?.records.values() ?? [])];
+  }
+}
+
+/**
+ * `cartAdd(formData)` answers /cart/add.js; `indexedDB` carries a queue over from an earlier page, and
+ * `storage: false` makes localStorage throw like it does when the shopper disabled it.
+ */
+function mount({ cartAdd = () => ({ items: [] }), indexedDB = new FakeIndexedDB(), pending, storage = true } = {}) {
+  const theme = loadTheme({
+    scripts: ['cart-store.js', 'theme-events.js', 'offline-cart-queue.js'],
+    fetch: (url, init) => (url.pathname === '/cart/add' ? cartAdd(init.body) : { items: [], item_count: 0 }),
+    beforeLoad: (window) => {
+      window.indexedDB = indexedDB;
+      if (pending) window.localStorage.setItem(PENDING_FLAG, 'true');
+      if (!storage) {
+        Object.defineProperty(window, 'localStorage', {
+          get() {
+            throw new window.DOMException('The operation is insecure.', 'SecurityError');
+          },
+        });
+      }
+    },
+  });
+  window = theme.window;
+
+  const published = [];
+  const subscribe = window.eval('subscribe');
+  ['cart-update', 'cart-error'].forEach((eventName) =>
+    subscribe(eventName, ({ source, productVariantId }) => published.push([eventName, source, productVariantId]))
+  );
+  return { ...theme, indexedDB, published, OfflineCartQueue: window.eval('OfflineCartQueue') };
+}
+
+function addForm(id, quantity = 1) {
+  const formData = new window.FormData();
+  formData.append('id', String(id));
+  formData.append('quantity', String(quantity));
+  formData.append('sections', 'cart-drawer');
+  return formData;
+}
+
+afterEach(() => window.close());
+
+describe('OfflineCartQueue', () => {
+  it('keeps queued adds by their fields', async () => {
+    const { OfflineCartQueue, indexedDB } = mount();
+
+    await OfflineCartQueue.add(addForm(1));
+    await OfflineCartQueue.add(addForm(2, 3));
+    await OfflineCartQueue.add(addForm(1));
+
+    assert.deepEqual(
+      indexedDB.records().map(({ fields }) => fields),
+      [
+        [
+          ['id', '1'],
+          ['quantity', '1'],
+        ],
+        [
+          ['id', '2'],
+          ['quantity', '3'],
+        ],
+      ]
+    );
+    assert.equal(window.localStorage.getItem(PENDING_FLAG), 'true');
+  });
+
+  it('replays queued adds in order and forgets them', async () => {
+    const sent = [];
+    const { OfflineCartQueue, indexedDB, published } = mount({
+      cartAdd: (body) => {
+        sent.push(body.get('id'));
+        return body.get('id') === '2'
+          ? Response.json({ status: 422, message: 'Cart Error', description: 'Sold out' }, { status: 422 })
+          : { id: Number(body.get('id')), quantity: 1 };
+      },
+    });
+    await OfflineCartQueue.add(addForm(1));
+    await OfflineCartQueue.add(addForm(2));
+
+    await OfflineCartQueue.replay();
+
+    assert.deepEqual(sent, ['1', '2']);
+    assert.deepEqual(published, [
+      ['cart-update', 'offline-cart-queue', '1'],
+      ['cart-error', 'offline-cart-queue', '2'],
+    ]);
+    assert.deepEqual(indexedDB.records(), []);
+    assert.equal(window.localStorage.getItem(PENDING_FLAG), null);
+  });
+
+  it('keeps adds that fail for lack of network', async () => {
+    const { OfflineCartQueue, indexedDB, published, errors } = mount({
+      cartAdd: () => Promise.reject(new TypeError('Failed to fetch')),
+    });
+    await OfflineCartQueue.add(addForm(1));
+
+    await OfflineCartQueue.replay();
+
+    assert.equal(indexedDB.records().length, 1);
+    assert.deepEqual(published, []);
+    assert.equal(window.localStorage.getItem(PENDING_FLAG), 'true');
+    assert.match(errors[0].message, /Failed to fetch/);
+  });
+
+  it('replays when the browser comes back online', async () => {
+    const indexedDB = new FakeIndexedDB();
+    const queued = mount({ indexedDB });
+    await queued.OfflineCartQueue.add(addForm(1));
+    window.close();
+
+    const { fetch } = mount({ indexedDB, storage: false });
+    await flush(window);
+    assert.equal(fetch.calls.length, 0, 'nothing says requests are waiting');
+
+    window.dispatchEvent(new window.Event('online'));
+    await flush(window, 10);
+    assert.deepEqual(
+      fetch.calls.map(({ url }) => url.pathname),
+      ['/cart/add', '/cart.js']
+    );
+    assert.deepEqual(indexedDB.records(), []);
+  });
+
+  it('replays on load when requests are waiting', async () => {
+    const indexedDB = new FakeIndexedDB();
+    const queued = mount({ indexedDB });
+    await queued.OfflineCartQueue.add(addForm(1));
+    window.close();
+
+    const { fetch } = mount({ indexedDB, pending: true });
+    await flush(window, 10);
+
+    assert.equal(fetch.calls[0].url.pathname, '/cart/add');
+    assert.deepEqual(indexedDB.records(), []);
+  });
+});
@@ -0,0 +1,261 @@
+// @ts-check
+const { afterEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const catalog = require('../fixtures/catalog');
+const { shopifySection } = require('../fixtures/render/helpers');
+const { headerSearch } = require('../fixtures/render/layout');
+const { predictiveSearch } = require('../fixtures/render/search');
+const { flush, loadTheme } = require('./helpers');
+
+/**
+ * Unit tests for `<predictive-search>` (assets/predictive-search.js).
+ *
+ * These tests verify that:
+ * 1. Focusing the empty field shows the recent searches, trending terms and popular collections, and leaves out
+ *    the recent searches group until there are some
+ * 2. Searches are remembered most recent first, without duplicates, and can be cleared
+ * 3. The typed words are highlighted in the suggestions, and clearing the term brings the empty state back
+ * 4. The arrow keys move through the options of every group, and Enter takes the selected one
+ * 5. Product swatches show their color's image on hover and keep the picked one
+ * 6. Quick add adds the product through `<product-form>` and publishes the cart update, without leaving search
+ */
+
+const RECENT_SEARCHES_KEY = 'theme-recent-searches';
+
+let window;
+
+const ROUTES = { predictive_search_url: '/search/suggest', cart_add_url: '/cart/add', cart_url: '/cart' };
+
+function mount(recentSearches, { html = '', scripts = [], fetch = () => '', beforeLoad = () => {} } = {}) {
+  const theme = loadTheme({
+    html: `${headerSearch()}${html}`,
+    scripts: [...scripts, 'search-form.js', 'predictive-search.js'],
+    globals: { routes: ROUTES },
+    fetch: (url, init) => {
+      if (url.pathname !== ROUTES.predictive_search_url) return fetch(url, init);
+      const terms = url.searchParams.get('q');
+      return shopifySection('predictive-search', predictiveSearch(terms, catalog.search(terms)));
+    },
+    beforeLoad: (window) => {
+      if (recentSearches) window.localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(recentSearches));
+      beforeLoad(window);
+    },
+  });
+  window = theme.window;
+  // jsdom doesn't navigate, the links taken are only recorded
+  theme.document.addEventListener('click', (event) => {
+    if (event.target.closest('a')) event.preventDefault();
+  });
+
+  const search = theme.document.querySelector('predictive-search');
+  return { ...theme, search, input: search.querySelector('input[type="search"]') };
+}
+
+function optionTexts(search, listId) {
+  return [...search.querySelectorAll(`#${listId} [role="option"]`)].map((option) => option.textContent.trim());
+}
+
+function savedSearches() {
+  return JSON.parse(window.localStorage.getItem(RECENT_SEARCHES_KEY));
+}
+
+// Waits out the input debounce and the request
+async function type(input, value) {
+  input.value = value;
+  input.dispatchEvent(new window.Event('input', { bubbles: true }));
+  await new Promise((resolve) => window.setTimeout(resolve, 350));
+  await flush(window);
+}
+
+function press(input, code) {
+  input.dispatchEvent(new window.KeyboardEvent('keydown', { code, bubbles: true }));
+  input.dispatchEvent(new window.KeyboardEvent('keyup', { code, bubbles: true }));
+}
+
+afterEach(() => window.close());
+
+describe('predictive-search', () => {
+  it('shows recent searches, trending terms and popular collections on focus', () => {
+    const { search, input, fetch } = mount(['linen shirt', 'bikini']);
+
+    input.focus();
+
+    assert.equal(search.getAttribute('open'), 'true');
+    assert.equal(input.getAttribute('aria-expanded'), 'true');
+    assert.equal(fetch.calls.length, 0);
+    assert.deepEqual(optionTexts(search, 'predictive-search-results-recent-list'), ['linen shirt', 'bikini']);
+    assert.deepEqual(optionTexts(search, 'predictive-search-results-trending-list'), ['linen', 'summer dress']);
+    assert.deepEqual(optionTexts(search, 'predictive-search-results-popular-collections-list'), [
+      'Dresses',
+      'Swimwear',
+    ]);
+    assert.equal(
+      search.querySelector('#predictive-search-option-recent-1 a').getAttribute('href'),
+      '/search?q=linen+shirt&options%5Bprefix%5D=last'
+    );
+  });
+
+  it('leaves out the recent searches group until there are some', () => {
+    const { search, input } = mount();
+
+    input.focus();
+
+    assert.equal(search.getAttribute('open'), 'true');
+    assert.equal(search.querySelector('[data-predictive-search-recent]'), null);
+    assert.equal(optionTexts(search, 'predictive-search-results-trending-list').length, 2);
+  });
+
+  it('remembers searches most recent first, without duplicates, and clears them', async () => {
+    const { search, input } = mount(['bikini', 'linen', 'tote', 'halter', 'wrap dress']);
+    const submit = () => input.form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+    input.focus();
+
+    await type(input, 'Linen ');
+    submit();
+    assert.deepEqual(savedSearches(), ['Linen', 'bikini', 'tote', 'halter', 'wrap dress']);
+
+    await type(input, 'maxi');
+    submit();
+    assert.deepEqual(savedSearches(), ['maxi', 'Linen', 'bikini', 'tote', 'halter']);
+
+    // Taking a trending term remembers it too
+    await type(input, '');
+    search.querySelector('#predictive-search-option-trending-2 a').click();
+    assert.deepEqual(savedSearches().slice(0, 2), ['summer dress', 'maxi']);
+
+    search.querySelector('[data-predictive-search-clear-recent]').click();
+    assert.equal(savedSearches(), null);
+    assert.equal(search.querySelector('[data-predictive-search-recent]'), null);
+    assert.equal(search.getAttribute('open'), 'true');
+    assert.equal(window.document.activeElement, input);
+  });
+
+  it('highlights the typed words in the suggestions', async () => {
+    const { search, input } = mount();
+    input.focus();
+
+    await type(input, 'dre');
+
+    const marks = [...search.querySelectorAll('#predictive-search-results-queries-list mark')];
+    assert.deepEqual(
+      marks.map((mark) => mark.textContent),
+      ['dre', 'Dre']
+    );
+    assert.equal(marks[1].parentElement.textContent, 'Dresses');
+    assert.equal(search.querySelector('#predictive-search-results-trending-list'), null);
+
+    await type(input, '');
+    assert.equal(search.getAttribute('open'), 'true');
+    assert.ok(search.querySelector('#predictive-search-results-trending-list'));
+  });
+
+  it('moves through every group with the arrow keys', () => {
+    const { search, input } = mount(['bikini']);
+    // jsdom doesn't lay out, so nothing has an offset parent; the options are all visible here
+    Object.defineProperty(window.HTMLElement.prototype, 'offsetParent', {
+      get() {
+        return this.parentElement;
+      },
+    });
+    input.focus();
+    const selected = () => search.querySelector('[aria-selected="true"]')?.id;
+
+    const ids = [];
+    for (let i = 0; i < 6; i++) {
+      press(input, 'ArrowDown');
+      ids.push(selected());
+    }
+    assert.deepEqual(ids, [
+      'predictive-search-option-recent-1',
+      'predictive-search-option-trending-1',
+      'predictive-search-option-trending-2',
+      'predictive-search-option-popular-collection-1',
+      'predictive-search-option-popular-collection-2',
+      'predictive-search-option-recent-1',
+    ]);
+
+    press(input, 'ArrowUp');
+    assert.equal(selected(), 'predictive-search-option-popular-collection-2');
+    assert.equal(input.getAttribute('aria-activedescendant'), 'predictive-search-option-popular-collection-2');
+    assert.equal(search.getAttribute('open'), 'true');
+
+    press(input, 'ArrowUp');
+    press(input, 'ArrowUp');
+    press(input, 'Enter');
+    assert.deepEqual(savedSearches(), ['summer dress', 'bikini']);
+  });
+
+  it("shows a swatch's image on hover and keeps the picked one", async () => {
+    const { search, input } = mount();
+    input.focus();
+    await type(input, 'halter');
+
+    const item = search.querySelector('#predictive-search-option-product-1');
+    const image = item.querySelector('.predictive-search__image');
+    const [black, ivory] = item.querySelectorAll('.predictive-search__swatch');
+    const defaultSrc = image.getAttribute('src');
+    const hover = (swatch) => swatch.dispatchEvent(new window.MouseEvent('mouseover', { bubbles: true }));
+    const leave = (swatch) =>
+      swatch.dispatchEvent(new window.MouseEvent('mouseout', { bubbles: true, relatedTarget: input }));
+
+    hover(ivory);
+    assert.equal(image.getAttribute('src'), '/fixtures/images/halter-top-ivory.svg?width=150');
+    leave(ivory);
+    assert.equal(image.getAttribute('src'), defaultSrc);
+
+    ivory.click();
+    hover(black);
+    // Black has no image of its own
+    assert.equal(image.getAttribute('src'), defaultSrc);
+    leave(black);
+    assert.equal(image.getAttribute('src'), '/fixtures/images/halter-top-ivory.svg?width=150');
+    assert.equal(ivory.getAttribute('aria-pressed'), 'true');
+    assert.equal(search.getAttribute('open'), 'true');
+  });
+
+  it('adds single-variant products to the cart without leaving search', async () => {
+    const tote = catalog.getProduct('canvas-tote-bag');
+    const { search, input, fetch } = mount([], {
+      html: '<cart-drawer></cart-drawer>',
+      scripts: ['cart-store.js', 'offline-cart-queue.js', 'product-form.js'],
+      fetch: (url) =>
+        url.pathname === ROUTES.cart_add_url
+          ? { id: tote.variants[0].id, quantity: 1, sections: {} }
+          : { items: [], item_count: 1 },
+      beforeLoad: (window) => {
+        // jsdom has no User Timing, CartPerformance only needs the calls to exist
+        window.performance.mark = (name) => ({ name });
+        window.performance.measure = () => {};
+        // A stand-in for the drawer, recording what it's asked to render
+        window.customElements.define(
+          'cart-drawer',
+          window.eval(`(class extends HTMLElement {
+            rendered = [];
+            getSectionsToRender() { return [{ id: 'cart-drawer' }, { id: 'cart-icon-bubble' }]; }
+            setActiveElement() {}
+            renderContents(state) { this.rendered.push(state); }
+          })`)
+        );
+      },
+    });
+    const updates = [];
+    window.eval('subscribe')('cart-update', (event) => updates.push(event));
+    input.focus();
+    await type(input, 'tote');
+
+    const button = search.querySelector('#predictive-search-option-product-1 .predictive-search__quick-add-button');
+    button.click();
+    await flush(window);
+
+    const [addCall] = fetch.calls.filter(({ url }) => url.pathname === ROUTES.cart_add_url);
+    assert.equal(addCall.init.body.get('id'), String(tote.variants[0].id));
+    assert.equal(addCall.init.body.get('sections'), 'cart-drawer,cart-icon-bubble');
+    assert.deepEqual(
+      updates.map(({ source, productVariantId }) => [source, productVariantId]),
+      [['product-form', String(tote.variants[0].id)]]
+    );
+    assert.equal(window.document.querySelector('cart-drawer').rendered.length, 1);
+    assert.deepEqual(savedSearches(), []);
+    assert.equal(search.getAttribute('open'), 'true');
+  });
+});
@@ -0,0 +1,178 @@
+// @ts-check
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { flush, loadTheme } = require('./helpers');
+
+/**
+ * Unit tests for `Prefetch` (assets/prefetch.js) and the swatch prefetching of `<product-info>`
+ * (assets/product-info.js).
+ *
+ * These tests verify that:
+ * 1. Hovering or touching a product card prefetches its page, with Speculation Rules when supported and
+ *    `<link rel="prefetch">` otherwise, and sweeping the pointer across a card doesn't
+ * 2. Each page is prefetched once, within the budget, and nothing is prefetched on Save-Data connections
+ * 3. Focusing or hovering a swatch pre-requests the section for the option values it would select, and picking it
+ *    renders from that response
+ */
+
+const SECTION_ID = 'template--fixture__main';
+
+function cards(...handles) {
+  return handles
+    .map(
+      (handle) => `<div class="card-wrapper">
+    <div class="card__inner"><img src="/${handle}.jpg" alt=""></div>
+    <h3 class="card__heading"><a href="/products/${handle}" class="full-unstyled-link">${handle}</a></h3>
+  </div>`
+    )
+    .join('');
+}
+
+// Color swatches and Size pills of a product page; Stone is a sibling product of a combined listing
+const PRODUCT = `<product-info id="MainProduct-${SECTION_ID}" data-section="${SECTION_ID}" data-url="/products/dress"
+  data-update-url="true">
+  <variant-selects id="variant-selects-${SECTION_ID}" data-section="${SECTION_ID}">
+    <fieldset class="js product-form__input product-form__input--swatch">
+      <input type="radio" id="color-0" name="Color-1" value="Black" checked data-product-url="/products/dress"
+        data-option-value-id="201"><label for="color-0">Black</label>
+      <input type="radio" id="color-1" name="Color-1" value="Cream" data-product-url="/products/dress"
+        data-option-value-id="202"><label for="color-1">Cream</label>
+      <input type="radio" id="color-2" name="Color-1" value="Stone" data-product-url="/products/dress-stone"
+        data-option-value-id="203"><label for="color-2">Stone</label>
+    </fieldset>
+    <fieldset class="js product-form__input product-form__input--pill">
+      <input type="radio" id="size-0" name="Size-2" value="S" checked data-product-url="/products/dress"
+        data-option-value-id="301"><label for="size-0">S</label>
+      <input type="radio" id="size-1" name="Size-2" value="M" data-product-url="/products/dress"
+        data-option-value-id="302"><label for="size-1">M</label>
+    </fieldset>
+  </variant-selects>
+</product-info>`;
+
+function mount(html, { connection, speculationRules = false } = {}) {
+  const theme = loadTheme({
+    html,
+    url: 'https://fixture.test/products/dress',
+    scripts: ['prefetch.js', 'product-info.js'],
+    fetch: () => `<div id="shopify-section-${SECTION_ID}" class="shopify-section">${PRODUCT}</div>`,
+    beforeLoad: (window) => {
+      if (connection) Object.defineProperty(window.navigator, 'connection', { value: connection });
+      if (speculationRules) window.HTMLScriptElement.supports = (type) => type === 'speculationrules';
+    },
+  });
+  const Prefetch = theme.window.eval('Prefetch');
+  Prefetch.hoverDelay = 0;
+  return { ...theme, Prefetch };
+}
+
+function hover(window, element, from = window.document.body) {
+  from.dispatchEvent(new window.MouseEvent('mouseout', { bubbles: true, relatedTarget: element }));
+  element.dispatchEvent(new window.MouseEvent('mouseover', { bubbles: true, relatedTarget: from }));
+}
+
+function prefetchedPages(document) {
+  return [
+    ...[...document.querySelectorAll('link[rel="prefetch"]')].map(({ href }) => href),
+    ...[...document.querySelectorAll('script[type="speculationrules"]')].flatMap(
+      ({ textContent }) => JSON.parse(textContent).prefetch[0].urls
+    ),
+  ];
+}
+
+describe('Prefetch', () => {
+  it('prefetches the page of a hovered card', async () => {
+    const { window, document } = mount(cards('shirt'));
+
+    hover(window, document.querySelector('.card__inner img'));
+    await flush(window);
+
+    assert.deepEqual(prefetchedPages(document), ['https://fixture.test/products/shirt']);
+  });
+
+  it("doesn't prefetch cards the pointer only swept across", async () => {
+    const { window, document, Prefetch } = mount(cards('shirt'));
+    Prefetch.hoverDelay = 50;
+    const image = document.querySelector('.card__inner img');
+
+    hover(window, image);
+    hover(window, document.body, image);
+    await new Promise((resolve) => window.setTimeout(resolve, 100));
+
+    assert.deepEqual(prefetchedPages(document), []);
+  });
+
+  it('prefetches a touched card with Speculation Rules when supported', () => {
+    const { window, document } = mount(cards('shirt'), { speculationRules: true });
+
+    document.querySelector('.card__heading a').dispatchEvent(new window.Event('touchstart', { bubbles: true }));
+
+    assert.equal(document.querySelectorAll('link[rel="prefetch"]').length, 0);
+    assert.deepEqual(prefetchedPages(document), ['https://fixture.test/products/shirt']);
+  });
+
+  it('prefetches each page once and stays within the budget', () => {
+    const { document, Prefetch } = mount('');
+    Prefetch.budget = 2;
+
+    ['/products/a', '/products/a', '/products/b', '/products/c'].forEach((url) => Prefetch.page(url));
+    // The page the shopper is on isn't worth prefetching
+    Prefetch.page('/products/dress');
+
+    assert.deepEqual(prefetchedPages(document), ['https://fixture.test/products/a', 'https://fixture.test/products/b']);
+  });
+
+  it('prefetches nothing on Save-Data connections', () => {
+    const { document, fetch, Prefetch } = mount('', { connection: { saveData: true, effectiveType: '4g' } });
+
+    Prefetch.page('/products/shirt');
+    Prefetch.section(SECTION_ID, '/products/shirt');
+
+    assert.equal(Prefetch.enabled, false);
+    assert.deepEqual(prefetchedPages(document), []);
+    assert.equal(fetch.calls.length, 0);
+  });
+});
+
+describe('product-info swatch prefetching', () => {
+  it('pre-requests the section a focused swatch would render and renders it from that response', async () => {
+    const { window, document, fetch } = mount(PRODUCT);
+    const cream = document.getElementById('color-1');
+
+    cream.focus();
+    await flush(window);
+    assert.equal(fetch.calls.length, 1);
+    assert.equal(fetch.calls[0].url.pathname, '/products/dress');
+    assert.equal(fetch.calls[0].url.searchParams.get('option_values'), '202,301');
+    assert.equal(fetch.calls[0].url.searchParams.get('section_id'), SECTION_ID);
+
+    cream.checked = true;
+    cream.dispatchEvent(new window.Event('change', { bubbles: true }));
+    await flush(window);
+
+    assert.equal(fetch.calls.length, 1);
+  });
+
+  it('pre-requests the option values of a hovered pill', async () => {
+    const { window, document, fetch } = mount(PRODUCT);
+
+    hover(window, document.querySelector('label[for="size-1"]'));
+    // The selected value is already on screen
+    hover(window, document.querySelector('label[for="size-0"]'));
+    await flush(window);
+
+    assert.deepEqual(
+      fetch.calls.map(({ url }) => url.searchParams.get('option_values')),
+      ['201,302']
+    );
+  });
+
+  it('prefetches the page of a sibling product', async () => {
+    const { window, document, fetch } = mount(PRODUCT);
+
+    document.getElementById('color-2').focus();
+    await flush(window);
+
+    assert.equal(fetch.calls.length, 0);
+    assert.deepEqual(prefetchedPages(document), ['https://fixture.test/products/dress-stone?option_values=203,301']);
+  });
+});
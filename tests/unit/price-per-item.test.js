@@ -0,0 +1,108 @@
+// @ts-check
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadTheme } = require('./helpers');
+
+/**
+ * Unit tests for `<price-per-item>` (assets/price-per-item.js).
+ *
+ * These tests verify that:
+ * 1. The per item price follows the volume pricing break for the entered quantity plus what's already in the cart
+ * 2. Adding the variant to the cart moves the price to the break for the new cart quantity
+ * 3. After a variant change, cart updates for the previous variant are ignored
+ */
+
+const SECTION_ID = 'template--fixture__main';
+const VARIANT_ID = '100102';
+
+// The quantity selector and volume pricing list of sections/main-product.liquid, with breaks at 10+ and 50+
+function product({ cartQuantity = 0 } = {}) {
+  const breaks = [
+    [1, '฿100.00 THB'],
+    [10, '฿90.00 THB'],
+    [50, '฿80.00 THB'],
+  ];
+
+  return `<div class="price-per-item__container">
+    <quantity-input class="quantity" data-section="${SECTION_ID}">
+      <button class="quantity__button" name="minus" type="button">-</button>
+      <input class="quantity__input" type="number" name="quantity" id="Quantity-${SECTION_ID}"
+        data-cart-quantity="${cartQuantity}" data-min="1" min="1" step="1" value="1">
+      <button class="quantity__button" name="plus" type="button">+</button>
+    </quantity-input>
+    <price-per-item id="Price-Per-Item-${SECTION_ID}" data-section-id="${SECTION_ID}" data-variant-id="${VARIANT_ID}">
+      <div class="price-per-item"><span class="price-per-item--current">at ฿100.00 THB/ea</span></div>
+    </price-per-item>
+  </div>
+  <volume-pricing class="parent-display" id="Volume-${SECTION_ID}">
+    <ul class="list-unstyled">
+      ${breaks
+        .map(
+          ([quantity, price]) => `<li>
+        <span>${quantity}<span aria-hidden="true">+</span></span>
+        <span data-text="at ${price}/ea">${price}/ea</span>
+      </li>`
+        )
+        .join('')}
+    </ul>
+  </volume-pricing>`;
+}
+
+function mount(options) {
+  const { window, document } = loadTheme({ html: product(options), scripts: ['price-per-item.js'] });
+  return {
+    window,
+    input: document.getElementById(`Quantity-${SECTION_ID}`),
+    price: () => document.querySelector('.price-per-item span').textContent,
+  };
+}
+
+describe('price-per-item', () => {
+  it('shows the break for the entered quantity plus the cart quantity', () => {
+    const { window, input, price } = mount({ cartQuantity: 5 });
+
+    input.value = '4';
+    input.dispatchEvent(new window.Event('change'));
+    assert.equal(price(), 'at ฿100.00 THB/ea');
+
+    input.value = '5';
+    input.dispatchEvent(new window.Event('change'));
+    assert.equal(price(), 'at ฿90.00 THB/ea');
+
+    input.value = '45';
+    input.dispatchEvent(new window.Event('change'));
+    assert.equal(price(), 'at ฿80.00 THB/ea');
+  });
+
+  it('follows the cart quantity after an add to cart', () => {
+    const { window, price } = mount();
+
+    window.publish('cart-update', {
+      source: 'product-form',
+      productVariantId: VARIANT_ID,
+      cartData: { variant_id: Number(VARIANT_ID), quantity: 9 },
+    });
+
+    // The next unit would be the 10th
+    assert.equal(price(), 'at ฿90.00 THB/ea');
+  });
+
+  it('ignores cart updates for the previous variant after a variant change', () => {
+    const { window, price } = mount();
+
+    window.publish('variant-change', { data: { sectionId: SECTION_ID, variant: { id: 100103 } } });
+    window.publish('cart-update', {
+      source: 'product-form',
+      productVariantId: VARIANT_ID,
+      cartData: { variant_id: Number(VARIANT_ID), quantity: 49 },
+    });
+    assert.equal(price(), 'at ฿100.00 THB/ea');
+
+    window.publish('cart-update', {
+      source: 'product-form',
+      productVariantId: '100103',
+      cartData: { variant_id: 100103, quantity: 49 },
+    });
+    assert.equal(price(), 'at ฿80.00 THB/ea');
+  });
+});
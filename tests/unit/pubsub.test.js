@@ -0,0 +1,168 @@
+// @ts-check
+const { afterEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadTheme } = require('./helpers');
+
+/**
+ * Unit tests for the event bus (assets/pubsub.js).
+ *
+ * These tests verify that:
+ * 1. Wildcard topics get every event matching them, with the event's name
+ * 2. Subscribing with `replay` calls back with the last event published to each matching topic, in publish order
+ * 3. One-shot subscriptions are called once, replayed or published, and unsubscribing stops callbacks
+ * 4. A subscriber throwing or rejecting is logged without keeping the others from running or rejecting `publish`
+ * 5. Once enabled, the trace records every publish with its payload, subscribers, errors and duration
+ */
+
+let window;
+
+function mount() {
+  const theme = loadTheme({});
+  window = theme.window;
+  const [subscribe, subscribeOnce, publish, clearLastPublished] = [
+    'subscribe',
+    'subscribeOnce',
+    'publish',
+    'clearLastPublished',
+  ].map((name) => window.eval(name));
+  return { ...theme, subscribe, subscribeOnce, publish, clearLastPublished };
+}
+
+// Records what a subscriber is called with, as [data, eventName]
+function recorder() {
+  const calls = [];
+  const callback = (data, eventName) => {
+    calls.push([data, eventName]);
+  };
+  return { calls, callback };
+}
+
+afterEach(() => window.close());
+
+describe('pubsub', () => {
+  it('calls wildcard subscribers with the matching events', async () => {
+    const { subscribe, publish } = mount();
+    const cart = recorder();
+    const all = recorder();
+    const exact = recorder();
+    subscribe('cart-*', cart.callback);
+    subscribe('*', all.callback);
+    subscribe('cart-update', exact.callback);
+
+    await publish('cart-update', { source: 'cart-items' });
+    await publish('cart-error', { source: 'product-form' });
+    await publish('variant-change', { data: {} });
+
+    assert.deepEqual(cart.calls, [
+      [{ source: 'cart-items' }, 'cart-update'],
+      [{ source: 'product-form' }, 'cart-error'],
+    ]);
+    assert.deepEqual(
+      all.calls.map(([, eventName]) => eventName),
+      ['cart-update', 'cart-error', 'variant-change']
+    );
+    assert.deepEqual(exact.calls, [[{ source: 'cart-items' }, 'cart-update']]);
+  });
+
+  it('replays the last events to late subscribers', async () => {
+    const { subscribe, publish, clearLastPublished } = mount();
+    await publish('cart-error', { source: 'product-form' });
+    await publish('cart-update', { source: 'product-form', cartData: { item_count: 1 } });
+    await publish('cart-update', { source: 'cart-items', cartData: { item_count: 2 } });
+
+    const late = recorder();
+    subscribe('cart-update', late.callback, { replay: true });
+    assert.deepEqual(late.calls, [[{ source: 'cart-items', cartData: { item_count: 2 } }, 'cart-update']]);
+
+    const wildcard = recorder();
+    subscribe('cart-*', wildcard.callback, { replay: true });
+    assert.deepEqual(
+      wildcard.calls.map(([, eventName]) => eventName),
+      ['cart-error', 'cart-update']
+    );
+
+    // Without replay, or once the last event is cleared, only new publishes are received
+    const current = recorder();
+    subscribe('cart-update', current.callback);
+    clearLastPublished('cart-update');
+    const cleared = recorder();
+    subscribe('cart-update', cleared.callback, { replay: true });
+    assert.deepEqual(current.calls, []);
+    assert.deepEqual(cleared.calls, []);
+  });
+
+  it('calls one-shot subscribers once and stops after unsubscribing', async () => {
+    const { subscribe, subscribeOnce, publish } = mount();
+    const once = recorder();
+    const onceWildcard = recorder();
+    const unsubscribed = recorder();
+    subscribeOnce('cart-update', once.callback);
+    subscribe('cart-*', onceWildcard.callback, { once: true });
+    const unsubscribe = subscribe('cart-update', unsubscribed.callback);
+    unsubscribe();
+
+    await publish('cart-update', { source: 'first' });
+    await publish('cart-update', { source: 'second' });
+
+    assert.deepEqual(once.calls, [[{ source: 'first' }, 'cart-update']]);
+    assert.deepEqual(onceWildcard.calls, [[{ source: 'first' }, 'cart-update']]);
+    assert.deepEqual(unsubscribed.calls, []);
+
+    // A replayed event is the one call, and only the latest of the matching events is replayed
+    await publish('cart-error', { source: 'third' });
+    const replayed = recorder();
+    subscribe('cart-*', replayed.callback, { once: true, replay: true });
+    await publish('cart-update', { source: 'fourth' });
+    assert.deepEqual(replayed.calls, [[{ source: 'third' }, 'cart-error']]);
+  });
+
+  it('keeps a failing subscriber from affecting the others', async () => {
+    const { subscribe, publish, errors } = mount();
+    const after = recorder();
+    subscribe('cart-update', () => {
+      throw new Error('thrown');
+    });
+    subscribe('cart-*', () => Promise.reject(new Error('rejected')));
+    subscribe('cart-update', after.callback);
+
+    await publish('cart-update', { source: 'cart-items' });
+
+    assert.deepEqual(after.calls, [[{ source: 'cart-items' }, 'cart-update']]);
+    assert.equal(errors.length, 2);
+    assert.ok(errors.every(({ message }) => message.startsWith('[pubsub] subscriber for "cart-update" failed')));
+  });
+
+  it('traces publishes once enabled', async () => {
+    const { subscribe, publish } = mount();
+    const getPubSubTrace = window.eval('getPubSubTrace');
+    subscribe('cart-*', () => {
+      throw new Error('thrown');
+    });
+    subscribe('cart-update', () => {});
+
+    await publish('cart-update', { source: 'before' });
+    assert.equal(getPubSubTrace().length, 0);
+
+    window.eval('enablePubSubTrace')();
+    assert.equal(window.sessionStorage.getItem('pubsub:trace'), 'true');
+    await publish('cart-update', { source: 'cart-items' });
+
+    const [entry] = getPubSubTrace();
+    assert.equal(entry.eventName, 'cart-update');
+    assert.deepEqual(entry.data, { source: 'cart-items' });
+    assert.ok(entry.subscribers.includes('cart-*') && entry.subscribers.includes('cart-update'));
+    assert.equal(entry.errors.length, 1);
+    assert.equal(typeof entry.publishedAt, 'number');
+    assert.equal(typeof entry.duration, 'number');
+
+    // The log keeps the last 200 publishes and is dropped along with tracing
+    for (let i = 0; i < 210; i++) publish('variant-change', { index: i });
+    const trace = getPubSubTrace();
+    assert.equal(trace.length, 200);
+    assert.deepEqual(trace.at(-1).data, { index: 209 });
+
+    window.eval('disablePubSubTrace')();
+    await publish('cart-update', { source: 'after' });
+    assert.equal(getPubSubTrace().length, 0);
+  });
+});
@@ -0,0 +1,83 @@
+// @ts-check
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadTheme } = require('./helpers');
+
+/**
+ * Unit tests for `<quantity-input>` (assets/global.js).
+ *
+ * These tests verify that:
+ * 1. The minus and plus buttons are disabled at the input's min and max
+ * 2. The buttons step the value and dispatch a single change event
+ * 3. Plus jumps from 0 to the quantity rule minimum when it's larger than the step
+ * 4. A quantityUpdate event re-validates the buttons
+ */
+
+function quantityInput({ value = 1, min = 1, max = '', step = 1, dataMin = min } = {}) {
+  return `<quantity-input class="quantity">
+    <button class="quantity__button" name="minus" type="button">-</button>
+    <input class="quantity__input" type="number" name="quantity" id="Quantity-1"
+      value="${value}" min="${min}" ${max ? `max="${max}"` : ''} step="${step}" data-min="${dataMin}">
+    <button class="quantity__button" name="plus" type="button">+</button>
+  </quantity-input>`;
+}
+
+function mount(options) {
+  const { window, document } = loadTheme({ html: quantityInput(options) });
+  const element = document.querySelector('quantity-input');
+  return {
+    window,
+    input: element.querySelector('input'),
+    minus: element.querySelector('[name="minus"]'),
+    plus: element.querySelector('[name="plus"]'),
+  };
+}
+
+describe('quantity-input', () => {
+  it('disables minus at the minimum and plus at the maximum', () => {
+    const atMin = mount({ value: 1, min: 1, max: 5 });
+    assert.ok(atMin.minus.classList.contains('disabled'));
+    assert.ok(!atMin.plus.classList.contains('disabled'));
+
+    const atMax = mount({ value: 5, min: 1, max: 5 });
+    assert.ok(!atMax.minus.classList.contains('disabled'));
+    assert.ok(atMax.plus.classList.contains('disabled'));
+  });
+
+  it('steps the value and dispatches one change event per click', () => {
+    const { input, minus, plus } = mount({ value: 2, min: 1, max: 3 });
+    const changes = [];
+    input.addEventListener('change', () => changes.push(input.value));
+
+    plus.click();
+    assert.equal(input.value, '3');
+    assert.ok(plus.classList.contains('disabled'));
+
+    plus.click();
+    assert.equal(input.value, '3');
+
+    minus.click();
+    minus.click();
+    assert.equal(input.value, '1');
+    assert.ok(minus.classList.contains('disabled'));
+    assert.deepEqual(changes, ['3', '2', '1']);
+  });
+
+  it('jumps from 0 to the minimum when it is larger than the step', () => {
+    const { input, plus } = mount({ value: 0, min: 0, step: 1, dataMin: 4 });
+
+    plus.click();
+
+    assert.equal(input.value, '4');
+  });
+
+  it('re-validates the buttons on quantityUpdate', () => {
+    const { window, input, minus } = mount({ value: 3, min: 1 });
+    assert.ok(!minus.classList.contains('disabled'));
+
+    input.value = '1';
+    window.publish('quantity-update', { data: {} });
+
+    assert.ok(minus.classList.contains('disabled'));
+  });
+});
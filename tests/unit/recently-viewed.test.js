@@ -0,0 +1,116 @@
+// @ts-check
+const { afterEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { flush, loadTheme } = require('./helpers');
+
+/**
+ * Unit tests for `RecentlyViewed` and `<recently-viewed>` (assets/recently-viewed.js).
+ *
+ * These tests verify that:
+ * 1. Viewed products are kept most recent first, once each, up to `RecentlyViewed.maxItems`
+ * 2. The section renders the cards of the history without the current product, up to its limit, and forgets products
+ *    that don't exist anymore
+ * 3. The section stays hidden without a history, and pages with storage disabled still load
+ */
+
+const STORAGE_KEY = 'theme-recently-viewed';
+
+let window;
+
+// `sections/recently-viewed.liquid` on the page of `exclude`, showing `limit` products
+function section({ exclude = '', limit = 4 } = {}) {
+  return `<recently-viewed class="recently-viewed" data-limit="${limit}" data-exclude="${exclude}" hidden>
+  <ul class="recently-viewed__grid grid product-grid" role="list"></ul>
+</recently-viewed>`;
+}
+
+/**
+ * `viewed` is the history left by earlier pages, most recent first; product cards are answered with an empty
+ * `.grid__item`, or a 404 for the handles in `deleted`. `storage: false` makes localStorage throw.
+ */
+function mount({ html = '', viewed, deleted = [], storage = true } = {}) {
+  const theme = loadTheme({
+    html,
+    scripts: ['recently-viewed.js'],
+    globals: { routes: { root_url: '/' } },
+    fetch: (url) => {
+      const handle = url.pathname.split('/').pop();
+      if (deleted.includes(handle)) return new Response('', { status: 404 });
+      return `<ul><li class="grid__item" data-handle="${handle}"></li></ul>`;
+    },
+    beforeLoad: (window) => {
+      if (viewed) {
+        const items = viewed.map((handle, index) => ({ handle, viewedAt: viewed.length - index }));
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+      }
+      if (!storage) {
+        Object.defineProperty(window, 'localStorage', {
+          get() {
+            throw new window.DOMException('The operation is insecure.', 'SecurityError');
+          },
+        });
+      }
+    },
+  });
+  window = theme.window;
+
+  const { document } = theme;
+  return {
+    ...theme,
+    RecentlyViewed: window.eval('RecentlyViewed'),
+    shown: () =>
+      [...document.querySelectorAll('.recently-viewed__grid .grid__item')].map((card) => card.dataset.handle),
+  };
+}
+
+afterEach(() => window.close());
+
+describe('RecentlyViewed', () => {
+  it('keeps viewed products most recent first, once each', () => {
+    const { RecentlyViewed } = mount();
+    RecentlyViewed.maxItems = 3;
+
+    ['wrap-dress', 'canvas-tote', 'wrap-dress', 'slip-dress', 'halter-top'].forEach((handle) =>
+      RecentlyViewed.record(handle)
+    );
+
+    assert.deepEqual([...RecentlyViewed.getHandles()], ['halter-top', 'slip-dress', 'wrap-dress']);
+    assert.deepEqual([...RecentlyViewed.getHandles({ exclude: 'slip-dress', limit: 1 })], ['halter-top']);
+  });
+
+  it('renders the history without the current product', async () => {
+    const { document, shown, fetch } = mount({
+      html: section({ exclude: 'wrap-dress', limit: 2 }),
+      viewed: ['wrap-dress', 'canvas-tote', 'slip-dress', 'halter-top'],
+    });
+    await flush(window);
+
+    assert.deepEqual(shown(), ['canvas-tote', 'slip-dress']);
+    assert.ok(!document.querySelector('recently-viewed').hidden);
+    assert.deepEqual(
+      fetch.calls.map(({ url }) => url.pathname + url.search),
+      ['/products/canvas-tote?section_id=product-card', '/products/slip-dress?section_id=product-card']
+    );
+  });
+
+  it("forgets products that don't exist anymore", async () => {
+    const { shown, RecentlyViewed } = mount({
+      html: section(),
+      viewed: ['canvas-tote', 'discontinued-scarf', 'slip-dress'],
+      deleted: ['discontinued-scarf'],
+    });
+    await flush(window);
+
+    assert.deepEqual(shown(), ['canvas-tote', 'slip-dress']);
+    assert.deepEqual([...RecentlyViewed.getHandles()], ['canvas-tote', 'slip-dress']);
+  });
+
+  it('stays hidden without a history', async () => {
+    const { document, fetch, RecentlyViewed } = mount({ html: section(), storage: false });
+    await flush(window);
+
+    assert.ok(document.querySelector('recently-viewed').hidden);
+    assert.equal(fetch.calls.length, 0);
+    assert.doesNotThrow(() => RecentlyViewed.record('wrap-dress'));
+  });
+});
@@ -0,0 +1,31 @@
+// @ts-check
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { readManifest, referencedTemplates, templateHash } = require('../fixtures/render/templates');
+
+/**
+ * Checks of the hand-written render modules (tests/fixtures/render) against the theme templates they port.
+ *
+ * These tests verify that:
+ * 1. Every template a render module names is in templates.json
+ * 2. No template changed since its render function was last checked against it
+ */
+
+const SYNC = 'port the change to tests/fixtures/render, then run `node tests/fixtures/render/templates.js`';
+
+describe('render fixtures', () => {
+  it('know every template they port', () => {
+    const manifest = readManifest();
+    const missing = referencedTemplates().filter((file) => !(file in manifest));
+
+    assert.deepEqual(missing, [], `not in tests/fixtures/render/templates.json, ${SYNC}`);
+  });
+
+  it('follow the current templates', () => {
+    const changed = Object.entries(readManifest())
+      .filter(([file, hash]) => templateHash(file) !== hash)
+      .map(([file]) => file);
+
+    assert.deepEqual(changed, [], `changed since the render fixtures were checked against them, ${SYNC}`);
+  });
+});
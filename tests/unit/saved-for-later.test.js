@@ -0,0 +1,191 @@
+// @ts-check
+const { afterEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const carts = require('../fixtures/cart');
+const { cartIconBubble, cartLiveRegionText, mainCartFooter, mainCartItems } = require('../fixtures/render/cart');
+const { shopifySection, t } = require('../fixtures/render/helpers');
+const { SECTION_IDS, flush, loadTheme } = require('./helpers');
+
+/**
+ * Unit tests for `SavedForLater` and `<cart-save-for-later-button>` (assets/saved-for-later.js).
+ *
+ * These tests verify that:
+ * 1. Without an endpoint, the lists of logged-in customers stay in the browser
+ * 2. A guest list is merged into the account and dropped from the browser once the endpoint saved it, and kept when
+ *    the endpoint fails
+ * 3. Lines are saved once they are out of the cart, and not when the cart keeps them
+ * 4. A line the endpoint fails to save is kept in the browser, and the shopper is told
+ */
+
+const STORAGE_KEY = 'theme-saved-for-later';
+const TOTE = 300101;
+const HALTER_S = 100102;
+
+const GUEST_ITEM = { variantId: 1, productId: 10, quantity: 1, properties: {}, title: 'Guest' };
+const CUSTOMER_ITEM = { variantId: 2, productId: 20, quantity: 1, properties: {}, title: 'Customer' };
+
+let window;
+
+/**
+ * `savedForLater` is the `window.savedForLater` the layout renders, `stored` the list a guest left in the browser,
+ * `endpoint(body)` answers the saved for later endpoint.
+ */
+function mount({ savedForLater, stored, endpoint = () => ({}), html = '', scripts = [], fetch } = {}) {
+  const theme = loadTheme({
+    html,
+    scripts: ['cart-store.js', ...scripts, 'saved-for-later.js'],
+    globals: {
+      savedForLater,
+      savedForLaterStrings: { saveError: t('sections.cart.saved_for_later.save_error') },
+      cartStrings: { error: 'There was an error while updating your cart.' },
+    },
+    fetch: fetch || ((url, init) => endpoint(JSON.parse(init.body))),
+    beforeLoad: (window) => {
+      if (stored) window.localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+      window.performance.mark = (name) => ({ name });
+      window.performance.measure = () => {};
+    },
+  });
+  window = theme.window;
+  return { ...theme, SavedForLater: window.eval('SavedForLater') };
+}
+
+function stored() {
+  return JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+}
+
+afterEach(() => window.close());
+
+describe('SavedForLater', () => {
+  it('keeps the lists of logged-in customers in the browser without an endpoint', async () => {
+    const { SavedForLater, fetch } = mount({
+      savedForLater: { url: '', loggedIn: true, customerItems: [CUSTOMER_ITEM] },
+      stored: [GUEST_ITEM],
+    });
+
+    assert.deepEqual([...SavedForLater.items.map(({ variantId }) => variantId)], [1, 2]);
+    await flush(window);
+    assert.deepEqual(stored(), [GUEST_ITEM]);
+
+    await SavedForLater.remove(1);
+    assert.deepEqual(stored(), [CUSTOMER_ITEM]);
+    assert.equal(fetch.calls.length, 0);
+  });
+
+  it('moves a guest list to the account once the endpoint saved it', async () => {
+    const sent = [];
+    const { SavedForLater } = mount({
+      savedForLater: { url: '/apps/saved-for-later', loggedIn: true, customerItems: [CUSTOMER_ITEM] },
+      stored: [GUEST_ITEM],
+      endpoint: (body) => sent.push(body) && {},
+    });
+
+    assert.equal(SavedForLater.items.length, 2);
+    await flush(window);
+
+    assert.deepEqual(
+      sent[0].items.map(({ variantId }) => variantId),
+      [1, 2]
+    );
+    assert.equal(stored(), null);
+  });
+
+  it('keeps a guest list in the browser when the endpoint fails', async () => {
+    const { SavedForLater, errors } = mount({
+      savedForLater: { url: '/apps/saved-for-later', loggedIn: true, customerItems: [] },
+      stored: [GUEST_ITEM],
+      endpoint: () => new Response('', { status: 404 }),
+    });
+
+    assert.equal(SavedForLater.items.length, 1);
+    await flush(window);
+
+    assert.deepEqual(stored(), [GUEST_ITEM]);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].message, /failed with 404/);
+  });
+});
+
+describe('cart-save-for-later-button', () => {
+  /**
+   * The cart page for a tote and a halter top. /cart/change.js answers with `change()`,
+   * or applies the change to the fixture cart and returns it with the cart page's sections; other requests go to
+   * `endpoint()`.
+   */
+  function mountCart({ change, savedForLater: globals, endpoint } = {}) {
+    const cart = carts.getCart(carts.createToken());
+    carts.add(cart, [
+      { id: TOTE, quantity: 1 },
+      { id: HALTER_S, quantity: 1 },
+    ]);
+    const sections = (json) => ({
+      [SECTION_IDS.cartItems]: shopifySection(SECTION_IDS.cartItems, mainCartItems(json, SECTION_IDS.cartItems)),
+      [SECTION_IDS.cartFooter]: shopifySection(SECTION_IDS.cartFooter, mainCartFooter(json, SECTION_IDS.cartFooter)),
+      'cart-icon-bubble': shopifySection('cart-icon-bubble', cartIconBubble(json)),
+      'cart-live-region-text': shopifySection('cart-live-region-text', cartLiveRegionText(json)),
+    });
+    const json = carts.toJSON(cart);
+    const page = sections(json);
+
+    const theme = mount({
+      html: `<div id="cart-icon-bubble"></div>${page[SECTION_IDS.cartItems]}${page[SECTION_IDS.cartFooter]}`,
+      savedForLater: globals,
+      scripts: ['cart.js'],
+      fetch: (url, init) => {
+        if (!url.pathname.startsWith('/cart/')) return endpoint();
+        if (change) return change();
+        carts.change(cart, JSON.parse(init.body));
+        const changed = carts.toJSON(cart);
+        return { ...changed, sections: sections(changed) };
+      },
+    });
+    window.eval('CartStore').hydrate(json);
+    return theme;
+  }
+
+  it('saves a line once it is out of the cart', async () => {
+    const { document, SavedForLater, fetch } = mountCart();
+
+    document.getElementById('SaveForLater-1').click();
+    assert.equal(SavedForLater.items.length, 0);
+    await flush(window);
+
+    const { line, quantity } = JSON.parse(fetch.calls[0].init.body);
+    assert.deepEqual([line, quantity], [1, 0]);
+    assert.deepEqual([...SavedForLater.items.map(({ variantId }) => variantId)], [TOTE]);
+    assert.equal(stored()[0].variantId, TOTE);
+  });
+
+  it("doesn't save a line the cart keeps", async () => {
+    const { document, SavedForLater, fetch } = mountCart({
+      change: () => Promise.reject(new TypeError('Failed to fetch')),
+    });
+
+    document.getElementById('SaveForLater-1').click();
+    await flush(window);
+
+    assert.equal(fetch.calls.length, 1);
+    assert.equal(SavedForLater.items.length, 0);
+    assert.equal(stored(), null);
+  });
+
+  it('keeps a line in the browser when the endpoint fails to save it', async () => {
+    const { document, SavedForLater, errors } = mountCart({
+      savedForLater: { url: '/apps/saved-for-later', loggedIn: true, customerItems: [] },
+      endpoint: () => new Response('', { status: 500 }),
+    });
+
+    document.getElementById('SaveForLater-1').click();
+    await flush(window);
+
+    assert.equal(window.eval('CartStore').cart.items.length, 1);
+    assert.deepEqual([...SavedForLater.items.map(({ variantId }) => variantId)], [TOTE]);
+    assert.equal(stored()[0].variantId, TOTE);
+    assert.match(errors[0].message, /failed with 500/);
+    assert.equal(
+      document.querySelector('.saved-for-later__message').textContent,
+      t('sections.cart.saved_for_later.save_error')
+    );
+    assert.ok(!document.querySelector('saved-for-later').hidden);
+  });
+});
@@ -0,0 +1,166 @@
+// @ts-check
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { flush, loadTheme } = require('./helpers');
+
+/**
+ * Unit tests for `SectionClient` (assets/section-client.js).
+ *
+ * These tests verify that:
+ * 1. Sections asked for the same URL together go out as one `sections=` request, five at most, and a lone
+ *    section as `section_id=`
+ * 2. A section already on its way or rendered recently isn't requested again, unless the cart changed or the
+ *    caller opted out of the cache
+ * 3. The cache drops the least recently used section when it's full
+ * 4. Failed requests and sections missing from the response reject and aren't cached
+ * 5. Aborting rejects only that caller, and the request is aborted once every caller sharing it gave up
+ */
+
+// Renders any section asked for, like the Section Rendering API does for sections of the page
+function sectionsEndpoint(url) {
+  const render = (id) => `<div id="shopify-section-${id}" class="shopify-section">${id}${url.search}</div>`;
+  if (!url.searchParams.has('sections')) return render(url.searchParams.get('section_id'));
+  return Object.fromEntries(
+    url.searchParams
+      .get('sections')
+      .split(',')
+      .map((id) => [id, render(id)])
+  );
+}
+
+function mount(handler = sectionsEndpoint) {
+  const { window, fetch } = loadTheme({ url: 'https://fixture.test/products/dress', fetch: handler });
+  return { window, fetch, SectionClient: window.eval('SectionClient') };
+}
+
+describe('SectionClient', () => {
+  it('batches sections of the same URL into one request', async () => {
+    const { fetch, SectionClient } = mount();
+
+    const [main, related, other] = await Promise.all([
+      SectionClient.fetch('main', { url: '/products/dress?variant=1' }),
+      SectionClient.fetch('related', { url: '/products/dress?variant=1' }),
+      SectionClient.fetch('main', { url: '/products/shirt' }),
+    ]);
+
+    assert.deepEqual(
+      fetch.calls.map(({ url }) => url.pathname + url.search),
+      ['/products/dress?variant=1&sections=main,related', '/products/shirt?section_id=main']
+    );
+    assert.equal(SectionClient.parseElement(main, '.shopify-section').id, 'shopify-section-main');
+    assert.match(related, /shopify-section-related/);
+    assert.match(other, /shopify-section-main/);
+  });
+
+  it('splits batches at five sections', async () => {
+    const { fetch, SectionClient } = mount();
+    const ids = ['a', 'b', 'c', 'd', 'e', 'f'];
+
+    const sections = await SectionClient.fetchAll(ids, { url: '/collections/all' });
+
+    assert.deepEqual(
+      fetch.calls.map(({ url }) => url.search),
+      ['?sections=a,b,c,d,e', '?section_id=f']
+    );
+    assert.deepEqual(Object.keys(sections), ids);
+  });
+
+  it('shares requests on their way and serves recent sections from the cache', async () => {
+    const { window, fetch, SectionClient } = mount();
+
+    const [first, second] = await Promise.all([
+      SectionClient.fetch('main', { url: '/products/dress' }),
+      SectionClient.fetch('main', { url: '/products/dress?section_id=main' }),
+    ]);
+    assert.equal(first, second);
+    await SectionClient.fetch('main', { url: '/products/dress' });
+    assert.equal(fetch.calls.length, 1);
+
+    await SectionClient.fetch('main', { url: '/products/dress', cache: false });
+    assert.equal(fetch.calls.length, 2);
+
+    window.publish('cart-update', { source: 'product-form' });
+    await SectionClient.fetch('main', { url: '/products/dress' });
+    assert.equal(fetch.calls.length, 3);
+  });
+
+  it('drops the least recently used section when the cache is full', async () => {
+    const { fetch, SectionClient } = mount();
+    SectionClient.maxEntries = 2;
+    const fetchSection = (id) => SectionClient.fetch(id, { url: '/products/dress' });
+
+    await fetchSection('a');
+    await fetchSection('b');
+    await fetchSection('a');
+    await fetchSection('c');
+    await fetchSection('a');
+    await fetchSection('b');
+
+    assert.deepEqual(
+      fetch.calls.map(({ url }) => url.searchParams.get('section_id')),
+      ['a', 'b', 'c', 'b']
+    );
+  });
+
+  it('rejects failed requests and missing sections without caching them', async () => {
+    let status = 500;
+    const { fetch, SectionClient } = mount((url) =>
+      url.searchParams.has('sections')
+        ? { main: '<div class="shopify-section">main</div>', missing: null }
+        : new Response('', { status })
+    );
+
+    await assert.rejects(SectionClient.fetch('main', { url: '/products/dress' }), /HTTP 500/);
+    status = 200;
+    assert.equal(await SectionClient.fetch('main', { url: '/products/dress' }), '');
+    assert.equal(fetch.calls.length, 2);
+
+    const [main, missing] = await Promise.allSettled([
+      SectionClient.fetch('main', { url: '/products/shirt' }),
+      SectionClient.fetch('missing', { url: '/products/shirt' }),
+    ]);
+    assert.equal(main.status, 'fulfilled');
+    assert.equal(missing.status, 'rejected');
+    assert.match(missing.reason.message, /missing/);
+  });
+
+  it('aborts the request once every caller sharing it gave up', async () => {
+    const { window, fetch, SectionClient } = mount(
+      (url, { signal }) =>
+        new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)))
+    );
+    const first = new window.AbortController();
+    const second = new window.AbortController();
+
+    const requests = [
+      SectionClient.fetch('main', { url: '/products/dress', signal: first.signal }),
+      SectionClient.fetch('related', { url: '/products/dress', signal: second.signal }),
+    ];
+    await flush(window);
+    const [{ init }] = fetch.calls;
+
+    first.abort();
+    await assert.rejects(requests[0], { name: 'AbortError' });
+    assert.equal(init.signal.aborted, false);
+
+    second.abort();
+    await assert.rejects(requests[1], { name: 'AbortError' });
+    assert.equal(init.signal.aborted, true);
+  });
+
+  it("doesn't send sections every caller gave up on before the batch went out", async () => {
+    const { window, fetch, SectionClient } = mount();
+    const controller = new window.AbortController();
+
+    const aborted = SectionClient.fetch('main', { url: '/products/dress', signal: controller.signal });
+    const kept = SectionClient.fetch('related', { url: '/products/dress' });
+    controller.abort();
+
+    await assert.rejects(aborted, { name: 'AbortError' });
+    assert.match(await kept, /shopify-section-related/);
+    assert.deepEqual(
+      fetch.calls.map(({ url }) => url.search),
+      ['?section_id=related']
+    );
+  });
+});
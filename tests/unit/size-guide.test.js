@@ -0,0 +1,210 @@
+// @ts-check
+const { afterEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const catalog = require('../fixtures/catalog');
+const { shopifySection } = require('../fixtures/render/helpers');
+const { mainProduct } = require('../fixtures/render/product');
+const { flush, loadTheme } = require('./helpers');
+
+/**
+ * Unit tests for `<size-guide>` (assets/size-guide.js).
+ *
+ * These tests verify that:
+ * 1. The size table renders from the size chart metafield, in the EU system and cm until another is picked
+ * 2. Picking another size system or unit converts the table and is remembered for the next visit, or only on the page
+ *    when storage is disabled
+ * 3. The fit finder recommends a size from a height and weight, settles close calls with the usual size, and
+ *    reads what's entered in the unit shown
+ * 4. The recommended size is picked in `<variant-selects>`, publishing `optionValueSelectionChange` and rendering
+ *    its variant
+ */
+
+const SECTION_ID = 'template--fixture__main';
+const PRODUCT_URL = 'https://fixture.test/products/halter-top-with-open-back';
+const PREFERENCE_KEY = 'theme-size-guide';
+
+const PRODUCT = catalog.getProduct('halter-top-with-open-back');
+
+// The `custom.size_chart` metafield of the halter top, in cm and kg
+const SIZE_CHART = {
+  unit: 'cm',
+  measurements: [
+    { key: 'chest', label: 'Chest' },
+    { key: 'waist', label: 'Waist' },
+  ],
+  sizes: [
+    { size: 'XS', eu: '32', us: '0', uk: '4', chest: [76, 80], waist: [58, 62], height: [150, 160], weight: [40, 48] },
+    { size: 'S', eu: '34', us: '2', uk: '6', chest: [80, 84], waist: [62, 66], height: [155, 165], weight: [48, 55] },
+    { size: 'M', eu: '36', us: '4', uk: '8', chest: [84, 88], waist: [66, 70], height: [160, 170], weight: [55, 62] },
+    { size: 'L', eu: '38', us: '6', uk: '10', chest: [88, 94], waist: [70, 76], height: [165, 178], weight: [62, 72] },
+  ],
+};
+
+let window;
+
+// `storage: false` makes localStorage throw like it does when the shopper disabled it
+function mount({ preference, storage = true } = {}) {
+  const variant = PRODUCT.variants.find((entry) => entry.title === 'Black / S');
+  const render = (selected) =>
+    shopifySection(SECTION_ID, mainProduct(PRODUCT, selected, SECTION_ID, { sizeChart: SIZE_CHART }));
+  const theme = loadTheme({
+    url: `${PRODUCT_URL}?variant=${variant.id}`,
+    html: render(variant),
+    scripts: ['product-form.js', 'product-info.js', 'size-guide.js'],
+    fetch: (url) => render(catalog.getSelectedVariant(PRODUCT, url.searchParams)),
+    globals: { variantStrings: { addToCart: 'Add to cart', soldOut: 'Sold out', unavailable: 'Unavailable' } },
+    beforeLoad: (window) => {
+      if (preference) window.localStorage.setItem(PREFERENCE_KEY, JSON.stringify(preference));
+      if (!storage) {
+        Object.defineProperty(window, 'localStorage', {
+          get() {
+            throw new window.DOMException('The operation is insecure.', 'SecurityError');
+          },
+        });
+      }
+      // jsdom doesn't lay out: no media queries match and slider-component has nothing to observe
+      window.matchMedia = (query) => ({ matches: false, media: query, addEventListener() {} });
+      window.ResizeObserver = class {
+        observe() {}
+        disconnect() {}
+      };
+      // nor has innerText, which product-info.js reads the submit button's label from
+      Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+        get() {
+          return this.textContent;
+        },
+      });
+    },
+  });
+  window = theme.window;
+
+  const guide = theme.document.querySelector('size-guide');
+  return { ...theme, guide, fitFinder: guide.querySelector('.size-guide__fit-finder') };
+}
+
+// The table's cells, row by row
+function table(guide) {
+  return [...guide.querySelectorAll('.size-guide__table tr')].map((row) =>
+    [...row.children].map((cell) => cell.textContent)
+  );
+}
+
+function choose(guide, name, value) {
+  const input = guide.querySelector(`.size-guide__options input[name="${name}"][value="${value}"]`);
+  input.checked = true;
+  input.dispatchEvent(new window.Event('change', { bubbles: true }));
+}
+
+async function findSize(fitFinder, { height = '', weight = '', usualSize = '' }) {
+  fitFinder.elements.namedItem('height').value = height;
+  fitFinder.elements.namedItem('weight').value = weight;
+  fitFinder.elements.namedItem('usual_size').value = usualSize;
+  fitFinder.querySelector('[type="submit"]').click();
+  await flush(window);
+  return fitFinder.querySelector('.size-guide__result').textContent;
+}
+
+function selectedSize(document) {
+  return document.querySelector('input[name="Size-2"]:checked').value;
+}
+
+afterEach(() => window.close());
+
+describe('size-guide', () => {
+  it('renders the size table from the size chart', () => {
+    const { document, guide } = mount();
+
+    assert.deepEqual(table(guide).slice(0, 3), [
+      ['Size', 'EU', 'Chest', 'Waist'],
+      ['XS', '32', '76–80', '58–62'],
+      ['S', '34', '80–84', '62–66'],
+    ]);
+    assert.equal(guide.querySelector('caption').textContent, 'Body measurements (cm)');
+    assert.equal(guide.querySelector('input[name="system"]:checked').value, 'eu');
+
+    // Moved out of the section like every modal, and opened from the block's link
+    assert.equal(guide.parentElement, document.body);
+    assert.equal(guide.dataset.section, SECTION_ID);
+    document.getElementById('ProductSizeGuide-size_guide').click();
+    assert.ok(guide.hasAttribute('open'));
+  });
+
+  it('converts the table and remembers the choice', () => {
+    const { guide } = mount();
+
+    choose(guide, 'system', 'uk');
+    choose(guide, 'unit', 'in');
+
+    assert.deepEqual(table(guide).slice(0, 2), [
+      ['Size', 'UK', 'Chest', 'Waist'],
+      ['XS', '4', '30–31.5', '23–24.5'],
+    ]);
+    assert.equal(guide.querySelector('caption').textContent, 'Body measurements (in)');
+    assert.equal(guide.querySelector('label[for="SizeGuideHeight-size_guide"]').textContent, 'Height (in)');
+    assert.equal(guide.querySelector('select[name="usual_size"] option[value="2"]').textContent, '8 (UK)');
+    assert.deepEqual(JSON.parse(window.localStorage.getItem(PREFERENCE_KEY)), { system: 'uk', unit: 'in' });
+
+    window.close();
+    const { guide: nextGuide } = mount({ preference: { system: 'us', unit: 'in' } });
+    assert.equal(nextGuide.querySelector('input[name="system"]:checked').value, 'us');
+    assert.equal(nextGuide.querySelector('input[name="unit"]:checked').value, 'in');
+    assert.deepEqual(table(nextGuide)[1], ['XS', '0', '30–31.5', '23–24.5']);
+  });
+
+  it('converts the table when storage is disabled', () => {
+    const { guide, errors } = mount({ storage: false });
+
+    choose(guide, 'system', 'us');
+
+    assert.equal(table(guide)[0][1], 'US');
+    assert.deepEqual(errors, []);
+  });
+
+  it('ignores preferences it has no column for', () => {
+    const { guide } = mount({ preference: { system: 'jp', unit: 'mm' } });
+
+    assert.equal(guide.querySelector('input[name="system"]:checked').value, 'eu');
+    assert.equal(table(guide)[0][1], 'EU');
+  });
+
+  it('recommends a size from height, weight and usual size', async () => {
+    const { guide, fitFinder } = mount();
+    const recommended = () => selectedSize(window.document);
+
+    assert.equal(await findSize(fitFinder, {}), 'Enter your height, weight or usual size to get a recommendation.');
+
+    await findSize(fitFinder, { height: '168', weight: '58' });
+    assert.equal(recommended(), 'M');
+
+    // 163 cm and 55 kg fit both S and M, a usual M settles it
+    await findSize(fitFinder, { height: '163', weight: '55' });
+    assert.equal(recommended(), 'S');
+    await findSize(fitFinder, { height: '163', weight: '55', usualSize: '2' });
+    assert.equal(recommended(), 'M');
+
+    // The usual size alone
+    await findSize(fitFinder, { usualSize: '3' });
+    assert.equal(recommended(), 'L');
+
+    // In inches and pounds: 5'2" and 99 lb
+    choose(guide, 'unit', 'in');
+    await findSize(fitFinder, { height: '62', weight: '99' });
+    assert.equal(recommended(), 'XS');
+  });
+
+  it('picks the recommended size in the variant picker', async () => {
+    const { document, fitFinder, fetch, errors } = mount();
+    const selections = [];
+    window.eval('subscribe')('option-value-selection-change', ({ data }) => selections.push(data.target.value));
+
+    const result = await findSize(fitFinder, { height: '170', weight: '65' });
+
+    assert.equal(result, "Size L should fit you best. We've selected it for you.");
+    assert.deepEqual(selections, ['L']);
+    assert.equal(selectedSize(document), 'L');
+    const variant = PRODUCT.variants.find((entry) => entry.title === 'Black / L');
+    assert.equal(fetch.calls.at(-1).url.searchParams.get('option_values').split(',').length, 2);
+    assert.equal(document.querySelector(`#product-form-${SECTION_ID} input[name="id"]`).value, String(variant.id));
+    assert.deepEqual(errors, []);
+  });
+});
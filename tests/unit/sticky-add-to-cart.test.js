@@ -0,0 +1,233 @@
+// @ts-check
+const { afterEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const catalog = require('../fixtures/catalog');
+const { shopifySection } = require('../fixtures/render/helpers');
+const { mainProduct } = require('../fixtures/render/product');
+const { FakeIntersectionObserver, flush, loadTheme } = require('./helpers');
+
+/**
+ * Unit tests for `<sticky-add-to-cart>` (assets/sticky-add-to-cart.js).
+ *
+ * These tests verify that:
+ * 1. The bar shows once the buy buttons are scrolled past, not while they're still further down the page
+ * 2. Picking a variant updates the bar's price and variant title, and sold out variants disable it
+ * 3. Its button adds through `<product-form>`, mirroring the loading state and the errors of the main form
+ * 4. A selection that makes no variant opens the compact picker, which picks the value in the main picker
+ */
+
+const SECTION_ID = 'template--fixture__main';
+const PRODUCT_URL = 'https://fixture.test/products/halter-top-with-open-back';
+
+// The halter top with its ivory variants priced higher and no ivory L, so some selections make no variant
+const HALTER = catalog.getProduct('halter-top-with-open-back');
+const PRODUCT = {
+  ...HALTER,
+  variants: HALTER.variants
+    .filter((variant) => variant.title !== 'Ivory / L')
+    .map((variant) => (variant.options[0] === 'Ivory' ? { ...variant, price: 149000 } : variant)),
+};
+
+let window;
+
+function variant(title) {
+  return PRODUCT.variants.find((entry) => entry.title === title);
+}
+
+function mount(title, { cartAdd = (variantId) => ({ id: variantId, quantity: 1, sections: {} }) } = {}) {
+  const render = (selected) =>
+    shopifySection(SECTION_ID, mainProduct(PRODUCT, selected, SECTION_ID, { stickyAddToCart: true }));
+  const theme = loadTheme({
+    url: `${PRODUCT_URL}?variant=${variant(title).id}`,
+    html: `${render(variant(title))}<cart-drawer></cart-drawer>`,
+    scripts: [
+      'cart-store.js',
+      'offline-cart-queue.js',
+      'product-form.js',
+      'product-info.js',
+      'product-modal.js',
+      'media-gallery.js',
+      'sticky-add-to-cart.js',
+    ],
+    fetch: (url, init) => {
+      if (url.pathname === '/cart/add') return cartAdd(init.body.get('id'));
+      if (url.pathname === '/cart.js') return { items: [], item_count: 1 };
+      return render(catalog.getSelectedVariant(PRODUCT, url.searchParams));
+    },
+    globals: {
+      variantStrings: {
+        addToCart: 'Add to cart',
+        soldOut: 'Sold out',
+        unavailable: 'Unavailable',
+        chooseOptions: 'Choose options',
+      },
+    },
+    beforeLoad: (window) => {
+      // jsdom doesn't lay out: no media queries match, slider-component has nothing to observe and nothing scrolls
+      window.matchMedia = (query) => ({ matches: false, media: query, addEventListener() {} });
+      window.ResizeObserver = class {
+        observe() {}
+        disconnect() {}
+      };
+      window.scrollTo = () => {};
+      window.Element.prototype.scrollTo = () => {};
+      // nor has innerText, which product-info.js reads the submit button's label from
+      Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+        get() {
+          return this.textContent;
+        },
+      });
+      // jsdom has no User Timing, CartPerformance only needs the calls to exist
+      window.performance.mark = (name) => ({ name });
+      window.performance.measure = () => {};
+      // A stand-in for the drawer, recording what it's asked to render
+      window.customElements.define(
+        'cart-drawer',
+        window.eval(`(class extends HTMLElement {
+          rendered = [];
+          getSectionsToRender() { return [{ id: 'cart-drawer' }, { id: 'cart-icon-bubble' }]; }
+          setActiveElement() {}
+          renderContents(state) { this.rendered.push(state); }
+        })`)
+      );
+    },
+  });
+  window = theme.window;
+
+  const bar = theme.document.querySelector('sticky-add-to-cart');
+  return {
+    ...theme,
+    bar,
+    button: bar.querySelector('.sticky-add-to-cart__button'),
+    toggle: bar.querySelector('.sticky-add-to-cart__variant'),
+    picker: bar.querySelector('.sticky-add-to-cart__picker'),
+  };
+}
+
+function scrollPast(document) {
+  FakeIntersectionObserver.trigger(document.querySelector('product-form'), false, { top: -200, bottom: -120 });
+}
+
+async function pick(document, name, value) {
+  const input = document.querySelector(`input[name="${name}"][value="${value}"]`);
+  input.checked = true;
+  input.dispatchEvent(new window.Event('change', { bubbles: true }));
+  await flush(window);
+}
+
+function text(element) {
+  return element.textContent.trim();
+}
+
+afterEach(() => window.close());
+
+describe('sticky-add-to-cart', () => {
+  it('shows once the buy buttons are scrolled past', () => {
+    const { document, bar } = mount('Black / S');
+    const productForm = document.querySelector('product-form');
+    assert.equal(bar.getAttribute('aria-hidden'), 'true');
+    assert.ok(bar.hasAttribute('inert'));
+
+    // Below the fold, the buttons haven't been reached yet
+    FakeIntersectionObserver.trigger(productForm, false, { top: 900, bottom: 980 });
+    assert.ok(!bar.classList.contains('sticky-add-to-cart--visible'));
+
+    scrollPast(document);
+    assert.ok(bar.classList.contains('sticky-add-to-cart--visible'));
+    assert.equal(bar.getAttribute('aria-hidden'), 'false');
+    assert.ok(!bar.hasAttribute('inert'));
+
+    FakeIntersectionObserver.trigger(productForm, true, { top: 100, bottom: 180 });
+    assert.ok(!bar.classList.contains('sticky-add-to-cart--visible'));
+    assert.ok(bar.hasAttribute('inert'));
+  });
+
+  it('follows the picked variant', async () => {
+    const { document, bar, button, toggle, errors } = mount('Black / S');
+    const price = () => text(bar.querySelector('.sticky-add-to-cart__price .price-item--last'));
+    assert.equal(text(toggle), 'Black / S');
+    assert.equal(price(), '฿1,290.00');
+
+    await pick(document, 'Color-1', 'Ivory');
+
+    assert.equal(text(toggle), 'Ivory / S');
+    assert.equal(price(), '฿1,490.00');
+    assert.equal(text(button), 'Add to cart');
+    assert.ok(!button.disabled);
+
+    await pick(document, 'Size-2', 'XS');
+
+    assert.equal(text(toggle), 'Ivory / XS');
+    assert.equal(text(button), 'Sold out');
+    assert.ok(button.disabled);
+    assert.deepEqual(errors, []);
+  });
+
+  it('adds through the product form and mirrors its state', async () => {
+    const { document, button, fetch } = mount('Black / S');
+    scrollPast(document);
+
+    button.click();
+    // The bar follows the main button once the mutations are reported
+    await Promise.resolve();
+    assert.ok(button.classList.contains('loading'), 'still adding');
+    await flush(window);
+
+    const [addCall] = fetch.calls.filter(({ url }) => url.pathname === '/cart/add');
+    assert.equal(addCall.init.body.get('id'), String(variant('Black / S').id));
+    assert.equal(addCall.init.body.get('sections'), 'cart-drawer,cart-icon-bubble');
+    assert.equal(document.querySelector('cart-drawer').rendered.length, 1);
+    assert.ok(!button.classList.contains('loading'));
+    assert.ok(!button.hasAttribute('aria-disabled'));
+  });
+
+  it("shows the main form's error", async () => {
+    const description = 'All 3 Halter Top with Open Back - Black / S are in your cart.';
+    const { document, bar, button } = mount('Black / S', {
+      cartAdd: () => Response.json({ status: 422, message: 'Cart Error', description }, { status: 422 }),
+    });
+    const error = bar.querySelector('.sticky-add-to-cart__error');
+    assert.ok(error.hidden);
+
+    button.click();
+    await flush(window);
+
+    assert.ok(!error.hidden);
+    assert.equal(text(error), description);
+    assert.equal(document.querySelector('cart-drawer').rendered.length, 0);
+  });
+
+  it('opens the picker when the selection makes no variant', async () => {
+    const { document, button, toggle, picker, fetch } = mount('Black / L');
+    const selections = [];
+    window.eval('subscribe')('option-value-selection-change', ({ data }) => selections.push(data.target.value));
+
+    await pick(document, 'Color-1', 'Ivory');
+    assert.equal(text(button), 'Choose options');
+    assert.equal(text(toggle), 'Choose options');
+    assert.ok(!button.disabled);
+    assert.equal(picker.querySelector('select').value, 'Ivory', 'follows the main picker');
+
+    button.click();
+    assert.ok(!picker.hidden);
+    assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+    assert.equal(fetch.calls.filter(({ url }) => url.pathname === '/cart/add').length, 0);
+
+    const size = picker.querySelectorAll('select')[1];
+    size.value = 'M';
+    size.dispatchEvent(new window.Event('change', { bubbles: true }));
+    await flush(window);
+
+    assert.ok(document.querySelector('input[name="Size-2"][value="M"]').checked);
+    assert.deepEqual(selections, ['Ivory', 'M']);
+    assert.equal(text(toggle), 'Ivory / M');
+    assert.equal(text(button), 'Add to cart');
+
+    button.click();
+    await flush(window);
+
+    assert.ok(picker.hidden);
+    const [addCall] = fetch.calls.filter(({ url }) => url.pathname === '/cart/add');
+    assert.equal(addCall.init.body.get('id'), String(variant('Ivory / M').id));
+  });
+});
@@ -0,0 +1,121 @@
+// @ts-check
+const { afterEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { flush, loadTheme } = require('./helpers');
+
+/**
+ * Unit tests for `ThemeEvents` (assets/theme-events.js).
+ *
+ * These tests verify that:
+ * 1. Cart publishes are dispatched on `document` with the cart, read again after an add
+ * 2. Cart errors and variant picker publishes are dispatched with their documented details
+ * 3. `theme:cart:refresh` reads the cart, re-renders the cart bubble and publishes `cartUpdate` for the cart to
+ *    re-render
+ * 4. `theme:cart:open` opens the cart drawer
+ */
+
+const CART = { token: 'fixture', item_count: 2, items: [{ id: 1, quantity: 2 }] };
+
+let window;
+
+// Details are built in the page's realm, copied into this one to be compared
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function mount({ html = '' } = {}) {
+  const theme = loadTheme({
+    html,
+    scripts: ['cart-store.js', 'theme-events.js'],
+    fetch: (url) => {
+      if (url.pathname === '/cart.js') return CART;
+      if (url.searchParams.get('section_id') === 'cart-icon-bubble') {
+        return '<div id="shopify-section-cart-icon-bubble" class="shopify-section"><span>2</span></div>';
+      }
+      return '';
+    },
+  });
+  window = theme.window;
+
+  const dispatched = [];
+  ['theme:cart:updated', 'theme:cart:error', 'theme:variant:option-selected', 'theme:variant:changed'].forEach((type) =>
+    window.document.addEventListener(type, ({ detail }) => dispatched.push([type, plain(detail)]))
+  );
+  return { ...theme, dispatched, publish: window.eval('publish'), subscribe: window.eval('subscribe') };
+}
+
+afterEach(() => window.close());
+
+describe('ThemeEvents', () => {
+  it('dispatches cart updates with the cart', async () => {
+    const { publish, dispatched, fetch } = mount();
+
+    await publish('cart-update', { source: 'cart-items', cartData: { ...CART, sections: { 'cart-drawer': '' } } });
+    await flush(window);
+    assert.deepEqual(dispatched, [['theme:cart:updated', { source: 'cart-items', cart: CART, item: null }]]);
+    assert.equal(fetch.calls.length, 0);
+
+    // /cart/add.js only answers with the added line
+    const item = { id: 1, quantity: 1 };
+    await publish('cart-update', { source: 'product-form', cartData: { ...item, sections: {} } });
+    await flush(window);
+    assert.deepEqual(dispatched[1], ['theme:cart:updated', { source: 'product-form', cart: CART, item }]);
+    assert.deepEqual(
+      fetch.calls.map(({ url }) => url.pathname),
+      ['/cart.js']
+    );
+  });
+
+  it('dispatches cart errors and variant picker changes', async () => {
+    const { publish, dispatched } = mount();
+    const variant = { id: 2, available: true };
+
+    await publish('cart-error', {
+      source: 'product-form',
+      productVariantId: '2',
+      errors: 'Sold out',
+      message: 'Sold out',
+    });
+    await publish('option-value-selection-change', {
+      data: { event: null, target: null, selectedOptionValues: ['1'] },
+    });
+    await publish('variant-change', { data: { sectionId: 'main', html: null, variant } });
+    await flush(window);
+
+    assert.deepEqual(dispatched, [
+      ['theme:cart:error', { source: 'product-form', variantId: '2', errors: 'Sold out', message: 'Sold out' }],
+      ['theme:variant:option-selected', { selectedOptionValues: ['1'] }],
+      ['theme:variant:changed', { sectionId: 'main', variant }],
+    ]);
+  });
+
+  it('refreshes the cart on theme:cart:refresh', async () => {
+    const { document, subscribe, fetch } = mount({
+      html: '<cart-drawer class="is-empty"></cart-drawer><a id="cart-icon-bubble"><span>0</span></a>',
+    });
+    const updates = [];
+    subscribe('cart-update', (event) => updates.push(plain(event)));
+
+    document.dispatchEvent(new window.CustomEvent('theme:cart:refresh'));
+    await flush(window);
+
+    assert.deepEqual(
+      fetch.calls.map(({ url }) => url.pathname + url.search),
+      ['/cart.js', '/cart?section_id=cart-icon-bubble']
+    );
+    assert.ok(!document.querySelector('cart-drawer').classList.contains('is-empty'));
+    assert.equal(document.getElementById('cart-icon-bubble').innerHTML, '<span>2</span>');
+    assert.deepEqual(updates, [{ source: 'theme-events', cartData: CART }]);
+  });
+
+  it('opens the cart drawer on theme:cart:open', () => {
+    const { document } = mount({ html: '<cart-drawer></cart-drawer>' });
+    const drawer = document.querySelector('cart-drawer');
+    let opened = 0;
+    drawer.open = () => (opened += 1);
+
+    document.dispatchEvent(new window.CustomEvent('theme:cart:open'));
+
+    assert.equal(opened, 1);
+  });
+});
@@ -0,0 +1,84 @@
+// @ts-check
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadTheme } = require('./helpers');
+
+/**
+ * Unit tests for `<variant-selects>` (assets/global.js).
+ *
+ * These tests verify that:
+ * 1. Picking a swatch updates the selected value label and publishes the selected option value ids
+ * 2. Picking a dropdown option moves its `selected` attribute and recolors the dropdown swatch
+ */
+
+const SECTION_ID = 'template--fixture__main';
+
+// A swatch picker for Color and a swatch dropdown for Size, as snippets/product-variant-picker.liquid renders them
+const PICKER = `<variant-selects id="variant-selects-${SECTION_ID}" data-section="${SECTION_ID}">
+  <fieldset class="js product-form__input product-form__input--swatch" data-option-name="color">
+    <legend class="form__label">Color: <span data-selected-value>Black</span></legend>
+    <input type="radio" id="${SECTION_ID}-1-0" name="Color-1" value="Black" checked data-option-value-id="201">
+    <label for="${SECTION_ID}-1-0">Black</label>
+    <input type="radio" id="${SECTION_ID}-1-1" name="Color-1" value="Cream" data-option-value-id="202">
+    <label for="${SECTION_ID}-1-1">Cream</label>
+  </fieldset>
+  <div class="product-form__input product-form__input--dropdown" data-option-name="size">
+    <label class="form__label" for="Option-${SECTION_ID}-1">Size</label>
+    <div class="select">
+      <span data-selected-value class="dropdown-swatch">
+        <span class="swatch" style="--swatch--background: #111111;"></span>
+      </span>
+      <select id="Option-${SECTION_ID}-1" class="select__select" name="options[Size]">
+        <option value="S" selected="selected" data-option-swatch-value="#111111" data-option-value-id="301">S</option>
+        <option value="M" data-option-swatch-value="#eeeeee" data-option-value-id="302">M</option>
+        <option value="L" data-option-value-id="303">L</option>
+      </select>
+    </div>
+  </div>
+</variant-selects>`;
+
+function mount() {
+  const { window, document } = loadTheme({ html: PICKER });
+  const published = [];
+  // Arrays built inside the window fail deepEqual against this realm's arrays, so tests spread them first
+  window.subscribe('option-value-selection-change', (event) => published.push(event.data));
+  return { window, document, published };
+}
+
+describe('variant-selects', () => {
+  it('publishes the selected option values when a swatch is picked', () => {
+    const { window, document, published } = mount();
+    const cream = document.querySelector('input[value="Cream"]');
+
+    cream.checked = true;
+    cream.dispatchEvent(new window.Event('change', { bubbles: true }));
+
+    assert.equal(document.querySelector('fieldset [data-selected-value]').textContent, 'Cream');
+    assert.equal(published.length, 1);
+    assert.equal(published[0].target, cream);
+    assert.deepEqual([...published[0].selectedOptionValues], ['202', '301']);
+  });
+
+  it('moves the selected attribute and recolors the swatch when a dropdown option is picked', () => {
+    const { window, document, published } = mount();
+    const select = document.querySelector('select');
+    const swatch = document.querySelector('.dropdown-swatch .swatch');
+
+    select.value = 'M';
+    select.dispatchEvent(new window.Event('change', { bubbles: true }));
+
+    assert.deepEqual(
+      [...select.querySelectorAll('option[selected]')].map((option) => option.value),
+      ['M']
+    );
+    assert.equal(swatch.style.getPropertyValue('--swatch--background'), '#eeeeee');
+    assert.equal(published[0].target, select.options[1]);
+    assert.deepEqual([...published[0].selectedOptionValues], ['201', '302']);
+
+    select.value = 'L';
+    select.dispatchEvent(new window.Event('change', { bubbles: true }));
+
+    assert.equal(swatch.style.getPropertyValue('--swatch--background'), 'unset');
+    assert.ok(swatch.classList.contains('swatch--unavailable'));
+  });
+});
@@ -0,0 +1,132 @@
+// @ts-check
+const { afterEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { flush, loadTheme } = require('./helpers');
+
+/**
+ * Unit tests for `Wishlist` and `<wishlist-items>` (assets/wishlist.js).
+ *
+ * These tests verify that:
+ * 1. The share button of the wishlist page gets the wishlist's URL once share.js, loaded after wishlist.js, defines it
+ * 2. Without an endpoint, the wishlists of logged-in customers stay in the browser
+ * 3. Changes the endpoint doesn't save are taken back
+ */
+
+const STORAGE_KEY = 'theme-wishlist';
+const DRESS = { id: 1, handle: 'wrap-dress' };
+const TOTE = { id: 2, handle: 'canvas-tote' };
+
+// `{% render 'share-button' %}` in sections/main-wishlist.liquid
+const WISHLIST_PAGE = `<wishlist-items class="wishlist">
+  <div class="wishlist__share">
+    <share-button id="Share-main" class="share-button">
+      <button class="share-button__button hidden">Share wishlist</button>
+      <details id="Details-share-main">
+        <summary class="share-button__button">Share wishlist</summary>
+        <div class="share-button__fallback">
+          <div class="field">
+            <span id="ShareMessage-main" class="share-button__message hidden" role="status"></span>
+            <input type="text" class="field__input" value="https://fixture.test/pages/wishlist" readonly>
+            <button class="share-button__copy">Copy link</button>
+          </div>
+          <button class="share-button__close hidden">Close</button>
+        </div>
+      </details>
+    </share-button>
+  </div>
+  <p class="wishlist__empty" hidden>Your wishlist is empty</p>
+  <ul class="wishlist__grid grid product-grid" role="list"></ul>
+</wishlist-items>`;
+
+let window;
+
+/**
+ * `wishlist` is the `window.wishlist` the layout renders, `stored` the wishlist a guest left in the browser and
+ * `endpoint(body)` answers the wishlist endpoint; product cards are answered with an empty `.grid__item`.
+ */
+function mount({ wishlist, stored, endpoint = () => ({}), html = '', scripts = [] } = {}) {
+  const theme = loadTheme({
+    url: 'https://fixture.test/pages/wishlist',
+    html,
+    scripts: ['wishlist.js', ...scripts],
+    globals: { wishlist, routes: { root_url: '/' } },
+    fetch: (url, init) => {
+      if (url.searchParams.get('section_id') === 'product-card') {
+        return `<li class="grid__item" data-handle="${url.pathname.split('/').pop()}"></li>`;
+      }
+      return endpoint(JSON.parse(init.body));
+    },
+    beforeLoad: (window) => {
+      if (stored) window.localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+    },
+  });
+  window = theme.window;
+  return { ...theme, Wishlist: window.eval('Wishlist') };
+}
+
+function stored() {
+  return JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+}
+
+afterEach(() => window.close());
+
+describe('Wishlist', () => {
+  it('gives the share button the wishlist URL once it is defined', async () => {
+    const { document, Wishlist } = mount({
+      stored: [{ ...DRESS, addedAt: 0 }],
+      html: WISHLIST_PAGE,
+      scripts: ['details-disclosure.js', 'share.js'],
+    });
+    const shareButton = document.querySelector('share-button');
+    await flush(window);
+
+    assert.ok(!shareButton.hidden);
+    assert.equal(
+      shareButton.querySelector('input').value,
+      'https://fixture.test/pages/wishlist?items=wrap-dress',
+      'the URL was given once share.js ran'
+    );
+
+    await Wishlist.add(TOTE);
+    await flush(window);
+    assert.equal(shareButton.urlToShare, 'https://fixture.test/pages/wishlist?items=canvas-tote%2Cwrap-dress');
+
+    await Wishlist.remove(TOTE.id);
+    await Wishlist.remove(DRESS.id);
+    assert.ok(shareButton.hidden);
+  });
+
+  it('keeps the wishlists of logged-in customers in the browser without an endpoint', async () => {
+    const { Wishlist, fetch } = mount({
+      wishlist: { url: '', loggedIn: true, customerItems: null },
+      stored: [{ ...DRESS, addedAt: 0 }],
+      scripts: ['customer.js'],
+    });
+    new (window.eval('CustomerWishlist'))();
+
+    await Wishlist.add(TOTE);
+    await flush(window);
+
+    assert.deepEqual(
+      stored().map(({ handle }) => handle),
+      ['canvas-tote', 'wrap-dress']
+    );
+    assert.equal(fetch.calls.length, 0);
+  });
+
+  it('takes back changes the endpoint fails to save', async () => {
+    const { Wishlist, errors } = mount({
+      wishlist: { url: '/apps/wishlist', loggedIn: true, customerItems: [{ ...DRESS, addedAt: 0 }] },
+      endpoint: () => new Response('', { status: 404 }),
+    });
+    const published = [];
+    Wishlist.subscribe((items) => published.push(items.map(({ handle }) => handle).join()));
+
+    await Wishlist.add(TOTE);
+
+    assert.ok(!Wishlist.has(TOTE.id));
+    assert.deepEqual(published, ['wrap-dress', 'canvas-tote,wrap-dress', 'wrap-dress']);
+    assert.match(errors[0].message, /failed with 404/);
+    assert.equal(stored(), null);
+  });
+});